@@ -1,43 +1,9 @@
-const ACCESS_STORAGE_KEY = "zantraAccessExpiry";
-const ACCESS_CODE = "12345678";
-const ACCESS_DURATION_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+import { UserManager } from "./src/managers/UserManager.js";
 
 const redirectToApp = () => {
   window.location.replace("app.html");
 };
 
-const getStoredAccess = () => {
-  const rawValue = localStorage.getItem(ACCESS_STORAGE_KEY);
-  if (!rawValue) {
-    return null;
-  }
-
-  try {
-    const parsed = JSON.parse(rawValue);
-    if (!parsed || typeof parsed.expiry !== "number") {
-      localStorage.removeItem(ACCESS_STORAGE_KEY);
-      return null;
-    }
-
-    return parsed;
-  } catch (error) {
-    localStorage.removeItem(ACCESS_STORAGE_KEY);
-    return null;
-  }
-};
-
-const isExpired = (expiry) => {
-  return Number.isFinite(expiry) ? Date.now() > expiry : true;
-};
-
-const persistAccess = () => {
-  const expiry = Date.now() + ACCESS_DURATION_MS;
-  localStorage.setItem(
-    ACCESS_STORAGE_KEY,
-    JSON.stringify({ expiry })
-  );
-};
-
 const showMessage = (messageElement, message) => {
   if (!messageElement) return;
   messageElement.textContent = message;
@@ -48,40 +14,71 @@ const clearMessage = (messageElement) => {
   messageElement.textContent = "";
 };
 
-const handleFormSubmit = (event) => {
+const showOwnerSetup = (form) => {
+  const title = document.querySelector("#title");
+  const submitButton = form.querySelector("#submit");
+  if (title) {
+    title.textContent = "Set up Zantra Invoicing";
+  }
+  if (submitButton) {
+    submitButton.textContent = "Create owner account";
+  }
+  form.querySelectorAll("[data-setup]").forEach((element) => {
+    element.hidden = false;
+  });
+  form.querySelector("#password")?.setAttribute("autocomplete", "new-password");
+};
+
+const handleFormSubmit = async (event) => {
   event.preventDefault();
 
   const form = event.currentTarget;
-  const input = form.querySelector("#access-code");
+  const nameInput = form.querySelector("#name");
+  const usernameInput = form.querySelector("#username");
+  const passwordInput = form.querySelector("#password");
   const messageElement = document.querySelector("#message");
+  const settingUp = UserManager.requiresSetup();
+
+  if (!usernameInput || !passwordInput) {
+    showMessage(messageElement, "Unable to verify your sign-in.");
+    return;
+  }
 
-  if (!input) {
-    showMessage(messageElement, "Unable to verify access code.");
+  if (usernameInput.value.trim().length === 0 || passwordInput.value.length === 0) {
+    showMessage(messageElement, "Please enter your username and password.");
+    (usernameInput.value.trim() ? passwordInput : usernameInput).focus();
     return;
   }
 
-  const providedCode = input.value.trim();
-  if (providedCode.length === 0) {
-    showMessage(messageElement, "Please enter your access code.");
-    input.focus();
+  if (settingUp && !nameInput?.value.trim()) {
+    showMessage(messageElement, "Please enter your name.");
+    nameInput?.focus();
     return;
   }
 
-  if (providedCode !== ACCESS_CODE) {
-    showMessage(messageElement, "The access code is incorrect.");
-    input.value = "";
-    input.focus();
+  try {
+    if (settingUp) {
+      await UserManager.create({
+        name: nameInput.value,
+        username: usernameInput.value,
+        password: passwordInput.value,
+        role: "owner"
+      });
+    }
+    await UserManager.signIn(usernameInput.value, passwordInput.value);
+  } catch (error) {
+    showMessage(messageElement, error.message);
+    passwordInput.value = "";
+    passwordInput.focus();
     return;
   }
 
-  persistAccess();
   clearMessage(messageElement);
   redirectToApp();
 };
 
 const enforceAccess = () => {
-  const storedAccess = getStoredAccess();
-  if (storedAccess && !isExpired(storedAccess.expiry)) {
+  if (!UserManager.requiresSignIn()) {
     redirectToApp();
   }
 };
@@ -93,12 +90,14 @@ window.addEventListener("DOMContentLoaded", () => {
   const messageElement = document.querySelector("#message");
 
   if (accessForm) {
+    if (UserManager.requiresSetup()) {
+      showOwnerSetup(accessForm);
+    }
     accessForm.addEventListener("submit", handleFormSubmit);
   }
 
   // Clear stale error messages when the user starts typing again.
-  const accessInput = document.querySelector("#access-code");
-  if (accessInput) {
-    accessInput.addEventListener("input", () => clearMessage(messageElement));
-  }
+  accessForm?.querySelectorAll("input").forEach((input) => {
+    input.addEventListener("input", () => clearMessage(messageElement));
+  });
 });
@@ -1,4 +1,35 @@
-const STORAGE_PREFIX = 'zantra-invoicing::';
+import { LocalStorageAdapter } from './adapters/LocalStorageAdapter.js';
+import { IndexedDbAdapter } from './adapters/IndexedDbAdapter.js';
+import { EncryptedAdapter } from './adapters/EncryptedAdapter.js';
+import { PassphraseCipher } from './crypto.js';
+import {
+  ConflictError,
+  LockedStorageError,
+  PassphraseError,
+  StaleWriteError,
+  StorageError,
+  StorageQuotaError,
+  StorageUnavailableError
+} from './errors.js';
+import { SchemaMigrations } from './migrations.js';
+import { Money } from './money.js';
+
+const STORAGE_PREFIX = LocalStorageAdapter.DEFAULT_PREFIX;
+const DATABASE_NAME = IndexedDbAdapter.DEFAULT_DATABASE_NAME;
+const DEFAULT_PROFILE_ID = 'default';
+const LOCAL_STORAGE_MIGRATION_KEY = '__localStorageMigration';
+const REVISIONS_KEY = '__revisions';
+const SCHEMA_VERSION_KEY = '__schemaVersion';
+const AUDIT_LOG_KEY = 'auditLog';
+const AUDIT_LOG_LIMIT = 5000;
+const AUDIT_LOG_MAX_BYTES = 1024 * 1024;
+const AUDIT_LOG_RETAINED_SHARE = 0.9;
+const AUDIT_ACTIONS_WITHOUT_CHANGES = new Set(['created', 'archived', 'purged']);
+const AUDIT_IGNORED_FIELDS = new Set(['id', 'updatedAt', 'revision']);
+const DEFAULT_ACTOR = { id: 'local', name: 'Local user' };
+const BROADCAST_CHANNEL_NAME = 'zantra-invoicing';
+const STALE_WRITE_POLICIES = ['warn', 'reject'];
+const DELETE_POLICIES = ['block', 'archive', 'reassign'];
 
 const COLLECTION_KEYS = {
   invoices: 'invoices',
@@ -7,10 +38,43 @@ const COLLECTION_KEYS = {
   services: 'services',
   payments: 'payments',
   settings: 'settings',
-  recurringSchedules: 'recurringSchedules'
+  recurringSchedules: 'recurringSchedules',
+  creditNotes: 'creditNotes',
+  sequences: 'sequences'
+};
+
+const COLLECTION_EVENT_NAMES = {
+  invoices: 'invoice',
+  quotes: 'quote',
+  clients: 'client',
+  services: 'service',
+  payments: 'payment',
+  settings: 'settings',
+  recurringSchedules: 'recurringSchedule',
+  creditNotes: 'creditNote',
+  sequences: 'sequence'
 };
 
-const BACKUP_SCHEMA_VERSION = 1;
+const WILDCARD_EVENT = '*';
+
+const INDEXED_FIELDS = {
+  invoices: ['clientId', 'status'],
+  quotes: ['clientId', 'status'],
+  clients: [],
+  services: [],
+  payments: ['invoiceId', 'clientId'],
+  recurringSchedules: ['clientId'],
+  creditNotes: ['invoiceId', 'clientId'],
+  sequences: []
+};
+
+const TRASH_COLLECTIONS = Object.keys(COLLECTION_KEYS).filter(
+  (collection) => collection !== 'settings' && collection !== 'sequences'
+);
+
+const UNTRACKED_COLLECTIONS = new Set([COLLECTION_KEYS.sequences]);
+
+const BACKUP_SCHEMA_VERSION = SchemaMigrations.latestVersion();
 
 const DEFAULT_SETTINGS = {
   businessName: '',
@@ -21,30 +85,194 @@ const DEFAULT_SETTINGS = {
   address: '',
   invoicePrefix: 'INV',
   quotePrefix: 'QTE',
+  creditNotePrefix: 'CN',
+  receiptPrefix: 'RCT',
+  numbering: {
+    invoices: { template: '{PREFIX}-{SEQ:4}', scope: 'client', reset: 'never' },
+    quotes: { template: '{PREFIX}-{SEQ:4}', scope: 'client', reset: 'never' },
+    creditNotes: { template: '{PREFIX}-{SEQ:4}', scope: 'global', reset: 'never' },
+    receipts: { template: '{PREFIX}-{SEQ:4}', scope: 'global', reset: 'never' }
+  },
   gstRate: 0.1,
+  gstRounding: Money.DEFAULT_ROUNDING,
+  pricesIncludeTax: false,
+  taxCodes: [],
+  trashRetentionDays: 30,
+  clientDeletePolicy: 'block',
+  serviceDeletePolicy: 'block',
+  autoLockMinutes: 15,
   updatedAt: ''
 };
 
-const resolveStorage = () => {
-  if (typeof window !== 'undefined' && window.localStorage) {
-    return window.localStorage;
+let activeProfileId = DEFAULT_PROFILE_ID;
+let activeAdapter = new LocalStorageAdapter({ prefix: STORAGE_PREFIX });
+let recordCache = null;
+let pendingWrites = Promise.resolve();
+let lastWrite = Promise.resolve(true);
+let operationWrites = null;
+let initialization = null;
+const listeners = new Map();
+const knownRevisions = new Map();
+const staleKeys = new Set();
+const rejectedThrough = new Map();
+const tabSequences = new Map();
+let commitSequence = 0;
+const recordIndexes = new Map();
+let staleWritePolicy = 'warn';
+let auditLogLimit = AUDIT_LOG_LIMIT;
+let auditLogMaxBytes = AUDIT_LOG_MAX_BYTES;
+let storageListener = null;
+let broadcastChannel = null;
+let tabId = null;
+let activeTransaction = null;
+let currentActor = { ...DEFAULT_ACTOR };
+const REMOVED = Symbol('removed');
+
+const isInternalKey = (key) => key.startsWith('__');
+
+const baseAdapterOf = (adapter) => (adapter instanceof EncryptedAdapter ? adapter.inner : adapter);
+
+const usesIndexedDb = (adapter) => !baseAdapterOf(adapter).synchronous;
+
+const isLocked = () => activeAdapter instanceof EncryptedAdapter && activeAdapter.locked;
+
+const assertUnlocked = () => {
+  if (isLocked()) {
+    throw new LockedStorageError(activeProfileId);
   }
-  if (typeof globalThis !== 'undefined' && globalThis.localStorage) {
-    return globalThis.localStorage;
+};
+
+const profileStoragePrefix = (profileId) =>
+  profileId === DEFAULT_PROFILE_ID ? STORAGE_PREFIX : `${STORAGE_PREFIX.replace(/::$/, '')}@${profileId}::`;
+
+const profileDatabaseName = (profileId) =>
+  profileId === DEFAULT_PROFILE_ID ? DATABASE_NAME : `${DATABASE_NAME}@${profileId}`;
+
+const validateProfileId = (profileId) => {
+  const id = typeof profileId === 'string' ? profileId.trim() : '';
+  if (!/^[a-z0-9][a-z0-9-]*$/i.test(id)) {
+    throw new Error(`DataManager: "${profileId}" is not a valid profile id.`);
   }
-  console.error('DataManager: localStorage is not available in this environment.');
-  return null;
+  return id;
 };
 
-const qualifyKey = (key) => {
+const validateKey = (key) => {
   if (typeof key !== 'string' || !key.trim()) {
     throw new Error('DataManager: storage key must be a non-empty string.');
   }
-  return `${STORAGE_PREFIX}${key.trim()}`;
+  return key.trim();
+};
+
+const ensureSynchronousStorage = () => {
+  if (!activeAdapter.synchronous || LocalStorageAdapter.isSupported()) {
+    return true;
+  }
+  console.error('DataManager: localStorage is not available in this environment.');
+  return false;
+};
+
+const toStorageError = (key, error) => {
+  if (error instanceof StorageError) {
+    return error;
+  }
+  return StorageQuotaError.isQuotaError(error)
+    ? new StorageQuotaError(key, { cause: error })
+    : new StorageError(key, { cause: error });
 };
 
 const clone = (value) => (value === null || value === undefined ? value : JSON.parse(JSON.stringify(value)));
 
+const isNested = (value) => value !== null && typeof value === 'object';
+
+const diffValues = (before, after, path) => {
+  if (JSON.stringify(before) === JSON.stringify(after)) {
+    return [];
+  }
+  if (!isNested(before) || !isNested(after) || Array.isArray(before) !== Array.isArray(after)) {
+    return [{ field: path, before: clone(before ?? null), after: clone(after ?? null) }];
+  }
+  const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+  return Array.from(fields).flatMap((field) => diffValues(before[field], after[field], `${path}.${field}`));
+};
+
+const diffRecords = (before, after) => {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  return Array.from(fields)
+    .filter((field) => !AUDIT_IGNORED_FIELDS.has(field))
+    .flatMap((field) => diffValues(before?.[field], after?.[field], field));
+};
+
+const serializedLength = (value) => JSON.stringify(value).length;
+
+const addToIndex = (index, record, position) => {
+  index.byId.set(record.id, { record, position });
+  index.fields.forEach((values, field) => {
+    const value = record[field];
+    if (value === undefined || value === null || value === '') {
+      return;
+    }
+    if (!values.has(value)) {
+      values.set(value, new Set());
+    }
+    values.get(value).add(record.id);
+  });
+};
+
+const removeFromIndex = (index, recordId) => {
+  const entry = index.byId.get(recordId);
+  if (!entry) {
+    return;
+  }
+  index.byId.delete(recordId);
+  index.fields.forEach((values, field) => {
+    const ids = values.get(entry.record[field]);
+    if (!ids) {
+      return;
+    }
+    ids.delete(recordId);
+    if (!ids.size) {
+      values.delete(entry.record[field]);
+    }
+  });
+};
+
+const buildIndex = (key, collection) => {
+  const index = {
+    stamp: null,
+    byId: new Map(),
+    fields: new Map(INDEXED_FIELDS[key].map((field) => [field, new Map()]))
+  };
+  (Array.isArray(collection) ? collection : []).forEach((record, position) => {
+    if (record && typeof record === 'object' && record.id) {
+      addToIndex(index, record, position);
+    }
+  });
+  return index;
+};
+
+const applyChanges = async (adapter, changes) => {
+  if (typeof adapter.applyChanges === 'function') {
+    return adapter.applyChanges(changes);
+  }
+  for (const change of changes) {
+    if (change.type === 'put') {
+      await adapter.putRecord(change.collection, change.record, change.position);
+    } else if (change.type === 'delete') {
+      await adapter.deleteRecord(change.collection, change.id);
+    } else if (change.type === 'remove') {
+      await adapter.remove(change.key);
+    } else {
+      await adapter.write(change.key, change.value);
+    }
+  }
+  return true;
+};
+
+const normalizeRevisions = (value) =>
+  value && typeof value === 'object' && !Array.isArray(value) ? { ...value } : {};
+
+const matchesValue = (value, expected) => (Array.isArray(expected) ? expected.includes(value) : value === expected);
+
 const normalizeNumber = (value) => {
   const numeric = Number.parseFloat(value);
   if (Number.isNaN(numeric) || !Number.isFinite(numeric)) {
@@ -55,7 +283,13 @@ const normalizeNumber = (value) => {
 
 export class DataManager {
   static STORAGE_KEYS = { ...COLLECTION_KEYS };
+  static COLLECTION_EVENTS = { ...COLLECTION_EVENT_NAMES };
+  static TRASH_COLLECTIONS = [...TRASH_COLLECTIONS];
+  static DELETE_POLICIES = [...DELETE_POLICIES];
+  static AUDIT_LOG_LIMIT = AUDIT_LOG_LIMIT;
+  static AUDIT_LOG_MAX_BYTES = AUDIT_LOG_MAX_BYTES;
   static BACKUP_SCHEMA_VERSION = BACKUP_SCHEMA_VERSION;
+  static DEFAULT_PROFILE_ID = DEFAULT_PROFILE_ID;
 
   static randomUUID() {
     if (typeof globalThis !== 'undefined') {
@@ -81,15 +315,428 @@ export class DataManager {
     return new Date().toISOString();
   }
 
+  static async initialize({ adapter, profileId = activeProfileId } = {}) {
+    const resolvedProfileId = validateProfileId(profileId);
+    const resolvedAdapter = adapter || DataManager.createAdapter(resolvedProfileId);
+    initialization = DataManager.#activate(resolvedAdapter, resolvedProfileId).catch((error) => {
+      initialization = null;
+      throw error;
+    });
+    return initialization;
+  }
+
+  static createAdapter(profileId = activeProfileId, { indexedDB = IndexedDbAdapter.isSupported() } = {}) {
+    const resolvedProfileId = validateProfileId(profileId);
+    return indexedDB
+      ? new IndexedDbAdapter({ databaseName: profileDatabaseName(resolvedProfileId) })
+      : new LocalStorageAdapter({ prefix: profileStoragePrefix(resolvedProfileId) });
+  }
+
+  static getProfileId() {
+    return activeProfileId;
+  }
+
+  static async switchProfile(profileId) {
+    const resolvedProfileId = validateProfileId(profileId);
+    if (activeTransaction) {
+      throw new Error('DataManager.switchProfile: cannot switch profiles during a transaction.');
+    }
+    if (resolvedProfileId === activeProfileId) {
+      return activeProfileId;
+    }
+    await DataManager.flush();
+    const previousAdapter = activeAdapter;
+    await DataManager.initialize({
+      profileId: resolvedProfileId,
+      adapter: DataManager.createAdapter(resolvedProfileId, { indexedDB: usesIndexedDb(previousAdapter) })
+    });
+    previousAdapter.close?.();
+    DataManager.emit('profile:switched', { profileId: resolvedProfileId, collections: Object.keys(COLLECTION_KEYS) });
+    return activeProfileId;
+  }
+
+  static async loadProfileData(profileId) {
+    const resolvedProfileId = validateProfileId(profileId);
+    const keys = [...Object.values(COLLECTION_KEYS), AUDIT_LOG_KEY];
+    if (resolvedProfileId === activeProfileId) {
+      assertUnlocked();
+      return Object.fromEntries(keys.map((key) => [key, DataManager.load(key)]));
+    }
+    const adapter = DataManager.createAdapter(resolvedProfileId, { indexedDB: usesIndexedDb(activeAdapter) });
+    if (await EncryptedAdapter.readMetadata(adapter)) {
+      adapter.close?.();
+      throw new LockedStorageError(resolvedProfileId);
+    }
+    if (adapter.synchronous) {
+      return Object.fromEntries(keys.map((key) => [key, adapter.read(key)]));
+    }
+    try {
+      const snapshot = await adapter.loadAll();
+      return Object.fromEntries(keys.map((key) => [key, snapshot[key] ?? null]));
+    } finally {
+      adapter.close();
+    }
+  }
+
+  static async exportProfile(profileId) {
+    const resolvedProfileId = validateProfileId(profileId);
+    if (resolvedProfileId === activeProfileId) {
+      return DataManager.exportAll();
+    }
+    const data = await DataManager.loadProfileData(resolvedProfileId);
+    return DataManager.#buildSnapshot((key) => data[key]);
+  }
+
+  static async clearProfileData(profileId) {
+    const resolvedProfileId = validateProfileId(profileId);
+    if (resolvedProfileId === activeProfileId) {
+      throw new Error('DataManager.clearProfileData: switch to another profile before clearing this one.');
+    }
+    const adapter = DataManager.createAdapter(resolvedProfileId, { indexedDB: usesIndexedDb(activeAdapter) });
+    try {
+      await adapter.clear();
+    } finally {
+      adapter.close?.();
+    }
+    return true;
+  }
+
+  static getEncryptionStatus() {
+    const enabled = activeAdapter instanceof EncryptedAdapter;
+    return { enabled, locked: enabled && activeAdapter.locked, profileId: activeProfileId };
+  }
+
+  static isLocked() {
+    return isLocked();
+  }
+
+  static async enableEncryption(passphrase, { iterations } = {}) {
+    if (activeAdapter instanceof EncryptedAdapter) {
+      throw new Error('DataManager.enableEncryption: this business is already encrypted.');
+    }
+    if (!PassphraseCipher.isSupported()) {
+      throw new Error('Encryption is not supported in this browser.');
+    }
+    await DataManager.flush();
+    const inner = activeAdapter;
+    const entries = DataManager.#readAllEntries();
+    if (!entries.some(([key]) => key === LOCAL_STORAGE_MIGRATION_KEY)) {
+      entries.push([LOCAL_STORAGE_MIGRATION_KEY, { migratedAt: DataManager.now(), keys: [] }]);
+    }
+    const rawKey = PassphraseCipher.generateDataKey();
+    const adapter = new EncryptedAdapter({ inner, key: await PassphraseCipher.importDataKey(rawKey) });
+    await EncryptedAdapter.writeMetadata(inner, await DataManager.#wrapDataKey(rawKey, passphrase, { iterations }));
+    await adapter.writeMany(entries);
+    await DataManager.#activate(adapter, activeProfileId);
+    DataManager.emit('encryption:enabled', { profileId: activeProfileId });
+    return true;
+  }
+
+  static async unlock(passphrase) {
+    if (!(activeAdapter instanceof EncryptedAdapter)) {
+      throw new Error('DataManager.unlock: this business is not encrypted.');
+    }
+    if (!activeAdapter.locked) {
+      return true;
+    }
+    const adapter = activeAdapter;
+    const rawKey = await DataManager.#unwrapDataKey(await EncryptedAdapter.readMetadata(adapter.inner), passphrase);
+    adapter.unlock(await PassphraseCipher.importDataKey(rawKey));
+    try {
+      await DataManager.#activate(adapter, activeProfileId);
+    } catch (error) {
+      adapter.lock();
+      throw error;
+    }
+    DataManager.emit('storage:unlocked', { profileId: activeProfileId, collections: Object.keys(COLLECTION_KEYS) });
+    return true;
+  }
+
+  static async lock() {
+    if (!(activeAdapter instanceof EncryptedAdapter) || activeAdapter.locked) {
+      return false;
+    }
+    await DataManager.flush();
+    activeAdapter.lock();
+    DataManager.#resetCache(new Map());
+    DataManager.emit('storage:locked', { profileId: activeProfileId, collections: Object.keys(COLLECTION_KEYS) });
+    return true;
+  }
+
+  static async changePassphrase(currentPassphrase, nextPassphrase, { iterations } = {}) {
+    if (!(activeAdapter instanceof EncryptedAdapter)) {
+      throw new Error('DataManager.changePassphrase: this business is not encrypted.');
+    }
+    assertUnlocked();
+    const { inner } = activeAdapter;
+    const rawKey = await DataManager.#unwrapDataKey(await EncryptedAdapter.readMetadata(inner), currentPassphrase);
+    await EncryptedAdapter.writeMetadata(inner, await DataManager.#wrapDataKey(rawKey, nextPassphrase, { iterations }));
+    DataManager.emit('encryption:rekeyed', { profileId: activeProfileId });
+    return true;
+  }
+
+  static async disableEncryption(passphrase) {
+    if (!(activeAdapter instanceof EncryptedAdapter)) {
+      throw new Error('DataManager.disableEncryption: this business is not encrypted.');
+    }
+    assertUnlocked();
+    const { inner } = activeAdapter;
+    await DataManager.#unwrapDataKey(await EncryptedAdapter.readMetadata(inner), passphrase);
+    await DataManager.flush();
+    const entries = DataManager.#readAllEntries();
+    if (typeof inner.writeMany === 'function') {
+      await inner.writeMany(entries);
+    } else {
+      entries.forEach(([key, value]) => inner.write(key, value));
+    }
+    await inner.remove(EncryptedAdapter.METADATA_KEY);
+    await DataManager.#activate(inner, activeProfileId);
+    DataManager.emit('encryption:disabled', { profileId: activeProfileId });
+    return true;
+  }
+
+  static ready() {
+    return initialization || Promise.resolve(DataManager.getAdapterName());
+  }
+
+  static flush() {
+    return pendingWrites;
+  }
+
+  static async getStorageUsage() {
+    const collections = {};
+    [...Object.values(COLLECTION_KEYS), AUDIT_LOG_KEY].forEach((key) => {
+      if (recordCache) {
+        collections[key] = recordCache.has(key) ? JSON.stringify(recordCache.get(key)).length : 0;
+      } else {
+        collections[key] = typeof activeAdapter.size === 'function' ? activeAdapter.size(key) : 0;
+      }
+    });
+    const profileBytes = Object.values(collections).reduce((total, size) => total + size, 0);
+    let usedBytes = profileBytes;
+    let quotaBytes = null;
+    if (baseAdapterOf(activeAdapter).synchronous) {
+      usedBytes = LocalStorageAdapter.totalSize();
+      quotaBytes = LocalStorageAdapter.ESTIMATED_QUOTA_BYTES;
+    } else {
+      try {
+        const estimate = await globalThis.navigator?.storage?.estimate?.();
+        usedBytes = Number(estimate?.usage) || profileBytes;
+        quotaBytes = Number(estimate?.quota) || null;
+      } catch (error) {
+        console.error('DataManager: unable to estimate storage quota:', error);
+      }
+    }
+    return {
+      adapter: activeAdapter.name,
+      collections,
+      profileBytes,
+      usedBytes,
+      quotaBytes,
+      ratio: quotaBytes ? usedBytes / quotaBytes : 0
+    };
+  }
+
+  static getAdapterName() {
+    return activeAdapter.name;
+  }
+
+  static subscribe(eventType, listener) {
+    if (typeof eventType !== 'string' || !eventType.trim()) {
+      throw new Error('DataManager.subscribe: event type must be a non-empty string.');
+    }
+    if (typeof listener !== 'function') {
+      throw new Error('DataManager.subscribe: listener must be a function.');
+    }
+    const type = eventType.trim();
+    if (!listeners.has(type)) {
+      listeners.set(type, new Set());
+    }
+    listeners.get(type).add(listener);
+    return () => DataManager.unsubscribe(type, listener);
+  }
+
+  static unsubscribe(eventType, listener) {
+    const registered = listeners.get(eventType);
+    if (!registered) {
+      return false;
+    }
+    const removed = registered.delete(listener);
+    if (!registered.size) {
+      listeners.delete(eventType);
+    }
+    return removed;
+  }
+
+  static emit(eventType, detail = {}) {
+    const event = { ...detail, type: eventType, emittedAt: DataManager.now() };
+    if (activeTransaction) {
+      activeTransaction.events.push(event);
+      return event;
+    }
+    DataManager.#dispatch(event);
+    return event;
+  }
+
+  static transaction(operation) {
+    if (typeof operation !== 'function') {
+      throw new Error('DataManager.transaction expects a function.');
+    }
+    assertUnlocked();
+    if (activeTransaction) {
+      return operation();
+    }
+    const transaction = { staged: new Map(), changed: new Map(), events: [] };
+    activeTransaction = transaction;
+    let result;
+    try {
+      result = operation();
+      if (result && typeof result.then === 'function') {
+        throw new Error('DataManager.transaction: operation must be synchronous.');
+      }
+    } finally {
+      activeTransaction = null;
+    }
+    DataManager.#commit(transaction);
+    transaction.events.forEach((event) => DataManager.#dispatch(event));
+    return result;
+  }
+
+  static #dispatch(event) {
+    const eventType = event.type;
+    [eventType, WILDCARD_EVENT].forEach((type) => {
+      const registered = listeners.get(type);
+      if (!registered) {
+        return;
+      }
+      Array.from(registered).forEach((listener) => {
+        try {
+          listener(event);
+        } catch (error) {
+          console.error(`DataManager: listener for "${eventType}" failed:`, error);
+        }
+      });
+    });
+  }
+
+  static configureAuditLog({ limit, maxBytes } = {}) {
+    if (limit !== undefined) {
+      if (!Number.isInteger(limit) || limit <= 0) {
+        throw new Error('DataManager.configureAuditLog: limit must be a positive whole number.');
+      }
+      auditLogLimit = limit;
+    }
+    if (maxBytes !== undefined) {
+      if (!Number.isInteger(maxBytes) || maxBytes <= 0) {
+        throw new Error('DataManager.configureAuditLog: maxBytes must be a positive whole number.');
+      }
+      auditLogMaxBytes = maxBytes;
+    }
+    return { limit: auditLogLimit, maxBytes: auditLogMaxBytes };
+  }
+
+  static configureSync({ staleWrites } = {}) {
+    if (staleWrites !== undefined) {
+      if (!STALE_WRITE_POLICIES.includes(staleWrites)) {
+        throw new Error(`DataManager.configureSync: staleWrites must be one of ${STALE_WRITE_POLICIES.join(', ')}.`);
+      }
+      staleWritePolicy = staleWrites;
+    }
+    return { staleWrites: staleWritePolicy };
+  }
+
+  static enableCrossTabSync() {
+    DataManager.disableCrossTabSync();
+    if (typeof window !== 'undefined' && typeof window.addEventListener === 'function') {
+      storageListener = (event) => DataManager.#handleStorageEvent(event);
+      window.addEventListener('storage', storageListener);
+    }
+    if (!activeAdapter.synchronous && typeof BroadcastChannel === 'function') {
+      tabId = tabId || DataManager.randomUUID();
+      broadcastChannel = new BroadcastChannel(BROADCAST_CHANNEL_NAME);
+      broadcastChannel.onmessage = (event) => {
+        DataManager.#handleBroadcast(event.data).catch((error) => {
+          console.error('DataManager: failed to apply changes from another tab:', error);
+        });
+      };
+    }
+    return () => DataManager.disableCrossTabSync();
+  }
+
+  static disableCrossTabSync() {
+    if (storageListener && typeof window !== 'undefined' && typeof window.removeEventListener === 'function') {
+      window.removeEventListener('storage', storageListener);
+    }
+    storageListener = null;
+    if (broadcastChannel) {
+      broadcastChannel.close();
+      broadcastChannel = null;
+    }
+  }
+
+  static findRecord(collection, recordId) {
+    const key = DataManager.#resolveIndexedKey(collection, 'findRecord');
+    const resolvedId = typeof recordId === 'string' ? recordId.trim() : '';
+    if (!resolvedId) {
+      return null;
+    }
+    const entry = DataManager.#getIndex(key).byId.get(resolvedId);
+    return entry && !entry.record.deletedAt ? clone(entry.record) : null;
+  }
+
+  static queryRecords(collection, where = {}) {
+    const key = DataManager.#resolveIndexedKey(collection, 'queryRecords');
+    const index = DataManager.#getIndex(key);
+    const conditions = Object.entries(where || {}).filter(([, expected]) => expected !== undefined);
+    let candidates = null;
+    conditions
+      .filter(([field]) => index.fields.has(field))
+      .forEach(([field, expected]) => {
+        const values = index.fields.get(field);
+        const ids = new Set(
+          (Array.isArray(expected) ? expected : [expected]).flatMap((value) => Array.from(values.get(value) || []))
+        );
+        candidates = candidates ? new Set(Array.from(candidates).filter((id) => ids.has(id))) : ids;
+      });
+    const entries = candidates
+      ? Array.from(candidates, (id) => index.byId.get(id)).sort((a, b) => a.position - b.position)
+      : Array.from(index.byId.values());
+    return entries
+      .filter(
+        ({ record }) =>
+          !record.deletedAt && conditions.every(([field, expected]) => matchesValue(record[field], expected))
+      )
+      .map(({ record }) => clone(record));
+  }
+
+  static getRevision(key) {
+    const revisions = DataManager.#readRevisions();
+    return revisions[key] || 0;
+  }
+
   static save(key, data) {
     try {
-      const storage = resolveStorage();
-      if (!storage) {
+      assertUnlocked();
+      const resolvedKey = validateKey(key);
+      if (activeTransaction) {
+        activeTransaction.staged.set(resolvedKey, clone(data ?? null));
+        activeTransaction.changed.delete(resolvedKey);
+        return true;
+      }
+      if (recordCache) {
+        return DataManager.transaction(() => DataManager.save(resolvedKey, data));
+      }
+      DataManager.#guardRevision(resolvedKey);
+      if (!ensureSynchronousStorage()) {
         return false;
       }
-      storage.setItem(qualifyKey(key), JSON.stringify(data ?? null));
-      return true;
+      const written = DataManager.#writeSync(resolvedKey, data);
+      DataManager.#bumpRevisions([resolvedKey]);
+      return written;
     } catch (error) {
+      if (error instanceof StaleWriteError || error instanceof LockedStorageError || error instanceof StorageError) {
+        throw error;
+      }
       console.error(`DataManager.save failed for key "${key}":`, error);
       return false;
     }
@@ -97,15 +744,19 @@ export class DataManager {
 
   static load(key) {
     try {
-      const storage = resolveStorage();
-      if (!storage) {
-        return null;
+      const resolvedKey = validateKey(key);
+      DataManager.#trackRevision(resolvedKey);
+      if (activeTransaction?.staged.has(resolvedKey)) {
+        const staged = activeTransaction.staged.get(resolvedKey);
+        return staged === REMOVED ? null : clone(staged);
+      }
+      if (recordCache) {
+        return recordCache.has(resolvedKey) ? clone(recordCache.get(resolvedKey)) : null;
       }
-      const raw = storage.getItem(qualifyKey(key));
-      if (raw === null || raw === undefined || raw === '') {
+      if (!ensureSynchronousStorage()) {
         return null;
       }
-      return JSON.parse(raw);
+      return activeAdapter.read(resolvedKey);
     } catch (error) {
       console.error(`DataManager.load failed for key "${key}":`, error);
       return null;
@@ -114,13 +765,26 @@ export class DataManager {
 
   static remove(key) {
     try {
-      const storage = resolveStorage();
-      if (!storage) {
+      assertUnlocked();
+      const resolvedKey = validateKey(key);
+      if (activeTransaction) {
+        activeTransaction.staged.set(resolvedKey, REMOVED);
+        activeTransaction.changed.delete(resolvedKey);
+        return true;
+      }
+      if (recordCache) {
+        return DataManager.transaction(() => DataManager.remove(resolvedKey));
+      }
+      if (!ensureSynchronousStorage()) {
         return false;
       }
-      storage.removeItem(qualifyKey(key));
-      return true;
+      const removed = activeAdapter.remove(resolvedKey);
+      DataManager.#bumpRevisions([resolvedKey]);
+      return removed;
     } catch (error) {
+      if (error instanceof LockedStorageError) {
+        throw error;
+      }
       console.error(`DataManager.remove failed for key "${key}":`, error);
       return false;
     }
@@ -128,18 +792,26 @@ export class DataManager {
 
   static clearAll() {
     try {
-      const storage = resolveStorage();
-      if (!storage) {
+      const auditLog = DataManager.listAuditLog();
+      if (recordCache) {
+        DataManager.transaction(() =>
+          Array.from(recordCache.keys())
+            .filter((key) => key !== LOCAL_STORAGE_MIGRATION_KEY && key !== AUDIT_LOG_KEY && key !== REVISIONS_KEY)
+            .forEach((key) => DataManager.remove(key))
+        );
+      } else if (!ensureSynchronousStorage() || !activeAdapter.clear()) {
         return false;
       }
-      const keysToRemove = [];
-      for (let index = 0; index < storage.length; index += 1) {
-        const storedKey = storage.key(index);
-        if (storedKey && storedKey.startsWith(STORAGE_PREFIX)) {
-          keysToRemove.push(storedKey);
-        }
+      knownRevisions.clear();
+      recordIndexes.clear();
+      if (!recordCache && auditLog.length) {
+        DataManager.save(AUDIT_LOG_KEY, auditLog);
+      }
+      DataManager.save(SCHEMA_VERSION_KEY, BACKUP_SCHEMA_VERSION);
+      if (auditLog.length) {
+        DataManager.#appendAudit('data', 'cleared', { id: 'data' }, null);
       }
-      keysToRemove.forEach((qualifiedKey) => storage.removeItem(qualifiedKey));
+      DataManager.emit('data:cleared', { collections: Object.keys(COLLECTION_KEYS) });
       return true;
     } catch (error) {
       console.error('DataManager.clearAll failed:', error);
@@ -162,25 +834,39 @@ export class DataManager {
       gstRate: normalizeNumber(settings?.gstRate ?? current.gstRate),
       updatedAt: DataManager.now()
     };
-    DataManager.save(COLLECTION_KEYS.settings, next);
-    return DataManager.getSettings();
+    return DataManager.transaction(() => {
+      DataManager.save(COLLECTION_KEYS.settings, next);
+      const saved = DataManager.getSettings();
+      DataManager.#appendAudit(COLLECTION_KEYS.settings, 'updated', saved, current);
+      DataManager.emit('settings:updated', {
+        collection: COLLECTION_KEYS.settings,
+        action: 'updated',
+        record: clone(saved),
+        previous: current
+      });
+      return saved;
+    });
   }
 
   static exportAll() {
+    return DataManager.#buildSnapshot((key) => DataManager.load(key));
+  }
+
+  static #buildSnapshot(read) {
+    const auditLog = read(AUDIT_LOG_KEY);
     const snapshot = {
       data: {},
       exportedAt: DataManager.now(),
       schemaVersion: BACKUP_SCHEMA_VERSION,
-      version: BACKUP_SCHEMA_VERSION
+      version: BACKUP_SCHEMA_VERSION,
+      auditLog: Array.isArray(auditLog) ? auditLog : []
     };
     Object.keys(COLLECTION_KEYS).forEach((collectionName) => {
       const key = COLLECTION_KEYS[collectionName];
       if (collectionName === 'settings') {
-        const storedSettings = DataManager.load(key);
-        snapshot.data[collectionName] = DataManager.#sanitizeSettingsSnapshot(storedSettings);
+        snapshot.data[collectionName] = DataManager.#sanitizeSettingsSnapshot(read(key));
       } else {
-        const storedCollection = DataManager.load(key);
-        snapshot.data[collectionName] = DataManager.#sanitizeCollectionSnapshot(storedCollection);
+        snapshot.data[collectionName] = DataManager.#sanitizeCollectionSnapshot(read(key));
       }
     });
     return snapshot;
@@ -212,25 +898,19 @@ export class DataManager {
       throw new Error('Backup payload must be an object.');
     }
 
-    const rawVersion = payload.schemaVersion ?? payload.version;
-    const schemaVersion = Number.parseInt(rawVersion, 10);
-    if (!Number.isFinite(schemaVersion) || schemaVersion <= 0) {
-      throw new Error('Backup schema version is invalid.');
-    }
-    if (schemaVersion > BACKUP_SCHEMA_VERSION) {
-      throw new Error('This backup was created with a newer version of Zantra Invoicing and cannot be restored.');
-    }
+    const schemaVersion = DataManager.#resolveSchemaVersion(payload.schemaVersion ?? payload.version);
 
-    const data = payload.data;
-    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    if (!payload.data || typeof payload.data !== 'object' || Array.isArray(payload.data)) {
       throw new Error('Backup payload is missing data collections.');
     }
+    const data = DataManager.migrateSnapshot(payload.data, schemaVersion);
 
     const sanitized = {
-      schemaVersion,
-      version: schemaVersion,
+      schemaVersion: BACKUP_SCHEMA_VERSION,
+      version: BACKUP_SCHEMA_VERSION,
       exportedAt: typeof payload.exportedAt === 'string' ? payload.exportedAt : '',
-      data: {}
+      data: {},
+      auditLog: DataManager.#sanitizeCollectionSnapshot(payload.auditLog)
     };
 
     Object.keys(COLLECTION_KEYS).forEach((collectionName) => {
@@ -245,10 +925,27 @@ export class DataManager {
     return sanitized;
   }
 
+  static migrateSnapshot(data, schemaVersion) {
+    return SchemaMigrations.run(data, DataManager.#resolveSchemaVersion(schemaVersion)).data;
+  }
+
+  static #resolveSchemaVersion(rawVersion) {
+    const schemaVersion = Number.parseInt(rawVersion, 10);
+    if (!Number.isFinite(schemaVersion) || schemaVersion <= 0) {
+      throw new Error('Backup schema version is invalid.');
+    }
+    if (schemaVersion > BACKUP_SCHEMA_VERSION) {
+      throw new Error('This backup was created with a newer version of Zantra Invoicing and cannot be restored.');
+    }
+    return schemaVersion;
+  }
+
   static restoreAll(input) {
-    const payload = DataManager.#isNormalizedBackupPayload(input) ? input : DataManager.parseBackupPayload(input);
-    const storage = resolveStorage();
-    if (!storage) {
+    const payload =
+      DataManager.#isNormalizedBackupPayload(input) && input.schemaVersion === BACKUP_SCHEMA_VERSION
+        ? input
+        : DataManager.parseBackupPayload(input);
+    if (!recordCache && !LocalStorageAdapter.isSupported()) {
       throw new Error('Backup restore is unavailable because localStorage is not supported.');
     }
 
@@ -257,6 +954,7 @@ export class DataManager {
       const key = COLLECTION_KEYS[collectionName];
       previousState[collectionName] = clone(DataManager.load(key));
     });
+    const previousAuditLog = DataManager.listAuditLog();
 
     const collections = Object.keys(COLLECTION_KEYS);
     try {
@@ -272,6 +970,17 @@ export class DataManager {
           throw new Error(`Failed to persist collection "${collectionName}".`);
         }
       });
+      const loggedIds = new Set(previousAuditLog.map((entry) => entry.id));
+      const auditLog = [
+        ...previousAuditLog,
+        ...DataManager.#sanitizeCollectionSnapshot(payload.auditLog).filter((entry) => !loggedIds.has(entry.id))
+      ].sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp));
+      if (auditLog.length !== previousAuditLog.length && !DataManager.save(AUDIT_LOG_KEY, auditLog)) {
+        throw new Error('Failed to persist the audit log.');
+      }
+      DataManager.save(SCHEMA_VERSION_KEY, BACKUP_SCHEMA_VERSION);
+      DataManager.#appendAudit('backup', 'restored', { id: 'backup', exportedAt: payload.exportedAt }, null);
+      DataManager.emit('data:restored', { collections });
       return true;
     } catch (error) {
       collections.forEach((collectionName) => {
@@ -283,52 +992,170 @@ export class DataManager {
           DataManager.save(key, previous);
         }
       });
+      DataManager.save(AUDIT_LOG_KEY, previousAuditLog);
       throw error instanceof Error ? error : new Error('Failed to restore backup.');
     }
   }
 
-  static listClients() {
-    return DataManager.#getCollection(COLLECTION_KEYS.clients);
+  static getSchemaVersion() {
+    const stored = Number.parseInt(DataManager.load(SCHEMA_VERSION_KEY), 10);
+    return Number.isFinite(stored) && stored > 0 ? stored : SchemaMigrations.BASE_VERSION;
   }
 
-  static saveClient(client) {
-    return DataManager.#saveRecord(COLLECTION_KEYS.clients, client);
+  static migrateStoredData() {
+    const fromVersion = DataManager.getSchemaVersion();
+    if (fromVersion > BACKUP_SCHEMA_VERSION) {
+      console.warn(
+        `DataManager: stored data uses schema version ${fromVersion}, ` +
+          `which is newer than this app (${BACKUP_SCHEMA_VERSION}).`
+      );
+      return [];
+    }
+    if (fromVersion === BACKUP_SCHEMA_VERSION) {
+      return [];
+    }
+    const collections = Object.keys(COLLECTION_KEYS);
+    const stored = {};
+    collections.forEach((collectionName) => {
+      const value = DataManager.load(COLLECTION_KEYS[collectionName]);
+      if (value !== null && value !== undefined) {
+        stored[collectionName] = value;
+      }
+    });
+    const { data, applied } = SchemaMigrations.run(stored, fromVersion);
+    DataManager.transaction(() => {
+      collections.forEach((collectionName) => {
+        if (
+          data[collectionName] !== undefined &&
+          JSON.stringify(data[collectionName]) !== JSON.stringify(stored[collectionName])
+        ) {
+          DataManager.save(COLLECTION_KEYS[collectionName], data[collectionName]);
+        }
+      });
+      DataManager.save(SCHEMA_VERSION_KEY, BACKUP_SCHEMA_VERSION);
+    });
+    DataManager.emit('data:migrated', { collections, fromVersion, toVersion: BACKUP_SCHEMA_VERSION, applied });
+    return applied;
   }
 
-  static deleteClient(clientId) {
-    return DataManager.#deleteRecord(COLLECTION_KEYS.clients, clientId);
+  static setActor(actor) {
+    currentActor =
+      actor && typeof actor === 'object' && actor.id
+        ? { id: String(actor.id), name: String(actor.name || actor.id) }
+        : { ...DEFAULT_ACTOR };
+    return { ...currentActor };
   }
 
-  static listServices() {
-    return DataManager.#getCollection(COLLECTION_KEYS.services);
+  static getActor() {
+    return { ...currentActor };
   }
 
-  static saveService(service) {
-    return DataManager.#saveRecord(COLLECTION_KEYS.services, service);
+  static listAuditLog() {
+    const log = DataManager.load(AUDIT_LOG_KEY);
+    return Array.isArray(log) ? log : [];
   }
 
-  static deleteService(serviceId) {
-    return DataManager.#deleteRecord(COLLECTION_KEYS.services, serviceId);
+  static listDeleted(collection) {
+    return DataManager.#getCollection(DataManager.#resolveTrashKey(collection), { deleted: true });
   }
 
-  static listInvoices() {
-    return DataManager.#getCollection(COLLECTION_KEYS.invoices);
+  static restoreRecord(collection, recordId) {
+    return DataManager.#restoreRecord(DataManager.#resolveTrashKey(collection), recordId);
   }
 
-  static saveInvoice(invoice) {
-    return DataManager.#saveRecord(COLLECTION_KEYS.invoices, invoice);
+  static purgeRecord(collection, recordId) {
+    return DataManager.#purgeRecord(DataManager.#resolveTrashKey(collection), recordId);
   }
 
-  static deleteInvoice(invoiceId) {
-    return DataManager.#deleteRecord(COLLECTION_KEYS.invoices, invoiceId);
+  static purgeDeletedBefore(cutoff) {
+    const cutoffTime = Date.parse(cutoff instanceof Date ? cutoff.toISOString() : cutoff);
+    if (Number.isNaN(cutoffTime)) {
+      throw new Error('DataManager.purgeDeletedBefore: cutoff must be a valid date.');
+    }
+    const purged = [];
+    DataManager.transaction(() => {
+      TRASH_COLLECTIONS.forEach((collection) => {
+        DataManager.listDeleted(collection)
+          .filter((record) => Date.parse(record.deletedAt) < cutoffTime)
+          .forEach((record) => {
+            if (DataManager.#purgeRecord(COLLECTION_KEYS[collection], record.id)) {
+              purged.push({ collection, id: record.id });
+            }
+          });
+      });
+    });
+    return purged;
   }
 
-  static listQuotes() {
-    return DataManager.#getCollection(COLLECTION_KEYS.quotes);
-  }
+  static archiveRecords(collection, recordIds) {
+    const key = DataManager.#resolveTrashKey(collection);
+    const ids = new Set((Array.isArray(recordIds) ? recordIds : []).map((id) => String(id)));
+    const stored = DataManager.load(key);
+    const array = Array.isArray(stored) ? stored : [];
+    const archived = array.filter((record) => record && ids.has(record.id));
+    if (!archived.length) {
+      return [];
+    }
+    DataManager.transaction(() => {
+      DataManager.#stageRecords(
+        key,
+        array.filter((record) => !record || !ids.has(record.id)),
+        archived.map((record) => record.id)
+      );
+      archived.forEach((record) => DataManager.#emitRecordEvent(key, 'archived', null, record));
+    });
+    return archived.map((record) => clone(record));
+  }
+
+  static #resolveTrashKey(collection) {
+    if (!TRASH_COLLECTIONS.includes(collection)) {
+      throw new Error(`DataManager: "${collection}" does not support trash.`);
+    }
+    return COLLECTION_KEYS[collection];
+  }
+
+  static listClients() {
+    return DataManager.#getCollection(COLLECTION_KEYS.clients);
+  }
+
+  static saveClient(client, options) {
+    return DataManager.#saveRecord(COLLECTION_KEYS.clients, client, options);
+  }
+
+  static deleteClient(clientId) {
+    return DataManager.#deleteRecord(COLLECTION_KEYS.clients, clientId);
+  }
+
+  static listServices() {
+    return DataManager.#getCollection(COLLECTION_KEYS.services);
+  }
+
+  static saveService(service, options) {
+    return DataManager.#saveRecord(COLLECTION_KEYS.services, service, options);
+  }
+
+  static deleteService(serviceId) {
+    return DataManager.#deleteRecord(COLLECTION_KEYS.services, serviceId);
+  }
+
+  static listInvoices() {
+    return DataManager.#getCollection(COLLECTION_KEYS.invoices);
+  }
+
+  static saveInvoice(invoice, options) {
+    return DataManager.#saveRecord(COLLECTION_KEYS.invoices, invoice, options);
+  }
+
+  static deleteInvoice(invoiceId) {
+    return DataManager.#deleteRecord(COLLECTION_KEYS.invoices, invoiceId);
+  }
 
-  static saveQuote(quote) {
-    return DataManager.#saveRecord(COLLECTION_KEYS.quotes, quote);
+  static listQuotes() {
+    return DataManager.#getCollection(COLLECTION_KEYS.quotes);
+  }
+
+  static saveQuote(quote, options) {
+    return DataManager.#saveRecord(COLLECTION_KEYS.quotes, quote, options);
   }
 
   static deleteQuote(quoteId) {
@@ -339,8 +1166,8 @@ export class DataManager {
     return DataManager.#getCollection(COLLECTION_KEYS.payments);
   }
 
-  static savePayment(payment) {
-    return DataManager.#saveRecord(COLLECTION_KEYS.payments, payment);
+  static savePayment(payment, options) {
+    return DataManager.#saveRecord(COLLECTION_KEYS.payments, payment, options);
   }
 
   static deletePayment(paymentId) {
@@ -351,54 +1178,784 @@ export class DataManager {
     return DataManager.#getCollection(COLLECTION_KEYS.recurringSchedules);
   }
 
-  static saveRecurringSchedule(schedule) {
-    return DataManager.#saveRecord(COLLECTION_KEYS.recurringSchedules, schedule);
+  static saveRecurringSchedule(schedule, options) {
+    return DataManager.#saveRecord(COLLECTION_KEYS.recurringSchedules, schedule, options);
   }
 
   static deleteRecurringSchedule(scheduleId) {
     return DataManager.#deleteRecord(COLLECTION_KEYS.recurringSchedules, scheduleId);
   }
 
-  static #getCollection(key) {
+  static listCreditNotes() {
+    return DataManager.#getCollection(COLLECTION_KEYS.creditNotes);
+  }
+
+  static saveCreditNote(creditNote, options) {
+    return DataManager.#saveRecord(COLLECTION_KEYS.creditNotes, creditNote, options);
+  }
+
+  static deleteCreditNote(creditNoteId) {
+    return DataManager.#deleteRecord(COLLECTION_KEYS.creditNotes, creditNoteId);
+  }
+
+  static listSequences() {
+    return DataManager.#getCollection(COLLECTION_KEYS.sequences);
+  }
+
+  static saveSequence(sequence, options) {
+    return DataManager.#saveRecord(COLLECTION_KEYS.sequences, sequence, options);
+  }
+
+  static purgeSequence(sequenceId) {
+    return (
+      DataManager.#deleteRecord(COLLECTION_KEYS.sequences, sequenceId) &&
+      DataManager.#purgeRecord(COLLECTION_KEYS.sequences, sequenceId)
+    );
+  }
+
+  static async listClientsAsync() {
+    await DataManager.ready();
+    return DataManager.listClients();
+  }
+
+  static async saveClientAsync(client, options) {
+    return DataManager.#persisted(() => DataManager.saveClient(client, options));
+  }
+
+  static async deleteClientAsync(clientId) {
+    return DataManager.#persisted(() => DataManager.deleteClient(clientId));
+  }
+
+  static async listServicesAsync() {
+    await DataManager.ready();
+    return DataManager.listServices();
+  }
+
+  static async saveServiceAsync(service, options) {
+    return DataManager.#persisted(() => DataManager.saveService(service, options));
+  }
+
+  static async deleteServiceAsync(serviceId) {
+    return DataManager.#persisted(() => DataManager.deleteService(serviceId));
+  }
+
+  static async listInvoicesAsync() {
+    await DataManager.ready();
+    return DataManager.listInvoices();
+  }
+
+  static async saveInvoiceAsync(invoice, options) {
+    return DataManager.#persisted(() => DataManager.saveInvoice(invoice, options));
+  }
+
+  static async deleteInvoiceAsync(invoiceId) {
+    return DataManager.#persisted(() => DataManager.deleteInvoice(invoiceId));
+  }
+
+  static async listQuotesAsync() {
+    await DataManager.ready();
+    return DataManager.listQuotes();
+  }
+
+  static async saveQuoteAsync(quote, options) {
+    return DataManager.#persisted(() => DataManager.saveQuote(quote, options));
+  }
+
+  static async deleteQuoteAsync(quoteId) {
+    return DataManager.#persisted(() => DataManager.deleteQuote(quoteId));
+  }
+
+  static async listPaymentsAsync() {
+    await DataManager.ready();
+    return DataManager.listPayments();
+  }
+
+  static async savePaymentAsync(payment, options) {
+    return DataManager.#persisted(() => DataManager.savePayment(payment, options));
+  }
+
+  static async deletePaymentAsync(paymentId) {
+    return DataManager.#persisted(() => DataManager.deletePayment(paymentId));
+  }
+
+  static async listRecurringSchedulesAsync() {
+    await DataManager.ready();
+    return DataManager.listRecurringSchedules();
+  }
+
+  static async saveRecurringScheduleAsync(schedule, options) {
+    return DataManager.#persisted(() => DataManager.saveRecurringSchedule(schedule, options));
+  }
+
+  static async deleteRecurringScheduleAsync(scheduleId) {
+    return DataManager.#persisted(() => DataManager.deleteRecurringSchedule(scheduleId));
+  }
+
+  static async listCreditNotesAsync() {
+    await DataManager.ready();
+    return DataManager.listCreditNotes();
+  }
+
+  static async saveCreditNoteAsync(creditNote, options) {
+    return DataManager.#persisted(() => DataManager.saveCreditNote(creditNote, options));
+  }
+
+  static async deleteCreditNoteAsync(creditNoteId) {
+    return DataManager.#persisted(() => DataManager.deleteCreditNote(creditNoteId));
+  }
+
+  static async listSequencesAsync() {
+    await DataManager.ready();
+    return DataManager.listSequences();
+  }
+
+  static async saveSequenceAsync(sequence, options) {
+    return DataManager.#persisted(() => DataManager.saveSequence(sequence, options));
+  }
+
+  static async getSettingsAsync() {
+    await DataManager.ready();
+    return DataManager.getSettings();
+  }
+
+  static async saveSettingsAsync(settings) {
+    return DataManager.#persisted(() => DataManager.saveSettings(settings));
+  }
+
+  static #getCollection(key, { deleted = false } = {}) {
     const collection = DataManager.load(key);
     if (!Array.isArray(collection)) {
       return [];
     }
-    return collection.map((item) => clone(item));
+    return collection.filter((item) => Boolean(item?.deletedAt) === deleted).map((item) => clone(item));
   }
 
-  static #saveRecord(key, record) {
+  static #saveRecord(key, record, { expectedRevision } = {}) {
     if (!record || typeof record !== 'object') {
       throw new Error(`DataManager.#saveRecord expects a record object for key "${key}".`);
     }
+    return DataManager.transaction(() => {
+      const collection = DataManager.load(key);
+      const array = Array.isArray(collection) ? [...collection] : [];
+      const resolvedId = DataManager.#resolveId(record.id);
+      const index = array.findIndex((item) => item && item.id === resolvedId);
+      const previous = index === -1 ? null : array[index];
+      const storedRevision = DataManager.#revisionOf(previous);
+      if (expectedRevision !== undefined && expectedRevision !== null && Number(expectedRevision) !== storedRevision) {
+        throw new ConflictError(COLLECTION_EVENT_NAMES[key] || key, resolvedId, {
+          expectedRevision: Number(expectedRevision),
+          storedRevision,
+          current: previous ? clone(previous) : null
+        });
+      }
+      const normalized = { ...record, id: resolvedId, revision: storedRevision + 1 };
+      if (index === -1) {
+        array.push(normalized);
+      } else {
+        array[index] = normalized;
+      }
+      DataManager.#putRecord(key, array, index === -1 ? array.length - 1 : index);
+      DataManager.#emitRecordEvent(key, previous ? 'updated' : 'created', clone(normalized), previous);
+      return clone(normalized);
+    });
+  }
+
+  static #putRecord(key, array, position) {
+    DataManager.#stageRecords(key, array, [array[position].id]);
+  }
+
+  static #stageRecords(key, array, recordIds) {
+    assertUnlocked();
+    if (!activeTransaction) {
+      DataManager.transaction(() => DataManager.#stageRecords(key, array, recordIds));
+      return;
+    }
+    const wholeCollection = activeTransaction.staged.has(key) && !activeTransaction.changed.has(key);
+    activeTransaction.staged.set(key, clone(array));
+    if (!wholeCollection) {
+      const changed = activeTransaction.changed.get(key) || new Set();
+      recordIds.forEach((recordId) => changed.add(recordId));
+      activeTransaction.changed.set(key, changed);
+    }
+  }
+
+  static #resolveIndexedKey(collection, method) {
+    const key = COLLECTION_KEYS[collection];
+    if (!key || !INDEXED_FIELDS[key]) {
+      throw new Error(`DataManager.${method}: unknown collection "${collection}".`);
+    }
+    return key;
+  }
+
+  static #indexStamp(key) {
+    return recordCache ? recordCache.get(key) : DataManager.#readRevisions()[key] || 0;
+  }
+
+  static #currentIndex(key) {
+    const index = recordIndexes.get(key);
+    return index && index.stamp === DataManager.#indexStamp(key) ? index : null;
+  }
+
+  static #getIndex(key) {
+    if (activeTransaction?.staged.has(key)) {
+      return buildIndex(key, DataManager.load(key));
+    }
+    DataManager.#trackRevision(key);
+    const current = DataManager.#currentIndex(key);
+    if (current) {
+      return current;
+    }
+    const index = buildIndex(key, DataManager.load(key));
+    index.stamp = DataManager.#indexStamp(key);
+    recordIndexes.set(key, index);
+    return index;
+  }
+
+  static #findStoredRecord(key, recordId) {
+    const resolvedId = DataManager.#resolveId(recordId);
     const collection = DataManager.load(key);
     const array = Array.isArray(collection) ? [...collection] : [];
-    const resolvedId = DataManager.#resolveId(record.id);
-    const normalized = { ...record, id: resolvedId };
-    const index = array.findIndex((item) => item && item.id === resolvedId);
-    if (index === -1) {
-      array.push(normalized);
+    const index = resolvedId ? array.findIndex((item) => item && item.id === resolvedId) : -1;
+    return { array, index, resolvedId, record: index === -1 ? null : array[index] };
+  }
+
+  static #deleteRecord(key, recordId) {
+    return DataManager.transaction(() => {
+      const { array, index, record } = DataManager.#findStoredRecord(key, recordId);
+      if (!record || record.deletedAt) {
+        return false;
+      }
+      const trashed = { ...record, deletedAt: DataManager.now(), revision: DataManager.#revisionOf(record) + 1 };
+      array[index] = trashed;
+      DataManager.#putRecord(key, array, index);
+      DataManager.#emitRecordEvent(key, 'deleted', clone(trashed), record);
+      return true;
+    });
+  }
+
+  static #restoreRecord(key, recordId) {
+    return DataManager.transaction(() => {
+      const { array, index, record } = DataManager.#findStoredRecord(key, recordId);
+      if (!record || !record.deletedAt) {
+        return null;
+      }
+      const { deletedAt, ...rest } = record;
+      const restored = { ...rest, revision: DataManager.#revisionOf(record) + 1 };
+      array[index] = restored;
+      DataManager.#putRecord(key, array, index);
+      DataManager.#emitRecordEvent(key, 'restored', clone(restored), record);
+      return clone(restored);
+    });
+  }
+
+  static #purgeRecord(key, recordId) {
+    return DataManager.transaction(() => {
+      const { array, index, resolvedId, record } = DataManager.#findStoredRecord(key, recordId);
+      if (!record || !record.deletedAt) {
+        return false;
+      }
+      const [removed] = array.splice(index, 1);
+      DataManager.#stageRecords(key, array, [resolvedId]);
+      DataManager.#emitRecordEvent(key, 'purged', null, removed);
+      return true;
+    });
+  }
+
+  static #revisionOf(record) {
+    const revision = Number(record?.revision);
+    return Number.isInteger(revision) && revision > 0 ? revision : 0;
+  }
+
+  static #appendAudit(key, action, record, previous) {
+    const changes = AUDIT_ACTIONS_WITHOUT_CHANGES.has(action) ? [] : diffRecords(previous, record);
+    if (action === 'updated' && !changes.length) {
+      return;
+    }
+    const entry = {
+      id: DataManager.randomUUID(),
+      collection: key,
+      recordId: record?.id ?? previous?.id ?? key,
+      action,
+      changes,
+      actor: { ...currentActor },
+      timestamp: DataManager.now()
+    };
+    const invoiceId = record?.invoiceId ?? previous?.invoiceId;
+    if (invoiceId) {
+      entry.invoiceId = invoiceId;
+    }
+    const log = [...DataManager.listAuditLog(), entry];
+    let bytes = serializedLength(log);
+    let start = 0;
+    if (log.length > auditLogLimit || bytes > auditLogMaxBytes) {
+      const retainedCount = Math.ceil(auditLogLimit * AUDIT_LOG_RETAINED_SHARE);
+      const retainedBytes = auditLogMaxBytes * AUDIT_LOG_RETAINED_SHARE;
+      while (start < log.length - 1 && (log.length - start > retainedCount || bytes > retainedBytes)) {
+        bytes -= serializedLength(log[start]) + 1;
+        start += 1;
+      }
+    }
+    const dropped = log.slice(0, start).map((item) => item.id);
+    DataManager.#stageRecords(AUDIT_LOG_KEY, log.slice(start), [...dropped, entry.id]);
+  }
+
+  static #emitRecordEvent(key, action, record, previous) {
+    if (UNTRACKED_COLLECTIONS.has(key)) {
+      return;
+    }
+    DataManager.#appendAudit(key, action, record, previous);
+    const entity = COLLECTION_EVENT_NAMES[key] || key;
+    DataManager.emit(`${entity}:${action}`, {
+      collection: key,
+      action,
+      id: record?.id ?? previous?.id ?? '',
+      record,
+      previous: previous ? clone(previous) : null
+    });
+  }
+
+  static async #activate(adapter, profileId) {
+    if (!adapter.synchronous) {
+      try {
+        await adapter.open();
+      } catch (error) {
+        throw new StorageUnavailableError(adapter.name, { cause: error });
+      }
+    }
+    if (!(adapter instanceof EncryptedAdapter)) {
+      const metadata = adapter.synchronous
+        ? adapter.read(EncryptedAdapter.METADATA_KEY)
+        : await EncryptedAdapter.readMetadata(adapter);
+      if (EncryptedAdapter.isMetadata(metadata)) {
+        return DataManager.#activateLocked(new EncryptedAdapter({ inner: adapter }), profileId);
+      }
+    }
+    if (adapter.synchronous) {
+      activeAdapter = adapter;
+      activeProfileId = profileId;
+      recordCache = null;
+      knownRevisions.clear();
+      staleKeys.clear();
+      recordIndexes.clear();
+      DataManager.migrateStoredData();
+      return adapter.name;
+    }
+    let snapshot = await adapter.loadAll();
+    const legacyKeys =
+      !(adapter instanceof EncryptedAdapter) && !snapshot[LOCAL_STORAGE_MIGRATION_KEY]
+        ? await DataManager.#migrateFromLocalStorage(adapter, profileId)
+        : null;
+    if (legacyKeys) {
+      snapshot = await adapter.loadAll();
+    }
+    activeAdapter = adapter;
+    activeProfileId = profileId;
+    DataManager.#resetCache(new Map(Object.entries(snapshot)));
+    DataManager.migrateStoredData();
+    await lastWrite;
+    if (legacyKeys) {
+      await DataManager.#finishLocalStorageMigration(adapter, profileId, legacyKeys);
+    }
+    return adapter.name;
+  }
+
+  static async #activateLocked(adapter, profileId) {
+    await adapter.open();
+    activeAdapter = adapter;
+    activeProfileId = profileId;
+    DataManager.#resetCache(new Map());
+    DataManager.emit('storage:locked', { profileId, collections: Object.keys(COLLECTION_KEYS) });
+    return adapter.name;
+  }
+
+  static #resetCache(cache) {
+    recordCache = cache;
+    knownRevisions.clear();
+    staleKeys.clear();
+    rejectedThrough.clear();
+    recordIndexes.clear();
+    pendingWrites = Promise.resolve();
+    lastWrite = Promise.resolve(true);
+  }
+
+  static #readAllEntries() {
+    if (recordCache) {
+      return Array.from(recordCache.entries(), ([key, value]) => [key, clone(value)]);
+    }
+    return activeAdapter
+      .keys()
+      .filter((key) => key !== EncryptedAdapter.METADATA_KEY)
+      .map((key) => [key, activeAdapter.read(key)]);
+  }
+
+  static async #wrapDataKey(rawKey, passphrase, { iterations = PassphraseCipher.DEFAULT_ITERATIONS } = {}) {
+    if (typeof passphrase !== 'string' || !passphrase) {
+      throw new PassphraseError('Enter a passphrase.');
+    }
+    const kdf = { name: 'PBKDF2', hash: 'SHA-256', salt: PassphraseCipher.createSalt(), iterations };
+    const wrappingKey = await PassphraseCipher.deriveKey(passphrase, kdf);
+    return {
+      version: 1,
+      kdf,
+      wrappedKey: await PassphraseCipher.encrypt(wrappingKey, rawKey),
+      updatedAt: DataManager.now()
+    };
+  }
+
+  static async #unwrapDataKey(metadata, passphrase) {
+    if (!metadata) {
+      throw new Error('DataManager: encryption settings for this business are missing.');
+    }
+    const wrappingKey = await PassphraseCipher.deriveKey(
+      typeof passphrase === 'string' ? passphrase : '',
+      metadata.kdf
+    );
+    try {
+      return await PassphraseCipher.decrypt(wrappingKey, metadata.wrappedKey);
+    } catch (error) {
+      throw new PassphraseError();
+    }
+  }
+
+  static async #migrateFromLocalStorage(adapter, profileId) {
+    const legacy = new LocalStorageAdapter({ prefix: profileStoragePrefix(profileId) });
+    const migratedKeys = [];
+    legacy.keys().forEach((key) => {
+      try {
+        migratedKeys.push({ key, value: legacy.read(key) });
+      } catch (error) {
+        console.error(`DataManager: skipping unreadable localStorage key "${key}" during migration:`, error);
+      }
+    });
+    for (const { key, value } of migratedKeys) {
+      await adapter.write(key, value);
+    }
+    return migratedKeys.map(({ key }) => key);
+  }
+
+  static async #finishLocalStorageMigration(adapter, profileId, keys) {
+    const migration = { migratedAt: DataManager.now(), keys };
+    await adapter.write(LOCAL_STORAGE_MIGRATION_KEY, migration);
+    recordCache.set(LOCAL_STORAGE_MIGRATION_KEY, migration);
+    const legacy = new LocalStorageAdapter({ prefix: profileStoragePrefix(profileId) });
+    keys.forEach((key) => legacy.remove(key));
+  }
+
+  static #commit(transaction) {
+    const keys = Array.from(transaction.staged.keys());
+    if (!keys.length) {
+      return;
+    }
+    const indexes = Array.from(transaction.changed.keys())
+      .map((key) => [key, DataManager.#currentIndex(key)])
+      .filter(([, index]) => index);
+    if (recordCache) {
+      DataManager.#commitToAdapter(transaction, keys);
     } else {
-      array[index] = normalized;
+      DataManager.#commitToStorage(transaction, keys);
     }
-    DataManager.save(key, array);
-    return clone(normalized);
+    indexes.forEach(([key, index]) => {
+      const collection = transaction.staged.get(key);
+      const positions = new Map(collection.map((record, position) => [record?.id, position]));
+      transaction.changed.get(key).forEach((recordId) => {
+        removeFromIndex(index, recordId);
+        if (positions.has(recordId)) {
+          addToIndex(index, clone(collection[positions.get(recordId)]), positions.get(recordId));
+        }
+      });
+      index.stamp = DataManager.#indexStamp(key);
+    });
   }
 
-  static #deleteRecord(key, recordId) {
-    const resolvedId = DataManager.#resolveId(recordId);
-    if (!resolvedId) {
-      return false;
+  static #commitToAdapter(transaction, keys) {
+    const adapter = activeAdapter;
+    const previousState = new Map(keys.map((key) => [key, recordCache.get(key)]));
+    const changes = keys.flatMap((key) => {
+      const value = transaction.staged.get(key);
+      if (value === REMOVED) {
+        recordCache.delete(key);
+        return [{ type: 'remove', key }];
+      }
+      recordCache.set(key, value);
+      const changed = transaction.changed.get(key);
+      if (!changed) {
+        return [{ type: 'write', key, value: clone(value) }];
+      }
+      const positions = new Map(value.map((record, position) => [record?.id, position]));
+      const previous = Array.isArray(previousState.get(key)) ? previousState.get(key) : [];
+      previous.forEach((record, position) => {
+        if (positions.has(record?.id) && positions.get(record?.id) !== position) {
+          changed.add(record.id);
+        }
+      });
+      return Array.from(changed, (recordId) => {
+        if (!positions.has(recordId)) {
+          return { type: 'delete', collection: key, id: recordId };
+        }
+        const position = positions.get(recordId);
+        return { type: 'put', collection: key, record: clone(value[position]), position };
+      });
+    });
+    const tracked = keys.filter((key) => !isInternalKey(key));
+    const cachedRevisions = DataManager.#readRevisions();
+    tracked.forEach((key) => {
+      cachedRevisions[key] = (cachedRevisions[key] || 0) + 1;
+    });
+    recordCache.set(REVISIONS_KEY, cachedRevisions);
+    commitSequence += 1;
+    const sequence = commitSequence;
+
+    DataManager.#enqueueWrite(async () => {
+      const stored = normalizeRevisions(await adapter.read(REVISIONS_KEY));
+      const known = new Map(
+        tracked.map((key) => [key, knownRevisions.has(key) ? knownRevisions.get(key) : stored[key] || 0])
+      );
+      const stale = tracked.filter(
+        (key) => (stored[key] || 0) > known.get(key) || (rejectedThrough.get(key) || 0) >= sequence
+      );
+      const errors = stale.map((key) => DataManager.#reportStale(key, known.get(key), stored[key] || 0));
+      if (errors.length && staleWritePolicy === 'reject') {
+        DataManager.#rollback(adapter, previousState);
+        tracked.forEach((key) => rejectedThrough.set(key, commitSequence));
+        await DataManager.#refreshFromAdapter(adapter, stale, stored, 'adapter');
+        throw errors[0];
+      }
+      const revisions = { ...stored };
+      tracked.forEach((key) => {
+        revisions[key] = (stored[key] || 0) + 1;
+      });
+      if (tracked.length) {
+        changes.push({ type: 'write', key: REVISIONS_KEY, value: revisions });
+      }
+      await applyChanges(adapter, changes);
+      tracked.forEach((key) => knownRevisions.set(key, revisions[key]));
+      if (stale.length) {
+        await DataManager.#refreshFromAdapter(adapter, stale, revisions, 'adapter');
+      }
+      if (tracked.length) {
+        broadcastChannel?.postMessage({
+          tabId,
+          sequence,
+          profileId: activeProfileId,
+          revisions: Object.fromEntries(tracked.map((key) => [key, revisions[key]]))
+        });
+      }
+    }, keys.join(', ')).catch((error) => {
+      if (!(error instanceof StaleWriteError)) {
+        DataManager.#rollback(adapter, previousState);
+      }
+    });
+  }
+
+  static #rollback(adapter, previousState) {
+    if (activeAdapter !== adapter || !recordCache) {
+      return;
     }
-    const collection = DataManager.load(key);
-    const array = Array.isArray(collection) ? [...collection] : [];
-    const index = array.findIndex((item) => item && item.id === resolvedId);
-    if (index === -1) {
-      return false;
+    previousState.forEach((value, key) => {
+      if (value === null || value === undefined) {
+        recordCache.delete(key);
+      } else {
+        recordCache.set(key, value);
+      }
+    });
+    DataManager.emit('transaction:rolledback', { collections: Array.from(previousState.keys()) });
+  }
+
+  static async #refreshFromAdapter(adapter, keys, revisions, source) {
+    const values = await Promise.all(keys.map((key) => adapter.read(key)));
+    if (activeAdapter !== adapter || !recordCache) {
+      return;
     }
-    array.splice(index, 1);
-    DataManager.save(key, array);
-    return true;
+    const cachedRevisions = DataManager.#readRevisions();
+    keys.forEach((key, index) => {
+      if (values[index] === null || values[index] === undefined) {
+        recordCache.delete(key);
+      } else {
+        recordCache.set(key, values[index]);
+      }
+      const revision = Math.max(knownRevisions.get(key) || 0, revisions[key] || 0);
+      cachedRevisions[key] = Math.max(cachedRevisions[key] || 0, revision);
+      knownRevisions.set(key, revision);
+    });
+    recordCache.set(REVISIONS_KEY, cachedRevisions);
+    DataManager.emit('data:external', { collections: keys, source });
+  }
+
+  static #commitToStorage(transaction, keys) {
+    keys.forEach((key) => DataManager.#guardRevision(key));
+    const previousState = new Map(keys.map((key) => [key, DataManager.load(key)]));
+    const written = [];
+    try {
+      keys.forEach((key) => {
+        const value = transaction.staged.get(key);
+        const success =
+          ensureSynchronousStorage() &&
+          (value === REMOVED ? activeAdapter.remove(key) : DataManager.#writeSync(key, value));
+        if (!success) {
+          throw new StorageError(key);
+        }
+        written.push(key);
+      });
+    } catch (error) {
+      written.forEach((key) => {
+        const previous = previousState.get(key);
+        if (previous === null || previous === undefined) {
+          activeAdapter.remove(key);
+        } else {
+          activeAdapter.write(key, previous);
+        }
+      });
+      throw error;
+    }
+    DataManager.#bumpRevisions(keys);
+  }
+
+  static #readRevisions() {
+    return normalizeRevisions(recordCache ? recordCache.get(REVISIONS_KEY) : activeAdapter.read(REVISIONS_KEY));
+  }
+
+  static #trackRevision(key) {
+    if (isInternalKey(key) || (knownRevisions.has(key) && !staleKeys.has(key))) {
+      return;
+    }
+    staleKeys.delete(key);
+    knownRevisions.set(key, DataManager.#readRevisions()[key] || 0);
+  }
+
+  static #guardRevision(key) {
+    if (isInternalKey(key)) {
+      return;
+    }
+    const storedRevision = DataManager.#readRevisions()[key] || 0;
+    const knownRevision = knownRevisions.has(key) ? knownRevisions.get(key) : storedRevision;
+    if (storedRevision <= knownRevision) {
+      knownRevisions.set(key, storedRevision);
+      return;
+    }
+    const error = DataManager.#reportStale(key, knownRevision, storedRevision);
+    if (staleWritePolicy === 'reject') {
+      staleKeys.add(key);
+      throw error;
+    }
+    knownRevisions.set(key, storedRevision);
+  }
+
+  static #reportStale(key, knownRevision, storedRevision) {
+    const error = new StaleWriteError(key, { knownRevision, storedRevision });
+    DataManager.emit('sync:stale', {
+      collections: [key],
+      knownRevision,
+      storedRevision,
+      policy: staleWritePolicy,
+      message: error.message
+    });
+    if (staleWritePolicy !== 'reject') {
+      console.warn(error.message);
+    }
+    return error;
+  }
+
+  static #bumpRevisions(keys) {
+    const tracked = keys.filter((key) => !isInternalKey(key));
+    if (!tracked.length) {
+      return;
+    }
+    const revisions = DataManager.#readRevisions();
+    tracked.forEach((key) => {
+      revisions[key] = (revisions[key] || 0) + 1;
+      knownRevisions.set(key, revisions[key]);
+    });
+    DataManager.#writeSync(REVISIONS_KEY, revisions);
+  }
+
+  static #writeSync(key, value) {
+    try {
+      return activeAdapter.write(key, value);
+    } catch (error) {
+      throw toStorageError(key, error);
+    }
+  }
+
+  static #handleStorageEvent(event) {
+    if (recordCache || !event) {
+      return;
+    }
+    if (event.key === null) {
+      knownRevisions.clear();
+      DataManager.emit('data:external', { collections: Object.keys(COLLECTION_KEYS), source: 'storage' });
+      return;
+    }
+    if (event.key !== `${profileStoragePrefix(activeProfileId)}${REVISIONS_KEY}`) {
+      return;
+    }
+    let revisions = {};
+    try {
+      revisions = JSON.parse(event.newValue || '{}') || {};
+    } catch (error) {
+      console.error('DataManager: ignoring unreadable revision update from another tab:', error);
+      return;
+    }
+    const changed = Object.keys(revisions).filter((key) => revisions[key] > (knownRevisions.get(key) || 0));
+    if (!changed.length) {
+      return;
+    }
+    changed.forEach((key) => knownRevisions.set(key, revisions[key]));
+    DataManager.emit('data:external', { collections: changed, source: 'storage' });
+  }
+
+  static async #handleBroadcast(message) {
+    if (
+      !recordCache ||
+      isLocked() ||
+      !message ||
+      message.tabId === tabId ||
+      message.profileId !== activeProfileId ||
+      !Number.isInteger(message.sequence) ||
+      !message.revisions ||
+      typeof message.revisions !== 'object'
+    ) {
+      return;
+    }
+    if (message.sequence <= (tabSequences.get(message.tabId) || 0)) {
+      return;
+    }
+    tabSequences.set(message.tabId, message.sequence);
+    const keys = Object.keys(message.revisions);
+    await DataManager.#refreshFromAdapter(activeAdapter, keys, message.revisions, 'broadcast');
+  }
+
+  static #enqueueWrite(operation, key) {
+    const write = pendingWrites.then(operation).catch((error) => {
+      throw error instanceof StaleWriteError ? error : toStorageError(key, error);
+    });
+    lastWrite = write;
+    operationWrites?.push(write);
+    pendingWrites = write.catch((error) => {
+      if (error instanceof StaleWriteError) {
+        return;
+      }
+      console.error(`DataManager: ${activeAdapter.name} write failed:`, error);
+      DataManager.emit('storage:error', {
+        key,
+        quotaExceeded: error instanceof StorageQuotaError,
+        message: error.message
+      });
+    });
+    return write;
+  }
+
+  static async #persisted(operation) {
+    await DataManager.ready();
+    const writes = [];
+    operationWrites = writes;
+    let result;
+    try {
+      result = operation();
+    } finally {
+      operationWrites = null;
+    }
+    await Promise.all(writes);
+    return result;
   }
 
   static #resolveId(value) {
@@ -0,0 +1,188 @@
+import { PassphraseCipher } from '../crypto.js';
+import { LockedStorageError } from '../errors.js';
+
+const METADATA_KEY = '__encryption';
+
+const isRecordArray = (value) =>
+  Array.isArray(value) && value.length > 0 && value.every((item) => item && typeof item === 'object' && item.id);
+
+export class EncryptedAdapter {
+  static METADATA_KEY = METADATA_KEY;
+
+  static isMetadata(value) {
+    return Boolean(value) && typeof value === 'object' && PassphraseCipher.isEnvelope(value.wrappedKey);
+  }
+
+  static async readMetadata(adapter) {
+    if (typeof adapter?.read !== 'function') {
+      return null;
+    }
+    const metadata = await adapter.read(METADATA_KEY);
+    return EncryptedAdapter.isMetadata(metadata) ? metadata : null;
+  }
+
+  static async writeMetadata(adapter, metadata) {
+    return adapter.write(METADATA_KEY, metadata);
+  }
+
+  constructor({ inner, key = null } = {}) {
+    if (!inner) {
+      throw new Error('EncryptedAdapter: an inner storage adapter is required.');
+    }
+    this.inner = inner;
+    this.key = key;
+    this.name = `encrypted ${inner.name}`;
+    this.synchronous = false;
+  }
+
+  get locked() {
+    return !this.key;
+  }
+
+  unlock(key) {
+    this.key = key;
+  }
+
+  lock() {
+    this.key = null;
+  }
+
+  async open() {
+    await this.inner.open?.();
+    return true;
+  }
+
+  close() {
+    this.inner.close?.();
+  }
+
+  async loadAll() {
+    this.#requireKey();
+    const snapshot =
+      typeof this.inner.loadAll === 'function'
+        ? await this.inner.loadAll()
+        : Object.fromEntries(this.inner.keys().map((key) => [key, this.inner.read(key)]));
+    delete snapshot[METADATA_KEY];
+    const entries = await Promise.all(
+      Object.entries(snapshot).map(async ([key, value]) => [key, await this.#decryptValue(value)])
+    );
+    return Object.fromEntries(entries);
+  }
+
+  async read(key) {
+    this.#requireKey();
+    return this.#decryptValue(await this.inner.read(key));
+  }
+
+  async write(key, value) {
+    return this.writeMany([[key, value]]);
+  }
+
+  async writeMany(entries) {
+    this.#requireKey();
+    const encrypted = await Promise.all(
+      entries.map(async ([key, value]) => [key, value === undefined ? undefined : await this.#encryptValue(value)])
+    );
+    if (typeof this.inner.writeMany === 'function') {
+      return this.inner.writeMany(encrypted);
+    }
+    for (const [key, value] of encrypted) {
+      await (value === undefined ? this.inner.remove(key) : this.inner.write(key, value));
+    }
+    return true;
+  }
+
+  async putRecord(collection, record, position) {
+    this.#requireKey();
+    const envelope = await this.#encryptRecord(record);
+    if (typeof this.inner.putRecord === 'function') {
+      return this.inner.putRecord(collection, envelope, position);
+    }
+    const stored = await this.inner.read(collection);
+    const rows = Array.isArray(stored) ? [...stored] : [];
+    const index = rows.findIndex((row) => row?.id === record.id);
+    if (index === -1) {
+      rows.push(envelope);
+    } else {
+      rows[index] = envelope;
+    }
+    return this.inner.write(collection, rows);
+  }
+
+  async deleteRecord(collection, recordId) {
+    if (typeof this.inner.deleteRecord === 'function') {
+      return this.inner.deleteRecord(collection, recordId);
+    }
+    const stored = await this.inner.read(collection);
+    return this.inner.write(
+      collection,
+      (Array.isArray(stored) ? stored : []).filter((row) => row?.id !== recordId)
+    );
+  }
+
+  async remove(key) {
+    return this.inner.remove(key);
+  }
+
+  async applyChanges(changes) {
+    this.#requireKey();
+    if (typeof this.inner.applyChanges !== 'function') {
+      for (const change of changes) {
+        if (change.type === 'put') {
+          await this.putRecord(change.collection, change.record, change.position);
+        } else if (change.type === 'delete') {
+          await this.deleteRecord(change.collection, change.id);
+        } else if (change.type === 'remove') {
+          await this.remove(change.key);
+        } else {
+          await this.write(change.key, change.value);
+        }
+      }
+      return true;
+    }
+    const encrypted = await Promise.all(
+      changes.map(async (change) => {
+        if (change.type === 'put') {
+          return { ...change, record: await this.#encryptRecord(change.record) };
+        }
+        if (change.type === 'write') {
+          return { ...change, value: await this.#encryptValue(change.value) };
+        }
+        return change;
+      })
+    );
+    return this.inner.applyChanges(encrypted);
+  }
+
+  async clear() {
+    return this.inner.clear();
+  }
+
+  #requireKey() {
+    if (!this.key) {
+      throw new LockedStorageError();
+    }
+  }
+
+  async #encryptRecord(record) {
+    return { id: record.id, ...(await PassphraseCipher.encrypt(this.key, record)) };
+  }
+
+  async #encryptValue(value) {
+    if (isRecordArray(value)) {
+      return Promise.all(value.map((record) => this.#encryptRecord(record)));
+    }
+    return PassphraseCipher.encrypt(this.key, value);
+  }
+
+  async #decryptValue(value) {
+    if (Array.isArray(value)) {
+      return Promise.all(
+        value.map((item) => (PassphraseCipher.isEnvelope(item) ? PassphraseCipher.decrypt(this.key, item) : item))
+      );
+    }
+    return PassphraseCipher.isEnvelope(value) ? PassphraseCipher.decrypt(this.key, value) : value;
+  }
+}
+
+export default EncryptedAdapter;
@@ -0,0 +1,186 @@
+const DEFAULT_DATABASE_NAME = 'zantra-invoicing';
+const DATABASE_VERSION = 1;
+const RECORDS_STORE = 'records';
+const DOCUMENTS_STORE = 'documents';
+const COLLECTION_INDEX = 'by_collection';
+
+const resolveIndexedDb = () => {
+  if (typeof window !== 'undefined' && window.indexedDB) {
+    return window.indexedDB;
+  }
+  if (typeof globalThis !== 'undefined' && globalThis.indexedDB) {
+    return globalThis.indexedDB;
+  }
+  return null;
+};
+
+const promisifyRequest = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+const completeTransaction = (transaction) =>
+  new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction was aborted.'));
+  });
+
+const isRecordArray = (value) =>
+  Array.isArray(value) && value.every((item) => item && typeof item === 'object' && item.id);
+
+const toRow = (collection, record, position) => ({
+  collection,
+  id: record.id,
+  position: Number.isFinite(position) ? position : 0,
+  value: record
+});
+
+export class IndexedDbAdapter {
+  static DEFAULT_DATABASE_NAME = DEFAULT_DATABASE_NAME;
+
+  static isSupported() {
+    return Boolean(resolveIndexedDb());
+  }
+
+  constructor({ databaseName = DEFAULT_DATABASE_NAME, indexedDB } = {}) {
+    this.databaseName = databaseName;
+    this.factory = indexedDB || resolveIndexedDb();
+    this.name = 'indexedDB';
+    this.synchronous = false;
+    this.database = null;
+  }
+
+  async open() {
+    if (this.database) {
+      return this.database;
+    }
+    if (!this.factory) {
+      throw new Error('IndexedDbAdapter: IndexedDB is not available in this environment.');
+    }
+    const request = this.factory.open(this.databaseName, DATABASE_VERSION);
+    request.onupgradeneeded = () => {
+      const database = request.result;
+      if (!database.objectStoreNames.contains(RECORDS_STORE)) {
+        const records = database.createObjectStore(RECORDS_STORE, { keyPath: ['collection', 'id'] });
+        records.createIndex(COLLECTION_INDEX, 'collection', { unique: false });
+      }
+      if (!database.objectStoreNames.contains(DOCUMENTS_STORE)) {
+        database.createObjectStore(DOCUMENTS_STORE, { keyPath: 'key' });
+      }
+    };
+    this.database = await promisifyRequest(request);
+    return this.database;
+  }
+
+  close() {
+    if (this.database) {
+      this.database.close();
+      this.database = null;
+    }
+  }
+
+  async loadAll() {
+    const database = await this.open();
+    const transaction = database.transaction([RECORDS_STORE, DOCUMENTS_STORE], 'readonly');
+    const [rows, documents] = await Promise.all([
+      promisifyRequest(transaction.objectStore(RECORDS_STORE).getAll()),
+      promisifyRequest(transaction.objectStore(DOCUMENTS_STORE).getAll())
+    ]);
+
+    const snapshot = {};
+    documents.forEach((document) => {
+      snapshot[document.key] = document.value;
+    });
+
+    const grouped = new Map();
+    rows.forEach((row) => {
+      if (!grouped.has(row.collection)) {
+        grouped.set(row.collection, []);
+      }
+      grouped.get(row.collection).push(row);
+    });
+    grouped.forEach((collectionRows, collection) => {
+      snapshot[collection] = collectionRows
+        .sort((a, b) => a.position - b.position)
+        .map((row) => row.value);
+    });
+    return snapshot;
+  }
+
+  async read(key) {
+    const database = await this.open();
+    const transaction = database.transaction([RECORDS_STORE, DOCUMENTS_STORE], 'readonly');
+    const [rows, document] = await Promise.all([
+      promisifyRequest(transaction.objectStore(RECORDS_STORE).index(COLLECTION_INDEX).getAll(key)),
+      promisifyRequest(transaction.objectStore(DOCUMENTS_STORE).get(key))
+    ]);
+    if (rows.length) {
+      return rows.sort((a, b) => a.position - b.position).map((row) => row.value);
+    }
+    return document ? document.value : null;
+  }
+
+  async putRecord(collection, record, position) {
+    return this.applyChanges([{ type: 'put', collection, record, position }]);
+  }
+
+  async deleteRecord(collection, recordId) {
+    return this.applyChanges([{ type: 'delete', collection, id: recordId }]);
+  }
+
+  async write(key, value) {
+    return this.writeMany([[key, value]]);
+  }
+
+  async writeMany(entries) {
+    return this.applyChanges(
+      entries.map(([key, value]) => (value === undefined ? { type: 'remove', key } : { type: 'write', key, value }))
+    );
+  }
+
+  async remove(key) {
+    return this.applyChanges([{ type: 'remove', key }]);
+  }
+
+  async applyChanges(changes) {
+    const database = await this.open();
+    const transaction = database.transaction([RECORDS_STORE, DOCUMENTS_STORE], 'readwrite');
+    const records = transaction.objectStore(RECORDS_STORE);
+    const documents = transaction.objectStore(DOCUMENTS_STORE);
+    const replaced = changes.filter(({ type }) => type === 'write' || type === 'remove');
+    const existingKeys = await Promise.all(
+      replaced.map(({ key }) => promisifyRequest(records.index(COLLECTION_INDEX).getAllKeys(key)))
+    );
+    existingKeys.flat().forEach((primaryKey) => records.delete(primaryKey));
+    changes.forEach((change) => {
+      if (change.type === 'put') {
+        documents.delete(change.collection);
+        records.put(toRow(change.collection, change.record, change.position));
+      } else if (change.type === 'delete') {
+        records.delete([change.collection, change.id]);
+      } else if (change.type === 'remove') {
+        documents.delete(change.key);
+      } else if (isRecordArray(change.value)) {
+        documents.delete(change.key);
+        change.value.forEach((record, position) => records.put(toRow(change.key, record, position)));
+      } else {
+        documents.put({ key: change.key, value: change.value ?? null });
+      }
+    });
+    await completeTransaction(transaction);
+    return true;
+  }
+
+  async clear() {
+    const database = await this.open();
+    const transaction = database.transaction([RECORDS_STORE, DOCUMENTS_STORE], 'readwrite');
+    transaction.objectStore(RECORDS_STORE).clear();
+    transaction.objectStore(DOCUMENTS_STORE).clear();
+    await completeTransaction(transaction);
+    return true;
+  }
+}
+
+export default IndexedDbAdapter;
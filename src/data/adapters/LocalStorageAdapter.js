@@ -0,0 +1,110 @@
+const DEFAULT_PREFIX = 'zantra-invoicing::';
+const ESTIMATED_QUOTA_BYTES = 5 * 1024 * 1024;
+
+const resolveStorage = () => {
+  if (typeof window !== 'undefined' && window.localStorage) {
+    return window.localStorage;
+  }
+  if (typeof globalThis !== 'undefined' && globalThis.localStorage) {
+    return globalThis.localStorage;
+  }
+  return null;
+};
+
+export class LocalStorageAdapter {
+  static DEFAULT_PREFIX = DEFAULT_PREFIX;
+
+  static ESTIMATED_QUOTA_BYTES = ESTIMATED_QUOTA_BYTES;
+
+  static isSupported() {
+    return Boolean(resolveStorage());
+  }
+
+  static totalSize() {
+    const storage = resolveStorage();
+    if (!storage) {
+      return 0;
+    }
+    let size = 0;
+    for (let index = 0; index < storage.length; index += 1) {
+      const storedKey = storage.key(index);
+      size += storedKey ? storedKey.length + (storage.getItem(storedKey) || '').length : 0;
+    }
+    return size;
+  }
+
+  constructor({ prefix = DEFAULT_PREFIX } = {}) {
+    this.prefix = prefix;
+    this.name = 'localStorage';
+    this.synchronous = true;
+  }
+
+  get storage() {
+    return resolveStorage();
+  }
+
+  qualify(key) {
+    return `${this.prefix}${key}`;
+  }
+
+  read(key) {
+    const storage = this.storage;
+    if (!storage) {
+      return null;
+    }
+    const raw = storage.getItem(this.qualify(key));
+    if (raw === null || raw === undefined || raw === '') {
+      return null;
+    }
+    return JSON.parse(raw);
+  }
+
+  size(key) {
+    const raw = this.storage?.getItem(this.qualify(key));
+    return raw === null || raw === undefined ? 0 : this.qualify(key).length + raw.length;
+  }
+
+  write(key, value) {
+    const storage = this.storage;
+    if (!storage) {
+      return false;
+    }
+    storage.setItem(this.qualify(key), JSON.stringify(value ?? null));
+    return true;
+  }
+
+  remove(key) {
+    const storage = this.storage;
+    if (!storage) {
+      return false;
+    }
+    storage.removeItem(this.qualify(key));
+    return true;
+  }
+
+  keys() {
+    const storage = this.storage;
+    if (!storage) {
+      return [];
+    }
+    const keys = [];
+    for (let index = 0; index < storage.length; index += 1) {
+      const storedKey = storage.key(index);
+      if (storedKey && storedKey.startsWith(this.prefix)) {
+        keys.push(storedKey.slice(this.prefix.length));
+      }
+    }
+    return keys;
+  }
+
+  clear() {
+    const storage = this.storage;
+    if (!storage) {
+      return false;
+    }
+    this.keys().forEach((key) => storage.removeItem(this.qualify(key)));
+    return true;
+  }
+}
+
+export default LocalStorageAdapter;
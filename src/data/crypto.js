@@ -0,0 +1,119 @@
+const KEY_LENGTH_BITS = 256;
+const IV_LENGTH_BYTES = 12;
+const SALT_LENGTH_BYTES = 16;
+const DEFAULT_ITERATIONS = 600000;
+const CIPHER_NAME = 'AES-GCM';
+
+const resolveCrypto = () => (typeof globalThis !== 'undefined' && globalThis.crypto?.subtle ? globalThis.crypto : null);
+
+const requireCrypto = () => {
+  const crypto = resolveCrypto();
+  if (!crypto) {
+    throw new Error('Encryption is not supported in this browser.');
+  }
+  return crypto;
+};
+
+const toBase64 = (bytes) => {
+  let binary = '';
+  new Uint8Array(bytes).forEach((byte) => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary);
+};
+
+const fromBase64 = (value) => Uint8Array.from(atob(value), (character) => character.charCodeAt(0));
+
+const randomBytes = (length) => requireCrypto().getRandomValues(new Uint8Array(length));
+
+export class PassphraseCipher {
+  static CIPHER_NAME = CIPHER_NAME;
+
+  static DEFAULT_ITERATIONS = DEFAULT_ITERATIONS;
+
+  static isSupported() {
+    return Boolean(resolveCrypto());
+  }
+
+  static isEnvelope(value) {
+    return (
+      Boolean(value) && typeof value === 'object' && value.cipher === CIPHER_NAME && typeof value.data === 'string'
+    );
+  }
+
+  static createSalt() {
+    return toBase64(randomBytes(SALT_LENGTH_BYTES));
+  }
+
+  static async deriveKey(passphrase, { salt, iterations = DEFAULT_ITERATIONS }) {
+    const { subtle } = requireCrypto();
+    const material = await subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, [
+      'deriveKey'
+    ]);
+    return subtle.deriveKey(
+      { name: 'PBKDF2', hash: 'SHA-256', salt: fromBase64(salt), iterations },
+      material,
+      { name: CIPHER_NAME, length: KEY_LENGTH_BITS },
+      false,
+      ['encrypt', 'decrypt']
+    );
+  }
+
+  static async hashSecret(secret, { salt, iterations = DEFAULT_ITERATIONS }) {
+    const { subtle } = requireCrypto();
+    const material = await subtle.importKey('raw', new TextEncoder().encode(secret), 'PBKDF2', false, [
+      'deriveBits'
+    ]);
+    const bits = await subtle.deriveBits(
+      { name: 'PBKDF2', hash: 'SHA-256', salt: fromBase64(salt), iterations },
+      material,
+      KEY_LENGTH_BITS
+    );
+    return toBase64(bits);
+  }
+
+  static secretsMatch(a, b) {
+    if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) {
+      return false;
+    }
+    let difference = 0;
+    for (let index = 0; index < a.length; index += 1) {
+      difference |= a.charCodeAt(index) ^ b.charCodeAt(index);
+    }
+    return difference === 0;
+  }
+
+  static generateDataKey() {
+    return toBase64(randomBytes(KEY_LENGTH_BITS / 8));
+  }
+
+  static async importDataKey(rawKey) {
+    return requireCrypto().subtle.importKey('raw', fromBase64(rawKey), { name: CIPHER_NAME }, false, [
+      'encrypt',
+      'decrypt'
+    ]);
+  }
+
+  static async encrypt(key, value) {
+    const { subtle } = requireCrypto();
+    const iv = randomBytes(IV_LENGTH_BYTES);
+    const data = await subtle.encrypt(
+      { name: CIPHER_NAME, iv },
+      key,
+      new TextEncoder().encode(JSON.stringify(value ?? null))
+    );
+    return { cipher: CIPHER_NAME, iv: toBase64(iv), data: toBase64(data) };
+  }
+
+  static async decrypt(key, envelope) {
+    const { subtle } = requireCrypto();
+    const plain = await subtle.decrypt(
+      { name: CIPHER_NAME, iv: fromBase64(envelope.iv) },
+      key,
+      fromBase64(envelope.data)
+    );
+    return JSON.parse(new TextDecoder().decode(plain));
+  }
+}
+
+export default PassphraseCipher;
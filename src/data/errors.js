@@ -0,0 +1,165 @@
+export class StaleWriteError extends Error {
+  constructor(collection, { knownRevision = 0, storedRevision = 0 } = {}) {
+    super(`DataManager: "${collection}" was changed in another tab. Reload the latest data before saving.`);
+    this.name = 'StaleWriteError';
+    this.collection = collection;
+    this.knownRevision = knownRevision;
+    this.storedRevision = storedRevision;
+  }
+}
+
+export class ConflictError extends Error {
+  constructor(entity, id, { expectedRevision = 0, storedRevision = 0, current = null } = {}) {
+    const label = entity.replace(/([A-Z])/g, ' $1').toLowerCase();
+    super(
+      current
+        ? `This ${label} changed since you opened it. Reload it to see the latest version before saving.`
+        : `This ${label} was deleted since you opened it.`
+    );
+    this.name = 'ConflictError';
+    this.entity = entity;
+    this.id = id;
+    this.expectedRevision = expectedRevision;
+    this.storedRevision = storedRevision;
+    this.current = current;
+  }
+}
+
+const DEPENDENT_LABELS = {
+  invoices: ['invoice', 'invoices'],
+  quotes: ['quote', 'quotes'],
+  recurringSchedules: ['recurring schedule', 'recurring schedules'],
+  creditNotes: ['credit note', 'credit notes']
+};
+
+const describeDependents = (dependents) => {
+  const parts = Object.entries(dependents)
+    .filter(([, ids]) => ids.length)
+    .map(([collection, ids]) => {
+      const [singular, plural] = DEPENDENT_LABELS[collection] || [collection, collection];
+      return `${ids.length} ${ids.length === 1 ? singular : plural}`;
+    });
+  if (parts.length < 2) {
+    return parts[0] || 'other records';
+  }
+  return `${parts.slice(0, -1).join(', ')} and ${parts[parts.length - 1]}`;
+};
+
+export class DependentRecordsError extends Error {
+  constructor(entity, id, dependents = {}, { policy = 'block' } = {}) {
+    const summary = describeDependents(dependents);
+    super(
+      policy === 'reassign'
+        ? `Choose another ${entity} to take over ${summary} before deleting this ${entity}.`
+        : `This ${entity} is still used by ${summary}. Archive it or reassign them to another ${entity} instead.`
+    );
+    this.name = 'DependentRecordsError';
+    this.entity = entity;
+    this.id = id;
+    this.policy = policy;
+    this.dependents = dependents;
+  }
+}
+
+export class LockedStorageError extends Error {
+  constructor(profileId) {
+    super('Your data is locked. Enter your passphrase to unlock it.');
+    this.name = 'LockedStorageError';
+    this.profileId = profileId;
+  }
+}
+
+export class PassphraseError extends Error {
+  constructor(message = 'That passphrase is incorrect.') {
+    super(message);
+    this.name = 'PassphraseError';
+  }
+}
+
+export class PermissionError extends Error {
+  constructor(permission, { role = null } = {}) {
+    super(
+      role
+        ? `Your role does not have access to ${permission}. Ask the business owner for access.`
+        : 'Sign in to continue.'
+    );
+    this.name = 'PermissionError';
+    this.permission = permission;
+    this.role = role;
+  }
+}
+
+export class AuthenticationError extends Error {
+  constructor(message = 'The username or password is incorrect.') {
+    super(message);
+    this.name = 'AuthenticationError';
+  }
+}
+
+const QUOTA_ERROR_NAMES = ['QuotaExceededError', 'NS_ERROR_DOM_QUOTA_REACHED'];
+
+export class StorageError extends Error {
+  constructor(key, { cause = null } = {}) {
+    super(`DataManager: Failed to persist "${key}". Your latest changes were not saved on this device.`);
+    this.name = 'StorageError';
+    this.key = key;
+    this.cause = cause;
+  }
+}
+
+export class StorageUnavailableError extends Error {
+  constructor(adapterName, { cause = null } = {}) {
+    super(`DataManager: ${adapterName} storage could not be opened on this device.`);
+    this.name = 'StorageUnavailableError';
+    this.adapterName = adapterName;
+    this.cause = cause;
+  }
+}
+
+export class StorageQuotaError extends StorageError {
+  static isQuotaError(error) {
+    if (!error) {
+      return false;
+    }
+    return (
+      QUOTA_ERROR_NAMES.includes(error.name) ||
+      error.code === 22 ||
+      error.code === 1014 ||
+      QUOTA_ERROR_NAMES.some((name) => String(error.message).includes(name))
+    );
+  }
+
+  constructor(key, { cause = null } = {}) {
+    super(key, { cause });
+    this.message =
+      `DataManager: Failed to persist "${key}" because storage on this device is full. ` +
+      'Archive old paid invoices or download a backup to free up space.';
+    this.name = 'StorageQuotaError';
+  }
+}
+
+export class StatusTransitionError extends Error {
+  constructor(entity, id, from, to) {
+    super(`This ${entity} is "${from}" and cannot be marked "${to}".`);
+    this.name = 'StatusTransitionError';
+    this.entity = entity;
+    this.id = id;
+    this.from = from;
+    this.to = to;
+  }
+}
+
+export class ValidationError extends Error {
+  constructor(entity, errors = []) {
+    super(errors.map(({ message }) => message).join(' ') || `The ${entity} details are invalid.`);
+    this.name = 'ValidationError';
+    this.entity = entity;
+    this.errors = errors.map(({ field, code, message }) => ({ field, code, message }));
+  }
+
+  forField(field) {
+    return this.errors.filter(
+      (error) => error.field === field || error.field.startsWith(`${field}.`) || error.field.startsWith(`${field}[`)
+    );
+  }
+}
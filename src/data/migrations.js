@@ -0,0 +1,170 @@
+import { Money } from './money.js';
+
+const RECORD_COLLECTIONS = ['invoices', 'quotes', 'clients', 'services', 'payments', 'recurringSchedules'];
+
+const clone = (value) => (value === null || value === undefined ? value : JSON.parse(JSON.stringify(value)));
+
+const mapRecords = (data, collections, transform) => {
+  const next = { ...data };
+  collections.forEach((collection) => {
+    if (Array.isArray(next[collection])) {
+      next[collection] = next[collection].map((record) =>
+        record && typeof record === 'object' && !Array.isArray(record) ? transform(record, collection) : record
+      );
+    }
+  });
+  return next;
+};
+
+const MONEY_FIELDS = {
+  invoices: ['subtotal', 'gstTotal', 'total', 'amountPaid', 'balanceDue'],
+  quotes: ['subtotal', 'gstTotal', 'total'],
+  payments: ['amount'],
+  services: ['unitPrice'],
+  recurringSchedules: []
+};
+
+const CREDIT_RECORD_COLLECTIONS = ['creditNotes', 'sequences'];
+
+const CREDIT_MONEY_FIELDS = {
+  invoices: ['creditedTotal'],
+  creditNotes: ['subtotal', 'gstTotal', 'total']
+};
+
+const LINE_ITEM_MONEY_FIELDS = ['unitPrice', 'subtotal', 'gst', 'total'];
+
+const LINE_ITEM_COLLECTIONS = ['invoices', 'quotes', 'recurringSchedules', 'creditNotes'];
+
+const PRICING_COLLECTIONS = [...LINE_ITEM_COLLECTIONS, 'services'];
+
+const withRevision = (record) => {
+  const revision = Number(record.revision);
+  return { ...record, revision: Number.isInteger(revision) && revision > 0 ? revision : 1 };
+};
+
+const withCents = (record, fields) =>
+  fields.reduce((next, field) => {
+    const centsField = `${field}Cents`;
+    if (next[field] === undefined && next[centsField] === undefined) {
+      return next;
+    }
+    const cents = Money.resolveCents(next[field], next[centsField]);
+    return { ...next, [field]: Money.fromCents(cents), [centsField]: cents };
+  }, record);
+
+const MIGRATIONS = [
+  {
+    version: 2,
+    description: 'Backfill record revisions',
+    migrate: (data) =>
+      mapRecords(data, RECORD_COLLECTIONS, withRevision)
+  },
+  {
+    version: 3,
+    description: 'Store money amounts in integer cents',
+    migrate: (data) =>
+      mapRecords(data, Object.keys(MONEY_FIELDS), (record, collection) => {
+        const next = withCents(record, MONEY_FIELDS[collection]);
+        if (Array.isArray(next.lineItems)) {
+          next.lineItems = next.lineItems.map((item) =>
+            item && typeof item === 'object' ? withCents(item, LINE_ITEM_MONEY_FIELDS) : item
+          );
+        }
+        if (collection === 'invoices' || collection === 'quotes') {
+          next.gstRounding = Money.resolveRounding(next.gstRounding, 'line');
+        }
+        return next;
+      })
+  },
+  {
+    version: 4,
+    description: 'Replace the GST flag on line items with tax codes',
+    migrate: (data) =>
+      mapRecords(data, LINE_ITEM_COLLECTIONS, (record) =>
+        Array.isArray(record.lineItems)
+          ? {
+              ...record,
+              lineItems: record.lineItems.map((item) =>
+                item && typeof item === 'object' && !item.taxCode
+                  ? { ...item, taxCode: item.applyGst ? 'GST' : 'FRE' }
+                  : item
+              )
+            }
+          : record
+      )
+  },
+  {
+    version: 5,
+    description: 'Record whether prices include tax',
+    migrate: (data) =>
+      mapRecords(data, PRICING_COLLECTIONS, (record) => ({
+        ...record,
+        pricesIncludeTax: record.pricesIncludeTax === true
+      }))
+  },
+  {
+    version: 6,
+    description: 'Backfill revisions and cents for credit notes and numbering sequences',
+    migrate: (data) =>
+      mapRecords(
+        mapRecords(data, CREDIT_RECORD_COLLECTIONS, withRevision),
+        Object.keys(CREDIT_MONEY_FIELDS),
+        (record, collection) => {
+          const next = withCents(record, CREDIT_MONEY_FIELDS[collection]);
+          if (collection === 'creditNotes' && Array.isArray(next.lineItems)) {
+            next.lineItems = next.lineItems.map((item) =>
+              item && typeof item === 'object' ? withCents(item, LINE_ITEM_MONEY_FIELDS) : item
+            );
+          }
+          return next;
+        }
+      )
+  }
+];
+
+MIGRATIONS.forEach((migration, index) => {
+  if (migration.version !== index + 2 || typeof migration.migrate !== 'function') {
+    throw new Error(`SchemaMigrations: migration #${index + 1} must upgrade to version ${index + 2}.`);
+  }
+});
+
+export class SchemaMigrations {
+  static BASE_VERSION = 1;
+
+  static latestVersion() {
+    return MIGRATIONS.length ? MIGRATIONS[MIGRATIONS.length - 1].version : SchemaMigrations.BASE_VERSION;
+  }
+
+  static list() {
+    return MIGRATIONS.map(({ version, description }) => ({ version, description }));
+  }
+
+  static run(data, fromVersion, toVersion = SchemaMigrations.latestVersion()) {
+    const startVersion = Number.parseInt(fromVersion, 10);
+    if (!Number.isFinite(startVersion) || startVersion < SchemaMigrations.BASE_VERSION) {
+      throw new Error(`SchemaMigrations.run: Unknown schema version "${fromVersion}".`);
+    }
+    if (startVersion > SchemaMigrations.latestVersion()) {
+      throw new Error(`SchemaMigrations.run: Schema version ${startVersion} is newer than this app supports.`);
+    }
+    let migrated = clone(data && typeof data === 'object' ? data : {});
+    const applied = [];
+    MIGRATIONS.filter(({ version }) => version > startVersion && version <= toVersion).forEach((migration) => {
+      try {
+        migrated = migration.migrate(clone(migrated));
+      } catch (error) {
+        throw new Error(
+          `SchemaMigrations: "${migration.description}" (v${migration.version}) failed: ${error.message}`
+        );
+      }
+      applied.push(migration.version);
+    });
+    return {
+      data: migrated,
+      version: applied.length ? applied[applied.length - 1] : startVersion,
+      applied
+    };
+  }
+}
+
+export default SchemaMigrations;
@@ -0,0 +1,175 @@
+const ROUNDING_MODES = ['invoice', 'line'];
+
+const DISCOUNT_TYPES = ['percent', 'amount'];
+
+const roundHalfAwayFromZero = (value) => {
+  const precise = Number(value.toPrecision(12));
+  return Math.sign(precise) * Math.round(Math.abs(precise)) || 0;
+};
+
+const isProvided = (value) => value !== undefined && value !== null && value !== '';
+
+export class Money {
+  static ROUNDING_MODES = [...ROUNDING_MODES];
+
+  static DEFAULT_ROUNDING = 'invoice';
+
+  static DISCOUNT_TYPES = [...DISCOUNT_TYPES];
+
+  static toCents(value) {
+    const numeric = Number.parseFloat(value);
+    if (Number.isNaN(numeric) || !Number.isFinite(numeric)) {
+      return 0;
+    }
+    return roundHalfAwayFromZero(numeric * 100);
+  }
+
+  static fromCents(cents) {
+    return Money.normalizeCents(cents) / 100;
+  }
+
+  static normalizeCents(cents) {
+    const numeric = Number(cents);
+    if (Number.isNaN(numeric) || !Number.isFinite(numeric)) {
+      return 0;
+    }
+    return roundHalfAwayFromZero(numeric);
+  }
+
+  static resolveCents(dollars, cents, fallbackCents = 0) {
+    if (isProvided(dollars) && Number.isFinite(Number.parseFloat(dollars))) {
+      return Money.toCents(dollars);
+    }
+    if (isProvided(cents)) {
+      return Money.normalizeCents(cents);
+    }
+    return fallbackCents;
+  }
+
+  static multiply(cents, factor) {
+    const numeric = Number.parseFloat(factor);
+    if (Number.isNaN(numeric) || !Number.isFinite(numeric)) {
+      return 0;
+    }
+    return roundHalfAwayFromZero(Money.normalizeCents(cents) * numeric);
+  }
+
+  static sum(values) {
+    return (Array.isArray(values) ? values : []).reduce((total, cents) => total + Money.normalizeCents(cents), 0);
+  }
+
+  static toFixed(cents) {
+    return Money.fromCents(cents).toFixed(2);
+  }
+
+  static resolveRounding(rounding, fallback = Money.DEFAULT_ROUNDING) {
+    return ROUNDING_MODES.includes(rounding) ? rounding : fallback;
+  }
+
+  static resolveDiscount(type, value, baseCents) {
+    const numeric = Number.parseFloat(value);
+    const base = Math.max(0, Money.normalizeCents(baseCents));
+    if (!DISCOUNT_TYPES.includes(type) || !Number.isFinite(numeric) || numeric <= 0 || base === 0) {
+      return 0;
+    }
+    const cents = type === 'percent' ? Money.multiply(base, numeric / 100) : Money.toCents(numeric);
+    return Math.min(base, cents);
+  }
+
+  static allocate(totalCents, weights) {
+    const shares = (Array.isArray(weights) ? weights : []).map((weight) => Math.max(0, Money.normalizeCents(weight)));
+    const weightTotal = Money.sum(shares);
+    const total = Money.normalizeCents(totalCents);
+    if (!weightTotal || !total) {
+      return shares.map(() => 0);
+    }
+    const exact = shares.map((weight) => (total * weight) / weightTotal);
+    const allocated = exact.map(Math.floor);
+    let remainder = total - Money.sum(allocated);
+    exact
+      .map((value, index) => ({ index, fraction: value - allocated[index] }))
+      .sort((a, b) => b.fraction - a.fraction || a.index - b.index)
+      .forEach(({ index }) => {
+        if (remainder > 0) {
+          allocated[index] += 1;
+          remainder -= 1;
+        }
+      });
+    return allocated;
+  }
+
+  static calculateTotals(
+    lineItems,
+    { rate = 0, rounding = Money.DEFAULT_ROUNDING, pricesIncludeTax = false, discount = null } = {}
+  ) {
+    const mode = Money.resolveRounding(rounding);
+    const taxableByRate = new Map();
+    const items = (Array.isArray(lineItems) ? lineItems : []).map((item) => {
+      const unitPriceCents = Money.resolveCents(item?.unitPrice, item?.unitPriceCents);
+      const amountCents = Money.multiply(unitPriceCents, item?.quantity);
+      const discountCents = Money.resolveDiscount(item?.discountType, item?.discountValue, amountCents);
+      return { item, unitPriceCents, discountCents, netCents: amountCents - discountCents };
+    });
+    const documentDiscountCents = Money.resolveDiscount(
+      discount?.type,
+      discount?.value,
+      Money.sum(items.map(({ netCents }) => netCents))
+    );
+    const documentShares = Money.allocate(documentDiscountCents, items.map(({ netCents }) => netCents));
+    const lines = items.map(({ item, unitPriceCents, discountCents, netCents }, index) => {
+      const chargedCents = netCents - documentShares[index];
+      const lineRate = Number.isFinite(item?.taxRate) ? item.taxRate : item?.applyGst ? rate : 0;
+      const gstFactor = pricesIncludeTax ? lineRate / (1 + lineRate) : lineRate;
+      let gstCents = 0;
+      if (lineRate > 0) {
+        if (mode === 'line') {
+          gstCents = Money.multiply(chargedCents, gstFactor);
+        } else {
+          const taxable = taxableByRate.get(lineRate) || { taxableCents: 0, allocatedGstCents: 0 };
+          taxable.taxableCents += chargedCents;
+          const cumulativeGstCents = Money.multiply(taxable.taxableCents, gstFactor);
+          gstCents = cumulativeGstCents - taxable.allocatedGstCents;
+          taxable.allocatedGstCents = cumulativeGstCents;
+          taxableByRate.set(lineRate, taxable);
+        }
+      }
+      const subtotalCents = pricesIncludeTax ? chargedCents - gstCents : chargedCents;
+      const totalCents = subtotalCents + gstCents;
+      return {
+        unitPrice: Money.fromCents(unitPriceCents),
+        unitPriceCents,
+        discount: Money.fromCents(discountCents),
+        discountCents,
+        documentDiscount: Money.fromCents(documentShares[index]),
+        documentDiscountCents: documentShares[index],
+        subtotal: Money.fromCents(subtotalCents),
+        subtotalCents,
+        gst: Money.fromCents(gstCents),
+        gstCents,
+        total: Money.fromCents(totalCents),
+        totalCents
+      };
+    });
+    const subtotalCents = Money.sum(lines.map((line) => line.subtotalCents));
+    const gstTotalCents = Money.sum(lines.map((line) => line.gstCents));
+    const totalCents = subtotalCents + gstTotalCents;
+    const discountTotalCents = Money.sum(lines.map((line) => line.discountCents)) + documentDiscountCents;
+    return {
+      lines,
+      rounding: mode,
+      pricesIncludeTax: Boolean(pricesIncludeTax),
+      discount: Money.fromCents(documentDiscountCents),
+      discountCents: documentDiscountCents,
+      discountTotal: Money.fromCents(discountTotalCents),
+      discountTotalCents,
+      subtotal: Money.fromCents(subtotalCents),
+      subtotalCents,
+      gstTotal: Money.fromCents(gstTotalCents),
+      gstTotalCents,
+      total: Money.fromCents(totalCents),
+      totalCents
+    };
+  }
+}
+
+export default Money;
@@ -0,0 +1,123 @@
+const sanitizeString = (value) => (typeof value === 'string' ? value.trim() : '');
+
+const toTimestamp = (value, context, { endOfDay = false } = {}) => {
+  if (value instanceof Date) {
+    return value.getTime();
+  }
+  const parsed = sanitizeString(value);
+  if (!parsed) {
+    return null;
+  }
+  const timestamp = Date.parse(parsed);
+  if (Number.isNaN(timestamp)) {
+    throw new Error(`${context}: "${value}" is not a valid date.`);
+  }
+  const isDateOnly = /^\d{4}-\d{2}-\d{2}$/.test(parsed);
+  return endOfDay && isDateOnly ? timestamp + 24 * 60 * 60 * 1000 - 1 : timestamp;
+};
+
+const toCount = (value, fallback, context, field) => {
+  if (value === undefined || value === null || value === '') {
+    return fallback;
+  }
+  const numeric = Number(value);
+  if (!Number.isInteger(numeric) || numeric < 0) {
+    throw new Error(`${context}: ${field} must be a whole number of zero or more.`);
+  }
+  return numeric;
+};
+
+const isMissing = (value) => value === undefined || value === null || value === '' || Number.isNaN(value);
+
+const compareValues = (a, b) =>
+  typeof a === 'number' && typeof b === 'number'
+    ? a - b
+    : String(a).localeCompare(String(b), undefined, { numeric: true, sensitivity: 'base' });
+
+export class RecordQuery {
+  static resolveRange(range, context) {
+    if (!range) {
+      return null;
+    }
+    const [from, to] = Array.isArray(range) ? range : [range.from, range.to];
+    const fromTime = toTimestamp(from, context);
+    const toTime = toTimestamp(to, context, { endOfDay: true });
+    if (fromTime !== null && toTime !== null && fromTime > toTime) {
+      throw new Error(`${context}: the start of a date range must be before its end.`);
+    }
+    return fromTime === null && toTime === null ? null : { from: fromTime, to: toTime };
+  }
+
+  static withinRange(value, range) {
+    if (!range) {
+      return true;
+    }
+    const timestamp = Date.parse(value);
+    if (Number.isNaN(timestamp)) {
+      return false;
+    }
+    return (range.from === null || timestamp >= range.from) && (range.to === null || timestamp <= range.to);
+  }
+
+  static matches(value, expected) {
+    if (expected === undefined || expected === null || expected === '') {
+      return true;
+    }
+    return Array.isArray(expected) ? expected.includes(value) : value === expected;
+  }
+
+  static matchesSearch(record, search, fields) {
+    const term = sanitizeString(search).toLowerCase();
+    if (!term) {
+      return true;
+    }
+    return fields.some((field) => {
+      const value = typeof field === 'function' ? field(record) : record[field];
+      return (Array.isArray(value) ? value : [value]).some((item) =>
+        sanitizeString(typeof item === 'number' ? String(item) : item).toLowerCase().includes(term)
+      );
+    });
+  }
+
+  static sort(records, sort, fields, context) {
+    const spec = sanitizeString(sort);
+    if (!spec) {
+      return records;
+    }
+    const descending = spec.startsWith('-');
+    const field = descending ? spec.slice(1) : spec;
+    const accessor = fields[field];
+    if (!accessor) {
+      throw new Error(`${context}: cannot sort by "${field}". Use one of ${Object.keys(fields).join(', ')}.`);
+    }
+    const keyed = records.map((record, position) => ({ record, position, value: accessor(record) }));
+    keyed.sort((a, b) => {
+      const aMissing = isMissing(a.value);
+      const bMissing = isMissing(b.value);
+      if (aMissing || bMissing) {
+        return aMissing === bMissing ? a.position - b.position : aMissing ? 1 : -1;
+      }
+      const order = compareValues(a.value, b.value);
+      return (descending ? -order : order) || a.position - b.position;
+    });
+    return keyed.map(({ record }) => record);
+  }
+
+  static paginate(records, { limit, offset } = {}, context) {
+    const total = records.length;
+    const resolvedOffset = toCount(offset, 0, context, 'offset');
+    const resolvedLimit = toCount(limit, null, context, 'limit');
+    const items =
+      resolvedLimit === null
+        ? records.slice(resolvedOffset)
+        : records.slice(resolvedOffset, resolvedOffset + resolvedLimit);
+    return { items, total, limit: resolvedLimit, offset: resolvedOffset };
+  }
+
+  static toTimestamp(value) {
+    const timestamp = Date.parse(value);
+    return Number.isNaN(timestamp) ? null : timestamp;
+  }
+}
+
+export default RecordQuery;
@@ -0,0 +1,154 @@
+import { ValidationError } from './errors.js';
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const isMissing = (value) =>
+  value === undefined || value === null || (typeof value === 'string' && !value.trim());
+
+const toNumber = (value) => {
+  if (typeof value === 'number') {
+    return value;
+  }
+  if (typeof value === 'string' && value.trim()) {
+    return Number(value.trim());
+  }
+  return Number.NaN;
+};
+
+const isValidDate = (value) =>
+  value instanceof Date ? !Number.isNaN(value.getTime()) : !Number.isNaN(Date.parse(value));
+
+const hasRange = ({ min, max, exclusiveMin }) => [min, max, exclusiveMin].some((bound) => bound !== undefined);
+
+const describeRange = ({ min, max, exclusiveMin }) => {
+  if (min !== undefined && max !== undefined) {
+    return `between ${min} and ${max}`;
+  }
+  if (exclusiveMin !== undefined) {
+    return `greater than ${exclusiveMin === 0 ? 'zero' : exclusiveMin}`;
+  }
+  return min !== undefined ? `${min} or more` : `${max} or less`;
+};
+
+const fieldError = (field, code, message) => ({ field, code, message });
+
+const checkNumber = (path, rule, label, value) => {
+  const numeric = toNumber(value);
+  if (!Number.isFinite(numeric)) {
+    return fieldError(path, 'type', `${label} must be a number.`);
+  }
+  const integer = rule.type === 'integer';
+  const expectation = [integer ? 'a whole number' : '', hasRange(rule) ? describeRange(rule) : '']
+    .filter(Boolean)
+    .join(' ');
+  if (integer && !Number.isInteger(numeric)) {
+    return fieldError(path, 'type', `${label} must be ${expectation}.`);
+  }
+  const belowMin =
+    (rule.min !== undefined && numeric < rule.min) ||
+    (rule.exclusiveMin !== undefined && numeric <= rule.exclusiveMin);
+  const aboveMax = rule.max !== undefined && numeric > rule.max;
+  if (belowMin || aboveMax) {
+    return fieldError(path, belowMin ? 'min' : 'max', `${label} must be ${expectation}.`);
+  }
+  return null;
+};
+
+const checkField = (path, rule, value) => {
+  const label = rule.label || path;
+  if (isMissing(value)) {
+    return rule.required ? [fieldError(path, 'required', rule.messages?.required || `${label} is required.`)] : [];
+  }
+  let error = null;
+  switch (rule.type) {
+    case 'string':
+      if (typeof value !== 'string') {
+        error = fieldError(path, 'type', `${label} must be text.`);
+      } else if (rule.pattern && !rule.pattern.test(value.trim())) {
+        error = fieldError(path, 'format', `${label} is not in the expected format.`);
+      }
+      break;
+    case 'email':
+      if (typeof value !== 'string' || !EMAIL_PATTERN.test(value.trim())) {
+        error = fieldError(path, 'format', `${label} must be a valid email address.`);
+      }
+      break;
+    case 'date':
+      if (!isValidDate(value)) {
+        error = fieldError(path, 'format', `${label} must be a valid date.`);
+      }
+      break;
+    case 'number':
+    case 'integer':
+      error = checkNumber(path, rule, label, value);
+      break;
+    case 'boolean':
+      if (typeof value !== 'boolean') {
+        error = fieldError(path, 'type', `${label} must be true or false.`);
+      }
+      break;
+    case 'array':
+      if (!Array.isArray(value)) {
+        error = fieldError(path, 'type', `${label} must be a list.`);
+      }
+      break;
+    default:
+      break;
+  }
+  if (!error && rule.enum) {
+    const normalized = typeof value === 'string' ? value.trim().toLowerCase() : value;
+    if (!rule.enum.includes(normalized)) {
+      error = fieldError(path, 'enum', `${label} must be one of ${rule.enum.join(', ')}.`);
+    }
+  }
+  if (error) {
+    return [{ ...error, message: rule.messages?.[error.code] || error.message }];
+  }
+  if (rule.type === 'array') {
+    if (rule.minItems && value.length < rule.minItems) {
+      const message = rule.messages?.minItems || `${label} needs at least ${rule.minItems} entry.`;
+      return [fieldError(path, 'minItems', message)];
+    }
+    if (rule.items) {
+      return value.flatMap((item, index) => Schema.validate(rule.items, item, { path: `${path}[${index}]` }));
+    }
+  }
+  return [];
+};
+
+export class Schema {
+  static LINE_ITEM = {
+    entity: 'lineItem',
+    fields: {
+      description: { type: 'string', required: true, label: 'Description' },
+      quantity: { type: 'number', required: true, exclusiveMin: 0, label: 'Quantity' },
+      unitPrice: { type: 'number', min: 0, label: 'Unit price' }
+    }
+  };
+
+  static validate(schema, input, { path = '' } = {}) {
+    const payload = input && typeof input === 'object' ? input : {};
+    return Object.entries(schema.fields).flatMap(([field, rule]) =>
+      checkField(path ? `${path}.${field}` : field, rule, payload[field])
+    );
+  }
+
+  static assert(schema, input, { errors: extraErrors = [] } = {}) {
+    if (!input || typeof input !== 'object') {
+      throw new ValidationError(schema.entity, [
+        fieldError('', 'type', `${schema.label || schema.entity} details must be provided as an object.`)
+      ]);
+    }
+    const errors = [...Schema.validate(schema, input), ...extraErrors.filter(Boolean)];
+    if (errors.length) {
+      throw new ValidationError(schema.entity, errors);
+    }
+    return input;
+  }
+
+  static error(field, code, message) {
+    return fieldError(field, code, message);
+  }
+}
+
+export default Schema;
@@ -7,16 +7,34 @@ const loadStyles = async () => {
 
 loadStyles();
 import { DataManager } from './data/DataManager.js';
+import { IndexedDbAdapter } from './data/adapters/IndexedDbAdapter.js';
+import { DependentRecordsError, StorageUnavailableError, ValidationError } from './data/errors.js';
+import { Money } from './data/money.js';
+import { Schema } from './data/schema.js';
 import { ClientManager } from './managers/ClientManager.js';
 import { ServiceManager } from './managers/ServiceManager.js';
 import { InvoiceManager } from './managers/InvoiceManager.js';
+import { CreditNoteManager } from './managers/CreditNoteManager.js';
+import { TaxCodeManager } from './managers/TaxCodeManager.js';
+import { DiscountManager } from './managers/DiscountManager.js';
 import { InvoiceDocumentManager } from './managers/InvoiceDocumentManager.js';
 import { QuoteManager } from './managers/QuoteManager.js';
+import { RecurringInvoiceManager } from './managers/RecurringInvoiceManager.js';
 import { PaymentManager } from './managers/PaymentManager.js';
 import { ReportManager } from './managers/ReportManager.js';
 import { ExportManager } from './managers/ExportManager.js';
 import { SettingsManager } from './managers/SettingsManager.js';
+import { NumberingManager } from './managers/NumberingManager.js';
 import { BackupManager } from './managers/BackupManager.js';
+import { LegacyImportManager } from './managers/LegacyImportManager.js';
+import { TrashManager } from './managers/TrashManager.js';
+import { AuditLogManager } from './managers/AuditLogManager.js';
+import { ProfileManager } from './managers/ProfileManager.js';
+import { EncryptionManager } from './managers/EncryptionManager.js';
+import { UserManager } from './managers/UserManager.js';
+import { StorageManager } from './managers/StorageManager.js';
+import { IntegrityManager } from './managers/IntegrityManager.js';
+import { UndoManager } from './managers/UndoManager.js';
 
 const currencyFormatter = new Intl.NumberFormat(undefined, {
   style: 'currency',
@@ -27,6 +45,84 @@ const currencyFormatter = new Intl.NumberFormat(undefined, {
 
 const formatCurrency = (value) => currencyFormatter.format(Number.parseFloat(value) || 0);
 
+const NUMBERING_PREFIX_FIELDS = {
+  invoices: 'invoicePrefix',
+  quotes: 'quotePrefix',
+  creditNotes: 'creditNotePrefix',
+  receipts: 'receiptPrefix'
+};
+
+const STORAGE_COLLECTION_LABELS = {
+  invoices: 'Invoices',
+  quotes: 'Quotes',
+  clients: 'Clients',
+  services: 'Services',
+  payments: 'Payments',
+  settings: 'Settings',
+  recurringSchedules: 'Recurring schedules',
+  creditNotes: 'Credit notes',
+  sequences: 'Numbering',
+  auditLog: 'History'
+};
+
+const INVOICE_STATUS_PILLS = {
+  draft: ['muted', 'Draft'],
+  unpaid: ['warning', 'Unpaid'],
+  sent: ['info', 'Sent'],
+  viewed: ['info', 'Viewed'],
+  partial: ['info', 'Partial'],
+  overdue: ['danger', 'Overdue'],
+  paid: ['success', 'Paid'],
+  void: ['muted', 'Void']
+};
+
+const INVOICE_LIFECYCLE_ACTIONS = [
+  {
+    action: 'issue',
+    target: 'unpaid',
+    label: 'Issue',
+    run: (invoiceId) => InvoiceManager.issue(invoiceId),
+    describe: (invoice) => `Invoice ${invoice.number} issued`,
+    toast: (invoice) => `Invoice ${invoice.number} issued.`
+  },
+  {
+    action: 'mark-sent',
+    target: 'sent',
+    label: 'Mark sent',
+    run: (invoiceId) => InvoiceManager.markSent(invoiceId, new Date()),
+    describe: (invoice) => `Invoice ${invoice.number} marked sent`,
+    toast: (invoice) => `Invoice ${invoice.number} marked as sent.`
+  },
+  {
+    action: 'mark-viewed',
+    target: 'viewed',
+    label: 'Mark viewed',
+    run: (invoiceId) => InvoiceManager.markViewed(invoiceId, new Date()),
+    describe: (invoice) => `Invoice ${invoice.number} marked viewed`,
+    toast: (invoice) => `Invoice ${invoice.number} marked as viewed.`
+  },
+  {
+    action: 'void',
+    target: 'void',
+    label: 'Void',
+    ask: () => window.prompt('Void this invoice? Its number is kept but nothing will be owed. Reason (optional):'),
+    run: (invoiceId, reason) => InvoiceManager.markVoid(invoiceId, reason),
+    describe: (invoice) => `Invoice ${invoice.number} voided`,
+    toast: (invoice) => `Invoice ${invoice.number} voided.`
+  }
+];
+
+const formatBytes = (bytes) => {
+  const value = Number(bytes) || 0;
+  if (value < 1024) {
+    return `${value} B`;
+  }
+  if (value < 1024 * 1024) {
+    return `${(value / 1024).toFixed(1)} KB`;
+  }
+  return `${(value / (1024 * 1024)).toFixed(1)} MB`;
+};
+
 const formatDate = (value) => {
   if (!value) {
     return '';
@@ -102,6 +198,64 @@ const toggleHidden = (element, hidden) => {
   }
 };
 
+const LINE_ITEM_FIELD_PATTERN = /^lineItems\[(\d+)\]\.(\w+)$/;
+
+const readDocumentDiscount = (form) => ({
+  discountType: form?.querySelector('[name="discountType"]')?.value ?? '',
+  discountValue: parseNumberInput(form?.querySelector('[name="discountValue"]'))
+});
+
+const setDocumentDiscount = (form, record) => {
+  const { discountType, discountValue } = DiscountManager.normalize(record);
+  const typeSelect = form?.querySelector('[name="discountType"]');
+  const valueInput = form?.querySelector('[name="discountValue"]');
+  if (typeSelect) {
+    typeSelect.value = discountType || DiscountManager.TYPES[0];
+  }
+  if (valueInput) {
+    valueInput.value = discountValue || '';
+  }
+};
+
+const clearFieldErrors = (form) => {
+  if (!form) {
+    return;
+  }
+  form.querySelectorAll('.field__error').forEach((element) => element.remove());
+  form.querySelectorAll('[aria-invalid="true"]').forEach((input) => {
+    input.removeAttribute('aria-invalid');
+    input.classList.remove('is-invalid');
+  });
+};
+
+const showFieldErrors = (form, error, editor = null) => {
+  clearFieldErrors(form);
+  const unmatched = [];
+  let firstInvalid = null;
+  error.errors.forEach(({ field, message }) => {
+    const lineMatch = LINE_ITEM_FIELD_PATTERN.exec(field);
+    const input = lineMatch
+      ? editor?.rowAt(Number(lineMatch[1]))?.querySelector(`[data-field="${lineMatch[2]}"]`)
+      : form.querySelector(`[name="${field}"]`);
+    if (!input) {
+      unmatched.push(message);
+      return;
+    }
+    input.setAttribute('aria-invalid', 'true');
+    input.classList.add('is-invalid');
+    const hint = document.createElement('p');
+    hint.className = 'field__error';
+    hint.textContent = message;
+    input.insertAdjacentElement('afterend', hint);
+    firstInvalid = firstInvalid || input;
+  });
+  const feedback = form.querySelector('[data-feedback]');
+  if (feedback) {
+    feedback.textContent = unmatched.join(' ');
+  }
+  firstInvalid?.focus();
+};
+
 const setDateInputValue = (input, value) => {
   if (!input) {
     return;
@@ -131,12 +285,13 @@ const getLineItemTemplate = () => {
 };
 
 class LineItemEditor {
-  constructor(formElement, { onTotalsChange, services = [], gstRate = 0.1 }) {
+  constructor(formElement, { onTotalsChange, services = [], gstRate = 0.1, pricesIncludeTax = false }) {
     this.form = formElement;
     this.container = formElement.querySelector('[data-line-items-body]');
     this.onTotalsChange = typeof onTotalsChange === 'function' ? onTotalsChange : () => {};
     this.services = services;
     this.gstRate = gstRate;
+    this.pricesIncludeTax = Boolean(pricesIncludeTax);
     this.type = formElement.getAttribute('data-form');
     this.handleInputChange = this.handleInputChange.bind(this);
     this.handleRemoveClick = this.handleRemoveClick.bind(this);
@@ -149,6 +304,40 @@ class LineItemEditor {
     });
   }
 
+  setPricesIncludeTax(pricesIncludeTax) {
+    this.pricesIncludeTax = Boolean(pricesIncludeTax);
+    const toggle = this.form.querySelector('[name="pricesIncludeTax"]');
+    if (toggle) {
+      toggle.checked = this.pricesIncludeTax;
+    }
+    this.container.querySelectorAll('.line-item-row').forEach((row) => this.updateLineTotal(row));
+    this.emitTotals();
+  }
+
+  refreshTaxCodes() {
+    this.container.querySelectorAll('[data-field="taxCode"]').forEach((select) => {
+      this.populateTaxCodeOptions(select, select.value);
+    });
+  }
+
+  populateTaxCodeOptions(select, selectedCode) {
+    if (!select) {
+      return;
+    }
+    clearChildren(select);
+    const codes = TaxCodeManager.list();
+    if (selectedCode && !codes.some((entry) => entry.code === selectedCode)) {
+      codes.push({ code: selectedCode, label: 'Removed tax code' });
+    }
+    codes.forEach((entry) => {
+      const option = document.createElement('option');
+      option.value = entry.code;
+      option.textContent = `${entry.code} · ${entry.label}`;
+      select.appendChild(option);
+    });
+    select.value = selectedCode || TaxCodeManager.DEFAULT_CODE;
+  }
+
   populateServiceOptions(select, selectedId) {
     if (!select) {
       return;
@@ -162,9 +351,16 @@ class LineItemEditor {
 
     let foundSelected = false;
     this.services.forEach((service) => {
+      if (service.archivedAt && service.id !== resolvedId) {
+        return;
+      }
       const option = document.createElement('option');
       option.value = service.id;
-      option.textContent = `${service.description} (${formatCurrency(service.unitPrice)})`;
+      option.textContent = `${service.description} (${formatCurrency(service.unitPrice)}${
+        service.pricesIncludeTax ? ' inc. GST' : ''
+      })${
+        service.archivedAt ? ' · archived' : ''
+      }`;
       if (service.id === resolvedId) {
         option.selected = true;
         foundSelected = true;
@@ -195,9 +391,16 @@ class LineItemEditor {
     const descriptionInput = row.querySelector('[data-field="description"]');
     const quantityInput = row.querySelector('[data-field="quantity"]');
     const priceInput = row.querySelector('[data-field="unitPrice"]');
-    const gstCheckbox = row.querySelector('[data-field="gst"]');
+    const taxCodeSelect = row.querySelector('[data-field="taxCode"]');
+    const discountTypeSelect = row.querySelector('[data-field="discountType"]');
+    const discountValueInput = row.querySelector('[data-field="discountValue"]');
 
     this.populateServiceOptions(serviceSelect, initial.serviceId);
+    const hasTaxCode = Boolean(initial.taxCode) || initial.applyGst !== undefined;
+    this.populateTaxCodeOptions(
+      taxCodeSelect,
+      hasTaxCode ? TaxCodeManager.resolveCode(initial) : TaxCodeManager.DEFAULT_CODE
+    );
 
     if (initial.serviceId) {
       serviceSelect.value = initial.serviceId;
@@ -214,7 +417,11 @@ class LineItemEditor {
     if (initial.unitPrice !== undefined && initial.unitPrice !== null && initial.unitPrice !== '') {
       priceInput.value = initial.unitPrice;
     }
-    gstCheckbox.checked = initial.applyGst !== undefined ? Boolean(initial.applyGst) : true;
+    const initialDiscount = DiscountManager.normalize(initial);
+    if (initialDiscount.discountType) {
+      discountTypeSelect.value = initialDiscount.discountType;
+      discountValueInput.value = initialDiscount.discountValue;
+    }
 
     row.addEventListener('input', this.handleInputChange);
     row.addEventListener('change', this.handleInputChange);
@@ -223,8 +430,11 @@ class LineItemEditor {
       const service = this.services.find((item) => item.id === serviceSelect.value);
       if (service) {
         descriptionInput.value = service.description;
-        priceInput.value = service.unitPrice;
-        gstCheckbox.checked = true;
+        taxCodeSelect.value = TaxCodeManager.DEFAULT_CODE;
+        priceInput.value = ServiceManager.unitPriceFor(service, {
+          pricesIncludeTax: this.pricesIncludeTax,
+          taxCode: taxCodeSelect.value
+        });
         if (!quantityInput.value) {
           quantityInput.value = 1;
         }
@@ -267,10 +477,15 @@ class LineItemEditor {
   updateLineTotal(row) {
     const quantity = parseNumberInput(row.querySelector('[data-field="quantity"]'));
     const unitPrice = parseNumberInput(row.querySelector('[data-field="unitPrice"]'));
-    const applyGst = row.querySelector('[data-field="gst"]').checked;
-    const subtotal = Math.round(quantity * unitPrice * 100) / 100;
-    const gst = applyGst ? Math.round(subtotal * this.gstRate * 100) / 100 : 0;
-    const total = subtotal + gst;
+    const taxCode = row.querySelector('[data-field="taxCode"]').value;
+    const discountType = row.querySelector('[data-field="discountType"]').value;
+    const discountValue = parseNumberInput(row.querySelector('[data-field="discountValue"]'));
+    const { total } = Money.calculateTotals(
+      TaxCodeManager.applyRates([{ quantity, unitPrice, taxCode, discountType, discountValue }], {
+        gstRate: this.gstRate
+      }),
+      { rate: this.gstRate, pricesIncludeTax: this.pricesIncludeTax }
+    );
     const display = row.querySelector('[data-field="lineTotal"]');
     if (display) {
       display.textContent = formatCurrency(total);
@@ -282,30 +497,62 @@ class LineItemEditor {
     this.onTotalsChange(items);
   }
 
+  filledRows() {
+    return Array.from(this.container.querySelectorAll('.line-item-row')).filter(
+      (row) =>
+        row.querySelector('[data-field="description"]').value.trim() ||
+        row.querySelector('[data-field="service"]').value.trim()
+    );
+  }
+
+  rowAt(index) {
+    return this.filledRows()[index] || null;
+  }
+
   getItems() {
-    const rows = Array.from(this.container.querySelectorAll('.line-item-row'));
-    return rows
-      .map((row) => {
-        const description = row.querySelector('[data-field="description"]').value.trim();
-        const quantity = parseNumberInput(row.querySelector('[data-field="quantity"]'));
-        const unitPrice = parseNumberInput(row.querySelector('[data-field="unitPrice"]'));
-        const applyGst = row.querySelector('[data-field="gst"]').checked;
-        const serviceId = row.querySelector('[data-field="service"]').value.trim();
-        if (!description || quantity <= 0) {
-          return null;
-        }
-        return {
-          serviceId: serviceId || undefined,
-          description,
-          quantity,
-          unitPrice,
-          applyGst
-        };
-      })
-      .filter(Boolean);
+    return this.filledRows().map((row) => {
+      const serviceId = row.querySelector('[data-field="service"]').value.trim();
+      return {
+        serviceId: serviceId || undefined,
+        description: row.querySelector('[data-field="description"]').value.trim(),
+        quantity: parseNumberInput(row.querySelector('[data-field="quantity"]')),
+        unitPrice: parseNumberInput(row.querySelector('[data-field="unitPrice"]')),
+        discountType: row.querySelector('[data-field="discountType"]').value,
+        discountValue: parseNumberInput(row.querySelector('[data-field="discountValue"]')),
+        taxCode: row.querySelector('[data-field="taxCode"]').value
+      };
+    });
   }
 }
 
+const TABLE_PAGE_SIZE = 25;
+
+const PAGINATED_TABLE_RENDERERS = {
+  invoices: 'renderInvoices',
+  quotes: 'renderQuotes',
+  'payments-history': 'renderPayments'
+};
+
+const COLLECTION_RENDERERS = {
+  clients: ['renderInvoices', 'renderRecurringSchedules', 'renderQuotes', 'renderClients', 'renderTrash'],
+  services: ['renderServices', 'renderTrash'],
+  invoices: [
+    'renderInvoices',
+    'renderPayments',
+    'renderReports',
+    'renderDiscountReport',
+    'renderTrash',
+    'renderInvoiceHistory',
+    'renderCreditNotes',
+    'renderProfileSummary'
+  ],
+  quotes: ['renderQuotes', 'renderTrash'],
+  payments: ['renderPayments', 'renderReports', 'renderTrash', 'renderInvoiceHistory', 'renderProfileSummary'],
+  recurringSchedules: ['renderRecurringSchedules', 'renderTrash'],
+  creditNotes: ['renderCreditNotes', 'renderReports', 'renderTrash'],
+  settings: ['renderSettings', 'renderReports']
+};
+
 class ZantraApp {
   constructor() {
     this.state = {
@@ -315,9 +562,11 @@ class ZantraApp {
       quotes: [],
       payments: [],
       recurringSchedules: [],
+      creditNotes: [],
       settings: SettingsManager.get()
     };
     this.reportChart = null;
+    this.tablePages = Object.fromEntries(Object.keys(PAGINATED_TABLE_RENDERERS).map((table) => [table, 0]));
     this.invoiceFormInitialized = false;
     this.quoteFormInitialized = false;
     this.recurringFormInitialized = false;
@@ -332,12 +581,29 @@ class ZantraApp {
   }
 
   init() {
+    UserManager.restoreSession();
     this.cacheDom();
     this.setupNavigation();
     this.bindHeaderActions();
     this.bindBackupActions();
+    this.bindLegacyImportActions();
+    this.bindTrashActions();
+    this.bindDeleteConflictActions();
+    this.bindProfileActions();
+    this.bindEncryptionActions();
+    this.bindUserActions();
+    this.bindStorageActions();
+    this.bindIntegrityActions();
+    this.bindUndoActions();
+    this.bindPagination();
+    if (!DataManager.isLocked()) {
+      TrashManager.purgeExpired();
+    }
     this.refreshData();
     this.renderAll();
+    this.renderSession();
+    this.bindDataEvents();
+    this.stopAutoLock = EncryptionManager.startAutoLock();
     this.exposeGlobals();
   }
 
@@ -351,6 +617,7 @@ class ZantraApp {
     this.tablist = document.querySelector('.tabs');
     this.tabButtons = Array.from(document.querySelectorAll('.tabs [role="tab"]'));
     this.resumeSetupButton = document.querySelector('.resume-setup-btn');
+    this.profileSwitcher = document.querySelector('[data-profile-switcher]');
     this.newInvoiceButton = document.querySelector('.new-invoice-btn');
     this.sectionInvoiceButtons = Array.from(document.querySelectorAll('[data-action="open-invoice-form"]'));
     this.newRecurringButton = document.querySelector('[data-action="open-recurring-form"]');
@@ -368,9 +635,20 @@ class ZantraApp {
 
     this.dashboardOutstandingList = document.querySelector('[data-dashboard-outstanding]');
     this.dashboardRecurringList = document.querySelector('[data-dashboard-recurring]');
+    this.profileSummaryCard = document.querySelector('[data-table="profiles-summary"]');
+    this.profileSummaryBody = this.profileSummaryCard?.querySelector('tbody') ?? null;
+    this.profileSummaryFooter = this.profileSummaryCard?.querySelector('tfoot') ?? null;
 
     this.invoiceForm = document.querySelector('#invoice-form');
     this.invoiceListBody = document.querySelector('[data-table="invoices"] tbody');
+    this.invoiceStatusFilter = document.querySelector('[data-invoice-status-filter]');
+    this.invoiceHistoryPanel = document.querySelector('[data-invoice-history]');
+    this.invoiceHistoryTitle = document.querySelector('[data-invoice-history-title]');
+    this.invoiceHistoryList = document.querySelector('[data-invoice-history-list]');
+    this.creditNotePanel = document.querySelector('[data-credit-notes]');
+    this.creditNoteTitle = document.querySelector('[data-credit-notes-title]');
+    this.creditNoteListBody = document.querySelector('[data-credit-notes-list]');
+    this.creditNoteForm = this.creditNotePanel?.querySelector('[data-form="credit-note"]') ?? null;
 
     this.recurringForm = document.querySelector('#recurring-form');
     this.recurringListBody = document.querySelector('[data-table="recurring"] tbody');
@@ -383,6 +661,10 @@ class ZantraApp {
 
     this.serviceForm = document.querySelector('#service-form');
     this.serviceListBody = document.querySelector('[data-table="services"] tbody');
+    this.deleteConflictPanels = {
+      clients: document.querySelector('[data-delete-conflict="clients"]'),
+      services: document.querySelector('[data-delete-conflict="services"]')
+    };
 
     this.paymentOutstandingBody = document.querySelector('[data-table="payments-outstanding"] tbody');
     this.paymentHistoryBody = document.querySelector('[data-table="payments-history"] tbody');
@@ -392,7 +674,51 @@ class ZantraApp {
     this.backupRestoreButton = document.querySelector('[data-action="restore-backup"]');
     this.backupFileInput = document.querySelector('[data-backup-input]');
     this.backupStatus = document.querySelector('[data-backup-feedback]');
+    this.backupProfileSelect = document.querySelector('[data-backup-profile]');
+    this.profileList = document.querySelector('[data-profile-list]');
+    this.profileForm = document.querySelector('[data-profile-form]');
+    this.profileFeedback = document.querySelector('[data-profile-feedback]');
+    this.lockNowButton = document.querySelector('[data-action="lock-now"]');
+    this.sessionUser = document.querySelector('[data-session-user]');
+    this.signOutButton = document.querySelector('[data-action="sign-out"]');
+    this.signInScreen = document.querySelector('[data-sign-in-screen]');
+    this.signInForm = document.querySelector('[data-sign-in-form]');
+    this.signInFeedback = document.querySelector('[data-sign-in-feedback]');
+    this.signInTitle = document.querySelector('[data-sign-in-title]');
+    this.signInSubmit = document.querySelector('[data-sign-in-submit]');
+    this.signInSetupFields = Array.from(document.querySelectorAll('[data-sign-in-setup]'));
+    this.usersCard = document.querySelector('[data-users-card]');
+    this.userList = document.querySelector('[data-user-list]');
+    this.userForm = document.querySelector('[data-user-form]');
+    this.userFeedback = document.querySelector('[data-user-feedback]');
+    this.lockScreen = document.querySelector('[data-lock-screen]');
+    this.lockScreenBusiness = document.querySelector('[data-lock-screen-business]');
+    this.unlockForm = document.querySelector('[data-unlock-form]');
+    this.unlockFeedback = document.querySelector('[data-unlock-feedback]');
+    this.encryptionStatus = document.querySelector('[data-encryption-status]');
+    this.encryptionForms = {
+      enable: document.querySelector('[data-encryption-form="enable"]'),
+      change: document.querySelector('[data-encryption-form="change"]'),
+      disable: document.querySelector('[data-encryption-form="disable"]')
+    };
+    this.encryptionFeedback = document.querySelector('[data-encryption-feedback]');
+    this.storageWarning = document.querySelector('[data-storage-warning]');
+    this.storageWarningMessage = document.querySelector('[data-storage-warning-message]');
+    this.storageUsage = document.querySelector('[data-storage-usage]');
+    this.storageCollections = document.querySelector('[data-storage-collections]');
+    this.storageArchiveForm = document.querySelector('[data-storage-archive-form]');
+    this.storageFeedback = document.querySelector('[data-storage-feedback]');
+    this.integrityCheckButton = document.querySelector('[data-action="run-integrity-check"]');
+    this.integrityRepairAllButton = document.querySelector('[data-action="repair-all-integrity"]');
+    this.integrityList = document.querySelector('[data-integrity-list]');
+    this.integrityFeedback = document.querySelector('[data-integrity-feedback]');
+    this.legacyImportButton = document.querySelector('[data-action="import-legacy"]');
+    this.legacyImportStatus = document.querySelector('[data-legacy-import-feedback]');
+    this.legacyImportReport = document.querySelector('[data-legacy-import-report]');
+    this.trashListBody = document.querySelector('[data-table="trash"] tbody');
+    this.emptyTrashButton = document.querySelector('[data-action="empty-trash"]');
     this.reportCanvas = document.getElementById('reports-chart');
+    this.discountReportBody = document.querySelector('[data-discount-report] tbody');
     this.gstExportForm = document.querySelector('[data-gst-export-form]');
     this.gstExportStartInput = this.gstExportForm?.querySelector('[data-gst-export-start]') ?? null;
     this.gstExportEndInput = this.gstExportForm?.querySelector('[data-gst-export-end]') ?? null;
@@ -400,6 +726,12 @@ class ZantraApp {
     this.gstExportButton = this.gstExportForm?.querySelector('[data-action="download-gst-csv"]') ?? null;
 
     this.toastRegion = document.querySelector('[data-toast-region]');
+    this.paginationControls = new Map(
+      Object.keys(PAGINATED_TABLE_RENDERERS).map((table) => [
+        table,
+        document.querySelector(`[data-pagination="${table}"]`)
+      ])
+    );
 
     this.invoiceFormEditor = new LineItemEditor(this.invoiceForm, {
       onTotalsChange: (items) => this.updateInvoiceTotals(items),
@@ -429,6 +761,14 @@ class ZantraApp {
       });
     }
 
+    this.creditNoteEditor = this.creditNoteForm
+      ? new LineItemEditor(this.creditNoteForm, {
+          onTotalsChange: (items) => this.updateCreditNoteTotals(items),
+          services: this.state.services,
+          gstRate: this.state.settings.gstRate
+        })
+      : null;
+
     if (this.quoteListBody) {
       this.quoteListBody.addEventListener('click', this.handleQuoteListClick);
     }
@@ -611,7 +951,9 @@ class ZantraApp {
         try {
           setLoading(true);
           setStatus('Preparing backup...', 'loading');
-          const payload = await BackupManager.downloadBackup();
+          const payload = await BackupManager.downloadBackup({
+            profileId: this.backupProfileSelect?.value || DataManager.getProfileId()
+          });
           const exportedAt = describeExportedAt(payload.exportedAt);
           setStatus(
             exportedAt ? `Backup downloaded (${exportedAt}). Keep it in a safe place.` : 'Backup downloaded. Keep it in a safe place.',
@@ -643,12 +985,18 @@ class ZantraApp {
           setStatus('Restoring backup...', 'loading');
           const payload = await BackupManager.restoreBackup(file);
           const exportedAt = describeExportedAt(payload.exportedAt);
-          setStatus(
-            exportedAt ? `Backup restored (${exportedAt}).` : 'Backup restored successfully.',
-            'success'
-          );
-          this.refreshData();
-          this.renderAll();
+          if (payload.restored) {
+            const { invoices, payments, creditNotes } = payload.restored;
+            setStatus(
+              `Archive restored: ${invoices} invoice(s), ${payments} payment(s) and ${creditNotes} credit note(s).`,
+              'success'
+            );
+          } else {
+            setStatus(
+              exportedAt ? `Backup restored (${exportedAt}).` : 'Backup restored successfully.',
+              'success'
+            );
+          }
         } catch (error) {
           console.error(error);
           setStatus(error.message || 'Failed to restore backup.', 'error');
@@ -660,29 +1008,218 @@ class ZantraApp {
     }
   }
 
+  bindLegacyImportActions() {
+    if (!this.legacyImportButton) {
+      return;
+    }
+
+    const setStatus = (message = '', state = 'idle') => {
+      if (!this.legacyImportStatus) {
+        return;
+      }
+      this.legacyImportStatus.textContent = message;
+      if (!state || state === 'idle') {
+        this.legacyImportStatus.removeAttribute('data-state');
+      } else {
+        this.legacyImportStatus.setAttribute('data-state', state);
+      }
+    };
+
+    const sources = LegacyImportManager.detect();
+    if (!sources.length) {
+      this.legacyImportButton.disabled = true;
+      setStatus('No data from older Zantra screens was found on this device.');
+      return;
+    }
+    setStatus(`Found older data in: ${sources.map((source) => source.label).join(', ')}.`);
+
+    this.legacyImportButton.addEventListener('click', (event) => {
+      event.preventDefault();
+      try {
+        const report = LegacyImportManager.importAll();
+        setStatus(
+          `Imported ${report.imported.length}, merged ${report.merged.length}, skipped ${report.skipped.length}.`,
+          report.skipped.length ? 'warning' : 'success'
+        );
+        this.renderLegacyImportReport(report);
+      } catch (error) {
+        console.error(error);
+        setStatus(error.message || 'Unable to import older data.', 'error');
+      }
+    });
+  }
+
+  renderLegacyImportReport(report) {
+    if (!this.legacyImportReport) {
+      return;
+    }
+    clearChildren(this.legacyImportReport);
+    const describe = (entry) =>
+      `${entry.type}${entry.number ? ` ${entry.number}` : ''}${entry.legacyId ? ` (${entry.legacyId})` : ''}`;
+    const entries = [
+      ...report.imported.map((entry) => `Imported ${describe(entry)}`),
+      ...report.merged.map((entry) => `Merged ${describe(entry)} into an existing record`),
+      ...report.skipped.map((entry) => `Skipped ${describe(entry)}: ${entry.reason}`)
+    ];
+    entries.forEach((text) => {
+      const item = document.createElement('li');
+      item.textContent = text;
+      this.legacyImportReport.appendChild(item);
+    });
+    toggleHidden(this.legacyImportReport, !entries.length);
+  }
+
   refreshData() {
     this.recentlyGeneratedRecurringInvoices = RecurringInvoiceManager.executeDueSchedules();
-    this.state.clients = ClientManager.list();
-    this.state.services = ServiceManager.list();
-    this.state.invoices = InvoiceManager.list().map((invoice) => ({
-      ...invoice,
-      type: invoice.type || 'invoice'
-    }));
-    this.state.quotes = QuoteManager.list().map((quote) => ({
-      ...quote,
-      type: quote.type || 'quote'
-    }));
-    this.state.payments = PaymentManager.list();
-    this.state.recurringSchedules = RecurringInvoiceManager.list();
-    this.state.settings = SettingsManager.get();
-
-    this.invoiceFormEditor.refreshServices(this.state.services);
-    this.quoteFormEditor.refreshServices(this.state.services);
-    this.invoiceFormEditor.gstRate = this.state.settings.gstRate;
-    this.quoteFormEditor.gstRate = this.state.settings.gstRate;
-    if (this.recurringFormEditor) {
-      this.recurringFormEditor.refreshServices(this.state.services);
-      this.recurringFormEditor.gstRate = this.state.settings.gstRate;
+    Object.keys(DataManager.STORAGE_KEYS).forEach((collection) => this.refreshCollection(collection));
+  }
+
+  refreshCollection(collection) {
+    switch (collection) {
+      case 'clients':
+        this.state.clients = ClientManager.list();
+        break;
+      case 'services':
+        this.state.services = ServiceManager.list();
+        this.invoiceFormEditor.refreshServices(this.state.services);
+        this.quoteFormEditor.refreshServices(this.state.services);
+        this.recurringFormEditor?.refreshServices(this.state.services);
+        this.creditNoteEditor?.refreshServices(this.state.services);
+        break;
+      case 'invoices':
+        this.state.invoices = InvoiceManager.list().map((invoice) => ({
+          ...invoice,
+          type: invoice.type || 'invoice'
+        }));
+        break;
+      case 'quotes':
+        this.state.quotes = QuoteManager.list().map((quote) => ({
+          ...quote,
+          type: quote.type || 'quote'
+        }));
+        break;
+      case 'payments':
+        this.state.payments = PaymentManager.list();
+        break;
+      case 'recurringSchedules':
+        this.state.recurringSchedules = RecurringInvoiceManager.list();
+        break;
+      case 'creditNotes':
+        this.state.creditNotes = CreditNoteManager.list();
+        break;
+      case 'settings':
+        this.state.settings = SettingsManager.get();
+        [this.invoiceFormEditor, this.quoteFormEditor, this.recurringFormEditor, this.creditNoteEditor]
+          .filter(Boolean)
+          .forEach((editor) => {
+            editor.gstRate = this.state.settings.gstRate;
+            editor.refreshTaxCodes();
+          });
+        break;
+      default:
+        break;
+    }
+  }
+
+  bindDataEvents() {
+    this.unsubscribeDataEvents = DataManager.subscribe('*', (event) => this.handleDataEvent(event));
+    this.unsubscribeDashboardMetrics = ReportManager.subscribeToDashboardMetrics((metrics) =>
+      this.renderDashboard(metrics)
+    );
+    this.unsubscribeStaleWrites = DataManager.subscribe('sync:stale', () =>
+      this.showToast('This data was changed in another tab. Showing the latest version.', 'warning')
+    );
+    this.disableCrossTabSync = DataManager.enableCrossTabSync();
+  }
+
+  handleDataEvent(event) {
+    const collections = event.collection ? [event.collection] : event.collections || [];
+    const renderers = new Set();
+    if (event.type?.startsWith('profile:')) {
+      renderers.add('renderProfiles');
+      renderers.add('renderProfileSummary');
+    }
+    if (event.type?.startsWith('storage:') || event.type?.startsWith('encryption:')) {
+      renderers.add('renderEncryption');
+    }
+    if (event.type === 'storage:unlocked') {
+      TrashManager.purgeExpired();
+    }
+    if (['profile:switched', 'storage:locked', 'session:started', 'session:ended'].includes(event.type)) {
+      UndoManager.clear();
+    }
+    if (event.type === 'storage:error') {
+      this.showToast(
+        event.detail?.quotaExceeded
+          ? 'Storage on this device is full, so your latest changes were not saved. ' +
+              'Archive old paid invoices to free up space.'
+          : 'Your latest changes could not be saved on this device.',
+        'error'
+      );
+    }
+    if (collections.length || event.type?.startsWith('storage:') || event.type?.startsWith('profile:')) {
+      renderers.add('renderStorage');
+    }
+    if (event.type?.startsWith('user:') || event.type?.startsWith('session:')) {
+      renderers.add('renderSession');
+    }
+    if (event.type?.startsWith('session:')) {
+      renderers.add('renderReports');
+      renderers.add('renderProfileSummary');
+    }
+    collections.forEach((collection) => {
+      this.refreshCollection(collection);
+      (COLLECTION_RENDERERS[collection] || []).forEach((renderer) => renderers.add(renderer));
+    });
+    renderers.forEach((renderer) => this[renderer]());
+  }
+
+  bindPagination() {
+    this.paginationControls.forEach((control, table) => {
+      control?.addEventListener('click', (event) => {
+        const button = event.target.closest('[data-page]');
+        if (!button || button.disabled) {
+          return;
+        }
+        event.preventDefault();
+        const step = button.getAttribute('data-page') === 'next' ? 1 : -1;
+        this.tablePages[table] = Math.max(0, this.tablePages[table] + step);
+        this[PAGINATED_TABLE_RENDERERS[table]]();
+      });
+    });
+  }
+
+  queryPage(table, query) {
+    const run = () => query({ limit: TABLE_PAGE_SIZE, offset: this.tablePages[table] * TABLE_PAGE_SIZE });
+    let page = run();
+    const lastPage = Math.max(0, Math.ceil(page.total / TABLE_PAGE_SIZE) - 1);
+    if (this.tablePages[table] > lastPage) {
+      this.tablePages[table] = lastPage;
+      page = run();
+    }
+    this.renderPagination(table, page);
+    return page;
+  }
+
+  renderPagination(table, page) {
+    const control = this.paginationControls.get(table);
+    if (!control) {
+      return;
+    }
+    toggleHidden(control, page.total <= TABLE_PAGE_SIZE);
+    const summary = control.querySelector('[data-pagination-summary]');
+    if (summary) {
+      const first = page.total ? page.offset + 1 : 0;
+      const last = page.offset + page.items.length;
+      summary.textContent = `Showing ${first}–${last} of ${page.total}`;
+    }
+    const previous = control.querySelector('[data-page="previous"]');
+    const next = control.querySelector('[data-page="next"]');
+    if (previous) {
+      previous.disabled = page.offset === 0;
+    }
+    if (next) {
+      next.disabled = page.offset + page.items.length >= page.total;
     }
   }
 
@@ -695,12 +1232,16 @@ class ZantraApp {
     this.renderServices();
     this.renderPayments();
     this.renderReports();
+    this.renderDiscountReport();
     this.renderSettings();
+    this.renderTrash();
+    this.renderProfiles();
+    this.renderProfileSummary();
+    this.renderStorage();
     this.notifyRecurringGeneration();
   }
 
-  renderDashboard() {
-    const metrics = ReportManager.getDashboardMetrics();
+  renderDashboard(metrics = ReportManager.getDashboardMetrics()) {
     if (this.dashboardMetrics.openJobs) {
       this.dashboardMetrics.openJobs.textContent = metrics.openJobs.toString();
     }
@@ -799,10 +1340,241 @@ class ZantraApp {
     this.recentlyGeneratedRecurringInvoices = [];
   }
 
+  openInvoiceHistory(invoiceId) {
+    if (!this.invoiceHistoryPanel) {
+      return;
+    }
+    this.historyInvoiceId = invoiceId;
+    if (!this.invoiceHistoryInitialized) {
+      this.invoiceHistoryPanel
+        .querySelector('[data-action="close-invoice-history"]')
+        ?.addEventListener('click', (event) => {
+          event.preventDefault();
+          this.historyInvoiceId = null;
+          toggleHidden(this.invoiceHistoryPanel, true);
+        });
+      this.invoiceHistoryInitialized = true;
+    }
+    toggleHidden(this.invoiceHistoryPanel, false);
+    this.renderInvoiceHistory();
+    this.invoiceHistoryPanel.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  }
+
+  renderInvoiceHistory() {
+    if (!this.invoiceHistoryList || !this.historyInvoiceId) {
+      return;
+    }
+    const invoice =
+      this.state.invoices.find((item) => item.id === this.historyInvoiceId) ||
+      DataManager.listDeleted('invoices').find((item) => item.id === this.historyInvoiceId);
+    if (this.invoiceHistoryTitle) {
+      this.invoiceHistoryTitle.textContent = invoice ? `History · ${invoice.number}` : 'History';
+    }
+    clearChildren(this.invoiceHistoryList);
+    const entries = AuditLogManager.forInvoice(this.historyInvoiceId);
+    if (!entries.length) {
+      const empty = document.createElement('li');
+      empty.textContent = 'No changes recorded for this invoice yet.';
+      this.invoiceHistoryList.appendChild(empty);
+      return;
+    }
+    entries.forEach((entry) => {
+      const item = document.createElement('li');
+      const summary = document.createElement('span');
+      summary.textContent = AuditLogManager.describe(entry);
+      const meta = document.createElement('span');
+      meta.className = 'invoice-history__meta';
+      const timestamp = new Date(entry.timestamp);
+      const actorName = entry.actor?.name || 'Unknown';
+      meta.textContent = `${formatDate(entry.timestamp)} ${timestamp.toLocaleTimeString()} · ${actorName}`;
+      item.append(summary, meta);
+      this.invoiceHistoryList.appendChild(item);
+    });
+  }
+
+  openCreditNotes(invoiceId) {
+    if (!this.creditNotePanel) {
+      return;
+    }
+    this.creditNoteInvoiceId = invoiceId;
+    if (!this.creditNotesInitialized) {
+      this.creditNotePanel.querySelector('[data-action="close-credit-notes"]')?.addEventListener('click', (event) => {
+        event.preventDefault();
+        this.creditNoteInvoiceId = null;
+        toggleHidden(this.creditNotePanel, true);
+      });
+      this.creditNoteForm?.addEventListener('submit', (event) => {
+        event.preventDefault();
+        this.handleCreditNoteSubmit();
+      });
+      this.creditNoteForm?.querySelector('[data-action="add-line"]')?.addEventListener('click', (event) => {
+        event.preventDefault();
+        this.creditNoteEditor.addRow();
+      });
+      this.creditNoteListBody?.addEventListener('click', (event) => this.handleCreditNoteListClick(event));
+      this.creditNotesInitialized = true;
+    }
+    this.resetCreditNoteForm();
+    toggleHidden(this.creditNotePanel, false);
+    this.renderCreditNotes();
+    this.creditNotePanel.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  }
+
+  resetCreditNoteForm() {
+    if (!this.creditNoteForm) {
+      return;
+    }
+    this.creditNoteForm.reset();
+    clearFieldErrors(this.creditNoteForm);
+    setDateInputValue(this.creditNoteForm.querySelector('[name="issueDate"]'), new Date());
+    const invoice = this.state.invoices.find((item) => item.id === this.creditNoteInvoiceId);
+    this.creditNoteEditor.pricesIncludeTax = Boolean(invoice?.pricesIncludeTax);
+    this.creditNoteEditor.removeAll();
+    this.creditNoteEditor.addRow();
+  }
+
+  renderCreditNotes() {
+    if (!this.creditNoteListBody || !this.creditNoteInvoiceId) {
+      return;
+    }
+    const invoice = this.state.invoices.find((item) => item.id === this.creditNoteInvoiceId);
+    if (!invoice) {
+      this.creditNoteInvoiceId = null;
+      toggleHidden(this.creditNotePanel, true);
+      return;
+    }
+    if (this.creditNoteTitle) {
+      this.creditNoteTitle.textContent = `Credit notes · ${invoice.number}`;
+    }
+    clearChildren(this.creditNoteListBody);
+    const creditNotes = this.state.creditNotes.filter((creditNote) => creditNote.invoiceId === invoice.id);
+    if (!creditNotes.length) {
+      const emptyRow = document.createElement('tr');
+      const cell = document.createElement('td');
+      cell.colSpan = 5;
+      cell.textContent = 'No credit notes issued for this invoice yet.';
+      emptyRow.appendChild(cell);
+      this.creditNoteListBody.appendChild(emptyRow);
+    }
+    creditNotes.forEach((creditNote) => {
+      const row = document.createElement('tr');
+      row.innerHTML = `
+        <td>${creditNote.number}</td>
+        <td>${formatDate(creditNote.issueDate)}</td>
+        <td data-field="reason"></td>
+        <td class="text-right">${formatCurrency(creditNote.total)}</td>
+        <td class="text-right">
+          <div class="table-actions">
+            <button class="btn btn--sm btn--ghost" data-action="print-credit-note" data-id="${creditNote.id}">
+              Print
+            </button>
+            <button class="btn btn--sm btn--destructive" data-action="delete-credit-note" data-id="${creditNote.id}">
+              Delete
+            </button>
+          </div>
+        </td>
+      `;
+      row.querySelector('[data-field="reason"]').textContent = creditNote.reason || '—';
+      this.creditNoteListBody.appendChild(row);
+    });
+    toggleHidden(this.creditNoteForm, !(InvoiceManager.isIssued(invoice) && invoice.balanceDue > 0));
+    this.updateCreditNoteTotals(this.creditNoteEditor?.getItems());
+  }
+
+  updateCreditNoteTotals(items) {
+    if (!this.creditNoteForm) {
+      return;
+    }
+    const invoice = this.state.invoices.find((item) => item.id === this.creditNoteInvoiceId);
+    const totals = InvoiceManager.calculateTotals(
+      Array.isArray(items) ? items : [],
+      this.state.settings.gstRate,
+      invoice?.gstRounding,
+      Boolean(invoice?.pricesIncludeTax)
+    );
+    const balance = this.creditNoteForm.querySelector('[data-credit-total="balance"]');
+    const total = this.creditNoteForm.querySelector('[data-credit-total="total"]');
+    if (balance) balance.textContent = formatCurrency(invoice?.balanceDue ?? 0);
+    if (total) total.textContent = formatCurrency(totals.total);
+  }
+
+  handleCreditNoteSubmit() {
+    const form = this.creditNoteForm;
+    if (!form || !this.creditNoteInvoiceId) {
+      return;
+    }
+    const feedback = form.querySelector('[data-feedback]');
+    if (feedback) {
+      feedback.textContent = '';
+    }
+    clearFieldErrors(form);
+    try {
+      const creditNote = UndoManager.record(
+        (saved) => `Credit note ${saved?.number || ''} issued`,
+        () =>
+          CreditNoteManager.create({
+            invoiceId: this.creditNoteInvoiceId,
+            issueDate: form.querySelector('[name="issueDate"]').value,
+            reason: form.querySelector('[name="reason"]').value,
+            lineItems: this.creditNoteEditor.getItems()
+          })
+      );
+      this.showToast(`Credit note ${creditNote.number} issued.`, 'success');
+      this.resetCreditNoteForm();
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        showFieldErrors(form, error, this.creditNoteEditor);
+        return;
+      }
+      console.error('Failed to issue credit note:', error);
+      if (feedback) {
+        feedback.textContent = error.message || 'Unable to issue the credit note. Please try again.';
+      }
+    }
+  }
+
+  handleCreditNoteListClick(event) {
+    const button = event.target.closest('[data-action]');
+    if (!button) {
+      return;
+    }
+    event.preventDefault();
+    const creditNote = CreditNoteManager.findById(button.getAttribute('data-id'));
+    if (!creditNote) {
+      return;
+    }
+    if (button.getAttribute('data-action') === 'print-credit-note') {
+      try {
+        const client = ClientManager.findById(creditNote.clientId) || null;
+        InvoiceDocumentManager.printCreditNote(creditNote, client, this.state.settings);
+      } catch (error) {
+        console.error(error);
+        this.showToast('Unable to open print preview. Check your pop-up settings.', 'error');
+      }
+      return;
+    }
+    if (button.getAttribute('data-action') === 'delete-credit-note') {
+      if (!window.confirm(`Delete credit note ${creditNote.number}? The amount will be owed on the invoice again.`)) {
+        return;
+      }
+      try {
+        UndoManager.record(`Credit note ${creditNote.number} deleted`, () => CreditNoteManager.remove(creditNote.id));
+        this.showToast('Credit note moved to the trash.', 'info', {
+          actionLabel: 'Undo',
+          onAction: () => this.undoLastAction()
+        });
+      } catch (error) {
+        console.error(error);
+        this.showToast(error.message, 'error');
+      }
+    }
+  }
+
   toggleInvoiceForm(visible, invoice = null) {
     if (!this.invoiceForm) {
       return;
     }
+    clearFieldErrors(this.invoiceForm);
     const feedback = this.invoiceForm.querySelector('[data-feedback]');
     if (feedback) {
       feedback.textContent = '';
@@ -817,24 +1589,32 @@ class ZantraApp {
         idField.value = '';
       }
       delete this.invoiceForm.dataset.mode;
+      delete this.invoiceForm.dataset.revision;
       return;
     }
 
     toggleHidden(this.invoiceForm, false);
     this.invoiceForm.reset();
     this.invoiceFormEditor.removeAll();
+    toggleHidden(
+      this.invoiceForm.querySelector('[data-invoice-draft-button]'),
+      Boolean(invoice) && invoice.status !== 'draft'
+    );
 
     if (invoice) {
       this.invoiceForm.dataset.mode = 'edit';
+      this.invoiceForm.dataset.revision = String(invoice.revision ?? 0);
       if (idField) {
         idField.value = invoice.id;
       }
       this.populateInvoiceForm(invoice);
     } else {
       this.invoiceForm.dataset.mode = 'create';
+      delete this.invoiceForm.dataset.revision;
       if (idField) {
         idField.value = '';
       }
+      this.invoiceFormEditor.setPricesIncludeTax(this.state.settings.pricesIncludeTax);
       this.invoiceFormEditor.addRow();
       const issueInput = this.invoiceForm.querySelector('[name="issueDate"]');
       const dueInput = this.invoiceForm.querySelector('[name="dueDate"]');
@@ -866,6 +1646,8 @@ class ZantraApp {
       notesInput.value = invoice.notes || '';
     }
 
+    setDocumentDiscount(this.invoiceForm, invoice);
+    this.invoiceFormEditor.setPricesIncludeTax(invoice.pricesIncludeTax);
     if (Array.isArray(invoice.lineItems) && invoice.lineItems.length) {
       invoice.lineItems.forEach((item) => {
         this.invoiceFormEditor.addRow({
@@ -873,7 +1655,9 @@ class ZantraApp {
           description: item.description,
           quantity: item.quantity,
           unitPrice: item.unitPrice,
-          applyGst: item.applyGst
+          discountType: item.discountType,
+          discountValue: item.discountValue,
+          taxCode: TaxCodeManager.resolveCode(item)
         });
       });
     } else {
@@ -886,6 +1670,7 @@ class ZantraApp {
     if (!this.recurringForm) {
       return;
     }
+    clearFieldErrors(this.recurringForm);
     const feedback = this.recurringForm.querySelector('[data-feedback]');
     if (feedback) {
       feedback.textContent = '';
@@ -900,6 +1685,7 @@ class ZantraApp {
         idField.value = '';
       }
       delete this.recurringForm.dataset.mode;
+      delete this.recurringForm.dataset.revision;
       return;
     }
 
@@ -909,12 +1695,14 @@ class ZantraApp {
 
     if (schedule) {
       this.recurringForm.dataset.mode = 'edit';
+      this.recurringForm.dataset.revision = String(schedule.revision ?? 0);
       if (idField) {
         idField.value = schedule.id;
       }
       this.populateRecurringForm(schedule);
     } else {
       this.recurringForm.dataset.mode = 'create';
+      delete this.recurringForm.dataset.revision;
       if (idField) {
         idField.value = '';
       }
@@ -935,6 +1723,7 @@ class ZantraApp {
           frequencySelect.value = preferred.value;
         }
       }
+      this.recurringFormEditor?.setPricesIncludeTax(this.state.settings.pricesIncludeTax);
       this.recurringFormEditor?.addRow();
       this.updateRecurringTotals(this.recurringFormEditor ? this.recurringFormEditor.getItems() : []);
     }
@@ -973,6 +1762,8 @@ class ZantraApp {
       notesInput.value = schedule.notes || '';
     }
 
+    setDocumentDiscount(this.recurringForm, schedule);
+    this.recurringFormEditor?.setPricesIncludeTax(schedule.pricesIncludeTax);
     if (Array.isArray(schedule.lineItems) && schedule.lineItems.length) {
       schedule.lineItems.forEach((item) => {
         this.recurringFormEditor?.addRow({
@@ -980,7 +1771,9 @@ class ZantraApp {
           description: item.description,
           quantity: item.quantity,
           unitPrice: item.unitPrice,
-          applyGst: item.applyGst
+          discountType: item.discountType,
+          discountValue: item.discountValue,
+          taxCode: TaxCodeManager.resolveCode(item)
         });
       });
     } else {
@@ -993,6 +1786,7 @@ class ZantraApp {
     if (!this.quoteForm) {
       return;
     }
+    clearFieldErrors(this.quoteForm);
     const feedback = this.quoteForm.querySelector('[data-feedback]');
     if (feedback) {
       feedback.textContent = '';
@@ -1007,6 +1801,7 @@ class ZantraApp {
         idField.value = '';
       }
       delete this.quoteForm.dataset.mode;
+      delete this.quoteForm.dataset.revision;
       return;
     }
 
@@ -1016,15 +1811,18 @@ class ZantraApp {
 
     if (quote) {
       this.quoteForm.dataset.mode = 'edit';
+      this.quoteForm.dataset.revision = String(quote.revision ?? 0);
       if (idField) {
         idField.value = quote.id;
       }
       this.populateQuoteForm(quote);
     } else {
       this.quoteForm.dataset.mode = 'create';
+      delete this.quoteForm.dataset.revision;
       if (idField) {
         idField.value = '';
       }
+      this.quoteFormEditor.setPricesIncludeTax(this.state.settings.pricesIncludeTax);
       this.quoteFormEditor.addRow();
       const issueInput = this.quoteForm.querySelector('[name="issueDate"]');
       const validInput = this.quoteForm.querySelector('[name="validUntil"]');
@@ -1056,6 +1854,8 @@ class ZantraApp {
       notesInput.value = quote.notes || '';
     }
 
+    setDocumentDiscount(this.quoteForm, quote);
+    this.quoteFormEditor.setPricesIncludeTax(quote.pricesIncludeTax);
     if (Array.isArray(quote.lineItems) && quote.lineItems.length) {
       quote.lineItems.forEach((item) => {
         this.quoteFormEditor.addRow({
@@ -1063,7 +1863,9 @@ class ZantraApp {
           description: item.description,
           quantity: item.quantity,
           unitPrice: item.unitPrice,
-          applyGst: item.applyGst
+          discountType: item.discountType,
+          discountValue: item.discountValue,
+          taxCode: TaxCodeManager.resolveCode(item)
         });
       });
     } else {
@@ -1073,10 +1875,18 @@ class ZantraApp {
   }
 
   updateInvoiceTotals(items) {
-    const totals = InvoiceManager.calculateTotals(items, this.state.settings.gstRate);
+    const totals = InvoiceManager.calculateTotals(
+      items,
+      this.state.settings.gstRate,
+      undefined,
+      Boolean(this.invoiceFormEditor?.pricesIncludeTax),
+      DiscountManager.toOption(readDocumentDiscount(this.invoiceForm))
+    );
+    const discount = this.invoiceForm.querySelector('[data-total="discount"]');
     const subtotal = this.invoiceForm.querySelector('[data-total="subtotal"]');
     const gst = this.invoiceForm.querySelector('[data-total="gst"]');
     const total = this.invoiceForm.querySelector('[data-total="total"]');
+    if (discount) discount.textContent = formatCurrency(-totals.discountTotal);
     if (subtotal) subtotal.textContent = formatCurrency(totals.subtotal);
     if (gst) gst.textContent = formatCurrency(totals.gstTotal);
     if (total) total.textContent = formatCurrency(totals.total);
@@ -1087,10 +1897,18 @@ class ZantraApp {
       return;
     }
     const lineItems = Array.isArray(items) ? items : [];
-    const totals = InvoiceManager.calculateTotals(lineItems, this.state.settings.gstRate);
+    const totals = InvoiceManager.calculateTotals(
+      lineItems,
+      this.state.settings.gstRate,
+      undefined,
+      Boolean(this.recurringFormEditor?.pricesIncludeTax),
+      DiscountManager.toOption(readDocumentDiscount(this.recurringForm))
+    );
+    const discount = this.recurringForm.querySelector('[data-recurring-total="discount"]');
     const subtotal = this.recurringForm.querySelector('[data-recurring-total="subtotal"]');
     const gst = this.recurringForm.querySelector('[data-recurring-total="gst"]');
     const total = this.recurringForm.querySelector('[data-recurring-total="total"]');
+    if (discount) discount.textContent = formatCurrency(-totals.discountTotal);
     if (subtotal) subtotal.textContent = formatCurrency(totals.subtotal);
     if (gst) gst.textContent = formatCurrency(totals.gstTotal);
     if (total) total.textContent = formatCurrency(totals.total);
@@ -1111,7 +1929,8 @@ class ZantraApp {
       this.state.clients.forEach((client) => {
         const option = document.createElement('option');
         option.value = client.id;
-        option.textContent = `${client.businessName} (${client.name})`;
+        option.textContent = `${client.businessName} (${client.name})${client.archivedAt ? ' · archived' : ''}`;
+        option.disabled = Boolean(client.archivedAt);
         clientSelect.appendChild(option);
       });
     }
@@ -1119,7 +1938,15 @@ class ZantraApp {
     if (!this.invoiceFormInitialized) {
       this.invoiceForm.addEventListener('submit', (event) => {
         event.preventDefault();
-        this.handleInvoiceSubmit();
+        this.handleInvoiceSubmit(event.submitter?.dataset.intent);
+      });
+      this.invoiceForm.querySelector('[name="pricesIncludeTax"]')?.addEventListener('change', (event) => {
+        this.invoiceFormEditor.setPricesIncludeTax(event.target.checked);
+      });
+      ['discountType', 'discountValue'].forEach((name) => {
+        this.invoiceForm.querySelector(`[name="${name}"]`)?.addEventListener('input', () => {
+          this.updateInvoiceTotals(this.invoiceFormEditor.getItems());
+        });
       });
       this.invoiceForm.querySelector('[data-action="add-line"]').addEventListener('click', (event) => {
         event.preventDefault();
@@ -1129,63 +1956,100 @@ class ZantraApp {
         event.preventDefault();
         this.toggleInvoiceForm(false);
       });
+      this.invoiceStatusFilter?.addEventListener('change', () => {
+        this.tablePages.invoices = 0;
+        this.renderInvoices();
+      });
       this.invoiceFormInitialized = true;
     }
 
     clearChildren(this.invoiceListBody);
-    if (!this.state.invoices.length) {
+    const statusFilter = this.invoiceStatusFilter?.value || '';
+    const invoicePage = this.queryPage('invoices', (options) =>
+      InvoiceManager.query({ ...options, status: statusFilter || undefined, sort: '-issueDate' })
+    );
+    if (!invoicePage.total) {
       const emptyRow = document.createElement('tr');
       const cell = document.createElement('td');
       cell.colSpan = 7;
-      cell.textContent = 'No invoices recorded yet.';
+      cell.textContent = statusFilter ? 'No invoices match this status.' : 'No invoices recorded yet.';
       emptyRow.appendChild(cell);
       this.invoiceListBody.appendChild(emptyRow);
     } else {
-      this.state.invoices
-        .sort((a, b) => Date.parse(b.issueDate) - Date.parse(a.issueDate))
-        .forEach((invoice) => {
-          const row = document.createElement('tr');
-          let statusMarkup = `<span class="status-pill status-pill--warning">Unpaid</span>`;
-          if (invoice.status === 'paid') {
-            statusMarkup = `<span class="status-pill status-pill--success">Paid</span>`;
-          } else if (invoice.status === 'partial') {
-            statusMarkup = `<span class="status-pill status-pill--info">Partial</span>`;
-          }
-          const balanceMeta =
-            invoice.status !== 'paid' && (invoice.balanceDue ?? invoice.total) > 0
-              ? `<div class="status-meta">Balance ${formatCurrency(invoice.balanceDue ?? invoice.total)}</div>`
-              : '';
-          const actions = [
-            `<button class="btn btn--sm btn--ghost" data-action="print" data-id="${invoice.id}">Print</button>`,
-            `<button class="btn btn--sm btn--secondary" data-action="email" data-id="${invoice.id}">Email</button>`,
-            `<button class="btn btn--sm btn--ghost" data-action="edit" data-id="${invoice.id}">Edit</button>`,
-            `<button class="btn btn--sm btn--ghost" data-action="download" data-id="${invoice.id}">Download PDF</button>`,
-            `<button class="btn btn--sm btn--ghost" data-action="email" data-id="${invoice.id}">Email</button>`,
-            (invoice.balanceDue ?? invoice.total) > 0
-              ? `<button class="btn btn--sm btn--primary" data-action="mark-paid" data-id="${invoice.id}">Mark paid</button>`
-              : '',
-            `<button class="btn btn--sm btn--destructive" data-action="delete" data-id="${invoice.id}">Delete</button>`
-          ]
-            .filter(Boolean)
-            .join('');
-          const paidMeta =
-            invoice.status === 'paid' && invoice.paidAt
-              ? `<div class="status-meta">Paid ${formatDate(invoice.paidAt)}</div>`
-              : '';
-          row.innerHTML = `
-            <td>${invoice.number}</td>
-            <td>${invoice.clientName}</td>
-            <td>${formatDate(invoice.issueDate)}</td>
-            <td>${formatDate(invoice.dueDate)}</td>
-            <td>${formatCurrency(invoice.total)}</td>
-            <td>${statusMarkup}${paidMeta}${balanceMeta}</td>
-            <td class="text-right">
-              <div class="table-actions">${actions}</div>
-              <p class="table-actions__message error" data-role="actions-message" role="status" aria-live="polite" hidden></p>
-            </td>
-          `;
-          this.invoiceListBody.appendChild(row);
-        });
+      invoicePage.items.forEach((invoice) => {
+        const row = document.createElement('tr');
+        const [pillVariant, pillLabel] =
+          INVOICE_STATUS_PILLS[invoice.displayStatus || invoice.status] || INVOICE_STATUS_PILLS.unpaid;
+        const statusMarkup = `<span class="status-pill status-pill--${pillVariant}">${pillLabel}</span>`;
+        const balanceMeta =
+          invoice.status !== 'paid' && (invoice.balanceDue ?? invoice.total) > 0
+            ? `<div class="status-meta">Balance ${formatCurrency(invoice.balanceDue ?? invoice.total)}</div>`
+            : '';
+        const transitions = InvoiceManager.allowedTransitions(invoice.id);
+        const lifecycleActions = INVOICE_LIFECYCLE_ACTIONS.filter(({ target }) => transitions.includes(target)).map(
+          ({ action, label }) =>
+            `<button class="btn btn--sm btn--ghost" data-action="${action}" data-id="${invoice.id}">${label}</button>`
+        );
+        const actions = [
+          `<button class="btn btn--sm btn--ghost" data-action="print" data-id="${invoice.id}">Print</button>`,
+          `<button class="btn btn--sm btn--secondary" data-action="email" data-id="${invoice.id}">Email</button>`,
+          invoice.status !== 'void'
+            ? `<button class="btn btn--sm btn--ghost" data-action="edit" data-id="${invoice.id}">Edit</button>`
+            : '',
+          `<button class="btn btn--sm btn--ghost" data-action="download" data-id="${invoice.id}">Download PDF</button>`,
+          `<button class="btn btn--sm btn--ghost" data-action="history" data-id="${invoice.id}">History</button>`,
+          `<button class="btn btn--sm btn--ghost" data-action="email" data-id="${invoice.id}">Email</button>`,
+          InvoiceManager.isIssued(invoice)
+            ? `<button class="btn btn--sm btn--ghost" data-action="credit-notes" data-id="${invoice.id}">
+                Credit notes
+              </button>`
+            : '',
+          ...lifecycleActions,
+          (invoice.balanceDue ?? invoice.total) > 0
+            ? `<button class="btn btn--sm btn--primary" data-action="mark-paid" data-id="${invoice.id}">
+                Mark paid
+              </button>`
+            : '',
+          `<button class="btn btn--sm btn--destructive" data-action="delete" data-id="${invoice.id}">Delete</button>`
+        ]
+          .filter(Boolean)
+          .join('');
+        const paidMeta =
+          invoice.status === 'paid' && invoice.paidAt
+            ? `<div class="status-meta">Paid ${formatDate(invoice.paidAt)}</div>`
+            : '';
+        const creditMeta =
+          invoice.creditedTotal > 0
+            ? `<div class="status-meta">Credited ${formatCurrency(invoice.creditedTotal)}</div>`
+            : '';
+        const lifecycleMeta = [
+          invoice.sentAt && invoice.status !== 'void' ? `Sent ${formatDate(invoice.sentAt)}` : '',
+          invoice.viewedAt && invoice.status !== 'void' ? `Viewed ${formatDate(invoice.viewedAt)}` : '',
+          invoice.voidedAt ? `Voided ${formatDate(invoice.voidedAt)}` : ''
+        ]
+          .filter(Boolean)
+          .map((text) => `<div class="status-meta">${text}</div>`)
+          .join('');
+        row.innerHTML = `
+          <td>${invoice.number || '<span class="status-meta">Not numbered</span>'}</td>
+          <td>${invoice.clientName}</td>
+          <td>${formatDate(invoice.issueDate)}</td>
+          <td>${formatDate(invoice.dueDate)}</td>
+          <td>${formatCurrency(invoice.total)}</td>
+          <td>${statusMarkup}${paidMeta}${lifecycleMeta}${creditMeta}${balanceMeta}</td>
+          <td class="text-right">
+            <div class="table-actions">${actions}</div>
+            <p
+              class="table-actions__message error"
+              data-role="actions-message"
+              role="status"
+              aria-live="polite"
+              hidden
+            ></p>
+          </td>
+        `;
+        this.invoiceListBody.appendChild(row);
+      });
 
       const getMessageElement = (button) =>
         button.closest('td')?.querySelector('[data-role="actions-message"]') ?? null;
@@ -1214,9 +2078,9 @@ class ZantraApp {
             if (amountDue <= 0) {
               return;
             }
-            PaymentManager.recordPayment(invoiceId, amountDue, new Date());
-            this.refreshData();
-            this.renderAll();
+            UndoManager.record(`Payment recorded for ${invoice.number}`, () =>
+              PaymentManager.recordPayment(invoiceId, amountDue, new Date())
+            );
             showMessage(getMessageElement(button), '');
           } catch (error) {
             console.error(error);
@@ -1224,6 +2088,28 @@ class ZantraApp {
         });
       });
 
+      INVOICE_LIFECYCLE_ACTIONS.forEach(({ action, ask, run, describe, toast }) => {
+        this.invoiceListBody.querySelectorAll(`[data-action="${action}"]`).forEach((button) => {
+          button.addEventListener('click', (event) => {
+            event.preventDefault();
+            const invoiceId = button.getAttribute('data-id');
+            const messageElement = getMessageElement(button);
+            showMessage(messageElement, '');
+            const answer = ask ? ask() : '';
+            if (answer === null) {
+              return;
+            }
+            try {
+              const invoice = UndoManager.record(describe, () => run(invoiceId, answer));
+              this.showToast(toast(invoice), 'success');
+            } catch (error) {
+              console.error(error);
+              showMessage(messageElement, error.message);
+            }
+          });
+        });
+      });
+
       this.invoiceListBody.querySelectorAll('[data-action="print"]').forEach((button) => {
         button.addEventListener('click', (event) => {
           event.preventDefault();
@@ -1288,23 +2174,40 @@ class ZantraApp {
         });
       });
 
-      this.invoiceListBody.querySelectorAll('[data-action="delete"]').forEach((button) => {
+      this.invoiceListBody.querySelectorAll('[data-action="history"]').forEach((button) => {
         button.addEventListener('click', (event) => {
           event.preventDefault();
-          const invoiceId = button.getAttribute('data-id');
-          InvoiceManager.remove(invoiceId);
-          this.refreshData();
-          this.renderAll();
+          this.openInvoiceHistory(button.getAttribute('data-id'));
         });
       });
 
-      this.invoiceListBody.querySelectorAll('[data-action="download"]').forEach((button) => {
-        button.addEventListener('click', async (event) => {
+      this.invoiceListBody.querySelectorAll('[data-action="credit-notes"]').forEach((button) => {
+        button.addEventListener('click', (event) => {
           event.preventDefault();
-          const invoiceId = button.getAttribute('data-id');
-          if (!invoiceId) {
-            return;
-          }
+          this.openCreditNotes(button.getAttribute('data-id'));
+        });
+      });
+
+      this.invoiceListBody.querySelectorAll('[data-action="delete"]').forEach((button) => {
+        button.addEventListener('click', (event) => {
+          event.preventDefault();
+          const invoiceId = button.getAttribute('data-id');
+          const invoice = this.state.invoices.find((item) => item.id === invoiceId);
+          UndoManager.record(`Invoice ${invoice?.number || ''} deleted`, () => InvoiceManager.remove(invoiceId));
+          this.showToast('Invoice moved to the trash.', 'info', {
+            actionLabel: 'Undo',
+            onAction: () => this.undoLastAction()
+          });
+        });
+      });
+
+      this.invoiceListBody.querySelectorAll('[data-action="download"]').forEach((button) => {
+        button.addEventListener('click', async (event) => {
+          event.preventDefault();
+          const invoiceId = button.getAttribute('data-id');
+          if (!invoiceId) {
+            return;
+          }
           try {
             await InvoiceDocumentManager.downloadPdf(invoiceId);
           } catch (error) {
@@ -1356,7 +2259,8 @@ class ZantraApp {
       this.state.clients.forEach((client) => {
         const option = document.createElement('option');
         option.value = client.id;
-        option.textContent = `${client.businessName} (${client.name})`;
+        option.textContent = `${client.businessName} (${client.name})${client.archivedAt ? ' · archived' : ''}`;
+        option.disabled = Boolean(client.archivedAt);
         clientSelect.appendChild(option);
       });
       if (currentValue) {
@@ -1390,6 +2294,14 @@ class ZantraApp {
         event.preventDefault();
         this.handleRecurringSubmit();
       });
+      this.recurringForm.querySelector('[name="pricesIncludeTax"]')?.addEventListener('change', (event) => {
+        this.recurringFormEditor?.setPricesIncludeTax(event.target.checked);
+      });
+      ['discountType', 'discountValue'].forEach((name) => {
+        this.recurringForm.querySelector(`[name="${name}"]`)?.addEventListener('input', () => {
+          this.updateRecurringTotals(this.recurringFormEditor ? this.recurringFormEditor.getItems() : []);
+        });
+      });
       const addLineButton = this.recurringForm.querySelector('[data-action="add-line"]');
       addLineButton?.addEventListener('click', (event) => {
         event.preventDefault();
@@ -1471,8 +2383,6 @@ class ZantraApp {
           return;
         }
         this.showToast(`Invoice generated from ${outcome.schedule.name}.`, 'success');
-        this.refreshData();
-        this.renderAll();
       });
     });
 
@@ -1483,19 +2393,20 @@ class ZantraApp {
         if (!scheduleId) {
           return;
         }
-        const confirmed = window.confirm('Delete this recurring schedule? This action cannot be undone.');
+        const confirmed = window.confirm('Delete this recurring schedule?');
         if (!confirmed) {
           return;
         }
-        RecurringInvoiceManager.remove(scheduleId);
-        this.refreshData();
-        this.renderAll();
-        this.showToast('Recurring schedule removed.', 'info');
+        UndoManager.record('Recurring schedule deleted', () => RecurringInvoiceManager.remove(scheduleId));
+        this.showToast('Recurring schedule moved to the trash.', 'info', {
+          actionLabel: 'Undo',
+          onAction: () => this.undoLastAction()
+        });
       });
     });
   }
 
-  handleInvoiceSubmit() {
+  handleInvoiceSubmit(intent = 'issue') {
     const form = this.invoiceForm;
     const invoiceId = form.querySelector('[name="invoiceId"]').value;
     const clientId = form.querySelector('[name="clientId"]').value;
@@ -1509,34 +2420,48 @@ class ZantraApp {
       feedback.textContent = '';
     }
 
+    clearFieldErrors(form);
+
     try {
-      if (!clientId) {
-        throw new Error('Please select a client for the invoice.');
-      }
-      if (!items.length) {
-        throw new Error('Add at least one line item before saving.');
-      }
+      const describe = (verb) => (invoice) =>
+        invoice.status === 'draft' ? `Draft invoice ${verb}` : `Invoice ${invoice.number} ${verb}`;
       if (invoiceId) {
-        InvoiceManager.update(invoiceId, {
-          clientId,
-          issueDate,
-          dueDate,
-          notes,
-          lineItems: items
+        UndoManager.record(describe('updated'), () => {
+          const updated = InvoiceManager.update(
+            invoiceId,
+            {
+              clientId,
+              issueDate,
+              dueDate,
+              notes,
+              lineItems: items,
+              ...readDocumentDiscount(form),
+              pricesIncludeTax: this.invoiceFormEditor.pricesIncludeTax
+            },
+            { expectedRevision: form.dataset.revision }
+          );
+          return updated.status === 'draft' && intent !== 'draft' ? InvoiceManager.issue(invoiceId) : updated;
         });
       } else {
-        InvoiceManager.create({
-          clientId,
-          issueDate,
-          dueDate,
-          notes,
-          lineItems: items
-        });
+        UndoManager.record(describe('created'), () =>
+          InvoiceManager.create({
+            clientId,
+            issueDate,
+            dueDate,
+            notes,
+            lineItems: items,
+            ...readDocumentDiscount(form),
+            pricesIncludeTax: this.invoiceFormEditor.pricesIncludeTax,
+            status: intent === 'draft' ? 'draft' : undefined
+          })
+        );
       }
       this.toggleInvoiceForm(false);
-      this.refreshData();
-      this.renderAll();
     } catch (error) {
+      if (error instanceof ValidationError) {
+        showFieldErrors(form, error, this.invoiceFormEditor);
+        return;
+      }
       console.error(error);
       if (feedback) {
         feedback.textContent = error.message;
@@ -1553,7 +2478,7 @@ class ZantraApp {
     const name = form.querySelector('[name="name"]').value.trim();
     const clientId = form.querySelector('[name="clientId"]').value.trim();
     const startDate = form.querySelector('[name="startDate"]').value;
-    let nextRun = form.querySelector('[name="nextRun"]').value;
+    const nextRun = form.querySelector('[name="nextRun"]').value;
     const frequency = form.querySelector('[name="frequency"]').value;
     const dueDaysInput = form.querySelector('[name="dueDays"]').value;
     const notes = form.querySelector('[name="notes"]').value;
@@ -1564,53 +2489,46 @@ class ZantraApp {
       feedback.textContent = '';
     }
 
+    clearFieldErrors(form);
+
     try {
-      if (!name) {
-        throw new Error('Provide a schedule name.');
-      }
-      if (!clientId) {
-        throw new Error('Select a client for the schedule.');
-      }
-      if (!startDate) {
-        throw new Error('Choose a start date.');
-      }
-      if (!nextRun) {
-        nextRun = startDate;
-      }
-      if (!frequency) {
-        throw new Error('Select a recurrence frequency.');
-      }
-      if (!items.length) {
-        throw new Error('Add at least one line item before saving.');
-      }
-      const dueDays = Number.parseInt(dueDaysInput, 10);
-      if (!Number.isFinite(dueDays) || dueDays < 1) {
-        throw new Error('Due in (days) must be at least 1.');
+      const formErrors = [
+        name ? null : Schema.error('name', 'required', 'Provide a schedule name.'),
+        startDate ? null : Schema.error('startDate', 'required', 'Choose a start date.')
+      ].filter(Boolean);
+      if (formErrors.length) {
+        throw new ValidationError('recurringSchedule', formErrors);
       }
 
       const payload = {
         name,
         clientId,
         startDate,
-        nextRun,
+        nextRun: nextRun || startDate,
         frequency,
-        dueDays,
+        dueDays: Number.parseInt(dueDaysInput, 10),
         notes,
-        lineItems: items
+        lineItems: items,
+        ...readDocumentDiscount(form),
+        pricesIncludeTax: Boolean(this.recurringFormEditor?.pricesIncludeTax)
       };
 
       if (scheduleId) {
-        RecurringInvoiceManager.update(scheduleId, payload);
+        UndoManager.record('Recurring schedule updated', () =>
+          RecurringInvoiceManager.update(scheduleId, payload, { expectedRevision: form.dataset.revision })
+        );
         this.showToast('Recurring schedule updated.', 'success');
       } else {
-        RecurringInvoiceManager.create(payload);
+        UndoManager.record('Recurring schedule created', () => RecurringInvoiceManager.create(payload));
         this.showToast('Recurring schedule created.', 'success');
       }
 
       this.toggleRecurringForm(false);
-      this.refreshData();
-      this.renderAll();
     } catch (error) {
+      if (error instanceof ValidationError) {
+        showFieldErrors(form, error, this.recurringFormEditor);
+        return;
+      }
       console.error('Failed to save recurring schedule:', error);
       if (feedback) {
         feedback.textContent = error.message || 'Unable to save schedule. Please try again.';
@@ -1619,10 +2537,18 @@ class ZantraApp {
   }
 
   updateQuoteTotals(items) {
-    const totals = QuoteManager.calculateTotals(items, this.state.settings.gstRate);
+    const totals = QuoteManager.calculateTotals(
+      items,
+      this.state.settings.gstRate,
+      undefined,
+      Boolean(this.quoteFormEditor?.pricesIncludeTax),
+      DiscountManager.toOption(readDocumentDiscount(this.quoteForm))
+    );
+    const discount = this.quoteForm.querySelector('[data-total="discount"]');
     const subtotal = this.quoteForm.querySelector('[data-total="subtotal"]');
     const gst = this.quoteForm.querySelector('[data-total="gst"]');
     const total = this.quoteForm.querySelector('[data-total="total"]');
+    if (discount) discount.textContent = formatCurrency(-totals.discountTotal);
     if (subtotal) subtotal.textContent = formatCurrency(totals.subtotal);
     if (gst) gst.textContent = formatCurrency(totals.gstTotal);
     if (total) total.textContent = formatCurrency(totals.total);
@@ -1643,7 +2569,8 @@ class ZantraApp {
       this.state.clients.forEach((client) => {
         const option = document.createElement('option');
         option.value = client.id;
-        option.textContent = `${client.businessName} (${client.name})`;
+        option.textContent = `${client.businessName} (${client.name})${client.archivedAt ? ' · archived' : ''}`;
+        option.disabled = Boolean(client.archivedAt);
         clientSelect.appendChild(option);
       });
     }
@@ -1653,6 +2580,14 @@ class ZantraApp {
         event.preventDefault();
         this.handleQuoteSubmit();
       });
+      this.quoteForm.querySelector('[name="pricesIncludeTax"]')?.addEventListener('change', (event) => {
+        this.quoteFormEditor.setPricesIncludeTax(event.target.checked);
+      });
+      ['discountType', 'discountValue'].forEach((name) => {
+        this.quoteForm.querySelector(`[name="${name}"]`)?.addEventListener('input', () => {
+          this.updateQuoteTotals(this.quoteFormEditor.getItems());
+        });
+      });
       this.quoteForm.querySelector('[data-action="add-line"]').addEventListener('click', (event) => {
         event.preventDefault();
         this.quoteFormEditor.addRow();
@@ -1665,7 +2600,8 @@ class ZantraApp {
     }
 
     clearChildren(this.quoteListBody);
-    if (!this.state.quotes.length) {
+    const quotePage = this.queryPage('quotes', (options) => QuoteManager.query({ ...options, sort: '-issueDate' }));
+    if (!quotePage.total) {
       const emptyRow = document.createElement('tr');
       const cell = document.createElement('td');
       cell.colSpan = 7;
@@ -1673,81 +2609,77 @@ class ZantraApp {
       emptyRow.appendChild(cell);
       this.quoteListBody.appendChild(emptyRow);
     } else {
-      this.state.quotes
-        .sort((a, b) => Date.parse(b.issueDate) - Date.parse(a.issueDate))
-        .forEach((quote) => {
-          const row = document.createElement('tr');
-          const isConverted = quote.status === 'converted';
-          const isPending = quote.status === 'pending';
-          const canConvert = !isConverted && quote.status !== 'declined';
-          const statusMarkup =
-            quote.status === 'accepted'
-              ? `<span class="status-pill status-pill--success">Accepted</span>`
-              : quote.status === 'declined'
-              ? `<span class="status-pill status-pill--muted">Declined</span>`
-              : isConverted
-              ? `<span class="status-pill status-pill--info">Converted</span>`
-              : `<span class="status-pill status-pill--warning">Pending</span>`;
-          const decisionLabel =
-            quote.status === 'accepted'
-              ? 'Accepted'
-              : quote.status === 'declined'
-              ? 'Declined'
-              : isConverted
-              ? 'Converted'
-              : '';
-          const decisionMeta =
-            decisionLabel && quote.decisionDate
-              ? `<div class="status-meta">${decisionLabel} ${formatDate(quote.decisionDate)}</div>`
-              : '';
-
-          const convertButton = `<button class="convert-to-invoice-btn" type="button" data-quote-id="${quote.id}" ${
-            canConvert ? '' : 'disabled aria-disabled="true"'
-          }>Convert</button>`;
-
-          const actions = [
-            convertButton,
-            `<button class="btn btn--sm btn--ghost" data-action="edit" data-id="${quote.id}">Edit</button>`,
-            isPending
-              ? `<button class="btn btn--sm btn--primary" data-action="accept" data-id="${quote.id}">Accept</button>`
-              : '',
-            isPending
-              ? `<button class="btn btn--sm btn--secondary" data-action="decline" data-id="${quote.id}">Decline</button>`
-              : '',
-            `<button class="btn btn--sm btn--destructive" data-action="delete" data-id="${quote.id}">Delete</button>`
-          ]
-            .filter(Boolean)
-            .join('');
+      quotePage.items.forEach((quote) => {
+        const row = document.createElement('tr');
+        const isConverted = quote.status === 'converted';
+        const isPending = quote.status === 'pending';
+        const canConvert = !isConverted && quote.status !== 'declined';
+        const statusMarkup =
+          quote.status === 'accepted'
+            ? `<span class="status-pill status-pill--success">Accepted</span>`
+            : quote.status === 'declined'
+            ? `<span class="status-pill status-pill--muted">Declined</span>`
+            : isConverted
+            ? `<span class="status-pill status-pill--info">Converted</span>`
+            : `<span class="status-pill status-pill--warning">Pending</span>`;
+        const decisionLabel =
+          quote.status === 'accepted'
+            ? 'Accepted'
+            : quote.status === 'declined'
+            ? 'Declined'
+            : isConverted
+            ? 'Converted'
+            : '';
+        const decisionMeta =
+          decisionLabel && quote.decisionDate
+            ? `<div class="status-meta">${decisionLabel} ${formatDate(quote.decisionDate)}</div>`
+            : '';
+
+        const convertButton = `<button class="convert-to-invoice-btn" type="button" data-quote-id="${quote.id}" ${
+          canConvert ? '' : 'disabled aria-disabled="true"'
+        }>Convert</button>`;
+
+        const actions = [
+          convertButton,
+          `<button class="btn btn--sm btn--ghost" data-action="edit" data-id="${quote.id}">Edit</button>`,
+          isPending
+            ? `<button class="btn btn--sm btn--primary" data-action="accept" data-id="${quote.id}">Accept</button>`
+            : '',
+          isPending
+            ? `<button class="btn btn--sm btn--secondary" data-action="decline" data-id="${quote.id}">Decline</button>`
+            : '',
+          `<button class="btn btn--sm btn--destructive" data-action="delete" data-id="${quote.id}">Delete</button>`
+        ]
+          .filter(Boolean)
+          .join('');
 
-          row.innerHTML = `
-            <td>${quote.number}</td>
-            <td>${quote.clientName}</td>
-            <td>${formatDate(quote.issueDate)}</td>
-            <td>${formatDate(quote.validUntil)}</td>
-            <td>${formatCurrency(quote.total)}</td>
-            <td>${statusMarkup}${decisionMeta}</td>
-            <td class="text-right">
-              <div class="table-actions">${actions}</div>
-            </td>
-          `;
+        row.innerHTML = `
+          <td>${quote.number}</td>
+          <td>${quote.clientName}</td>
+          <td>${formatDate(quote.issueDate)}</td>
+          <td>${formatDate(quote.validUntil)}</td>
+          <td>${formatCurrency(quote.total)}</td>
+          <td>${statusMarkup}${decisionMeta}</td>
+          <td class="text-right">
+            <div class="table-actions">${actions}</div>
+          </td>
+        `;
 
-          row.classList.toggle('quote-row--converted', isConverted);
-          if (isConverted) {
-            row.setAttribute('aria-disabled', 'true');
-          } else {
-            row.removeAttribute('aria-disabled');
-          }
+        row.classList.toggle('quote-row--converted', isConverted);
+        if (isConverted) {
+          row.setAttribute('aria-disabled', 'true');
+        } else {
+          row.removeAttribute('aria-disabled');
+        }
 
-          this.quoteListBody.appendChild(row);
-        });
+        this.quoteListBody.appendChild(row);
+      });
 
       this.quoteListBody.querySelectorAll('[data-action="accept"]').forEach((button) => {
         button.addEventListener('click', (event) => {
           event.preventDefault();
           const quoteId = button.getAttribute('data-id');
           QuoteManager.markAccepted(quoteId, new Date());
-          this.refreshData();
-          this.renderAll();
         });
       });
 
@@ -1756,8 +2688,6 @@ class ZantraApp {
           event.preventDefault();
           const quoteId = button.getAttribute('data-id');
           QuoteManager.markDeclined(quoteId, new Date());
-          this.refreshData();
-          this.renderAll();
         });
       });
 
@@ -1778,9 +2708,12 @@ class ZantraApp {
         button.addEventListener('click', (event) => {
           event.preventDefault();
           const quoteId = button.getAttribute('data-id');
-          QuoteManager.remove(quoteId);
-          this.refreshData();
-          this.renderAll();
+          const quote = this.state.quotes.find((item) => item.id === quoteId);
+          UndoManager.record(`Quote ${quote?.number || ''} deleted`, () => QuoteManager.remove(quoteId));
+          this.showToast('Quote moved to the trash.', 'info', {
+            actionLabel: 'Undo',
+            onAction: () => this.undoLastAction()
+          });
         });
       });
     }
@@ -1835,23 +2768,26 @@ class ZantraApp {
           description: item.description,
           quantity: item.quantity,
           unitPrice: item.unitPrice,
-          applyGst: item.applyGst
+          ...DiscountManager.normalize(item),
+          taxCode: TaxCodeManager.resolveCode(item)
         })),
+        ...DiscountManager.normalize(quote),
+        pricesIncludeTax: Boolean(quote.pricesIncludeTax),
         status: 'unpaid',
         type: 'invoice'
       };
 
-      const createdInvoice = InvoiceManager.create(invoicePayload);
-      DataManager.saveInvoice({ ...createdInvoice, type: 'invoice' });
+      UndoManager.record(`Quote ${quote.number} converted to an invoice`, () => {
+        const createdInvoice = InvoiceManager.create(invoicePayload);
+        DataManager.saveInvoice({ ...createdInvoice, type: 'invoice' });
 
-      const updatedQuote = QuoteManager.update(quoteId, {
-        status: 'converted',
-        decisionDate: DataManager.now()
+        const updatedQuote = QuoteManager.update(quoteId, {
+          status: 'converted',
+          decisionDate: DataManager.now()
+        });
+        DataManager.saveQuote({ ...updatedQuote, type: 'quote' });
       });
-      DataManager.saveQuote({ ...updatedQuote, type: 'quote' });
 
-      this.refreshData();
-      this.renderAll();
       this.showToast('Quote converted to Invoice successfully', 'success');
     } catch (error) {
       console.error('Failed to convert quote to invoice:', error);
@@ -1859,7 +2795,7 @@ class ZantraApp {
     }
   }
 
-  showToast(message, variant = 'info') {
+  showToast(message, variant = 'info', { actionLabel, onAction } = {}) {
     if (!message) {
       return;
     }
@@ -1875,6 +2811,17 @@ class ZantraApp {
     toast.className = `toast toast--${variant}`;
     toast.setAttribute('role', 'status');
     toast.textContent = message;
+    if (actionLabel && typeof onAction === 'function') {
+      const action = document.createElement('button');
+      action.type = 'button';
+      action.className = 'toast__action';
+      action.textContent = actionLabel;
+      action.addEventListener('click', () => {
+        toast.remove();
+        onAction();
+      });
+      toast.appendChild(action);
+    }
     region.appendChild(toast);
 
     requestAnimationFrame(() => {
@@ -1889,7 +2836,7 @@ class ZantraApp {
       setTimeout(() => {
         toast.remove();
       }, 200);
-    }, 3200);
+    }, actionLabel ? 6000 : 3200);
   }
 
   ensureToastRegion() {
@@ -1921,34 +2868,43 @@ class ZantraApp {
     if (feedback) {
       feedback.textContent = '';
     }
+    clearFieldErrors(form);
     try {
-      if (!clientId) {
-        throw new Error('Please select a client for the quote.');
-      }
-      if (!items.length) {
-        throw new Error('Add at least one line item before saving.');
-      }
       if (quoteId) {
-        QuoteManager.update(quoteId, {
-          clientId,
-          issueDate,
-          validUntil,
-          notes,
-          lineItems: items
-        });
+        UndoManager.record((quote) => `Quote ${quote.number} updated`, () =>
+          QuoteManager.update(
+            quoteId,
+            {
+              clientId,
+              issueDate,
+              validUntil,
+              notes,
+              lineItems: items,
+              ...readDocumentDiscount(form),
+              pricesIncludeTax: this.quoteFormEditor.pricesIncludeTax
+            },
+            { expectedRevision: form.dataset.revision }
+          )
+        );
       } else {
-        QuoteManager.create({
-          clientId,
-          issueDate,
-          validUntil,
-          notes,
-          lineItems: items
-        });
+        UndoManager.record((quote) => `Quote ${quote.number} created`, () =>
+          QuoteManager.create({
+            clientId,
+            issueDate,
+            validUntil,
+            notes,
+            lineItems: items,
+            ...readDocumentDiscount(form),
+            pricesIncludeTax: this.quoteFormEditor.pricesIncludeTax
+          })
+        );
       }
       this.toggleQuoteForm(false);
-      this.refreshData();
-      this.renderAll();
     } catch (error) {
+      if (error instanceof ValidationError) {
+        showFieldErrors(form, error, this.quoteFormEditor);
+        return;
+      }
       console.error(error);
       if (feedback) {
         feedback.textContent = error.message;
@@ -1962,6 +2918,7 @@ class ZantraApp {
     }
 
     this.clientForm.reset();
+    clearFieldErrors(this.clientForm);
     const feedback = this.clientForm.querySelector('[data-feedback]');
     if (feedback) {
       feedback.textContent = '';
@@ -1989,7 +2946,9 @@ class ZantraApp {
         .forEach((client) => {
           const row = document.createElement('tr');
           row.innerHTML = `
-            <td>${client.businessName}</td>
+            <td>${client.businessName}${
+              client.archivedAt ? ' <span class="status-pill status-pill--muted">Archived</span>' : ''
+            }</td>
             <td>${client.name}</td>
             <td>${client.abn}</td>
             <td>${client.contact}</td>
@@ -1997,6 +2956,13 @@ class ZantraApp {
             <td>${client.email || ''}</td>
             <td>
               <button class="btn btn--sm btn--secondary" data-action="edit" data-id="${client.id}">Edit</button>
+              ${
+                client.archivedAt
+                  ? `<button class="btn btn--sm btn--ghost" data-action="unarchive" data-id="${client.id}">
+                      Unarchive
+                    </button>`
+                  : ''
+              }
               <button class="btn btn--sm btn--destructive" data-action="delete" data-id="${client.id}">Delete</button>
             </td>
           `;
@@ -2012,6 +2978,7 @@ class ZantraApp {
             return;
           }
           this.clientForm.querySelector('[name="clientId"]').value = client.id;
+          this.clientForm.dataset.revision = String(client.revision ?? 0);
           this.clientForm.querySelector('[name="name"]').value = client.name;
           this.clientForm.querySelector('[name="businessName"]').value = client.businessName;
           this.clientForm.querySelector('[name="address"]').value = client.address;
@@ -2026,10 +2993,17 @@ class ZantraApp {
       this.clientListBody.querySelectorAll('[data-action="delete"]').forEach((button) => {
         button.addEventListener('click', (event) => {
           event.preventDefault();
-          const clientId = button.getAttribute('data-id');
-          ClientManager.remove(clientId);
-          this.refreshData();
-          this.renderAll();
+          this.deleteWithPolicy('clients', button.getAttribute('data-id'));
+        });
+      });
+
+      this.clientListBody.querySelectorAll('[data-action="unarchive"]').forEach((button) => {
+        button.addEventListener('click', (event) => {
+          event.preventDefault();
+          UndoManager.record('Client restored to active use', () =>
+            ClientManager.unarchive(button.getAttribute('data-id'))
+          );
+          this.showToast('Client restored to active use.', 'success');
         });
       });
     }
@@ -2051,16 +3025,22 @@ class ZantraApp {
     if (feedback) {
       feedback.textContent = '';
     }
+    clearFieldErrors(form);
     try {
       if (clientId) {
-        ClientManager.update(clientId, payload);
+        UndoManager.record((client) => `Client ${client.name} updated`, () =>
+          ClientManager.update(clientId, payload, { expectedRevision: form.dataset.revision })
+        );
       } else {
-        ClientManager.create(payload);
+        UndoManager.record((client) => `Client ${client.name} created`, () => ClientManager.create(payload));
       }
       form.reset();
-      this.refreshData();
-      this.renderAll();
+      delete form.dataset.revision;
     } catch (error) {
+      if (error instanceof ValidationError) {
+        showFieldErrors(form, error);
+        return;
+      }
       console.error(error);
       if (feedback) {
         feedback.textContent = error.message;
@@ -2073,6 +3053,8 @@ class ZantraApp {
       return;
     }
     this.serviceForm.reset();
+    this.serviceForm.querySelector('[name="pricesIncludeTax"]').checked = Boolean(this.state.settings.pricesIncludeTax);
+    clearFieldErrors(this.serviceForm);
     const feedback = this.serviceForm.querySelector('[data-feedback]');
     if (feedback) {
       feedback.textContent = '';
@@ -2083,12 +3065,20 @@ class ZantraApp {
         event.preventDefault();
         const description = this.serviceForm.querySelector('[name="description"]').value;
         const unitPrice = this.serviceForm.querySelector('[name="unitPrice"]').value;
+        const pricesIncludeTax = this.serviceForm.querySelector('[name="pricesIncludeTax"]').checked;
+        clearFieldErrors(this.serviceForm);
         try {
-          ServiceManager.create({ description, unitPrice });
+          UndoManager.record(
+            (service) => `Service ${service.description} created`,
+            () => ServiceManager.create({ description, unitPrice, pricesIncludeTax })
+          );
           this.serviceForm.reset();
-          this.refreshData();
-          this.renderAll();
+          this.serviceForm.querySelector('[name="pricesIncludeTax"]').checked = pricesIncludeTax;
         } catch (error) {
+          if (error instanceof ValidationError) {
+            showFieldErrors(this.serviceForm, error);
+            return;
+          }
           console.error(error);
           if (feedback) {
             feedback.textContent = error.message;
@@ -2112,9 +3102,18 @@ class ZantraApp {
         .forEach((service) => {
           const row = document.createElement('tr');
           row.innerHTML = `
-            <td>${service.description}</td>
-            <td>${formatCurrency(service.unitPrice)}</td>
+            <td>${service.description}${
+              service.archivedAt ? ' <span class="status-pill status-pill--muted">Archived</span>' : ''
+            }</td>
+            <td>${formatCurrency(service.unitPrice)}${service.pricesIncludeTax ? ' inc. GST' : ''}</td>
             <td>
+              ${
+                service.archivedAt
+                  ? `<button class="btn btn--sm btn--ghost" data-action="unarchive" data-id="${service.id}">
+                      Unarchive
+                    </button>`
+                  : ''
+              }
               <button class="btn btn--sm btn--destructive" data-action="remove" data-id="${service.id}">Delete</button>
             </td>
           `;
@@ -2124,15 +3123,113 @@ class ZantraApp {
       this.serviceListBody.querySelectorAll('[data-action="remove"]').forEach((button) => {
         button.addEventListener('click', (event) => {
           event.preventDefault();
-          const serviceId = button.getAttribute('data-id');
-          ServiceManager.remove(serviceId);
-          this.refreshData();
-          this.renderAll();
+          this.deleteWithPolicy('services', button.getAttribute('data-id'));
         });
       });
+
+      this.serviceListBody.querySelectorAll('[data-action="unarchive"]').forEach((button) => {
+        button.addEventListener('click', (event) => {
+          event.preventDefault();
+          UndoManager.record('Service restored to active use', () =>
+            ServiceManager.unarchive(button.getAttribute('data-id'))
+          );
+          this.showToast('Service restored to active use.', 'success');
+        });
+      });
+    }
+  }
+
+  deleteWithPolicy(collection, recordId, options = {}) {
+    const manager = collection === 'clients' ? ClientManager : ServiceManager;
+    const label = collection === 'clients' ? 'Client' : 'Service';
+    try {
+      const removed = UndoManager.record(
+        (result) => (result ? `${label} deleted` : `${label} archived`),
+        () => manager.remove(recordId, options)
+      );
+      this.hideDeleteConflict(collection);
+      if (removed && options.reassignTo) {
+        this.showToast(`${label} records reassigned and ${label.toLowerCase()} moved to the trash.`, 'success');
+      } else if (removed) {
+        this.showToast(`${label} moved to the trash.`, 'info');
+      } else if (manager.findById(recordId)?.archivedAt) {
+        this.showToast(`${label} archived because other records still use it.`, 'info');
+      }
+    } catch (error) {
+      if (error instanceof DependentRecordsError) {
+        this.showDeleteConflict(collection, recordId, error);
+        return;
+      }
+      console.error(error);
+      this.showToast(error.message, 'error');
+    }
+  }
+
+  showDeleteConflict(collection, recordId, error) {
+    const panel = this.deleteConflictPanels?.[collection];
+    if (!panel) {
+      this.showToast(error.message, 'error');
+      return;
+    }
+    panel.dataset.recordId = recordId;
+    panel.querySelector('[data-delete-conflict-message]').textContent = error.message;
+    const select = panel.querySelector('[data-delete-conflict-target]');
+    clearChildren(select);
+    const candidates =
+      collection === 'clients'
+        ? ClientManager.listActive().map((client) => [client.id, `${client.businessName} (${client.name})`])
+        : ServiceManager.listActive().map((service) => [service.id, service.description]);
+    candidates
+      .filter(([id]) => id !== recordId)
+      .forEach(([id, label]) => {
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = label;
+        select.appendChild(option);
+      });
+    toggleHidden(select.closest('label'), !select.options.length);
+    toggleHidden(panel.querySelector('[data-action="reassign-delete"]'), !select.options.length);
+    toggleHidden(panel, false);
+    panel.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+  }
+
+  hideDeleteConflict(collection) {
+    const panel = this.deleteConflictPanels?.[collection];
+    if (panel) {
+      delete panel.dataset.recordId;
+      toggleHidden(panel, true);
     }
   }
 
+  bindDeleteConflictActions() {
+    Object.entries(this.deleteConflictPanels || {}).forEach(([collection, panel]) => {
+      if (!panel) {
+        return;
+      }
+      panel.addEventListener('click', (event) => {
+        const button = event.target.closest('[data-action]');
+        if (!button || !panel.dataset.recordId) {
+          return;
+        }
+        event.preventDefault();
+        const recordId = panel.dataset.recordId;
+        switch (button.getAttribute('data-action')) {
+          case 'reassign-delete':
+            this.deleteWithPolicy(collection, recordId, {
+              policy: 'reassign',
+              reassignTo: panel.querySelector('[data-delete-conflict-target]').value
+            });
+            break;
+          case 'archive-instead':
+            this.deleteWithPolicy(collection, recordId, { policy: 'archive' });
+            break;
+          default:
+            this.hideDeleteConflict(collection);
+        }
+      });
+    });
+  }
+
   renderPayments() {
     if (!this.paymentOutstandingBody || !this.paymentHistoryBody) {
       return;
@@ -2164,48 +3261,55 @@ class ZantraApp {
         button.addEventListener('click', (event) => {
           event.preventDefault();
           const invoiceId = button.getAttribute('data-id');
-          const invoice = this.state.invoices.find((item) => item.id === invoiceId);
-          if (!invoice) {
-            return;
-          }
-          const amountDue = invoice.balanceDue ?? invoice.total;
-          if (amountDue <= 0) {
-            return;
+          try {
+            const invoice = this.state.invoices.find((item) => item.id === invoiceId);
+            if (!invoice) {
+              return;
+            }
+            const amountDue = invoice.balanceDue ?? invoice.total;
+            if (amountDue <= 0) {
+              return;
+            }
+            UndoManager.record(`Payment recorded for ${invoice.number}`, () =>
+              PaymentManager.recordPayment(invoiceId, amountDue, new Date())
+            );
+          } catch (error) {
+            console.error(error);
+            this.showToast(error.message, 'error');
           }
-          PaymentManager.recordPayment(invoiceId, amountDue, new Date());
-          this.refreshData();
-          this.renderAll();
         });
       });
     }
 
     clearChildren(this.paymentHistoryBody);
-    if (!this.state.payments.length) {
+    const paymentPage = this.queryPage('payments-history', (options) =>
+      PaymentManager.query({ ...options, sort: '-paymentDate' })
+    );
+    if (!paymentPage.total) {
       const row = document.createElement('tr');
       const cell = document.createElement('td');
-      cell.colSpan = 5;
+      cell.colSpan = 6;
       cell.textContent = 'No payments recorded.';
       row.appendChild(cell);
       this.paymentHistoryBody.appendChild(row);
     } else {
-      this.state.payments
-        .sort((a, b) => Date.parse(b.paymentDate) - Date.parse(a.paymentDate))
-        .forEach((payment) => {
-          const row = document.createElement('tr');
-          row.innerHTML = `
-            <td>${payment.invoiceNumber}</td>
-            <td>${payment.clientName}</td>
-            <td>${formatDate(payment.paymentDate)}</td>
-            <td>${formatCurrency(payment.amount)}</td>
-            <td>${payment.notes || ''}</td>
-          `;
-          this.paymentHistoryBody.appendChild(row);
-        });
+      paymentPage.items.forEach((payment) => {
+        const row = document.createElement('tr');
+        row.innerHTML = `
+          <td>${payment.receiptNumber || ''}</td>
+          <td>${payment.invoiceNumber}</td>
+          <td>${payment.clientName}</td>
+          <td>${formatDate(payment.paymentDate)}</td>
+          <td>${formatCurrency(payment.amount)}</td>
+          <td>${payment.notes || ''}</td>
+        `;
+        this.paymentHistoryBody.appendChild(row);
+      });
     }
   }
 
   renderReports() {
-    if (!this.reportCanvas) {
+    if (!this.reportCanvas || !UserManager.can('reports')) {
       return;
     }
 
@@ -2299,6 +3403,34 @@ class ZantraApp {
     }
   }
 
+  renderDiscountReport() {
+    if (!this.discountReportBody || !UserManager.can('reports')) {
+      return;
+    }
+    clearChildren(this.discountReportBody);
+    const summary = ReportManager.getDiscountSummary(6);
+    if (!summary.length) {
+      const emptyRow = document.createElement('tr');
+      const cell = document.createElement('td');
+      cell.colSpan = 5;
+      cell.textContent = 'No discounts given in the last six months.';
+      emptyRow.appendChild(cell);
+      this.discountReportBody.appendChild(emptyRow);
+      return;
+    }
+    summary.forEach((month) => {
+      const row = document.createElement('tr');
+      row.innerHTML = `
+        <td>${month.label}</td>
+        <td>${month.invoiceCount}</td>
+        <td class="text-right">${formatCurrency(month.lineDiscounts)}</td>
+        <td class="text-right">${formatCurrency(month.invoiceDiscounts)}</td>
+        <td class="text-right">${formatCurrency(month.totalDiscounts)}</td>
+      `;
+      this.discountReportBody.appendChild(row);
+    });
+  }
+
   handleGstExportDownload() {
     const startValue = this.gstExportStartInput?.value
       ? this.gstExportStartInput.value.trim()
@@ -2362,7 +3494,10 @@ class ZantraApp {
     const startInput = this.gstExportForm.querySelector('[name="gstExportStart"]');
     const endInput = this.gstExportForm.querySelector('[name="gstExportEnd"]');
     const statusInput = this.gstExportForm.querySelector('[name="gstExportStatus"]');
-    const submitButton = this.gstExportForm.querySelector('[data-action="download-gst-csv"]');
+    const exportTaxCodes = event.submitter?.getAttribute('data-action') === 'download-tax-code-csv';
+    const submitButton = exportTaxCodes
+      ? event.submitter
+      : this.gstExportForm.querySelector('[data-action="download-gst-csv"]');
 
     const startValue = startInput?.value;
     const endValue = endInput?.value;
@@ -2394,13 +3529,22 @@ class ZantraApp {
     }
 
     try {
+      const startLabel = new Date(startTimestamp).toLocaleDateString();
+      const endLabel = new Date(endTimestamp).toLocaleDateString();
+      if (exportTaxCodes) {
+        const { rowCount } = ExportManager.downloadTaxCodeCsv({ startDate: startValue, endDate: endValue });
+        const rowLabel = rowCount === 1 ? 'row' : 'rows';
+        this.showToast(
+          `Downloading tax code CSV with ${rowCount} ${rowLabel} (${startLabel} – ${endLabel}).`,
+          'success'
+        );
+        return;
+      }
       const exportResult = ExportManager.downloadGstCsv({
         startDate: startValue,
         endDate: endValue,
         status: filterStatus
       });
-      const startLabel = new Date(startTimestamp).toLocaleDateString();
-      const endLabel = new Date(endTimestamp).toLocaleDateString();
       const rowCount = exportResult?.rowCount ?? 0;
       const noun = rowCount === 1 ? 'invoice' : 'invoices';
       this.showToast(
@@ -2432,8 +3576,25 @@ class ZantraApp {
     this.settingsForm.querySelector('[name="address"]').value = settings.address;
     this.settingsForm.querySelector('[name="invoicePrefix"]').value = settings.invoicePrefix;
     this.settingsForm.querySelector('[name="quotePrefix"]').value = settings.quotePrefix;
+    this.settingsForm.querySelector('[name="creditNotePrefix"]').value = settings.creditNotePrefix;
+    this.settingsForm.querySelector('[name="receiptPrefix"]').value = settings.receiptPrefix;
+    NumberingManager.SEQUENCES.forEach((sequence) => {
+      const config = NumberingManager.getConfig(sequence);
+      ['template', 'scope', 'reset'].forEach((key) => {
+        this.settingsForm.querySelector(`[name="numbering.${sequence}.${key}"]`).value = config[key];
+      });
+    });
+    this.updateNumberingPreviews();
     this.settingsForm.querySelector('[name="gstRate"]').value = settings.gstRate;
-
+    this.settingsForm.querySelector('[name="gstRounding"]').value = settings.gstRounding;
+    this.settingsForm.querySelector('[name="pricesIncludeTax"]').checked = Boolean(settings.pricesIncludeTax);
+    this.renderTaxCodeRows(settings.taxCodes);
+    this.settingsForm.querySelector('[name="trashRetentionDays"]').value = settings.trashRetentionDays;
+    this.settingsForm.querySelector('[name="clientDeletePolicy"]').value = settings.clientDeletePolicy;
+    this.settingsForm.querySelector('[name="serviceDeletePolicy"]').value = settings.serviceDeletePolicy;
+    this.settingsForm.querySelector('[name="autoLockMinutes"]').value = settings.autoLockMinutes;
+
+    clearFieldErrors(this.settingsForm);
     const feedback = this.settingsForm.querySelector('[data-feedback]');
     if (feedback) {
       feedback.textContent = '';
@@ -2442,6 +3603,7 @@ class ZantraApp {
     if (!this.settingsFormInitialized) {
       this.settingsForm.addEventListener('submit', (event) => {
         event.preventDefault();
+        clearFieldErrors(this.settingsForm);
         try {
           SettingsManager.update({
             businessName: this.settingsForm.querySelector('[name="businessName"]').value,
@@ -2452,24 +3614,937 @@ class ZantraApp {
             address: this.settingsForm.querySelector('[name="address"]').value,
             invoicePrefix: this.settingsForm.querySelector('[name="invoicePrefix"]').value,
             quotePrefix: this.settingsForm.querySelector('[name="quotePrefix"]').value,
-            gstRate: this.settingsForm.querySelector('[name="gstRate"]').value
+            creditNotePrefix: this.settingsForm.querySelector('[name="creditNotePrefix"]').value,
+            receiptPrefix: this.settingsForm.querySelector('[name="receiptPrefix"]').value,
+            numbering: Object.fromEntries(
+              NumberingManager.SEQUENCES.map((sequence) => [
+                sequence,
+                Object.fromEntries(
+                  ['template', 'scope', 'reset'].map((key) => [
+                    key,
+                    this.settingsForm.querySelector(`[name="numbering.${sequence}.${key}"]`).value
+                  ])
+                )
+              ])
+            ),
+            gstRate: this.settingsForm.querySelector('[name="gstRate"]').value,
+            gstRounding: this.settingsForm.querySelector('[name="gstRounding"]').value,
+            pricesIncludeTax: this.settingsForm.querySelector('[name="pricesIncludeTax"]').checked,
+            taxCodes: this.readTaxCodeRows(),
+            trashRetentionDays: this.settingsForm.querySelector('[name="trashRetentionDays"]').value,
+            clientDeletePolicy: this.settingsForm.querySelector('[name="clientDeletePolicy"]').value,
+            serviceDeletePolicy: this.settingsForm.querySelector('[name="serviceDeletePolicy"]').value,
+            autoLockMinutes: this.settingsForm.querySelector('[name="autoLockMinutes"]').value
           });
           if (feedback) {
             feedback.textContent = 'Settings saved successfully.';
           }
-          this.refreshData();
-          this.renderAll();
         } catch (error) {
+          if (error instanceof ValidationError) {
+            showFieldErrors(this.settingsForm, error);
+            return;
+          }
           console.error(error);
           if (feedback) {
             feedback.textContent = error.message;
           }
         }
       });
+      this.settingsForm.addEventListener('input', () => this.updateNumberingPreviews());
+      this.settingsForm.addEventListener('click', (event) => {
+        const button = event.target.closest('[data-action="add-tax-code"], [data-action="remove-tax-code"]');
+        if (!button) {
+          return;
+        }
+        event.preventDefault();
+        if (button.getAttribute('data-action') === 'add-tax-code') {
+          this.addTaxCodeRow();
+        } else {
+          button.closest('tr')?.remove();
+        }
+        this.reindexTaxCodeRows();
+      });
       this.settingsFormInitialized = true;
     }
   }
 
+  renderTaxCodeRows(taxCodes) {
+    const body = this.settingsForm.querySelector('[data-tax-codes-body]');
+    if (!body) {
+      return;
+    }
+    clearChildren(body);
+    (Array.isArray(taxCodes) ? taxCodes : []).forEach((entry) => this.addTaxCodeRow(entry));
+    this.reindexTaxCodeRows();
+  }
+
+  addTaxCodeRow(entry = {}) {
+    const body = this.settingsForm.querySelector('[data-tax-codes-body]');
+    if (!body) {
+      return;
+    }
+    const row = document.createElement('tr');
+    const createCell = (control) => {
+      const cell = document.createElement('td');
+      cell.appendChild(control);
+      row.appendChild(cell);
+      return control;
+    };
+    const createInput = (field, attributes) => {
+      const input = document.createElement('input');
+      Object.entries(attributes).forEach(([name, value]) => input.setAttribute(name, value));
+      input.setAttribute('data-tax-code-field', field);
+      input.value = entry[field] ?? '';
+      return createCell(input);
+    };
+    createInput('code', { type: 'text', maxlength: '6', 'aria-label': 'Tax code' });
+    createInput('label', { type: 'text', 'aria-label': 'Tax code label' });
+    createInput('rate', { type: 'number', min: '0', max: '1', step: '0.01', 'aria-label': 'Tax rate' });
+    const basSelect = document.createElement('select');
+    basSelect.setAttribute('data-tax-code-field', 'bas');
+    basSelect.setAttribute('aria-label', 'BAS label');
+    Object.entries(TaxCodeManager.BAS_FIELDS).forEach(([field, label]) => {
+      const option = document.createElement('option');
+      option.value = field;
+      option.textContent = label;
+      basSelect.appendChild(option);
+    });
+    basSelect.value = entry.bas || 'G1';
+    createCell(basSelect);
+    const removeButton = document.createElement('button');
+    removeButton.type = 'button';
+    removeButton.className = 'btn btn--icon btn--secondary btn--sm';
+    removeButton.setAttribute('data-action', 'remove-tax-code');
+    removeButton.setAttribute('aria-label', 'Remove tax code');
+    removeButton.textContent = '✕';
+    createCell(removeButton);
+    body.appendChild(row);
+  }
+
+  reindexTaxCodeRows() {
+    this.settingsForm.querySelectorAll('[data-tax-codes-body] tr').forEach((row, index) => {
+      row.querySelectorAll('[data-tax-code-field]').forEach((control) => {
+        control.name = `taxCodes[${index}].${control.getAttribute('data-tax-code-field')}`;
+      });
+    });
+  }
+
+  readTaxCodeRows() {
+    this.settingsForm.querySelectorAll('[data-tax-codes-body] tr').forEach((row) => {
+      const isBlank = ['code', 'label'].every(
+        (field) => !row.querySelector(`[data-tax-code-field="${field}"]`).value.trim()
+      );
+      if (isBlank) {
+        row.remove();
+      }
+    });
+    this.reindexTaxCodeRows();
+    return Array.from(this.settingsForm.querySelectorAll('[data-tax-codes-body] tr')).map((row) =>
+      Object.fromEntries(
+        Array.from(row.querySelectorAll('[data-tax-code-field]')).map((control) => [
+          control.getAttribute('data-tax-code-field'),
+          control.value
+        ])
+      )
+    );
+  }
+
+  updateNumberingPreviews() {
+    NumberingManager.SEQUENCES.forEach((sequence) => {
+      const hint = this.settingsForm.querySelector(`[data-numbering-preview="${sequence}"]`);
+      if (!hint) {
+        return;
+      }
+      const template = this.settingsForm.querySelector(`[name="numbering.${sequence}.template"]`).value;
+      const prefix = this.settingsForm
+        .querySelector(`[name="${NUMBERING_PREFIX_FIELDS[sequence]}"]`)
+        .value.toUpperCase();
+      hint.textContent = NumberingManager.isValidTemplate(template)
+        ? `Example: ${NumberingManager.format(template, { prefix, sequence: 1 })}`
+        : '';
+    });
+  }
+
+  bindTrashActions() {
+    if (this.emptyTrashButton) {
+      this.emptyTrashButton.addEventListener('click', (event) => {
+        event.preventDefault();
+        if (!TrashManager.list().length) {
+          return;
+        }
+        const confirmed = window.confirm('Permanently delete everything in the trash? This cannot be undone.');
+        if (!confirmed) {
+          return;
+        }
+        const purged = TrashManager.empty();
+        this.showToast(`${purged} deleted ${purged === 1 ? 'item' : 'items'} permanently removed.`, 'info');
+      });
+    }
+
+    if (this.trashListBody) {
+      this.trashListBody.addEventListener('click', (event) => {
+        const button = event.target.closest('[data-action]');
+        if (!button) {
+          return;
+        }
+        event.preventDefault();
+        const collection = button.getAttribute('data-collection');
+        const recordId = button.getAttribute('data-id');
+        try {
+          if (button.getAttribute('data-action') === 'restore') {
+            UndoManager.record('Item restored from the trash', () => TrashManager.restore(collection, recordId));
+            this.showToast('Item restored.', 'success');
+          } else if (button.getAttribute('data-action') === 'purge') {
+            const confirmed = window.confirm('Permanently delete this item? This cannot be undone.');
+            if (!confirmed) {
+              return;
+            }
+            TrashManager.purge(collection, recordId);
+            this.showToast('Item permanently deleted.', 'info');
+          }
+        } catch (error) {
+          console.error(error);
+          this.showToast(error.message, 'error');
+        }
+      });
+    }
+  }
+
+  bindProfileActions() {
+    const setFeedback = (message = '', state = 'idle') => {
+      if (!this.profileFeedback) {
+        return;
+      }
+      this.profileFeedback.textContent = message;
+      if (state === 'idle') {
+        this.profileFeedback.removeAttribute('data-state');
+      } else {
+        this.profileFeedback.setAttribute('data-state', state);
+      }
+    };
+
+    const switchTo = async (profileId) => {
+      try {
+        const profile = await ProfileManager.switchTo(profileId);
+        this.historyInvoiceId = null;
+        toggleHidden(this.invoiceHistoryPanel, true);
+        this.showToast(`Now working in ${profile.name}.`, 'success');
+      } catch (error) {
+        console.error(error);
+        this.showToast(error.message, 'error');
+        this.renderProfiles();
+      }
+    };
+
+    if (this.profileSwitcher) {
+      this.profileSwitcher.addEventListener('change', () => switchTo(this.profileSwitcher.value));
+    }
+
+    if (this.profileForm) {
+      this.profileForm.addEventListener('submit', (event) => {
+        event.preventDefault();
+        const nameInput = this.profileForm.querySelector('[name="name"]');
+        try {
+          const profile = ProfileManager.create({ name: nameInput.value });
+          this.profileForm.reset();
+          setFeedback(`${profile.name} added. Switch to it from the header to start invoicing.`, 'success');
+        } catch (error) {
+          setFeedback(error.message, 'error');
+        }
+      });
+    }
+
+    if (this.profileList) {
+      this.profileList.addEventListener('click', async (event) => {
+        const button = event.target.closest('[data-action]');
+        if (!button) {
+          return;
+        }
+        event.preventDefault();
+        const profileId = button.getAttribute('data-id');
+        const profile = ProfileManager.findById(profileId);
+        if (!profile) {
+          return;
+        }
+        const action = button.getAttribute('data-action');
+        try {
+          if (action === 'switch-profile') {
+            await switchTo(profileId);
+          } else if (action === 'rename-profile') {
+            const name = window.prompt('Business name', profile.name);
+            if (name === null) {
+              return;
+            }
+            ProfileManager.rename(profileId, name);
+            setFeedback('Business renamed.', 'success');
+          } else if (action === 'delete-profile') {
+            const confirmed = window.confirm(
+              `Delete ${profile.name} and all of its clients, invoices and settings? ` +
+                'Download a backup first if you may need them.'
+            );
+            if (!confirmed) {
+              return;
+            }
+            await ProfileManager.remove(profileId);
+            setFeedback(`${profile.name} deleted.`, 'success');
+          }
+        } catch (error) {
+          setFeedback(error.message, 'error');
+        }
+      });
+    }
+  }
+
+  renderProfiles() {
+    const profiles = ProfileManager.list();
+    const activeProfileId = DataManager.getProfileId();
+    const fillSelect = (select, selectedId) => {
+      if (!select) {
+        return;
+      }
+      clearChildren(select);
+      profiles.forEach((profile) => {
+        const option = document.createElement('option');
+        option.value = profile.id;
+        option.textContent = profile.name;
+        option.selected = profile.id === selectedId;
+        select.appendChild(option);
+      });
+    };
+    fillSelect(this.profileSwitcher, activeProfileId);
+    const backupProfileId = ProfileManager.findById(this.backupProfileSelect?.value)
+      ? this.backupProfileSelect.value
+      : activeProfileId;
+    fillSelect(this.backupProfileSelect, backupProfileId);
+
+    if (!this.profileList) {
+      return;
+    }
+    clearChildren(this.profileList);
+    profiles.forEach((profile) => {
+      const isActive = profile.id === activeProfileId;
+      const item = document.createElement('li');
+      item.className = 'settings-profiles__item';
+      item.innerHTML = `
+        <span>${profile.name}${isActive ? ' <span class="status-pill status-pill--success">Active</span>' : ''}</span>
+        <span>
+          ${
+            isActive
+              ? ''
+              : `<button class="btn btn--sm btn--secondary" data-action="switch-profile" data-id="${profile.id}">
+                  Switch
+                </button>`
+          }
+          <button class="btn btn--sm btn--ghost" data-action="rename-profile" data-id="${profile.id}">Rename</button>
+          ${
+            isActive || profile.id === DataManager.DEFAULT_PROFILE_ID
+              ? ''
+              : `<button class="btn btn--sm btn--destructive" data-action="delete-profile" data-id="${profile.id}">
+                  Delete
+                </button>`
+          }
+        </span>
+      `;
+      this.profileList.appendChild(item);
+    });
+  }
+
+  bindEncryptionActions() {
+    const setFeedback = (message = '', state = 'idle') => {
+      if (!this.encryptionFeedback) {
+        return;
+      }
+      this.encryptionFeedback.textContent = message;
+      if (state === 'idle') {
+        this.encryptionFeedback.removeAttribute('data-state');
+      } else {
+        this.encryptionFeedback.setAttribute('data-state', state);
+      }
+    };
+
+    const handleSubmit = (form, action) => {
+      form?.addEventListener('submit', async (event) => {
+        event.preventDefault();
+        const value = (name) => form.querySelector(`[name="${name}"]`)?.value ?? '';
+        const submitButton = form.querySelector('[type="submit"]');
+        if (submitButton) {
+          submitButton.disabled = true;
+        }
+        setFeedback('Working…');
+        try {
+          setFeedback(await action(value), 'success');
+          form.reset();
+        } catch (error) {
+          console.error(error);
+          setFeedback(error.message, 'error');
+        } finally {
+          if (submitButton) {
+            submitButton.disabled = false;
+          }
+        }
+      });
+    };
+
+    handleSubmit(this.encryptionForms.enable, async (value) => {
+      await EncryptionManager.enable(value('passphrase'), value('confirmation'));
+      return 'Encryption is on. You will need your passphrase to open this business.';
+    });
+    handleSubmit(this.encryptionForms.change, async (value) => {
+      await EncryptionManager.changePassphrase(value('current'), value('passphrase'), value('confirmation'));
+      return 'Passphrase changed.';
+    });
+    handleSubmit(this.encryptionForms.disable, async (value) => {
+      const confirmed = window.confirm('Turn off encryption and store this business unencrypted on this device?');
+      if (!confirmed) {
+        return '';
+      }
+      await EncryptionManager.disable(value('passphrase'));
+      return 'Encryption is off.';
+    });
+
+    this.lockNowButton?.addEventListener('click', (event) => {
+      event.preventDefault();
+      EncryptionManager.lock().catch((error) => {
+        console.error(error);
+        this.showToast(error.message, 'error');
+      });
+    });
+
+    this.unlockForm?.addEventListener('submit', async (event) => {
+      event.preventDefault();
+      const input = this.unlockForm.querySelector('[name="passphrase"]');
+      if (this.unlockFeedback) {
+        this.unlockFeedback.textContent = '';
+      }
+      try {
+        await EncryptionManager.unlock(input.value);
+        this.unlockForm.reset();
+      } catch (error) {
+        if (this.unlockFeedback) {
+          this.unlockFeedback.textContent = error.message;
+        }
+        input.select();
+      }
+    });
+  }
+
+  renderEncryption() {
+    const status = EncryptionManager.getStatus();
+    toggleHidden(this.lockNowButton, !status.enabled || status.locked);
+    toggleHidden(this.lockScreen, !status.locked || UserManager.requiresSignIn());
+    if (status.locked && !UserManager.requiresSignIn()) {
+      if (this.lockScreenBusiness) {
+        const profile = ProfileManager.getActive();
+        this.lockScreenBusiness.textContent = `${profile?.name || 'This business'} is encrypted on this device.`;
+      }
+      this.unlockForm?.querySelector('[name="passphrase"]')?.focus();
+    }
+    toggleHidden(this.encryptionForms.enable, status.enabled);
+    toggleHidden(this.encryptionForms.change, !status.enabled);
+    toggleHidden(this.encryptionForms.disable, !status.enabled);
+    if (this.encryptionStatus) {
+      this.encryptionStatus.textContent = status.enabled
+        ? 'Encryption is on. Data for this business is stored encrypted and locks after the idle time set above.'
+        : 'Encryption is off. Anyone with access to this browser can read this business\'s data.';
+    }
+  }
+
+  bindStorageActions() {
+    const setFeedback = (message = '', state = 'idle') => {
+      if (!this.storageFeedback) {
+        return;
+      }
+      this.storageFeedback.textContent = message;
+      if (state === 'idle') {
+        this.storageFeedback.removeAttribute('data-state');
+      } else {
+        this.storageFeedback.setAttribute('data-state', state);
+      }
+    };
+
+    const beforeInput = this.storageArchiveForm?.querySelector('[name="before"]');
+    if (beforeInput) {
+      beforeInput.value = StorageManager.defaultArchiveCutoff();
+    }
+
+    document.querySelector('[data-action="open-storage-settings"]')?.addEventListener('click', (event) => {
+      event.preventDefault();
+      this.activateSection('settings');
+      this.storageArchiveForm?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    });
+
+    this.storageArchiveForm?.addEventListener('submit', async (event) => {
+      event.preventDefault();
+      const before = beforeInput?.value || StorageManager.defaultArchiveCutoff();
+      const candidates = StorageManager.findArchivableInvoices({ before });
+      if (!candidates.length) {
+        setFeedback(`There are no paid invoices settled before ${formatDate(before)} to archive.`, 'warning');
+        return;
+      }
+      const confirmed = window.confirm(
+        `Download ${candidates.length} paid invoice(s) settled before ${formatDate(before)} to an archive file ` +
+          'and remove them from this device?'
+      );
+      if (!confirmed) {
+        return;
+      }
+      try {
+        const archive = await BackupManager.archivePaidInvoices({ before });
+        const { invoices, payments, creditNotes } = archive.data;
+        setFeedback(
+          `Archived ${invoices.length} invoice(s), ${payments.length} payment(s) and ${creditNotes.length} ` +
+            'credit note(s). Keep the downloaded file safe.',
+          'success'
+        );
+      } catch (error) {
+        console.error(error);
+        setFeedback(error.message, 'error');
+      }
+    });
+  }
+
+  bindUndoActions() {
+    document.addEventListener('keydown', (event) => {
+      if (!(event.ctrlKey || event.metaKey) || event.altKey || event.key.toLowerCase() !== 'z') {
+        return;
+      }
+      const target = event.target;
+      if (target?.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target?.tagName)) {
+        return;
+      }
+      event.preventDefault();
+      if (event.shiftKey) {
+        this.redoLastAction();
+      } else {
+        this.undoLastAction();
+      }
+    });
+  }
+
+  undoLastAction() {
+    if (!UndoManager.canUndo()) {
+      this.showToast('Nothing to undo.', 'info');
+      return;
+    }
+    try {
+      const description = UndoManager.undo();
+      this.showToast(`Undid: ${description}.`, 'info', {
+        actionLabel: 'Redo',
+        onAction: () => this.redoLastAction()
+      });
+    } catch (error) {
+      console.error(error);
+      this.showToast(error.message, 'error');
+    }
+  }
+
+  redoLastAction() {
+    if (!UndoManager.canRedo()) {
+      this.showToast('Nothing to redo.', 'info');
+      return;
+    }
+    try {
+      const description = UndoManager.redo();
+      this.showToast(`Redid: ${description}.`, 'info', {
+        actionLabel: 'Undo',
+        onAction: () => this.undoLastAction()
+      });
+    } catch (error) {
+      console.error(error);
+      this.showToast(error.message, 'error');
+    }
+  }
+
+  bindIntegrityActions() {
+    const setFeedback = (message = '', state = 'idle') => {
+      if (!this.integrityFeedback) {
+        return;
+      }
+      this.integrityFeedback.textContent = message;
+      if (state === 'idle') {
+        this.integrityFeedback.removeAttribute('data-state');
+      } else {
+        this.integrityFeedback.setAttribute('data-state', state);
+      }
+    };
+
+    const runCheck = (successMessage = '') => {
+      try {
+        const { issues } = IntegrityManager.scan();
+        this.renderIntegrity(issues);
+        if (issues.length) {
+          setFeedback(`${successMessage} Found ${issues.length} issue(s) to review.`.trim(), 'warning');
+        } else {
+          setFeedback(`${successMessage} No problems found.`.trim(), 'success');
+        }
+      } catch (error) {
+        console.error(error);
+        setFeedback(error.message, 'error');
+      }
+    };
+
+    this.integrityCheckButton?.addEventListener('click', (event) => {
+      event.preventDefault();
+      runCheck();
+    });
+
+    this.integrityRepairAllButton?.addEventListener('click', (event) => {
+      event.preventDefault();
+      try {
+        const repaired = IntegrityManager.repairAll();
+        runCheck(`Repaired ${repaired.length} issue(s).`);
+      } catch (error) {
+        console.error(error);
+        setFeedback(error.message, 'error');
+      }
+    });
+
+    this.integrityList?.addEventListener('click', (event) => {
+      const button = event.target.closest('[data-action="repair-integrity-issue"]');
+      if (!button) {
+        return;
+      }
+      event.preventDefault();
+      try {
+        const issue = IntegrityManager.repair(button.getAttribute('data-id'));
+        runCheck(`${issue.label} repaired.`);
+      } catch (error) {
+        console.error(error);
+        setFeedback(error.message, 'error');
+      }
+    });
+  }
+
+  renderIntegrity(issues = []) {
+    toggleHidden(this.integrityRepairAllButton, issues.length < 2);
+    if (!this.integrityList) {
+      return;
+    }
+    clearChildren(this.integrityList);
+    issues.forEach((issue) => {
+      const item = document.createElement('li');
+      item.className = 'settings-profiles__item';
+      const details = document.createElement('span');
+      const label = document.createElement('strong');
+      label.textContent = issue.label;
+      details.append(label, document.createElement('br'), issue.message);
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'btn btn--sm btn--secondary';
+      button.setAttribute('data-action', 'repair-integrity-issue');
+      button.setAttribute('data-id', issue.id);
+      button.textContent = issue.repair;
+      item.append(details, button);
+      this.integrityList.appendChild(item);
+    });
+  }
+
+  async renderStorage() {
+    let status;
+    try {
+      status = await StorageManager.getStatus();
+    } catch (error) {
+      console.error('Unable to read storage usage:', error);
+      return;
+    }
+    const percent = Math.min(100, Math.round(status.ratio * 100));
+    if (this.storageWarning) {
+      this.storageWarning.setAttribute('data-level', status.level);
+      toggleHidden(this.storageWarning, status.level === 'ok');
+    }
+    if (this.storageWarningMessage) {
+      this.storageWarningMessage.textContent =
+        status.level === 'critical'
+          ? `Storage on this device is ${percent}% full. New changes may not save until you free up space.`
+          : `Storage on this device is ${percent}% full. Archive old paid invoices to keep room for new work.`;
+    }
+    if (this.storageUsage) {
+      const profileUsage = `This business uses ${formatBytes(status.profileBytes)}.`;
+      const quotaUsage = `Using ${formatBytes(status.usedBytes)} of about ${formatBytes(status.quotaBytes)}`;
+      this.storageUsage.textContent = status.quotaBytes ? `${quotaUsage} (${percent}%). ${profileUsage}` : profileUsage;
+    }
+    if (this.storageCollections) {
+      clearChildren(this.storageCollections);
+      Object.entries(status.collections)
+        .filter(([, size]) => size > 0)
+        .sort(([, a], [, b]) => b - a)
+        .forEach(([key, size]) => {
+          const item = document.createElement('li');
+          item.className = 'settings-profiles__item';
+          const label = document.createElement('span');
+          label.textContent = STORAGE_COLLECTION_LABELS[key] || key;
+          const value = document.createElement('span');
+          value.textContent = formatBytes(size);
+          item.append(label, value);
+          this.storageCollections.appendChild(item);
+        });
+    }
+  }
+
+  bindUserActions() {
+    const setFeedback = (message = '', state = 'idle') => {
+      if (!this.userFeedback) {
+        return;
+      }
+      this.userFeedback.textContent = message;
+      if (state === 'idle') {
+        this.userFeedback.removeAttribute('data-state');
+      } else {
+        this.userFeedback.setAttribute('data-state', state);
+      }
+    };
+
+    this.signInForm?.addEventListener('submit', async (event) => {
+      event.preventDefault();
+      const value = (name) => this.signInForm.querySelector(`[name="${name}"]`).value;
+      if (this.signInFeedback) {
+        this.signInFeedback.textContent = '';
+      }
+      try {
+        if (UserManager.requiresSetup()) {
+          await UserManager.create({
+            name: value('name'),
+            username: value('username'),
+            password: value('password'),
+            role: 'owner'
+          });
+        }
+        const user = await UserManager.signIn(value('username'), value('password'));
+        this.signInForm.reset();
+        this.showToast(`Signed in as ${user.name}.`, 'success');
+      } catch (error) {
+        if (this.signInFeedback) {
+          this.signInFeedback.textContent = error.message;
+        }
+        this.signInForm.querySelector('[name="password"]').value = '';
+      }
+    });
+
+    this.signOutButton?.addEventListener('click', (event) => {
+      event.preventDefault();
+      UserManager.signOut();
+    });
+
+    const checkSession = () => {
+      if (UserManager.requiresSignIn() && this.signInScreen?.hidden) {
+        this.renderSession();
+      }
+    };
+    document.addEventListener('pointerdown', checkSession, true);
+    document.addEventListener('keydown', checkSession, true);
+
+    this.userForm?.addEventListener('submit', async (event) => {
+      event.preventDefault();
+      const value = (name) => this.userForm.querySelector(`[name="${name}"]`).value;
+      try {
+        const user = await UserManager.create({
+          name: value('name'),
+          username: value('username'),
+          password: value('password'),
+          role: value('role')
+        });
+        this.userForm.reset();
+        setFeedback(`${user.name} can now sign in as ${user.username}.`, 'success');
+      } catch (error) {
+        setFeedback(error.message, 'error');
+      }
+    });
+
+    this.userList?.addEventListener('click', (event) => {
+      const button = event.target.closest('[data-action]');
+      if (!button) {
+        return;
+      }
+      event.preventDefault();
+      const user = UserManager.findById(button.getAttribute('data-id'));
+      if (!user) {
+        return;
+      }
+      try {
+        if (button.getAttribute('data-action') === 'change-user-role') {
+          const updated = UserManager.update(user.id, { role: button.closest('li').querySelector('select').value });
+          setFeedback(`${updated.name}'s role is now ${UserManager.getRoleLabel(updated.role)}.`, 'success');
+        } else if (button.getAttribute('data-action') === 'delete-user') {
+          if (!window.confirm(`Remove the account for ${user.name}?`)) {
+            return;
+          }
+          UserManager.remove(user.id);
+          setFeedback(`${user.name} removed.`, 'success');
+        }
+      } catch (error) {
+        setFeedback(error.message, 'error');
+      }
+    });
+  }
+
+  renderSession() {
+    const user = UserManager.getCurrentUser();
+    const requiresSignIn = UserManager.requiresSignIn();
+    const requiresSetup = UserManager.requiresSetup();
+    toggleHidden(this.signInScreen, !requiresSignIn);
+    this.signInSetupFields.forEach((element) => toggleHidden(element, !requiresSetup));
+    if (this.signInTitle) {
+      this.signInTitle.textContent = requiresSetup ? 'Set up the owner account' : 'Sign in';
+    }
+    if (this.signInSubmit) {
+      this.signInSubmit.textContent = requiresSetup ? 'Create owner account' : 'Sign in';
+    }
+    this.signInForm
+      ?.querySelector('[name="password"]')
+      ?.setAttribute('autocomplete', requiresSetup ? 'new-password' : 'current-password');
+    if (requiresSignIn) {
+      this.signInForm?.querySelector(`[name="${requiresSetup ? 'name' : 'username'}"]`)?.focus();
+    }
+    if (this.sessionUser) {
+      this.sessionUser.textContent = user ? `${user.name} · ${UserManager.getRoleLabel(user.role)}` : '';
+    }
+    toggleHidden(this.sessionUser, !user);
+    toggleHidden(this.signOutButton, !user);
+
+    const restricted = { reports: !UserManager.can('reports'), settings: !UserManager.can('settings') };
+    this.tabButtons.forEach((tab) => {
+      toggleHidden(tab, Boolean(restricted[tab.getAttribute('aria-controls')]));
+    });
+    const activeSection = this.tabButtons
+      .find((tab) => tab.classList.contains('active'))
+      ?.getAttribute('aria-controls');
+    if (restricted[activeSection]) {
+      this.activateSection('dashboard');
+    }
+    toggleHidden(this.resumeSetupButton, restricted.settings);
+    this.renderUsers();
+    this.renderEncryption();
+  }
+
+  renderUsers() {
+    if (!this.usersCard) {
+      return;
+    }
+    toggleHidden(this.usersCard, !UserManager.can('users'));
+    if (!this.userList) {
+      return;
+    }
+    clearChildren(this.userList);
+    const currentUserId = UserManager.getCurrentUser()?.id;
+    UserManager.list().forEach((user) => {
+      const item = document.createElement('li');
+      item.className = 'settings-profiles__item';
+      const options = UserManager.ROLES.map(
+        (role) =>
+          `<option value="${role}"${role === user.role ? ' selected' : ''}>${UserManager.getRoleLabel(role)}</option>`
+      ).join('');
+      item.innerHTML = `
+        <span>${user.name} <span class="hint">${user.username}</span>${
+          user.id === currentUserId ? ' <span class="status-pill status-pill--success">You</span>' : ''
+        }</span>
+        <span>
+          <select aria-label="Role for ${user.name}">${options}</select>
+          <button class="btn btn--sm btn--secondary" data-action="change-user-role" data-id="${user.id}">
+            Update role
+          </button>
+          ${
+            user.id === currentUserId
+              ? ''
+              : `<button class="btn btn--sm btn--destructive" data-action="delete-user" data-id="${user.id}">
+                  Remove
+                </button>`
+          }
+        </span>
+      `;
+      this.userList.appendChild(item);
+    });
+  }
+
+  async renderProfileSummary() {
+    if (!this.profileSummaryCard || !this.profileSummaryBody) {
+      return;
+    }
+    if (ProfileManager.list().length < 2 || !UserManager.can('reports')) {
+      this.profileSummaryCard.hidden = true;
+      return;
+    }
+    let summary;
+    try {
+      summary = await ReportManager.getConsolidatedSummary();
+    } catch (error) {
+      console.error(error);
+      return;
+    }
+    const cells = (row) => {
+      if (row.locked) {
+        return '<td colspan="5">Locked</td>';
+      }
+      return `
+        <td>${row.invoiceCount}</td>
+        <td class="text-right">${formatCurrency(row.outstandingAmount)}</td>
+        <td class="text-right">${formatCurrency(row.overdueAmount)}</td>
+        <td class="text-right">${formatCurrency(row.paymentsReceived)}</td>
+        <td class="text-right">${formatCurrency(row.gstCollected)}</td>
+      `;
+    };
+    clearChildren(this.profileSummaryBody);
+    summary.profiles.forEach((row) => {
+      const tableRow = document.createElement('tr');
+      tableRow.innerHTML = `<th scope="row">${row.name}${row.isActive ? ' · active' : ''}</th>${cells(row)}`;
+      this.profileSummaryBody.appendChild(tableRow);
+    });
+    if (this.profileSummaryFooter) {
+      clearChildren(this.profileSummaryFooter);
+      const totalRow = document.createElement('tr');
+      totalRow.innerHTML = `<th scope="row">All businesses</th>${cells(summary.totals)}`;
+      this.profileSummaryFooter.appendChild(totalRow);
+    }
+    this.profileSummaryCard.hidden = false;
+  }
+
+  renderTrash() {
+    if (!this.trashListBody) {
+      return;
+    }
+    clearChildren(this.trashListBody);
+    const entries = TrashManager.list();
+    if (this.emptyTrashButton) {
+      this.emptyTrashButton.disabled = !entries.length;
+    }
+    if (!entries.length) {
+      const emptyRow = document.createElement('tr');
+      const cell = document.createElement('td');
+      cell.colSpan = 5;
+      cell.textContent = 'The trash is empty.';
+      emptyRow.appendChild(cell);
+      this.trashListBody.appendChild(emptyRow);
+      return;
+    }
+    entries.forEach((entry) => {
+      const row = document.createElement('tr');
+      row.innerHTML = `
+        <td>${entry.type}</td>
+        <td>${entry.description}</td>
+        <td>${formatDate(entry.deletedAt)}</td>
+        <td>${entry.purgeAt ? formatDate(entry.purgeAt) : 'Never'}</td>
+        <td>
+          <button
+            class="btn btn--sm btn--secondary"
+            data-action="restore"
+            data-collection="${entry.collection}"
+            data-id="${entry.id}"
+          >
+            Restore
+          </button>
+          <button
+            class="btn btn--sm btn--destructive"
+            data-action="purge"
+            data-collection="${entry.collection}"
+            data-id="${entry.id}"
+          >
+            Delete forever
+          </button>
+        </td>
+      `;
+      this.trashListBody.appendChild(row);
+    });
+  }
+
   exposeGlobals() {
     if (typeof window !== 'undefined') {
       window.ZantraApp = {
@@ -2478,20 +4553,60 @@ class ZantraApp {
         ClientManager,
         ServiceManager,
         InvoiceManager,
+        CreditNoteManager,
+        TaxCodeManager,
+        DiscountManager,
         InvoiceDocumentManager,
         QuoteManager,
         PaymentManager,
         ReportManager,
         SettingsManager,
-        BackupManager
+        NumberingManager,
+        BackupManager,
+        LegacyImportManager,
+        TrashManager,
+        AuditLogManager,
+        ProfileManager,
+        EncryptionManager,
+        UserManager,
+        StorageManager,
+        IntegrityManager,
+        UndoManager
       };
     }
   }
 }
 
 document.addEventListener('DOMContentLoaded', () => {
-  const app = new ZantraApp();
-  app.init();
+  const start = () => {
+    const app = new ZantraApp();
+    app.init();
+  };
+  const profileId = ProfileManager.getStoredActiveId();
+  const fallbackToLocalStorage = () =>
+    DataManager.initialize({ profileId, adapter: DataManager.createAdapter(profileId, { indexedDB: false }) });
+  if (!IndexedDbAdapter.isSupported()) {
+    fallbackToLocalStorage().then(start, (error) => {
+      console.error('Failed to open localStorage storage:', error);
+      start();
+    });
+    return;
+  }
+  DataManager.initialize({ profileId }).then(start, (error) => {
+    if (!(error instanceof StorageUnavailableError)) {
+      console.error('Failed to load data from IndexedDB storage:', error);
+      const warning = document.querySelector('[data-storage-warning]');
+      const message = document.querySelector('[data-storage-warning-message]');
+      if (message) {
+        message.textContent = 'Your saved data could not be loaded. Reload the page to try again.';
+      }
+      warning?.querySelector('[data-action="open-storage-settings"]')?.setAttribute('hidden', '');
+      warning?.removeAttribute('hidden');
+      return;
+    }
+    console.error('Failed to open IndexedDB storage, falling back to localStorage:', error);
+    fallbackToLocalStorage().then(start, start);
+  });
 });
 
 export {
@@ -2499,10 +4614,23 @@ export {
   ClientManager,
   ServiceManager,
   InvoiceManager,
+  CreditNoteManager,
+  TaxCodeManager,
+  DiscountManager,
   InvoiceDocumentManager,
   QuoteManager,
   PaymentManager,
   ReportManager,
   SettingsManager,
-  BackupManager
+  NumberingManager,
+  BackupManager,
+  LegacyImportManager,
+  TrashManager,
+  AuditLogManager,
+  ProfileManager,
+  EncryptionManager,
+  UserManager,
+  StorageManager,
+  IntegrityManager,
+  UndoManager
 };
@@ -0,0 +1,116 @@
+import { DataManager } from '../data/DataManager.js';
+
+const ACTION_LABELS = {
+  created: 'Created',
+  updated: 'Updated',
+  deleted: 'Moved to trash',
+  restored: 'Restored',
+  purged: 'Permanently deleted',
+  archived: 'Archived to a file',
+  cleared: 'Cleared'
+};
+
+const COLLECTION_LABELS = {
+  invoices: 'Invoice',
+  quotes: 'Quote',
+  clients: 'Client',
+  services: 'Service',
+  payments: 'Payment',
+  recurringSchedules: 'Recurring schedule',
+  creditNotes: 'Credit note',
+  settings: 'Settings',
+  backup: 'Backup',
+  data: 'All data'
+};
+
+const sanitizeString = (value) => (typeof value === 'string' ? value.trim() : '');
+
+const toTimestamp = (value, { endOfDay = false } = {}) => {
+  if (value instanceof Date) {
+    return value.getTime();
+  }
+  const parsed = sanitizeString(value);
+  if (!parsed) {
+    return null;
+  }
+  const timestamp = Date.parse(parsed);
+  if (Number.isNaN(timestamp)) {
+    throw new Error(`AuditLogManager.query: "${value}" is not a valid date.`);
+  }
+  const isDateOnly = /^\d{4}-\d{2}-\d{2}$/.test(parsed);
+  return endOfDay && isDateOnly ? timestamp + 24 * 60 * 60 * 1000 - 1 : timestamp;
+};
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') {
+    return '—';
+  }
+  if (typeof value === 'object') {
+    return Array.isArray(value) ? `${value.length} item${value.length === 1 ? '' : 's'}` : 'details';
+  }
+  return String(value);
+};
+
+export class AuditLogManager {
+  static query({ collection, recordId, invoiceId, actorId, action, from, to } = {}) {
+    const fromTime = toTimestamp(from);
+    const toTime = toTimestamp(to, { endOfDay: true });
+    return DataManager.listAuditLog()
+      .reverse()
+      .filter((entry) => {
+        if (collection && entry.collection !== collection) {
+          return false;
+        }
+        if (recordId && entry.recordId !== recordId) {
+          return false;
+        }
+        if (invoiceId && entry.invoiceId !== invoiceId) {
+          return false;
+        }
+        if (actorId && entry.actor?.id !== actorId) {
+          return false;
+        }
+        if (action && entry.action !== action) {
+          return false;
+        }
+        const timestamp = Date.parse(entry.timestamp);
+        if (fromTime !== null && timestamp < fromTime) {
+          return false;
+        }
+        if (toTime !== null && timestamp > toTime) {
+          return false;
+        }
+        return true;
+      })
+      .sort((a, b) => Date.parse(b.timestamp) - Date.parse(a.timestamp));
+  }
+
+  static forRecord(collection, recordId) {
+    return AuditLogManager.query({ collection, recordId });
+  }
+
+  static forInvoice(invoiceId) {
+    const id = sanitizeString(invoiceId);
+    if (!id) {
+      return [];
+    }
+    return AuditLogManager.query().filter(
+      (entry) => (entry.collection === 'invoices' && entry.recordId === id) || entry.invoiceId === id
+    );
+  }
+
+  static describe(entry) {
+    const subject = COLLECTION_LABELS[entry.collection] || entry.collection;
+    const action = ACTION_LABELS[entry.action] || entry.action;
+    const summary = `${subject} ${action.toLowerCase()}`;
+    if (entry.action !== 'updated' || !entry.changes?.length) {
+      return summary;
+    }
+    const details = entry.changes
+      .map((change) => `${change.field}: ${formatValue(change.before)} → ${formatValue(change.after)}`)
+      .join(', ');
+    return `${summary} (${details})`;
+  }
+}
+
+export default AuditLogManager;
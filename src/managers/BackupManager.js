@@ -1,13 +1,28 @@
 import { DataManager } from '../data/DataManager.js';
+import { ProfileManager } from './ProfileManager.js';
+import { StorageManager } from './StorageManager.js';
+import { UserManager } from './UserManager.js';
 
 const BACKUP_MIME_TYPE = 'application/json';
 const BACKUP_FILENAME_PREFIX = 'zantra-backup';
+const ARCHIVE_FILENAME_PREFIX = 'zantra-archive';
+const ARCHIVE_TYPE = 'zantra-invoice-archive';
 
 const resolveDocument = () => (typeof document !== 'undefined' ? document : null);
 
-const createTimestampedFilename = () => {
+const createTimestampedFilename = (profileId, prefix = BACKUP_FILENAME_PREFIX) => {
   const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-  return `${BACKUP_FILENAME_PREFIX}-${timestamp}.json`;
+  return `${prefix}-${profileId}-${timestamp}.json`;
+};
+
+const parseArchive = (raw) => {
+  try {
+    const text = typeof raw === 'string' ? raw : new TextDecoder().decode(raw);
+    const parsed = JSON.parse(text);
+    return parsed?.type === ARCHIVE_TYPE ? parsed : null;
+  } catch (error) {
+    return null;
+  }
 };
 
 const triggerDownload = (blob, filename) => {
@@ -34,15 +49,24 @@ const triggerDownload = (blob, filename) => {
 };
 
 export class BackupManager {
-  static async downloadBackup() {
-    const payload = DataManager.exportAll();
+  static async downloadBackup({ profileId = DataManager.getProfileId() } = {}) {
+    UserManager.assertPermission('settings');
+    const profile = ProfileManager.findById(profileId);
+    if (!profile) {
+      throw new Error(`BackupManager.downloadBackup: No business profile found for id "${profileId}".`);
+    }
+    const payload = {
+      ...(await DataManager.exportProfile(profile.id)),
+      profile: { id: profile.id, name: profile.name }
+    };
     const serialized = JSON.stringify(payload, null, 2);
     const blob = new Blob([serialized], { type: BACKUP_MIME_TYPE });
-    triggerDownload(blob, createTimestampedFilename());
+    triggerDownload(blob, createTimestampedFilename(profile.id));
     return payload;
   }
 
   static async restoreBackup(file) {
+    UserManager.assertPermission('settings');
     if (!file) {
       throw new Error('Select a backup file to restore.');
     }
@@ -61,10 +85,71 @@ export class BackupManager {
     } catch (error) {
       throw new Error('Unable to read the selected backup file.');
     }
+    const archive = parseArchive(raw);
+    if (archive) {
+      return BackupManager.#restoreArchive(archive);
+    }
     const payload = DataManager.parseBackupPayload(raw);
     DataManager.restoreAll(payload);
     return payload;
   }
+
+  static async archivePaidInvoices({ before = StorageManager.defaultArchiveCutoff() } = {}) {
+    UserManager.assertPermission('settings');
+    const candidates = StorageManager.findArchivableInvoices({ before });
+    if (!candidates.length) {
+      throw new Error(`There are no paid invoices settled before ${before} to archive.`);
+    }
+    const profile = ProfileManager.getActive();
+    const payload = {
+      type: ARCHIVE_TYPE,
+      schemaVersion: DataManager.BACKUP_SCHEMA_VERSION,
+      archivedAt: DataManager.now(),
+      before,
+      profile: { id: profile.id, name: profile.name },
+      data: {
+        invoices: candidates.map(({ invoice }) => invoice),
+        payments: candidates.flatMap(({ payments }) => payments),
+        creditNotes: candidates.flatMap(({ creditNotes }) => creditNotes)
+      }
+    };
+    const blob = new Blob([JSON.stringify(payload, null, 2)], { type: BACKUP_MIME_TYPE });
+    triggerDownload(blob, createTimestampedFilename(profile.id, ARCHIVE_FILENAME_PREFIX));
+    DataManager.transaction(() => {
+      DataManager.archiveRecords('payments', payload.data.payments.map((payment) => payment.id));
+      DataManager.archiveRecords('creditNotes', payload.data.creditNotes.map((creditNote) => creditNote.id));
+      DataManager.archiveRecords('invoices', payload.data.invoices.map((invoice) => invoice.id));
+    });
+    return payload;
+  }
+
+  static #restoreArchive(archive) {
+    if (archive.profile?.id && archive.profile.id !== DataManager.getProfileId()) {
+      const profileName = archive.profile.name || archive.profile.id;
+      throw new Error(`This archive belongs to ${profileName}. Switch to that business before restoring it.`);
+    }
+    if (!archive.data || typeof archive.data !== 'object' || Array.isArray(archive.data)) {
+      throw new Error('This archive is missing its invoices.');
+    }
+    const data = DataManager.migrateSnapshot(archive.data, archive.schemaVersion);
+    const records = (collection) =>
+      (Array.isArray(data[collection]) ? data[collection] : []).filter(
+        (record) => record && typeof record === 'object' && record.id && !DataManager.findRecord(collection, record.id)
+      );
+    const invoices = records('invoices');
+    const payments = records('payments');
+    const creditNotes = records('creditNotes');
+    DataManager.transaction(() => {
+      invoices.forEach((invoice) => DataManager.saveInvoice(invoice));
+      payments.forEach((payment) => DataManager.savePayment(payment));
+      creditNotes.forEach((creditNote) => DataManager.saveCreditNote(creditNote));
+    });
+    return {
+      ...archive,
+      data,
+      restored: { invoices: invoices.length, payments: payments.length, creditNotes: creditNotes.length }
+    };
+  }
 }
 
 export default BackupManager;
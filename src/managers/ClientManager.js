@@ -1,17 +1,35 @@
 import { DataManager } from '../data/DataManager.js';
+import { DependentRecordsError } from '../data/errors.js';
+import { Schema } from '../data/schema.js';
 
-const REQUIRED_FIELDS = [
-  { key: 'name', label: 'Client name' },
-  { key: 'businessName', label: 'Business name' },
-  { key: 'address', label: 'Address' },
-  { key: 'abn', label: 'ABN' },
-  { key: 'contact', label: 'Primary contact' },
-  { key: 'prefix', label: 'Document prefix' }
-];
+const CLIENT_SCHEMA = {
+  entity: 'client',
+  label: 'Client',
+  fields: {
+    name: { type: 'string', required: true, label: 'Client name' },
+    businessName: { type: 'string', required: true, label: 'Business name' },
+    address: { type: 'string', required: true, label: 'Address' },
+    abn: { type: 'string', required: true, label: 'ABN' },
+    contact: { type: 'string', required: true, label: 'Primary contact' },
+    prefix: { type: 'string', required: true, label: 'Document prefix' },
+    email: { type: 'email', label: 'Email' }
+  }
+};
+
+const REQUIRED_FIELDS = ['name', 'businessName', 'address', 'abn', 'contact', 'prefix'];
 
 const sanitizeString = (value) => (typeof value === 'string' ? value.trim() : '');
 
+const toIds = (dependents) =>
+  Object.fromEntries(
+    Object.entries(dependents).map(([collection, records]) => [collection, records.map(({ id }) => id)])
+  );
+
+const hasDependents = (dependents) => Object.values(dependents).some((records) => records.length);
+
 export class ClientManager {
+  static SCHEMA = CLIENT_SCHEMA;
+
   static list() {
     return DataManager.listClients();
   }
@@ -21,7 +39,7 @@ export class ClientManager {
     if (!id) {
       return null;
     }
-    return ClientManager.list().find((client) => client.id === id) || null;
+    return DataManager.findRecord('clients', id);
   }
 
   static create(input) {
@@ -35,7 +53,7 @@ export class ClientManager {
     return DataManager.saveClient(normalized);
   }
 
-  static update(clientId, updates) {
+  static update(clientId, updates, { expectedRevision } = {}) {
     const existing = ClientManager.findById(clientId);
     if (!existing) {
       throw new Error(`ClientManager.update: No client found for id "${clientId}".`);
@@ -47,17 +65,88 @@ export class ClientManager {
       createdAt: existing.createdAt,
       updatedAt: DataManager.now()
     });
-    return DataManager.saveClient(normalized);
+    return DataManager.saveClient(normalized, { expectedRevision });
+  }
+
+  static listActive() {
+    return ClientManager.list().filter((client) => !client.archivedAt);
   }
 
-  static remove(clientId) {
-    return DataManager.deleteClient(clientId);
+  static findDependents(clientId) {
+    const id = sanitizeString(clientId);
+    const matching = (collection) => (id ? DataManager.queryRecords(collection, { clientId: id }) : []);
+    return {
+      invoices: matching('invoices'),
+      quotes: matching('quotes'),
+      recurringSchedules: matching('recurringSchedules'),
+      creditNotes: matching('creditNotes')
+    };
+  }
+
+  static archive(clientId) {
+    if (!ClientManager.findById(clientId)) {
+      throw new Error(`ClientManager.archive: No client found for id "${clientId}".`);
+    }
+    return ClientManager.update(clientId, { archivedAt: DataManager.now() });
+  }
+
+  static unarchive(clientId) {
+    if (!ClientManager.findById(clientId)) {
+      throw new Error(`ClientManager.unarchive: No client found for id "${clientId}".`);
+    }
+    return ClientManager.update(clientId, { archivedAt: '' });
+  }
+
+  static remove(clientId, { policy, reassignTo } = {}) {
+    const client = ClientManager.findById(clientId);
+    if (!client) {
+      return DataManager.deleteClient(clientId);
+    }
+    const dependents = ClientManager.findDependents(client.id);
+    if (!hasDependents(dependents)) {
+      return DataManager.deleteClient(client.id);
+    }
+
+    const resolvedPolicy = sanitizeString(policy) || DataManager.getSettings().clientDeletePolicy;
+    if (resolvedPolicy === 'archive') {
+      ClientManager.archive(client.id);
+      return false;
+    }
+    if (resolvedPolicy !== 'reassign') {
+      throw new DependentRecordsError('client', client.id, toIds(dependents));
+    }
+
+    const target = ClientManager.findById(reassignTo);
+    if (!target || target.id === client.id) {
+      throw new DependentRecordsError('client', client.id, toIds(dependents), { policy: 'reassign' });
+    }
+    return DataManager.transaction(() => {
+      const now = DataManager.now();
+      const snapshot = {
+        clientId: target.id,
+        clientName: target.name,
+        clientBusinessName: target.businessName,
+        updatedAt: now
+      };
+      dependents.invoices.forEach((invoice) => DataManager.saveInvoice({ ...invoice, ...snapshot }));
+      dependents.quotes.forEach((quote) => DataManager.saveQuote({ ...quote, ...snapshot }));
+      dependents.recurringSchedules.forEach((schedule) =>
+        DataManager.saveRecurringSchedule({ ...schedule, ...snapshot })
+      );
+      dependents.creditNotes.forEach((creditNote) => DataManager.saveCreditNote({ ...creditNote, ...snapshot }));
+      const invoiceIds = new Set(dependents.invoices.map(({ id }) => id));
+      DataManager.listPayments()
+        .filter((payment) => invoiceIds.has(payment.invoiceId))
+        .forEach((payment) => DataManager.savePayment({ ...payment, clientId: target.id, clientName: target.name }));
+      return DataManager.deleteClient(client.id);
+    });
   }
 
   static #normalize(input) {
     if (!input || typeof input !== 'object') {
       throw new Error('ClientManager: client payload must be an object.');
     }
+    Schema.assert(CLIENT_SCHEMA, input);
 
     const normalized = {
       id: sanitizeString(input.id) || DataManager.randomUUID(),
@@ -65,23 +154,16 @@ export class ClientManager {
       updatedAt: sanitizeString(input.updatedAt) || DataManager.now(),
       email: sanitizeString(input.email).toLowerCase()
     };
+    const archivedAt = sanitizeString(input.archivedAt);
+    if (archivedAt) {
+      normalized.archivedAt = archivedAt;
+    }
 
-    REQUIRED_FIELDS.forEach(({ key, label }) => {
+    REQUIRED_FIELDS.forEach((key) => {
       const value = sanitizeString(input[key]);
-      if (!value) {
-        throw new Error(`${label} is required.`);
-      }
       normalized[key] = key === 'prefix' ? value.toUpperCase() : value;
     });
 
-    if (normalized.email && !ClientManager.#isValidEmail(normalized.email)) {
-      throw new Error('Email must be a valid email address.');
-    }
-
     return normalized;
   }
-
-  static #isValidEmail(email) {
-    return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
-  }
 }
@@ -0,0 +1,241 @@
+import { DataManager } from '../data/DataManager.js';
+import { Money } from '../data/money.js';
+import { Schema } from '../data/schema.js';
+import { DiscountManager } from './DiscountManager.js';
+import { InvoiceManager } from './InvoiceManager.js';
+import { NumberingManager } from './NumberingManager.js';
+import { TaxCodeManager } from './TaxCodeManager.js';
+
+const sanitizeString = (value) => (typeof value === 'string' ? value.trim() : '');
+
+const sanitizeNumber = (value) => {
+  const numeric = Number.parseFloat(value);
+  if (Number.isNaN(numeric) || !Number.isFinite(numeric)) {
+    return 0;
+  }
+  return Math.max(0, Math.round(numeric * 100) / 100);
+};
+
+const coerceDate = (value, fallback) => {
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  const parsed = sanitizeString(value);
+  if (!parsed) {
+    return fallback;
+  }
+  const timestamp = Date.parse(parsed);
+  if (Number.isNaN(timestamp)) {
+    return fallback;
+  }
+  return new Date(timestamp).toISOString();
+};
+
+const CREDIT_NOTE_SCHEMA = {
+  entity: 'creditNote',
+  label: 'Credit note',
+  fields: {
+    invoiceId: { type: 'string', required: true, label: 'Invoice' },
+    issueDate: { type: 'date', label: 'Issue date' },
+    reason: { type: 'string', label: 'Reason' },
+    lineItems: {
+      type: 'array',
+      required: true,
+      minItems: 1,
+      items: Schema.LINE_ITEM,
+      label: 'Line items',
+      messages: { required: 'Add at least one line item.', minItems: 'Add at least one line item.' }
+    }
+  }
+};
+
+const normalizeLineItems = (lineItems) =>
+  (Array.isArray(lineItems) ? lineItems : [])
+    .map((item) => {
+      if (!item || typeof item !== 'object') {
+        return null;
+      }
+      const description = sanitizeString(item.description);
+      const quantity = sanitizeNumber(item.quantity || 0);
+      if (!description || quantity <= 0) {
+        return null;
+      }
+      return {
+        id: sanitizeString(item.id) || DataManager.randomUUID(),
+        serviceId: sanitizeString(item.serviceId),
+        description,
+        quantity,
+        unitPriceCents: Math.max(0, Money.resolveCents(item.unitPrice, item.unitPriceCents)),
+        ...DiscountManager.normalize(item),
+        taxCode: TaxCodeManager.resolveCode(item)
+      };
+    })
+    .filter(Boolean);
+
+const invoiceError = (invoiceId, invoice) => {
+  if (!invoiceId) {
+    return null;
+  }
+  if (!invoice) {
+    return Schema.error('invoiceId', 'not_found', `No invoice found for id "${invoiceId}".`);
+  }
+  if (!InvoiceManager.isIssued(invoice)) {
+    return Schema.error('invoiceId', 'status', 'Credit notes can only be raised against issued invoices.');
+  }
+  return null;
+};
+
+const totalCents = (creditNote) => Math.max(0, Money.resolveCents(creditNote?.total, creditNote?.totalCents));
+
+export class CreditNoteManager {
+  static SCHEMA = CREDIT_NOTE_SCHEMA;
+
+  static list() {
+    return DataManager.listCreditNotes();
+  }
+
+  static findById(creditNoteId) {
+    return DataManager.findRecord('creditNotes', sanitizeString(creditNoteId));
+  }
+
+  static listByInvoice(invoiceId) {
+    const id = sanitizeString(invoiceId);
+    if (!id) {
+      return [];
+    }
+    return DataManager.queryRecords('creditNotes', { invoiceId: id });
+  }
+
+  static create(input) {
+    const invoiceId = sanitizeString(input?.invoiceId);
+    const invoice = invoiceId ? InvoiceManager.findById(invoiceId) : null;
+    const lineItems = normalizeLineItems(input?.lineItems);
+    const totals = InvoiceManager.calculateTotals(
+      lineItems,
+      undefined,
+      invoice?.gstRounding,
+      Boolean(invoice?.pricesIncludeTax)
+    );
+    const validInvoice = invoice && InvoiceManager.isIssued(invoice);
+    Schema.assert(CREDIT_NOTE_SCHEMA, input, {
+      errors: [
+        invoiceError(invoiceId, invoice),
+        ...TaxCodeManager.validateLineItems(input?.lineItems),
+        ...DiscountManager.validateLineItems(input?.lineItems),
+        validInvoice && totals.totalCents > invoice.balanceDueCents
+          ? Schema.error('lineItems', 'max', 'Credit amount exceeds outstanding balance.')
+          : null
+      ]
+    });
+
+    const now = DataManager.now();
+    const issueDate = coerceDate(input.issueDate, now);
+    const creditNote = {
+      id: DataManager.randomUUID(),
+      invoiceId: invoice.id,
+      invoiceNumber: invoice.number,
+      clientId: invoice.clientId,
+      clientName: invoice.clientName,
+      clientBusinessName: invoice.clientBusinessName,
+      issueDate,
+      reason: sanitizeString(input.reason),
+      lineItems: lineItems.map((item, index) => ({
+        id: item.id,
+        serviceId: item.serviceId,
+        description: item.description,
+        quantity: item.quantity,
+        applyGst: totals.lines[index].taxRate > 0,
+        ...totals.lines[index]
+      })),
+      gstRounding: invoice.gstRounding,
+      pricesIncludeTax: Boolean(invoice.pricesIncludeTax),
+      discountTotal: totals.discountTotal,
+      discountTotalCents: totals.discountTotalCents,
+      subtotal: totals.subtotal,
+      subtotalCents: totals.subtotalCents,
+      gstTotal: totals.gstTotal,
+      gstTotalCents: totals.gstTotalCents,
+      total: totals.total,
+      totalCents: totals.totalCents,
+      taxes: totals.taxes,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    return DataManager.transaction(() => {
+      const number = NumberingManager.reserve('creditNotes', { clientId: invoice.clientId, date: issueDate });
+      const saved = DataManager.saveCreditNote({ ...creditNote, number });
+      CreditNoteManager.reconcileInvoice(invoice.id);
+      return saved;
+    });
+  }
+
+  static remove(creditNoteId) {
+    const creditNote = CreditNoteManager.findById(creditNoteId);
+    if (!creditNote) {
+      return DataManager.deleteCreditNote(creditNoteId);
+    }
+    return DataManager.transaction(() => {
+      const removed = DataManager.deleteCreditNote(creditNote.id);
+      const invoice = InvoiceManager.findById(creditNote.invoiceId);
+      if (invoice && invoice.status !== 'void') {
+        CreditNoteManager.reconcileInvoice(invoice.id);
+      }
+      return removed;
+    });
+  }
+
+  static restore(creditNoteId) {
+    const id = sanitizeString(creditNoteId);
+    const creditNote = DataManager.listDeleted('creditNotes').find((record) => record.id === id);
+    const invoice = creditNote ? InvoiceManager.findById(creditNote.invoiceId) : null;
+    if (!invoice) {
+      return DataManager.restoreRecord('creditNotes', id);
+    }
+    Schema.assert(CREDIT_NOTE_SCHEMA, creditNote, {
+      errors: [
+        invoiceError(invoice.id, invoice),
+        InvoiceManager.isIssued(invoice) && totalCents(creditNote) > invoice.balanceDueCents
+          ? Schema.error('lineItems', 'max', 'Credit amount exceeds outstanding balance.')
+          : null
+      ]
+    });
+    return DataManager.transaction(() => {
+      const restored = DataManager.restoreRecord('creditNotes', creditNote.id);
+      CreditNoteManager.reconcileInvoice(invoice.id);
+      return restored;
+    });
+  }
+
+  static reconcileInvoice(invoiceId) {
+    const invoice = InvoiceManager.findById(invoiceId);
+    if (!invoice) {
+      throw new Error(`CreditNoteManager.reconcileInvoice: No invoice found for id "${invoiceId}".`);
+    }
+    const creditNotes = CreditNoteManager.listByInvoice(invoice.id);
+    const creditedTotalCents = Math.min(invoice.totalCents, Money.sum(creditNotes.map(totalCents)));
+    const lastCreditDate =
+      creditNotes
+        .map((creditNote) => creditNote.issueDate)
+        .filter(Boolean)
+        .sort()
+        .at(-1) || '';
+    return InvoiceManager.update(invoice.id, {
+      status: '',
+      paidAt: invoice.paidAt || lastCreditDate,
+      creditedTotal: Money.fromCents(creditedTotalCents),
+      creditedTotalCents
+    });
+  }
+
+  static getCreditedGstCents(invoiceIds) {
+    const ids = invoiceIds ? new Set(invoiceIds) : null;
+    return Money.sum(
+      CreditNoteManager.list()
+        .filter((creditNote) => !ids || ids.has(creditNote.invoiceId))
+        .map((creditNote) => Money.resolveCents(creditNote.gstTotal, creditNote.gstTotalCents))
+    );
+  }
+}
+
+export default CreditNoteManager;
@@ -0,0 +1,79 @@
+import { Money } from '../data/money.js';
+import { Schema } from '../data/schema.js';
+
+const DISCOUNT_SCHEMA = {
+  entity: 'discount',
+  label: 'Discount',
+  fields: {
+    discountType: { type: 'string', enum: Money.DISCOUNT_TYPES, label: 'Discount type' },
+    discountValue: { type: 'number', min: 0, label: 'Discount' }
+  }
+};
+
+const currencyFormatter = new Intl.NumberFormat(undefined, {
+  style: 'currency',
+  currency: 'AUD',
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2
+});
+
+const sanitizeString = (value) => (typeof value === 'string' ? value.trim() : '');
+
+const sanitizeType = (value) => {
+  const type = sanitizeString(value).toLowerCase();
+  return Money.DISCOUNT_TYPES.includes(type) ? type : '';
+};
+
+const sanitizeValue = (value) => {
+  const numeric = Number.parseFloat(value);
+  if (Number.isNaN(numeric) || !Number.isFinite(numeric)) {
+    return 0;
+  }
+  return Math.max(0, Math.round(numeric * 100) / 100);
+};
+
+export class DiscountManager {
+  static TYPES = Money.DISCOUNT_TYPES.slice();
+
+  static SCHEMA = DISCOUNT_SCHEMA;
+
+  static normalize(input) {
+    const discountType = sanitizeType(input?.discountType);
+    const discountValue = discountType ? sanitizeValue(input?.discountValue) : 0;
+    return discountValue > 0 ? { discountType, discountValue } : { discountType: '', discountValue: 0 };
+  }
+
+  static toOption(input) {
+    const { discountType, discountValue } = DiscountManager.normalize(input);
+    return discountType ? { type: discountType, value: discountValue } : null;
+  }
+
+  static describe(input) {
+    const { discountType, discountValue } = DiscountManager.normalize(input);
+    if (discountType === 'percent') {
+      return `${discountValue.toLocaleString(undefined, { maximumFractionDigits: 2 })}%`;
+    }
+    return discountType === 'amount' ? `${currencyFormatter.format(discountValue)} off` : '';
+  }
+
+  static validate(input, path = '') {
+    const errors = Schema.validate(DISCOUNT_SCHEMA, input, { path });
+    const field = path ? `${path}.discountValue` : 'discountValue';
+    if (
+      !errors.length &&
+      sanitizeType(input?.discountType) === 'percent' &&
+      sanitizeValue(input?.discountValue) > 100
+    ) {
+      errors.push(Schema.error(field, 'max', 'Percentage discounts must be 100% or less.'));
+    }
+    return errors;
+  }
+
+  static validateLineItems(lineItems, path = 'lineItems') {
+    return (Array.isArray(lineItems) ? lineItems : []).flatMap((item, index) =>
+      DiscountManager.validate(item, `${path}[${index}]`)
+    );
+  }
+}
+
+export default DiscountManager;
@@ -0,0 +1,90 @@
+import { DataManager } from '../data/DataManager.js';
+import { PassphraseError } from '../data/errors.js';
+import { UserManager } from './UserManager.js';
+
+const MIN_PASSPHRASE_LENGTH = 10;
+const ACTIVITY_EVENTS = ['pointerdown', 'keydown', 'wheel', 'touchstart'];
+
+const validatePassphrase = (passphrase, confirmation) => {
+  if (typeof passphrase !== 'string' || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    throw new PassphraseError(`Passphrases must be at least ${MIN_PASSPHRASE_LENGTH} characters long.`);
+  }
+  if (confirmation !== undefined && confirmation !== passphrase) {
+    throw new PassphraseError('The passphrases do not match.');
+  }
+  return passphrase;
+};
+
+export class EncryptionManager {
+  static MIN_PASSPHRASE_LENGTH = MIN_PASSPHRASE_LENGTH;
+
+  static getStatus() {
+    return DataManager.getEncryptionStatus();
+  }
+
+  static isLocked() {
+    return DataManager.isLocked();
+  }
+
+  static async enable(passphrase, confirmation, options) {
+    UserManager.assertPermission('settings');
+    return DataManager.enableEncryption(validatePassphrase(passphrase, confirmation), options);
+  }
+
+  static async unlock(passphrase) {
+    return DataManager.unlock(passphrase);
+  }
+
+  static async lock() {
+    return DataManager.lock();
+  }
+
+  static async changePassphrase(currentPassphrase, nextPassphrase, confirmation, options) {
+    UserManager.assertPermission('settings');
+    if (currentPassphrase === nextPassphrase) {
+      throw new PassphraseError('Choose a passphrase different from the current one.');
+    }
+    return DataManager.changePassphrase(
+      currentPassphrase,
+      validatePassphrase(nextPassphrase, confirmation),
+      options
+    );
+  }
+
+  static async disable(passphrase) {
+    UserManager.assertPermission('settings');
+    return DataManager.disableEncryption(passphrase);
+  }
+
+  static startAutoLock({ minutes = () => DataManager.getSettings().autoLockMinutes, target } = {}) {
+    const eventTarget = target || (typeof window !== 'undefined' ? window : null);
+    if (!eventTarget) {
+      return () => {};
+    }
+    let timer = null;
+    const resolveMinutes = () => Number(typeof minutes === 'function' ? minutes() : minutes) || 0;
+    const schedule = () => {
+      clearTimeout(timer);
+      timer = null;
+      const status = DataManager.getEncryptionStatus();
+      const idleMinutes = resolveMinutes();
+      if (!status.enabled || status.locked || idleMinutes <= 0) {
+        return;
+      }
+      timer = setTimeout(() => {
+        timer = null;
+        DataManager.lock().catch((error) => console.error('EncryptionManager: auto-lock failed:', error));
+      }, idleMinutes * 60 * 1000);
+    };
+    ACTIVITY_EVENTS.forEach((type) => eventTarget.addEventListener(type, schedule, { passive: true }));
+    const unsubscribe = DataManager.subscribe('*', schedule);
+    schedule();
+    return () => {
+      clearTimeout(timer);
+      ACTIVITY_EVENTS.forEach((type) => eventTarget.removeEventListener(type, schedule));
+      unsubscribe();
+    };
+  }
+}
+
+export default EncryptionManager;
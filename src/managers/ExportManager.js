@@ -1,4 +1,8 @@
+import { Money } from '../data/money.js';
+import { CreditNoteManager } from './CreditNoteManager.js';
 import { InvoiceManager } from './InvoiceManager.js';
+import { TaxCodeManager } from './TaxCodeManager.js';
+import { UserManager } from './UserManager.js';
 
 const CSV_COLUMNS = [
   { key: 'invoiceNumber', label: 'Invoice Number' },
@@ -9,7 +13,22 @@ const CSV_COLUMNS = [
   { key: 'subtotal', label: 'Subtotal (ex GST)' },
   { key: 'gstTotal', label: 'GST Amount' },
   { key: 'invoiceTotal', label: 'Invoice Total' },
-  { key: 'amountPaid', label: 'Amount Paid' }
+  { key: 'amountPaid', label: 'Amount Paid' },
+  { key: 'adjustsInvoice', label: 'Adjusts Invoice' }
+];
+
+const TAX_CODE_COLUMNS = [
+  { key: 'documentNumber', label: 'Document Number' },
+  { key: 'documentType', label: 'Document Type' },
+  { key: 'issueDate', label: 'Issue Date' },
+  { key: 'clientName', label: 'Client Name' },
+  { key: 'taxCode', label: 'Tax Code' },
+  { key: 'taxLabel', label: 'Tax Label' },
+  { key: 'basLabel', label: 'BAS Label' },
+  { key: 'rate', label: 'Rate' },
+  { key: 'net', label: 'Net Amount' },
+  { key: 'gst', label: 'GST Amount' },
+  { key: 'gross', label: 'Gross Amount' }
 ];
 
 const sanitizeDateBoundary = (value, boundary) => {
@@ -59,14 +78,6 @@ const formatDateForCsv = (value) => {
   return new Date(timestamp).toISOString().slice(0, 10);
 };
 
-const formatCurrencyValue = (value) => {
-  const numeric = Number.parseFloat(value);
-  if (Number.isNaN(numeric) || !Number.isFinite(numeric)) {
-    return '0.00';
-  }
-  return numeric.toFixed(2);
-};
-
 const escapeCsvValue = (value) => {
   if (value === null || value === undefined) {
     return '';
@@ -78,8 +89,7 @@ const escapeCsvValue = (value) => {
   return stringValue;
 };
 
-const buildFilename = ({ startDate, endDate }) => {
-  const base = 'zantra-gst-paid-invoices';
+const buildFilename = ({ startDate, endDate }, base = 'zantra-gst-paid-invoices') => {
   const start = startDate ? formatDateForCsv(startDate) : '';
   const end = endDate ? formatDateForCsv(endDate) : '';
   if (start && end) {
@@ -123,8 +133,45 @@ const normalizeDateFilters = (options = {}) => {
   return { startDate, endDate };
 };
 
-const collectPaidInvoiceRows = ({ startDate, endDate }) =>
-  InvoiceManager.list()
+const withinRange = (timestamp, { startDate, endDate }) => {
+  if (!timestamp) {
+    return true;
+  }
+  if (startDate && timestamp < startDate.getTime()) {
+    return false;
+  }
+  if (endDate && timestamp > endDate.getTime()) {
+    return false;
+  }
+  return true;
+};
+
+const collectCreditNoteEntries = (invoices) => {
+  const issuedIds = new Set(
+    invoices.filter((invoice) => InvoiceManager.isIssued(invoice)).map((invoice) => invoice.id)
+  );
+  return CreditNoteManager.list()
+    .filter((creditNote) => issuedIds.has(creditNote.invoiceId))
+    .map((creditNote) => ({
+      paidTimestamp: resolveTimestamp(creditNote.issueDate),
+      data: {
+        invoiceNumber: creditNote.number,
+        issueDate: formatDateForCsv(creditNote.issueDate),
+        paidDate: '',
+        clientName: creditNote.clientName,
+        clientBusinessName: creditNote.clientBusinessName,
+        subtotal: Money.toFixed(-creditNote.subtotalCents),
+        gstTotal: Money.toFixed(-creditNote.gstTotalCents),
+        invoiceTotal: Money.toFixed(-creditNote.totalCents),
+        amountPaid: '',
+        adjustsInvoice: creditNote.invoiceNumber
+      }
+    }));
+};
+
+const collectPaidInvoiceRows = ({ startDate, endDate }) => {
+  const invoices = InvoiceManager.list();
+  return invoices
     .filter((invoice) => invoice.status === 'paid')
     .map((invoice) => {
       const paidTimestamp = resolveTimestamp(invoice.paidAt) ?? resolveTimestamp(invoice.issueDate);
@@ -136,25 +183,16 @@ const collectPaidInvoiceRows = ({ startDate, endDate }) =>
           paidDate: formatDateForCsv(invoice.paidAt),
           clientName: invoice.clientName,
           clientBusinessName: invoice.clientBusinessName,
-          subtotal: formatCurrencyValue(invoice.subtotal),
-          gstTotal: formatCurrencyValue(invoice.gstTotal),
-          invoiceTotal: formatCurrencyValue(invoice.total),
-          amountPaid: formatCurrencyValue(invoice.amountPaid ?? invoice.total ?? 0)
+          subtotal: Money.toFixed(invoice.subtotalCents),
+          gstTotal: Money.toFixed(invoice.gstTotalCents),
+          invoiceTotal: Money.toFixed(invoice.totalCents),
+          amountPaid: Money.toFixed(invoice.amountPaidCents),
+          adjustsInvoice: ''
         }
       };
     })
-    .filter((entry) => {
-      if (!entry.paidTimestamp) {
-        return true;
-      }
-      if (startDate && entry.paidTimestamp < startDate.getTime()) {
-        return false;
-      }
-      if (endDate && entry.paidTimestamp > endDate.getTime()) {
-        return false;
-      }
-      return true;
-    })
+    .concat(collectCreditNoteEntries(invoices))
+    .filter((entry) => withinRange(entry.paidTimestamp, { startDate, endDate }))
     .sort((a, b) => {
       if (a.paidTimestamp && b.paidTimestamp) {
         return a.paidTimestamp - b.paidTimestamp;
@@ -168,22 +206,53 @@ const collectPaidInvoiceRows = ({ startDate, endDate }) =>
       return 0;
     })
     .map((entry) => entry.data);
+};
 
-const buildCsvFromRows = (rows) => {
-  const header = CSV_COLUMNS.map((column) => escapeCsvValue(column.label)).join(',');
-  const lines = rows.map((row) =>
-    CSV_COLUMNS.map((column) => escapeCsvValue(row[column.key] ?? '')).join(',')
-  );
+const collectTaxCodeRows = ({ startDate, endDate }) => {
+  const invoices = InvoiceManager.list().filter((invoice) => InvoiceManager.isIssued(invoice));
+  const invoiceIds = new Set(invoices.map((invoice) => invoice.id));
+  const documents = [
+    ...invoices.map((invoice) => ({ record: invoice, type: 'Invoice', sign: 1 })),
+    ...CreditNoteManager.list()
+      .filter((creditNote) => invoiceIds.has(creditNote.invoiceId))
+      .map((creditNote) => ({ record: creditNote, type: 'Credit note', sign: -1 }))
+  ];
+  return documents
+    .map((entry) => ({ ...entry, timestamp: resolveTimestamp(entry.record.issueDate) }))
+    .filter((entry) => withinRange(entry.timestamp, { startDate, endDate }))
+    .sort((a, b) => (a.timestamp ?? 0) - (b.timestamp ?? 0))
+    .flatMap(({ record, type, sign }) =>
+      TaxCodeManager.summarize(record.lineItems).map((tax) => ({
+        documentNumber: record.number,
+        documentType: type,
+        issueDate: formatDateForCsv(record.issueDate),
+        clientName: record.clientName,
+        taxCode: tax.code,
+        taxLabel: tax.label,
+        basLabel: tax.basLabel || '',
+        rate: `${Math.round(tax.rate * 10000) / 100}%`,
+        net: Money.toFixed(sign * tax.subtotalCents),
+        gst: Money.toFixed(sign * tax.gstCents),
+        gross: Money.toFixed(sign * tax.totalCents)
+      }))
+    );
+};
+
+const buildCsvFromRows = (rows, columns = CSV_COLUMNS) => {
+  const header = columns.map((column) => escapeCsvValue(column.label)).join(',');
+  const lines = rows.map((row) => columns.map((column) => escapeCsvValue(row[column.key] ?? '')).join(','));
   return [header, ...lines].join('\r\n');
 };
 
 export class ExportManager {
   static getPaidInvoiceRows(options = {}) {
+    UserManager.assertPermission('reports');
     const filters = normalizeDateFilters(options);
     return collectPaidInvoiceRows(filters);
   }
 
   static buildPaidInvoiceCsv(options = {}) {
+    UserManager.assertPermission('reports');
     const filters = normalizeDateFilters(options);
     const rows = collectPaidInvoiceRows(filters);
     if (!rows.length) {
@@ -193,6 +262,7 @@ export class ExportManager {
   }
 
   static downloadPaidInvoicesCsv(options = {}) {
+    UserManager.assertPermission('reports');
     const filters = normalizeDateFilters(options);
     const rows = collectPaidInvoiceRows(filters);
     if (!rows.length) {
@@ -208,4 +278,34 @@ export class ExportManager {
       rowCount: rows.length
     };
   }
+  static getTaxCodeRows(options = {}) {
+    UserManager.assertPermission('reports');
+    return collectTaxCodeRows(normalizeDateFilters(options));
+  }
+
+  static buildTaxCodeCsv(options = {}) {
+    const rows = ExportManager.getTaxCodeRows(options);
+    if (!rows.length) {
+      throw new Error('No issued invoices or credit notes were found for the selected dates.');
+    }
+    return buildCsvFromRows(rows, TAX_CODE_COLUMNS);
+  }
+
+  static downloadTaxCodeCsv(options = {}) {
+    UserManager.assertPermission('reports');
+    const filters = normalizeDateFilters(options);
+    const rows = collectTaxCodeRows(filters);
+    if (!rows.length) {
+      throw new Error('No issued invoices or credit notes were found for the selected dates.');
+    }
+
+    const csv = buildCsvFromRows(rows, TAX_CODE_COLUMNS);
+    const filename = buildFilename(filters, 'zantra-gst-by-tax-code');
+    downloadCsv(filename, csv);
+    return {
+      filename,
+      csv,
+      rowCount: rows.length
+    };
+  }
 }
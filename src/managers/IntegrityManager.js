@@ -0,0 +1,283 @@
+import { DataManager } from '../data/DataManager.js';
+import { Money } from '../data/money.js';
+import { CreditNoteManager } from './CreditNoteManager.js';
+import { DiscountManager } from './DiscountManager.js';
+import { InvoiceManager } from './InvoiceManager.js';
+import { PaymentManager } from './PaymentManager.js';
+import { UserManager } from './UserManager.js';
+
+const ISSUE_TYPES = {
+  'missing-client': { label: 'Missing client' },
+  'orphaned-payment': { label: 'Orphaned payment', repair: 'Move the payment to the trash' },
+  'duplicate-number': { label: 'Duplicate invoice number', repair: 'Give the invoice a new number' },
+  'totals-mismatch': { label: 'Totals out of step', repair: 'Recalculate the invoice totals' },
+  'payment-mismatch': { label: 'Paid amount out of step', repair: 'Recalculate the paid amount from payments' },
+  'credit-mismatch': {
+    label: 'Credited amount out of step',
+    repair: 'Recalculate the credited amount from credit notes'
+  }
+};
+
+const REPAIR_ORDER = Object.keys(ISSUE_TYPES);
+
+const CLIENT_COLLECTIONS = ['invoices', 'quotes', 'recurringSchedules'];
+
+const sanitizeString = (value) => (typeof value === 'string' ? value.trim() : '');
+
+const formatAmount = (cents) => `$${Money.toFixed(cents)}`;
+
+const describeInvoice = (invoice) => sanitizeString(invoice?.number) || 'An invoice';
+
+const createIssue = (type, collection, recordId, message, repair = ISSUE_TYPES[type].repair) => ({
+  id: `${type}:${recordId}`,
+  type,
+  label: ISSUE_TYPES[type].label,
+  collection,
+  recordId,
+  message,
+  repair
+});
+
+const storedCents = (dollars, cents) => Money.resolveCents(dollars, cents, Number.NaN);
+
+const sumPayments = (invoiceId) =>
+  Money.sum(
+    DataManager.queryRecords('payments', { invoiceId }).map((payment) =>
+      Money.resolveCents(payment.amount, payment.amountCents)
+    )
+  );
+
+const settledWithoutPayments = (invoice, paymentCents) => invoice?.status === 'paid' && paymentCents === 0;
+
+const findMissingClients = () => {
+  const active = new Set(DataManager.listClients().map((client) => client.id));
+  const deleted = new Map(DataManager.listDeleted('clients').map((client) => [client.id, client]));
+  const missing = new Map();
+  CLIENT_COLLECTIONS.forEach((collection) => {
+    DataManager.queryRecords(collection).forEach((record) => {
+      const clientId = sanitizeString(record.clientId);
+      if (!clientId || active.has(clientId)) {
+        return;
+      }
+      const entry = missing.get(clientId) || { clientId, name: sanitizeString(record.clientName), records: 0 };
+      entry.records += 1;
+      missing.set(clientId, entry);
+    });
+  });
+  return Array.from(missing.values()).map(({ clientId, name, records }) =>
+    createIssue(
+      'missing-client',
+      'clients',
+      clientId,
+      `${name || 'A client'} is referenced by ${records} record(s) but no longer exists.`,
+      deleted.has(clientId) ? 'Restore the client from the trash' : 'Recreate the client from the saved details'
+    )
+  );
+};
+
+const findOrphanedPayments = (invoiceIds) =>
+  DataManager.listPayments()
+    .filter((payment) => !invoiceIds.has(payment.invoiceId))
+    .map((payment) =>
+      createIssue(
+        'orphaned-payment',
+        'payments',
+        payment.id,
+        `A payment of ${formatAmount(Money.resolveCents(payment.amount, payment.amountCents))} for ${
+          sanitizeString(payment.invoiceNumber) || 'an unknown invoice'
+        } is not linked to an existing invoice.`
+      )
+    );
+
+const findDuplicateNumbers = (invoices) => {
+  const byNumber = new Map();
+  invoices.forEach((invoice) => {
+    const number = sanitizeString(invoice.number);
+    if (number) {
+      byNumber.set(number, [...(byNumber.get(number) || []), invoice]);
+    }
+  });
+  return Array.from(byNumber.entries())
+    .filter(([, matches]) => matches.length > 1)
+    .flatMap(([number, matches]) =>
+      matches
+        .sort((a, b) => (Date.parse(a.createdAt) || 0) - (Date.parse(b.createdAt) || 0))
+        .slice(1)
+        .map((invoice) =>
+          createIssue(
+            'duplicate-number',
+            'invoices',
+            invoice.id,
+            `${number} is used by ${matches.length} invoices. This one was created later.`
+          )
+        )
+    );
+};
+
+const findTotalsMismatches = (invoices) =>
+  invoices
+    .filter((invoice) => {
+      const lineItems = Array.isArray(invoice.lineItems) ? invoice.lineItems : [];
+      const totals = InvoiceManager.calculateTotals(
+        lineItems,
+        undefined,
+        invoice.gstRounding,
+        Boolean(invoice.pricesIncludeTax),
+        DiscountManager.toOption(invoice)
+      );
+      const linesMatch = lineItems.every((item, index) => {
+        const expected = totals.lines[index];
+        return (
+          storedCents(item.subtotal, item.subtotalCents) === expected.subtotalCents &&
+          storedCents(item.gst, item.gstCents) === expected.gstCents &&
+          storedCents(item.total, item.totalCents) === expected.totalCents
+        );
+      });
+      return (
+        !linesMatch ||
+        storedCents(invoice.subtotal, invoice.subtotalCents) !== totals.subtotalCents ||
+        storedCents(invoice.gstTotal, invoice.gstTotalCents) !== totals.gstTotalCents ||
+        storedCents(invoice.total, invoice.totalCents) !== totals.totalCents
+      );
+    })
+    .map((invoice) =>
+      createIssue(
+        'totals-mismatch',
+        'invoices',
+        invoice.id,
+        `${describeInvoice(invoice)} has totals that do not match its line items.`
+      )
+    );
+
+const findPaymentMismatches = (invoices) =>
+  invoices
+    .map((invoice) => ({
+      invoice,
+      recordedCents: storedCents(invoice.amountPaid, invoice.amountPaidCents) || 0,
+      paymentCents: sumPayments(invoice.id)
+    }))
+    .filter(
+      ({ invoice, recordedCents, paymentCents }) =>
+        !settledWithoutPayments(invoice, paymentCents) &&
+        recordedCents !==
+        Math.min(
+          paymentCents,
+          storedCents(invoice.total, invoice.totalCents) -
+            (storedCents(invoice.creditedTotal, invoice.creditedTotalCents) || 0)
+        )
+    )
+    .map(({ invoice, recordedCents, paymentCents }) =>
+      createIssue(
+        'payment-mismatch',
+        'invoices',
+        invoice.id,
+        `${describeInvoice(invoice)} records ${formatAmount(recordedCents)} paid ` +
+          `but its payments add up to ${formatAmount(paymentCents)}.`
+      )
+    );
+
+const findCreditMismatches = (invoices) =>
+  invoices
+    .filter((invoice) => invoice.status !== 'void')
+    .map((invoice) => ({
+      invoice,
+      recordedCents: storedCents(invoice.creditedTotal, invoice.creditedTotalCents) || 0,
+      creditCents: Money.sum(
+        DataManager.queryRecords('creditNotes', { invoiceId: invoice.id }).map((creditNote) =>
+          Money.resolveCents(creditNote.total, creditNote.totalCents)
+        )
+      )
+    }))
+    .filter(
+      ({ invoice, recordedCents, creditCents }) =>
+        recordedCents !== Math.min(creditCents, storedCents(invoice.total, invoice.totalCents))
+    )
+    .map(({ invoice, recordedCents, creditCents }) =>
+      createIssue(
+        'credit-mismatch',
+        'invoices',
+        invoice.id,
+        `${describeInvoice(invoice)} records ${formatAmount(recordedCents)} credited ` +
+          `but its credit notes add up to ${formatAmount(creditCents)}.`
+      )
+    );
+
+const REPAIRS = {
+  'missing-client': (issue) => {
+    if (DataManager.listDeleted('clients').some((client) => client.id === issue.recordId)) {
+      return DataManager.restoreRecord('clients', issue.recordId);
+    }
+    const reference = CLIENT_COLLECTIONS.flatMap((collection) =>
+      DataManager.queryRecords(collection, { clientId: issue.recordId })
+    )[0];
+    const now = DataManager.now();
+    return DataManager.saveClient({
+      id: issue.recordId,
+      name: sanitizeString(reference?.clientName) || 'Unknown client',
+      businessName: sanitizeString(reference?.clientBusinessName) || sanitizeString(reference?.clientName),
+      address: '',
+      abn: '',
+      contact: '',
+      prefix: '',
+      email: '',
+      archivedAt: now,
+      createdAt: now,
+      updatedAt: now
+    });
+  },
+  'orphaned-payment': (issue) => DataManager.deletePayment(issue.recordId),
+  'duplicate-number': (issue) => {
+    const invoice = DataManager.findRecord('invoices', issue.recordId);
+    const client = DataManager.findRecord('clients', invoice?.clientId);
+    return InvoiceManager.update(issue.recordId, {
+      number: InvoiceManager.generateInvoiceNumber(client || { id: invoice?.clientId }, invoice?.issueDate)
+    });
+  },
+  'totals-mismatch': (issue) => InvoiceManager.update(issue.recordId, {}),
+  'payment-mismatch': (issue) =>
+    settledWithoutPayments(DataManager.findRecord('invoices', issue.recordId), sumPayments(issue.recordId))
+      ? null
+      : PaymentManager.reconcileInvoice(issue.recordId),
+  'credit-mismatch': (issue) => CreditNoteManager.reconcileInvoice(issue.recordId)
+};
+
+export class IntegrityManager {
+  static ISSUE_TYPES = REPAIR_ORDER.slice();
+
+  static scan() {
+    UserManager.assertPermission('settings');
+    const invoices = DataManager.listInvoices();
+    const invoiceIds = new Set(invoices.map((invoice) => invoice.id));
+    const issues = [
+      ...findMissingClients(),
+      ...findOrphanedPayments(invoiceIds),
+      ...findDuplicateNumbers(invoices),
+      ...findTotalsMismatches(invoices),
+      ...findPaymentMismatches(invoices),
+      ...findCreditMismatches(invoices)
+    ];
+    return { scannedAt: DataManager.now(), issues };
+  }
+
+  static repair(issueId) {
+    const issue = IntegrityManager.scan().issues.find((item) => item.id === issueId);
+    if (!issue) {
+      throw new Error(`IntegrityManager.repair: No issue found for id "${issueId}".`);
+    }
+    DataManager.transaction(() => REPAIRS[issue.type](issue));
+    return issue;
+  }
+
+  static repairAll() {
+    UserManager.assertPermission('settings');
+    return DataManager.transaction(() =>
+      REPAIR_ORDER.flatMap((type) => {
+        const issues = IntegrityManager.scan().issues.filter((issue) => issue.type === type);
+        issues.forEach((issue) => REPAIRS[type](issue));
+        return issues;
+      })
+    );
+  }
+}
+
+export default IntegrityManager;
@@ -1,5 +1,7 @@
 import { ClientManager } from './ClientManager.js';
+import { DiscountManager } from './DiscountManager.js';
 import { SettingsManager } from './SettingsManager.js';
+import { TaxCodeManager } from './TaxCodeManager.js';
 
 const sanitizeString = (value) => (typeof value === 'string' ? value.trim() : '');
 
@@ -33,6 +35,27 @@ const escapeHtml = (value) =>
 
 const formatMultiline = (value) => escapeHtml(value).replace(/\r?\n/g, '<br />');
 
+const formatRate = (rate) =>
+  `${((Number(rate) || 0) * 100).toLocaleString(undefined, { minimumFractionDigits: 0, maximumFractionDigits: 2 })}%`;
+
+const discountRows = (record) => {
+  const discountTotal = Number.parseFloat(record.discountTotal) || 0;
+  if (discountTotal <= 0) {
+    return [];
+  }
+  const documentDiscount = Number.parseFloat(record.discount) || 0;
+  const lineDiscount = Math.round((discountTotal - documentDiscount) * 100) / 100;
+  const charged = Number.parseFloat(record.pricesIncludeTax ? record.total : record.subtotal) || 0;
+  const label = DiscountManager.describe(record);
+  return [
+    { label: 'Before discounts', value: Math.round((charged + discountTotal) * 100) / 100 },
+    ...(lineDiscount > 0 ? [{ label: 'Line discounts', value: -lineDiscount }] : []),
+    ...(documentDiscount > 0
+      ? [{ label: label ? `Discount (${label})` : 'Discount', value: -documentDiscount }]
+      : [])
+  ];
+};
+
 const resolveClient = (invoice, explicitClient) => {
   if (explicitClient) {
     return explicitClient;
@@ -59,68 +82,148 @@ const resolveSettings = (providedSettings) => {
   return SettingsManager.get();
 };
 
-export class InvoiceDocumentManager {
-  static buildPrintableHtml(invoice, client, settings) {
-    if (!invoice || typeof invoice !== 'object') {
-      throw new Error('InvoiceDocumentManager: invoice payload is required.');
-    }
+const renderDocument = (
+  record,
+  client,
+  settings,
+  {
+    title,
+    heading,
+    subheading,
+    recipientLabel = 'Billed to',
+    meta = [],
+    totals = [],
+    footer,
+    notes,
+    notesLabel = 'Notes'
+  }
+) => {
+  const resolvedClient = resolveClient(record, client);
+  const resolvedSettings = resolveSettings(settings);
 
-    const resolvedClient = resolveClient(invoice, client);
-    const resolvedSettings = resolveSettings(settings);
+  const clientBlock = [
+    resolvedClient.businessName || resolvedClient.name,
+    resolvedClient.name !== resolvedClient.businessName ? resolvedClient.name : '',
+    resolvedClient.address,
+    resolvedClient.abn ? `ABN: ${resolvedClient.abn}` : ''
+  ]
+    .map((part) => sanitizeString(part))
+    .filter(Boolean)
+    .join('<br />');
 
-    const clientBlock = [
-      resolvedClient.businessName || resolvedClient.name,
-      resolvedClient.name !== resolvedClient.businessName ? resolvedClient.name : '',
-      resolvedClient.address,
-      resolvedClient.abn ? `ABN: ${resolvedClient.abn}` : ''
-    ]
-      .map((part) => sanitizeString(part))
-      .filter(Boolean)
-      .join('<br />');
-
-    const senderBlock = [
-      resolvedSettings.businessName,
-      resolvedSettings.contactName,
-      resolvedSettings.address,
-      resolvedSettings.contactEmail,
-      resolvedSettings.contactPhone,
-      resolvedSettings.abn ? `ABN: ${resolvedSettings.abn}` : ''
-    ]
-      .map((part) => sanitizeString(part))
-      .filter(Boolean)
-      .join('<br />');
-
-    const lineItems = Array.isArray(invoice.lineItems) ? invoice.lineItems : [];
-    const lineRows = lineItems
-      .map((item, index) => {
-        const quantity = Number.parseFloat(item.quantity) || 0;
-        const unitPrice = Number.parseFloat(item.unitPrice) || 0;
-        const subtotal = Number.parseFloat(item.subtotal ?? quantity * unitPrice) || 0;
-        const gst = Number.parseFloat(item.gst ?? 0) || 0;
-        const total = Number.parseFloat(item.total ?? subtotal + gst) || 0;
-        return `
+  const senderBlock = [
+    resolvedSettings.businessName,
+    resolvedSettings.contactName,
+    resolvedSettings.address,
+    resolvedSettings.contactEmail,
+    resolvedSettings.contactPhone,
+    resolvedSettings.abn ? `ABN: ${resolvedSettings.abn}` : ''
+  ]
+    .map((part) => sanitizeString(part))
+    .filter(Boolean)
+    .join('<br />');
+
+  const lineItems = Array.isArray(record.lineItems) ? record.lineItems : [];
+  const lineRows = lineItems
+    .map((item, index) => {
+      const quantity = Number.parseFloat(item.quantity) || 0;
+      const unitPrice = Number.parseFloat(item.unitPrice) || 0;
+      const subtotal = Number.parseFloat(item.subtotal ?? quantity * unitPrice) || 0;
+      const gst = Number.parseFloat(item.gst ?? 0) || 0;
+      const total = Number.parseFloat(item.total ?? subtotal + gst) || 0;
+      const discount = (Number.parseFloat(item.discount) || 0) + (Number.parseFloat(item.documentDiscount) || 0);
+      const discountLabel = DiscountManager.describe(item);
+      return `
+        <tr>
+          <td>${index + 1}</td>
+          <td>${escapeHtml(item.description)}</td>
+          <td>${quantity.toLocaleString(undefined, { minimumFractionDigits: 0, maximumFractionDigits: 2 })}</td>
+          <td>${formatCurrency(unitPrice)}</td>
+          <td>${
+            discount > 0
+              ? `${formatCurrency(-discount)}${discountLabel ? ` (${discountLabel})` : ''}`
+              : '-'
+          }</td>
+          <td>${formatCurrency(subtotal)}</td>
+          <td>${escapeHtml(TaxCodeManager.resolveCode(item))}</td>
+          <td>${gst > 0 ? formatCurrency(gst) : '-'}</td>
+          <td>${formatCurrency(total)}</td>
+        </tr>
+      `;
+    })
+    .join('');
+
+  const taxRows = TaxCodeManager.summarize(lineItems)
+    .map(
+      (tax) => `
           <tr>
-            <td>${index + 1}</td>
-            <td>${escapeHtml(item.description)}</td>
-            <td>${quantity.toLocaleString(undefined, { minimumFractionDigits: 0, maximumFractionDigits: 2 })}</td>
-            <td>${formatCurrency(unitPrice)}</td>
-            <td>${formatCurrency(subtotal)}</td>
-            <td>${gst > 0 ? formatCurrency(gst) : '-'}</td>
-            <td>${formatCurrency(total)}</td>
+            <td>${escapeHtml(tax.code)}</td>
+            <td>${escapeHtml(tax.label)}</td>
+            <td>${formatRate(tax.rate)}</td>
+            <td>${formatCurrency(tax.subtotal)}</td>
+            <td>${formatCurrency(tax.gst)}</td>
+            <td>${formatCurrency(tax.total)}</td>
           </tr>
-        `;
-      })
-      .join('');
+        `
+    )
+    .join('');
 
-    const notesBlock = sanitizeString(invoice.notes)
-      ? `<section class="notes"><h2>Notes</h2><p>${formatMultiline(invoice.notes)}</p></section>`
-      : '';
+  const taxBlock = taxRows
+    ? `<section class="tax-summary">
+        <h2>Tax summary</h2>
+        <table>
+          <thead>
+            <tr>
+              <th>Code</th>
+              <th>Tax</th>
+              <th>Rate</th>
+              <th>Net</th>
+              <th>GST</th>
+              <th>Gross</th>
+            </tr>
+          </thead>
+          <tbody>${taxRows}</tbody>
+        </table>
+      </section>`
+    : '';
+
+  const notesBlock = sanitizeString(notes)
+    ? `<section class="notes"><h2>${escapeHtml(notesLabel)}</h2><p>${formatMultiline(notes)}</p></section>`
+    : '';
+
+  const metaRows = meta
+    .map(
+      ({ label, value }) => `
+      <div>
+        <strong>${escapeHtml(label)}</strong>
+        <div>${escapeHtml(value)}</div>
+      </div>
+    `
+    )
+    .join('');
+
+  const taxIncludedRow = record.pricesIncludeTax
+    ? `<tr class="totals__tax-included">
+          <td colspan="2">Total includes GST of ${formatCurrency(record.gstTotal)}</td>
+        </tr>`
+    : '';
 
-    return `<!doctype html>
+  const totalRows = totals
+    .map(
+      ({ label, value }) => `
+          <tr>
+            <td>${escapeHtml(label)}</td>
+            <td>${formatCurrency(value)}</td>
+          </tr>
+        `
+    )
+    .join('');
+
+  return `<!doctype html>
 <html lang="en">
   <head>
     <meta charset="utf-8" />
-    <title>Invoice ${escapeHtml(invoice.number)}</title>
+    <title>${escapeHtml(title)}</title>
     <meta name="viewport" content="width=device-width, initial-scale=1" />
     <style>
       :root {
@@ -211,6 +314,11 @@ export class InvoiceDocumentManager {
       tfoot td {
         font-weight: 600;
       }
+      .totals__tax-included td {
+        font-weight: 400;
+        font-size: 12px;
+        opacity: 0.75;
+      }
       .totals {
         margin-top: 24px;
         display: flex;
@@ -247,8 +355,8 @@ export class InvoiceDocumentManager {
     <article class="card">
       <header class="header">
         <div>
-          <h1>Invoice ${escapeHtml(invoice.number)}</h1>
-          <p>Issued ${formatDate(invoice.issueDate)}${invoice.dueDate ? ` · Due ${formatDate(invoice.dueDate)}` : ''}</p>
+          <h1>${escapeHtml(heading)}</h1>
+          <p>${escapeHtml(subheading)}</p>
         </div>
         <div style="text-align:right;">
           ${senderBlock || ''}
@@ -257,17 +365,10 @@ export class InvoiceDocumentManager {
 
       <section class="meta">
         <div>
-          <strong>Billed to</strong>
+          <strong>${escapeHtml(recipientLabel)}</strong>
           <div>${clientBlock || escapeHtml(resolvedClient.name)}</div>
         </div>
-        <div>
-          <strong>Invoice amount</strong>
-          <div>${formatCurrency(invoice.total)}</div>
-        </div>
-        <div>
-          <strong>Status</strong>
-          <div>${escapeHtml(invoice.status || 'Unpaid')}</div>
-        </div>
+        ${metaRows}
       </section>
 
       <section>
@@ -278,35 +379,33 @@ export class InvoiceDocumentManager {
               <th>#</th>
               <th>Description</th>
               <th>Qty</th>
-              <th>Unit price</th>
+              <th>${record.pricesIncludeTax ? 'Unit price (inc. GST)' : 'Unit price'}</th>
+              <th>Discount</th>
               <th>Subtotal</th>
+              <th>Tax code</th>
               <th>GST</th>
               <th>Total</th>
             </tr>
           </thead>
           <tbody>
-            ${lineRows || '<tr><td colspan="7">No line items recorded.</td></tr>'}
+            ${lineRows || '<tr><td colspan="9">No line items recorded.</td></tr>'}
           </tbody>
         </table>
       </section>
 
+      ${taxBlock}
+
       <section class="totals">
         <table>
           <tbody>
-            <tr>
-              <td>Subtotal</td>
-              <td>${formatCurrency(invoice.subtotal ?? invoice.total)}</td>
-            </tr>
-            <tr>
-              <td>GST</td>
-              <td>${formatCurrency(invoice.gstTotal ?? 0)}</td>
-            </tr>
+            ${totalRows}
           </tbody>
           <tfoot>
             <tr>
-              <td>Total due</td>
-              <td>${formatCurrency(invoice.total)}</td>
+              <td>${escapeHtml(footer.label)}</td>
+              <td>${formatCurrency(footer.value)}</td>
             </tr>
+            ${taxIncludedRow}
           </tfoot>
         </table>
       </section>
@@ -315,36 +414,109 @@ export class InvoiceDocumentManager {
     </article>
   </body>
 </html>`;
+};
+
+const openPrintWindow = (html) => {
+  const printWindow = window.open('', '_blank', 'noopener,noreferrer,width=900,height=1200');
+  if (!printWindow) {
+    throw new Error('Unable to open print window. Please allow pop-ups for this site.');
+  }
+
+  const triggerPrint = () => {
+    try {
+      printWindow.focus();
+      printWindow.print();
+    } catch (error) {
+      console.error('InvoiceDocumentManager failed to trigger print:', error);
+    }
+  };
+
+  printWindow.document.open();
+  printWindow.document.write(html);
+  printWindow.document.close();
+  if (printWindow.document.readyState === 'complete') {
+    setTimeout(triggerPrint, 150);
+  } else {
+    printWindow.addEventListener('load', triggerPrint, { once: true });
+    setTimeout(triggerPrint, 300);
+  }
+};
+
+export class InvoiceDocumentManager {
+  static buildPrintableHtml(invoice, client, settings) {
+    if (!invoice || typeof invoice !== 'object') {
+      throw new Error('InvoiceDocumentManager: invoice payload is required.');
+    }
+    const creditedCents = Number(invoice.creditedTotalCents) || 0;
+    const dueLabel = invoice.dueDate ? ` · Due ${formatDate(invoice.dueDate)}` : '';
+    return renderDocument(invoice, client, settings, {
+      title: `Invoice ${invoice.number || 'draft'}`,
+      heading: invoice.status === 'draft' ? 'Draft invoice' : `Invoice ${sanitizeString(invoice.number)}`,
+      subheading: `Issued ${formatDate(invoice.issueDate)}${dueLabel}`,
+      meta: [
+        { label: 'Invoice amount', value: formatCurrency(invoice.total) },
+        { label: 'Status', value: invoice.status || 'Unpaid' }
+      ],
+      totals: [
+        ...discountRows(invoice),
+        ...(invoice.pricesIncludeTax
+          ? []
+          : [
+              { label: 'Subtotal', value: invoice.subtotal ?? invoice.total },
+              { label: 'GST', value: invoice.gstTotal ?? 0 }
+            ]),
+        ...(creditedCents > 0 ? [{ label: 'Credits applied', value: -invoice.creditedTotal }] : [])
+      ],
+      footer:
+        creditedCents > 0
+          ? { label: 'Balance due', value: invoice.balanceDue }
+          : { label: 'Total due', value: invoice.total },
+      notes: invoice.notes
+    });
+  }
+
+  static buildCreditNoteHtml(creditNote, client, settings) {
+    if (!creditNote || typeof creditNote !== 'object') {
+      throw new Error('InvoiceDocumentManager: credit note payload is required.');
+    }
+    return renderDocument(creditNote, client, settings, {
+      title: `Credit note ${creditNote.number}`,
+      heading: `Credit note ${sanitizeString(creditNote.number)}`,
+      subheading: `Issued ${formatDate(creditNote.issueDate)} · Against invoice ${sanitizeString(
+        creditNote.invoiceNumber
+      )}`,
+      recipientLabel: 'Credited to',
+      meta: [
+        { label: 'Original invoice', value: creditNote.invoiceNumber },
+        { label: 'Credit amount', value: formatCurrency(creditNote.total) }
+      ],
+      totals: [
+        ...discountRows(creditNote),
+        ...(creditNote.pricesIncludeTax
+          ? []
+          : [
+              { label: 'Subtotal', value: creditNote.subtotal },
+              { label: 'GST', value: creditNote.gstTotal }
+            ])
+      ],
+      footer: { label: 'Total credit', value: creditNote.total },
+      notes: creditNote.reason,
+      notesLabel: 'Reason'
+    });
   }
 
   static printInvoice(invoice, client, settings) {
     if (typeof window === 'undefined') {
       throw new Error('Invoice printing is only available in a browser environment.');
     }
-    const html = InvoiceDocumentManager.buildPrintableHtml(invoice, client, settings);
-    const printWindow = window.open('', '_blank', 'noopener,noreferrer,width=900,height=1200');
-    if (!printWindow) {
-      throw new Error('Unable to open print window. Please allow pop-ups for this site.');
-    }
-
-    const triggerPrint = () => {
-      try {
-        printWindow.focus();
-        printWindow.print();
-      } catch (error) {
-        console.error('InvoiceDocumentManager.printInvoice failed to trigger print:', error);
-      }
-    };
+    openPrintWindow(InvoiceDocumentManager.buildPrintableHtml(invoice, client, settings));
+  }
 
-    printWindow.document.open();
-    printWindow.document.write(html);
-    printWindow.document.close();
-    if (printWindow.document.readyState === 'complete') {
-      setTimeout(triggerPrint, 150);
-    } else {
-      printWindow.addEventListener('load', triggerPrint, { once: true });
-      setTimeout(triggerPrint, 300);
+  static printCreditNote(creditNote, client, settings) {
+    if (typeof window === 'undefined') {
+      throw new Error('Credit note printing is only available in a browser environment.');
     }
+    openPrintWindow(InvoiceDocumentManager.buildCreditNoteHtml(creditNote, client, settings));
   }
 
   static getMailtoPayload(invoice, client, settings) {
@@ -1,5 +1,12 @@
 import { DataManager } from '../data/DataManager.js';
+import { StatusTransitionError } from '../data/errors.js';
+import { Money } from '../data/money.js';
+import { RecordQuery } from '../data/query.js';
+import { Schema } from '../data/schema.js';
 import { ClientManager } from './ClientManager.js';
+import { DiscountManager } from './DiscountManager.js';
+import { NumberingManager } from './NumberingManager.js';
+import { TaxCodeManager } from './TaxCodeManager.js';
 
 const sanitizeString = (value) => (typeof value === 'string' ? value.trim() : '');
 
@@ -35,8 +42,6 @@ const calculateDueDate = (issueDateIso, fallbackDays = 14) => {
   return new Date(dueTimestamp).toISOString();
 };
 
-const withTwoDecimals = (value) => Math.round(value * 100) / 100;
-
 const resolveClient = (clientId, fallback, { strictClientValidation }) => {
   const id = sanitizeString(clientId);
   if (!id) {
@@ -59,58 +64,223 @@ const resolveClient = (clientId, fallback, { strictClientValidation }) => {
   };
 };
 
+const DEPENDENT_COLLECTIONS = {
+  payments: (id) => DataManager.deletePayment(id),
+  creditNotes: (id) => DataManager.deleteCreditNote(id)
+};
+
+const STATUSES = ['draft', 'unpaid', 'sent', 'viewed', 'partial', 'overdue', 'paid', 'void'];
+
+const TRANSITIONS = {
+  draft: ['unpaid', 'sent'],
+  unpaid: ['sent', 'void'],
+  sent: ['sent', 'viewed', 'void'],
+  viewed: ['void'],
+  partial: [],
+  paid: [],
+  void: []
+};
+
+const OVERDUE_ELIGIBLE = ['unpaid', 'sent', 'viewed', 'partial'];
+
+const LIFECYCLE_STATUSES = ['draft', 'sent', 'viewed', 'void'];
+
+const LIFECYCLE_FIELDS = ['sentAt', 'viewedAt', 'voidedAt', 'voidReason'];
+
+const INVOICE_SCHEMA = {
+  entity: 'invoice',
+  label: 'Invoice',
+  fields: {
+    clientId: { type: 'string', required: true, label: 'Client' },
+    status: { type: 'string', enum: STATUSES, label: 'Status' },
+    issueDate: { type: 'date', label: 'Issue date' },
+    dueDate: { type: 'date', label: 'Due date' },
+    lineItems: {
+      type: 'array',
+      required: true,
+      minItems: 1,
+      items: Schema.LINE_ITEM,
+      label: 'Line items',
+      messages: { required: 'Add at least one line item.', minItems: 'Add at least one line item.' }
+    }
+  }
+};
+
+const missingClientError = (clientId) =>
+  Schema.error('clientId', 'not_found', `No client found for id "${clientId}".`);
+
+const QUERY_CONTEXT = 'InvoiceManager.query';
+
+const SORT_FIELDS = {
+  issueDate: (invoice) => RecordQuery.toTimestamp(invoice.issueDate),
+  dueDate: (invoice) => RecordQuery.toTimestamp(invoice.dueDate),
+  createdAt: (invoice) => RecordQuery.toTimestamp(invoice.createdAt),
+  number: (invoice) => invoice.number,
+  clientName: (invoice) => invoice.clientName,
+  status: (invoice) => invoice.status,
+  total: (invoice) => invoice.totalCents,
+  balanceDue: (invoice) => invoice.balanceDueCents
+};
+
+const SEARCH_FIELDS = [
+  'number',
+  'clientName',
+  'clientBusinessName',
+  'notes',
+  (invoice) => invoice.lineItems.map((item) => item.description)
+];
+
+const isOverdue = (invoice, referenceTime) => {
+  const dueTime = RecordQuery.toTimestamp(invoice.dueDate);
+  return invoice.balanceDueCents > 0 && dueTime !== null && dueTime < referenceTime;
+};
+
+const withDisplayStatus = (invoice, referenceTime = Date.now()) => ({
+  ...invoice,
+  displayStatus: isOverdue(invoice, referenceTime) ? 'overdue' : invoice.status
+});
+
+const storedStatuses = (status) => {
+  if (status === undefined || status === null || status === '') {
+    return undefined;
+  }
+  const requested = Array.isArray(status) ? status : [status];
+  return Array.from(new Set(requested.flatMap((value) => (value === 'overdue' ? OVERDUE_ELIGIBLE : [value]))));
+};
+
 export class InvoiceManager {
+  static SCHEMA = INVOICE_SCHEMA;
+
+  static STATUSES = STATUSES.slice();
+
   static list() {
+    const referenceTime = Date.now();
     return DataManager.listInvoices().map((invoice) =>
-      InvoiceManager.#normalize(invoice, { strictClientValidation: false })
+      withDisplayStatus(InvoiceManager.#normalize(invoice, { strictClientValidation: false }), referenceTime)
     );
   }
 
   static findById(invoiceId) {
-    const id = sanitizeString(invoiceId);
-    if (!id) {
-      return null;
-    }
-    return InvoiceManager.list().find((invoice) => invoice.id === id) || null;
+    const invoice = InvoiceManager.#load(invoiceId);
+    return invoice ? withDisplayStatus(invoice) : null;
+  }
+
+  static isIssued(invoice) {
+    return Boolean(invoice) && invoice.status !== 'draft' && invoice.status !== 'void';
+  }
+
+  static allowedTransitions(invoiceId) {
+    const invoice = InvoiceManager.#load(invoiceId);
+    return invoice ? TRANSITIONS[invoice.status].slice() : [];
+  }
+
+  static query({
+    status,
+    clientId,
+    issuedBetween,
+    overdue,
+    search,
+    sort = '-issueDate',
+    limit,
+    offset,
+    referenceDate = new Date()
+  } = {}) {
+    const range = RecordQuery.resolveRange(issuedBetween, QUERY_CONTEXT);
+    const referenceTime = (referenceDate instanceof Date ? referenceDate : new Date(referenceDate)).getTime();
+    const invoices = DataManager.queryRecords('invoices', {
+      clientId: clientId || undefined,
+      status: storedStatuses(status)
+    })
+      .map((invoice) =>
+        withDisplayStatus(InvoiceManager.#normalize(invoice, { strictClientValidation: false }), referenceTime)
+      )
+      .filter(
+        (invoice) =>
+          (RecordQuery.matches(invoice.status, status) || RecordQuery.matches(invoice.displayStatus, status)) &&
+          RecordQuery.withinRange(invoice.issueDate, range) &&
+          (overdue === undefined || overdue === null || isOverdue(invoice, referenceTime) === Boolean(overdue)) &&
+          RecordQuery.matchesSearch(invoice, search, SEARCH_FIELDS)
+      );
+    return RecordQuery.paginate(
+      RecordQuery.sort(invoices, sort, SORT_FIELDS, QUERY_CONTEXT),
+      { limit, offset },
+      QUERY_CONTEXT
+    );
   }
 
   static create(input) {
+    const clientId = sanitizeString(input?.clientId);
+    Schema.assert(INVOICE_SCHEMA, input, {
+      errors: [
+        clientId && !ClientManager.findById(clientId) ? missingClientError(clientId) : null,
+        ...TaxCodeManager.validateLineItems(input?.lineItems),
+        ...DiscountManager.validate(input),
+        ...DiscountManager.validateLineItems(input?.lineItems)
+      ]
+    });
     const now = DataManager.now();
-    const normalized = InvoiceManager.#normalize(
-      {
-        ...input,
-        id: DataManager.randomUUID(),
-        createdAt: now,
-        updatedAt: now
-      },
-      { strictClientValidation: true }
-    );
-    return DataManager.saveInvoice(normalized);
+    return DataManager.transaction(() => {
+      const normalized = InvoiceManager.#normalize(
+        {
+          ...input,
+          id: DataManager.randomUUID(),
+          createdAt: now,
+          updatedAt: now
+        },
+        { strictClientValidation: true, assignNumber: true }
+      );
+      return DataManager.saveInvoice(normalized);
+    });
   }
 
-  static update(invoiceId, updates) {
-    const existing = InvoiceManager.findById(invoiceId);
+  static update(invoiceId, updates, { expectedRevision } = {}) {
+    const existing = InvoiceManager.#load(invoiceId);
     if (!existing) {
       throw new Error(`InvoiceManager.update: No invoice found for id "${invoiceId}".`);
     }
-    const sanitizedClientId = sanitizeString(updates?.clientId);
-    if (sanitizedClientId && sanitizedClientId !== existing.clientId) {
-      const nextClient = ClientManager.findById(sanitizedClientId);
-      if (!nextClient) {
-        throw new Error(`InvoiceManager.update: No client found for id "${sanitizedClientId}".`);
-      }
+    if (existing.status === 'void') {
+      throw new Error(`InvoiceManager.update: Invoice ${existing.number} is void and can no longer be changed.`);
     }
-    const normalized = InvoiceManager.#normalize(
-      {
-        ...existing,
-        ...updates,
-        id: existing.id,
-        createdAt: existing.createdAt,
-        updatedAt: DataManager.now()
-      },
-      { strictClientValidation: false }
-    );
-    return DataManager.saveInvoice(normalized);
+    const requestedStatus = sanitizeString(updates?.status).toLowerCase();
+    if (LIFECYCLE_STATUSES.includes(requestedStatus) && requestedStatus !== existing.status) {
+      throw new StatusTransitionError('invoice', existing.id, existing.status, requestedStatus);
+    }
+    const changes = { ...updates };
+    LIFECYCLE_FIELDS.forEach((field) => delete changes[field]);
+    if (existing.status === 'draft') {
+      changes.status = 'draft';
+    }
+    const sanitizedClientId = sanitizeString(changes.clientId);
+    return InvoiceManager.#write(existing, changes, {
+      expectedRevision,
+      errors: [
+        sanitizedClientId && sanitizedClientId !== existing.clientId && !ClientManager.findById(sanitizedClientId)
+          ? missingClientError(sanitizedClientId)
+          : null,
+        ...TaxCodeManager.validateLineItems(changes.lineItems),
+        ...DiscountManager.validate(changes),
+        ...DiscountManager.validateLineItems(changes.lineItems)
+      ]
+    });
+  }
+
+  static issue(invoiceId) {
+    return InvoiceManager.#transition(invoiceId, 'unpaid');
+  }
+
+  static markSent(invoiceId, sentDate) {
+    return InvoiceManager.#transition(invoiceId, 'sent', { sentAt: coerceDate(sentDate, DataManager.now()) });
+  }
+
+  static markViewed(invoiceId, viewedDate) {
+    return InvoiceManager.#transition(invoiceId, 'viewed', { viewedAt: coerceDate(viewedDate, DataManager.now()) });
+  }
+
+  static markVoid(invoiceId, reason = '') {
+    return InvoiceManager.#transition(invoiceId, 'void', {
+      voidedAt: DataManager.now(),
+      voidReason: sanitizeString(reason)
+    });
   }
 
   static markPaid(invoiceId, paidDate) {
@@ -118,47 +288,114 @@ export class InvoiceManager {
     if (!existing) {
       throw new Error(`InvoiceManager.markPaid: No invoice found for id "${invoiceId}".`);
     }
+    if (!InvoiceManager.isIssued(existing)) {
+      throw new StatusTransitionError('invoice', existing.id, existing.status, 'paid');
+    }
     return InvoiceManager.update(invoiceId, {
       status: 'paid',
       paidAt: coerceDate(paidDate, DataManager.now()),
       amountPaid: existing.total,
-      balanceDue: 0
+      amountPaidCents: existing.totalCents,
+      balanceDue: 0,
+      balanceDueCents: 0
     });
   }
 
   static remove(invoiceId) {
-    return DataManager.deleteInvoice(invoiceId);
+    const invoice = InvoiceManager.findById(invoiceId);
+    if (!invoice) {
+      return DataManager.deleteInvoice(invoiceId);
+    }
+    return DataManager.transaction(() => {
+      const removed = DataManager.deleteInvoice(invoice.id);
+      Object.entries(DEPENDENT_COLLECTIONS).forEach(([collection, remove]) => {
+        DataManager.queryRecords(collection, { invoiceId: invoice.id }).forEach((record) => remove(record.id));
+      });
+      return removed;
+    });
+  }
+
+  static restore(invoiceId) {
+    const id = sanitizeString(invoiceId);
+    const invoice = DataManager.listDeleted('invoices').find((record) => record.id === id);
+    if (!invoice) {
+      return null;
+    }
+    const deletedTime = Date.parse(invoice.deletedAt);
+    const deletedWithInvoice = (record) =>
+      record.invoiceId === invoice.id && Date.parse(record.deletedAt) >= deletedTime;
+    return DataManager.transaction(() => {
+      const restored = DataManager.restoreRecord('invoices', invoice.id);
+      Object.keys(DEPENDENT_COLLECTIONS).forEach((collection) => {
+        DataManager.listDeleted(collection)
+          .filter(deletedWithInvoice)
+          .forEach((record) => DataManager.restoreRecord(collection, record.id));
+      });
+      return restored;
+    });
   }
 
   static getOutstandingInvoices() {
-    return InvoiceManager.list().filter((invoice) =>
-      (invoice.balanceDue ?? invoice.total) > 0
-    );
+    return InvoiceManager.list().filter((invoice) => invoice.balanceDueCents > 0);
+  }
+
+  static generateInvoiceNumber(client, issueDate) {
+    return NumberingManager.reserve('invoices', {
+      clientId: client?.id,
+      prefix: client?.prefix,
+      date: issueDate
+    });
   }
 
-  static generateInvoiceNumber(client) {
+  static calculateTotals(lineItems, gstRate, rounding, pricesIncludeTax, discount) {
     const settings = DataManager.getSettings();
-    const prefix = sanitizeString(client?.prefix) || sanitizeString(settings.invoicePrefix) || 'INV';
-    const existing = DataManager.listInvoices();
-    const sequence = existing.length + 1;
-    return `${prefix}-${String(sequence).padStart(4, '0')}`;
-  }
-
-  static calculateTotals(lineItems, gstRate) {
-    const rate = typeof gstRate === 'number' && gstRate >= 0 ? gstRate : DataManager.getSettings().gstRate;
-    return lineItems.reduce(
-      (accumulator, line) => {
-        const subtotal = withTwoDecimals(line.quantity * line.unitPrice);
-        const gst = line.applyGst ? withTwoDecimals(subtotal * rate) : 0;
-        const total = withTwoDecimals(subtotal + gst);
-        return {
-          subtotal: withTwoDecimals(accumulator.subtotal + subtotal),
-          gstTotal: withTwoDecimals(accumulator.gstTotal + gst),
-          total: withTwoDecimals(accumulator.total + total)
-        };
-      },
-      { subtotal: 0, gstTotal: 0, total: 0 }
-    );
+    const rate = typeof gstRate === 'number' && gstRate >= 0 ? gstRate : settings.gstRate;
+    const items = TaxCodeManager.applyRates(lineItems, { gstRate: rate });
+    const totals = Money.calculateTotals(items, {
+      rate,
+      rounding: Money.resolveRounding(rounding, settings.gstRounding),
+      pricesIncludeTax:
+        typeof pricesIncludeTax === 'boolean' ? pricesIncludeTax : Boolean(settings.pricesIncludeTax),
+      discount
+    });
+    const lines = totals.lines.map((line, index) => ({
+      ...line,
+      ...DiscountManager.normalize(items[index]),
+      taxCode: items[index].taxCode,
+      taxRate: items[index].taxRate
+    }));
+    return { ...totals, lines, taxes: TaxCodeManager.summarize(lines) };
+  }
+
+  static #load(invoiceId) {
+    const invoice = DataManager.findRecord('invoices', sanitizeString(invoiceId));
+    return invoice ? InvoiceManager.#normalize(invoice, { strictClientValidation: false }) : null;
+  }
+
+  static #transition(invoiceId, target, changes = {}) {
+    const existing = InvoiceManager.#load(invoiceId);
+    if (!existing) {
+      throw new Error(`InvoiceManager: No invoice found for id "${invoiceId}".`);
+    }
+    if (!TRANSITIONS[existing.status].includes(target)) {
+      throw new StatusTransitionError('invoice', existing.id, existing.status, target);
+    }
+    return InvoiceManager.#write(existing, { ...changes, status: target });
+  }
+
+  static #write(existing, changes, { expectedRevision, errors = [] } = {}) {
+    const merged = {
+      ...existing,
+      ...changes,
+      id: existing.id,
+      createdAt: existing.createdAt,
+      updatedAt: DataManager.now()
+    };
+    Schema.assert(INVOICE_SCHEMA, merged, { errors });
+    return DataManager.transaction(() => {
+      const normalized = InvoiceManager.#normalize(merged, { strictClientValidation: false, assignNumber: true });
+      return DataManager.saveInvoice(normalized, { expectedRevision });
+    });
   }
 
   static #normalize(input, options = {}) {
@@ -166,7 +403,7 @@ export class InvoiceManager {
       throw new Error('InvoiceManager: invoice payload must be an object.');
     }
 
-    const { strictClientValidation = true } = options;
+    const { strictClientValidation = true, assignNumber = false } = options;
 
     const client = resolveClient(input.clientId, input, { strictClientValidation });
 
@@ -175,35 +412,105 @@ export class InvoiceManager {
     const dueDate = coerceDate(input.dueDate, calculateDueDate(issueDate));
     let paidAt = sanitizeString(input.paidAt);
 
-    const lineItems = InvoiceManager.#normalizeLineItems(input.lineItems, settings.gstRate);
-    if (!lineItems.length) {
+    const normalizedLineItems = InvoiceManager.#normalizeLineItems(input.lineItems);
+    if (!normalizedLineItems.length) {
       throw new Error('InvoiceManager: at least one line item is required.');
     }
 
-    const totals = InvoiceManager.calculateTotals(lineItems, settings.gstRate);
+    const gstRounding = Money.resolveRounding(input.gstRounding, settings.gstRounding);
+    const pricesIncludeTax =
+      typeof input.pricesIncludeTax === 'boolean' ? input.pricesIncludeTax : Boolean(settings.pricesIncludeTax);
+    const documentDiscount = DiscountManager.normalize(input);
+    const totals = InvoiceManager.calculateTotals(
+      normalizedLineItems,
+      settings.gstRate,
+      gstRounding,
+      pricesIncludeTax,
+      DiscountManager.toOption(documentDiscount)
+    );
+    const lineItems = normalizedLineItems.map((item, index) => {
+      const {
+        unitPrice,
+        unitPriceCents,
+        discountType,
+        discountValue,
+        discount,
+        discountCents,
+        documentDiscount: documentDiscountAmount,
+        documentDiscountCents,
+        taxCode,
+        taxRate,
+        subtotal,
+        subtotalCents,
+        gst,
+        gstCents,
+        total,
+        totalCents
+      } = totals.lines[index];
+      return {
+        id: item.id,
+        serviceId: item.serviceId,
+        description: item.description,
+        quantity: item.quantity,
+        unitPrice,
+        unitPriceCents,
+        discountType,
+        discountValue,
+        discount,
+        discountCents,
+        documentDiscount: documentDiscountAmount,
+        documentDiscountCents,
+        taxCode,
+        taxRate,
+        applyGst: taxRate > 0,
+        subtotal,
+        subtotalCents,
+        gst,
+        gstCents,
+        total,
+        totalCents
+      };
+    });
 
     const requestedStatus = sanitizeString(input.status).toLowerCase();
-    const rawAmountPaid = sanitizeNumber(
-      input.amountPaid ?? (requestedStatus === 'paid' ? totals.total : 0)
+    const voidedAt = sanitizeString(input.voidedAt);
+    const sentAt = sanitizeString(input.sentAt);
+    const viewedAt = sanitizeString(input.viewedAt);
+    const isDraft = !voidedAt && requestedStatus === 'draft';
+    const rawAmountPaidCents = Math.max(
+      0,
+      Money.resolveCents(input.amountPaid, input.amountPaidCents, requestedStatus === 'paid' ? totals.totalCents : 0)
     );
-    const amountPaid = withTwoDecimals(Math.min(totals.total, rawAmountPaid));
-    const balanceDue = withTwoDecimals(Math.max(0, totals.total - amountPaid));
+    const creditedTotalCents = Math.min(
+      totals.totalCents,
+      Math.max(0, Money.resolveCents(input.creditedTotal, input.creditedTotalCents, 0))
+    );
+    const payableCents = totals.totalCents - creditedTotalCents;
+    const amountPaidCents = Math.min(payableCents, rawAmountPaidCents);
+    let balanceDueCents = Math.max(0, payableCents - amountPaidCents);
 
     let status;
-    if (balanceDue === 0) {
+    if (voidedAt || isDraft) {
+      status = voidedAt ? 'void' : 'draft';
+      balanceDueCents = 0;
+      paidAt = '';
+    } else if (balanceDueCents === 0) {
       status = 'paid';
       paidAt = paidAt || DataManager.now();
-    } else if (amountPaid > 0) {
+    } else if (amountPaidCents > 0) {
       status = 'partial';
       paidAt = '';
     } else {
-      status = 'unpaid';
+      status = viewedAt ? 'viewed' : sentAt ? 'sent' : 'unpaid';
       paidAt = '';
     }
 
     return {
       id: sanitizeString(input.id) || DataManager.randomUUID(),
-      number: sanitizeString(input.number) || InvoiceManager.generateInvoiceNumber(client),
+      number:
+        isDraft || !assignNumber
+          ? sanitizeString(input.number)
+          : sanitizeString(input.number) || InvoiceManager.generateInvoiceNumber(client, issueDate),
       clientId: client.id,
       clientName: client.name,
       clientBusinessName: client.businessName,
@@ -211,20 +518,39 @@ export class InvoiceManager {
       dueDate,
       paidAt,
       status,
+      sentAt,
+      viewedAt,
+      voidedAt,
+      voidReason: voidedAt ? sanitizeString(input.voidReason) : '',
       notes: sanitizeString(input.notes),
       lineItems,
+      gstRounding,
+      pricesIncludeTax,
+      ...documentDiscount,
+      discount: totals.discount,
+      discountCents: totals.discountCents,
+      discountTotal: totals.discountTotal,
+      discountTotalCents: totals.discountTotalCents,
       subtotal: totals.subtotal,
+      subtotalCents: totals.subtotalCents,
       gstTotal: totals.gstTotal,
+      gstTotalCents: totals.gstTotalCents,
       total: totals.total,
-      amountPaid,
-      balanceDue,
+      totalCents: totals.totalCents,
+      taxes: totals.taxes,
+      amountPaid: Money.fromCents(amountPaidCents),
+      amountPaidCents,
+      creditedTotal: Money.fromCents(creditedTotalCents),
+      creditedTotalCents,
+      balanceDue: Money.fromCents(balanceDueCents),
+      balanceDueCents,
+      ...(sanitizeString(input.legacyId) ? { legacyId: sanitizeString(input.legacyId) } : {}),
       createdAt: sanitizeString(input.createdAt) || DataManager.now(),
       updatedAt: sanitizeString(input.updatedAt) || DataManager.now()
     };
   }
 
-  static #normalizeLineItems(lineItems, gstRate) {
-    const rate = typeof gstRate === 'number' && gstRate >= 0 ? gstRate : DataManager.getSettings().gstRate;
+  static #normalizeLineItems(lineItems) {
     if (!Array.isArray(lineItems)) {
       return [];
     }
@@ -235,24 +561,20 @@ export class InvoiceManager {
         }
         const description = sanitizeString(item.description);
         const quantity = sanitizeNumber(item.quantity || 0);
-        const unitPrice = sanitizeNumber(item.unitPrice || 0);
+        const unitPriceCents = Math.max(0, Money.resolveCents(item.unitPrice, item.unitPriceCents));
         if (!description || quantity <= 0) {
           return null;
         }
-        const applyGst = Boolean(item.applyGst);
-        const subtotal = withTwoDecimals(quantity * unitPrice);
-        const gst = applyGst ? withTwoDecimals(subtotal * rate) : 0;
-        const total = withTwoDecimals(subtotal + gst);
         return {
           id: sanitizeString(item.id) || DataManager.randomUUID(),
           serviceId: sanitizeString(item.serviceId),
           description,
           quantity,
-          unitPrice,
-          applyGst,
-          subtotal,
-          gst,
-          total
+          unitPriceCents,
+          ...DiscountManager.normalize(item),
+          taxCode: TaxCodeManager.resolveCode(item),
+          taxRate: item.taxRate,
+          applyGst: Boolean(item.applyGst)
         };
       })
       .filter(Boolean);
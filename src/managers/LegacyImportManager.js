@@ -0,0 +1,293 @@
+import { DataManager } from '../data/DataManager.js';
+import { LocalStorageAdapter } from '../data/adapters/LocalStorageAdapter.js';
+import { ClientManager } from './ClientManager.js';
+import { InvoiceManager } from './InvoiceManager.js';
+import { QuoteManager } from './QuoteManager.js';
+import { PaymentManager } from './PaymentManager.js';
+import { UserManager } from './UserManager.js';
+
+const LEGACY_SOURCES = [
+  { id: 'legacy-store', key: 'zantra-invoicing-store', label: 'Invoice tracker (js/dataManager.js)' },
+  { id: 'legacy-app', key: 'zantra-invoicing', label: 'Quote & invoice builder (app.js)' }
+];
+
+const LEGACY_STATUS_MAP = {
+  paid: 'paid',
+  unpaid: 'unpaid',
+  'part-paid': 'partial'
+};
+
+const IMPORT_NOTE = 'Imported from legacy data';
+
+const sanitizeString = (value) => (typeof value === 'string' ? value.trim() : '');
+
+const sanitizeNumber = (value) => {
+  const numeric = Number.parseFloat(value);
+  if (Number.isNaN(numeric) || !Number.isFinite(numeric)) {
+    return 0;
+  }
+  return Math.max(0, Math.round(numeric * 100) / 100);
+};
+
+const normalizeName = (value) => sanitizeString(value).toLowerCase().replace(/\s+/g, ' ');
+
+const derivePrefix = (name) => {
+  const letters = sanitizeString(name)
+    .split(/\s+/)
+    .map((word) => word.replace(/[^a-z0-9]/gi, ''))
+    .filter(Boolean);
+  if (!letters.length) {
+    return 'CL';
+  }
+  const initials = letters.length > 1 ? letters.map((word) => word[0]).join('') : letters[0];
+  return initials.slice(0, 3).toUpperCase();
+};
+
+const joinNotes = (...parts) => parts.map(sanitizeString).filter(Boolean).join('\n');
+
+const REPORT_LISTS = ['imported', 'merged', 'skipped'];
+
+const createReport = () => ({ sources: [], imported: [], merged: [], skipped: [] });
+
+const toLegacyKey = (source, legacyId) => (legacyId ? `${source}:${legacyId}` : '');
+
+export class LegacyImportManager {
+  static SOURCES = LEGACY_SOURCES.map((source) => ({ ...source }));
+
+  static detect() {
+    return LEGACY_SOURCES.map((source) => {
+      const payload = LegacyImportManager.#read(source);
+      if (!payload) {
+        return null;
+      }
+      return {
+        ...source,
+        counts: {
+          clients: payload.clients.length,
+          invoices: payload.invoices.length,
+          quotes: payload.quotes.length
+        }
+      };
+    }).filter((source) => source && (source.counts.clients || source.counts.invoices || source.counts.quotes));
+  }
+
+  static importAll() {
+    UserManager.assertPermission('settings');
+    const report = createReport();
+    LegacyImportManager.detect().forEach((source) => {
+      const payload = LegacyImportManager.#read(source);
+      report.sources.push({ id: source.id, key: source.key, label: source.label, counts: source.counts });
+      if (source.id === 'legacy-store') {
+        LegacyImportManager.#importStore(payload, report);
+      } else {
+        LegacyImportManager.#importApp(payload, report);
+      }
+    });
+    return report;
+  }
+
+  static #read(source) {
+    let raw = null;
+    try {
+      raw = new LocalStorageAdapter({ prefix: '' }).read(source.key);
+    } catch (error) {
+      console.error(`LegacyImportManager: unable to read "${source.key}":`, error);
+      return null;
+    }
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+      return null;
+    }
+    const toArray = (value) => (Array.isArray(value) ? value.filter((item) => item && typeof item === 'object') : []);
+    return {
+      clients: toArray(raw.clients),
+      invoices: toArray(raw.invoices),
+      quotes: toArray(raw.quotes)
+    };
+  }
+
+  static #importStore(payload, report) {
+    const source = 'legacy-store';
+    payload.invoices.forEach((legacy) => {
+      const legacyId = sanitizeString(legacy.id);
+      const number = sanitizeString(legacy.invoiceNumber);
+      LegacyImportManager.#attempt(report, { source, type: 'invoice', legacyId, number }, () => {
+        if (!number) {
+          return { skipped: 'Missing invoice number.' };
+        }
+        if (LegacyImportManager.#invoiceNumberExists(number)) {
+          return { skipped: `Invoice ${number} already exists.` };
+        }
+        if (LegacyImportManager.#alreadyImported(InvoiceManager.list(), toLegacyKey(source, legacyId))) {
+          return { skipped: `Invoice ${legacyId} was already imported.` };
+        }
+        const status = LEGACY_STATUS_MAP[sanitizeString(legacy.status).toLowerCase()];
+        if (!status) {
+          return { skipped: `Unknown status "${legacy.status}".` };
+        }
+        const client = LegacyImportManager.#resolveClient({ name: legacy.clientName }, { source, report });
+        const amount = sanitizeNumber(legacy.amount);
+        const gstPercent = sanitizeNumber(legacy.gstRate ?? 10);
+        const settingsPercent = Math.round(DataManager.getSettings().gstRate * 10000) / 100;
+        const invoice = InvoiceManager.create({
+          clientId: client.id,
+          number,
+          legacyId: toLegacyKey(source, legacyId),
+          issueDate: legacy.issueDate,
+          dueDate: legacy.dueDate,
+          notes: joinNotes(
+            legacy.notes,
+            gstPercent > 0 && gstPercent !== settingsPercent
+              ? `${IMPORT_NOTE} (original GST rate ${gstPercent}%).`
+              : `${IMPORT_NOTE}.`
+          ),
+          lineItems: [
+            {
+              description: `Invoice ${number}`,
+              quantity: 1,
+              unitPrice: amount,
+              taxCode: gstPercent > 0 ? 'GST' : 'FRE'
+            }
+          ],
+          pricesIncludeTax: false
+        });
+        const paidAmount =
+          status === 'paid' ? invoice.total : Math.min(sanitizeNumber(legacy.paidAmount), invoice.total);
+        if (status !== 'unpaid' && paidAmount > 0) {
+          PaymentManager.recordPayment(invoice.id, paidAmount, legacy.paymentDate || legacy.issueDate, IMPORT_NOTE);
+        }
+        return { record: invoice };
+      });
+    });
+  }
+
+  static #importApp(payload, report) {
+    const source = 'legacy-app';
+    const clientIds = new Map();
+    payload.clients.forEach((legacy) => {
+      const legacyId = sanitizeString(legacy.id);
+      LegacyImportManager.#attempt(report, { source, type: 'client', legacyId }, () => {
+        if (!sanitizeString(legacy.name)) {
+          return { skipped: 'Missing client name.' };
+        }
+        const client = LegacyImportManager.#resolveClient(legacy, { source, report, legacyId, recordOutcome: false });
+        clientIds.set(legacyId, client.id);
+        return client.merged ? { merged: client } : { record: client };
+      });
+    });
+
+    const resolveClientId = (legacyClientId) => {
+      const id = clientIds.get(sanitizeString(legacyClientId));
+      if (!id) {
+        throw new Error(`Unknown client "${legacyClientId}".`);
+      }
+      return id;
+    };
+
+    payload.invoices.forEach((legacy) => {
+      const legacyId = sanitizeString(legacy.id);
+      const number = sanitizeString(legacy.number);
+      LegacyImportManager.#attempt(report, { source, type: 'invoice', legacyId, number }, () => {
+        if (number && LegacyImportManager.#invoiceNumberExists(number)) {
+          return { skipped: `Invoice ${number} already exists.` };
+        }
+        if (LegacyImportManager.#alreadyImported(InvoiceManager.list(), toLegacyKey(source, legacyId))) {
+          return { skipped: `Invoice ${legacyId} was already imported.` };
+        }
+        const invoice = InvoiceManager.create({
+          clientId: resolveClientId(legacy.clientId),
+          number,
+          legacyId: toLegacyKey(source, legacyId),
+          issueDate: legacy.issueDate,
+          dueDate: legacy.dueDate,
+          notes: joinNotes(legacy.notes, `${IMPORT_NOTE}.`),
+          lineItems: legacy.lineItems,
+          pricesIncludeTax: false
+        });
+        return { record: invoice };
+      });
+    });
+
+    payload.quotes.forEach((legacy) => {
+      const legacyId = sanitizeString(legacy.id);
+      const number = sanitizeString(legacy.number);
+      LegacyImportManager.#attempt(report, { source, type: 'quote', legacyId, number }, () => {
+        if (number && QuoteManager.list().some((quote) => quote.number === number)) {
+          return { skipped: `Quote ${number} already exists.` };
+        }
+        if (LegacyImportManager.#alreadyImported(QuoteManager.list(), toLegacyKey(source, legacyId))) {
+          return { skipped: `Quote ${legacyId} was already imported.` };
+        }
+        const quote = QuoteManager.create({
+          clientId: resolveClientId(legacy.clientId),
+          number,
+          legacyId: toLegacyKey(source, legacyId),
+          issueDate: legacy.quoteDate || legacy.issueDate,
+          validUntil: legacy.expiryDate || legacy.validUntil,
+          notes: joinNotes(legacy.notes, `${IMPORT_NOTE}.`),
+          lineItems: legacy.lineItems,
+          pricesIncludeTax: false
+        });
+        return { record: quote };
+      });
+    });
+  }
+
+  static #attempt(report, entry, operation) {
+    const lengths = REPORT_LISTS.map((list) => report[list].length);
+    try {
+      const outcome = DataManager.transaction(operation);
+      if (outcome.skipped) {
+        report.skipped.push({ ...entry, reason: outcome.skipped });
+      } else if (outcome.merged) {
+        report.merged.push({ ...entry, id: outcome.merged.id });
+      } else {
+        report.imported.push({ ...entry, id: outcome.record.id, number: outcome.record.number || entry.number || '' });
+      }
+    } catch (error) {
+      REPORT_LISTS.forEach((list, index) => report[list].splice(lengths[index]));
+      report.skipped.push({ ...entry, reason: error.message });
+    }
+  }
+
+  static #resolveClient(legacy, { source, report, legacyId = '', recordOutcome = true }) {
+    const name = sanitizeString(legacy.name);
+    if (!name) {
+      throw new Error('Missing client name.');
+    }
+    const email = sanitizeString(legacy.email).toLowerCase();
+    const existing = ClientManager.list().find(
+      (client) =>
+        normalizeName(client.name) === normalizeName(name) && (!email || !client.email || client.email === email)
+    );
+    if (existing) {
+      const alreadyReported = [...report.imported, ...report.merged].some((entry) => entry.id === existing.id);
+      if (recordOutcome && !alreadyReported) {
+        report.merged.push({ source, type: 'client', legacyId, id: existing.id });
+      }
+      return { ...existing, merged: true };
+    }
+    const created = ClientManager.create({
+      name,
+      businessName: name,
+      address: sanitizeString(legacy.address) || 'Not provided',
+      abn: 'Not provided',
+      contact: sanitizeString(legacy.phone) || email || name,
+      prefix: derivePrefix(name),
+      email
+    });
+    if (recordOutcome) {
+      report.imported.push({ source, type: 'client', legacyId, id: created.id, number: '' });
+    }
+    return created;
+  }
+
+  static #alreadyImported(records, legacyKey) {
+    return Boolean(legacyKey) && records.some((record) => record.legacyId === legacyKey);
+  }
+
+  static #invoiceNumberExists(number) {
+    return InvoiceManager.list().some((invoice) => invoice.number === number);
+  }
+}
+
+export default LegacyImportManager;
@@ -0,0 +1,234 @@
+import { DataManager, DEFAULT_SETTINGS } from '../data/DataManager.js';
+import { Schema } from '../data/schema.js';
+
+const SEQUENCES = {
+  invoices: {
+    label: 'Invoices',
+    collection: 'invoices',
+    field: 'number',
+    dateField: 'issueDate',
+    prefixSetting: 'invoicePrefix'
+  },
+  quotes: {
+    label: 'Quotes',
+    collection: 'quotes',
+    field: 'number',
+    dateField: 'issueDate',
+    prefixSetting: 'quotePrefix'
+  },
+  creditNotes: {
+    label: 'Credit notes',
+    collection: 'creditNotes',
+    field: 'number',
+    dateField: 'issueDate',
+    prefixSetting: 'creditNotePrefix'
+  },
+  receipts: {
+    label: 'Receipts',
+    collection: 'payments',
+    field: 'receiptNumber',
+    dateField: 'paymentDate',
+    prefixSetting: 'receiptPrefix'
+  }
+};
+
+const SCOPES = ['global', 'client'];
+
+const RESETS = ['never', 'yearly'];
+
+const TOKEN_PATTERN = /\{(PREFIX|YYYY|YY|MM|SEQ)(?::(\d))?\}/g;
+
+const TEMPLATE_PATTERN =
+  /^(?:[^{}]|\{(?:PREFIX|YYYY|YY|MM)\})*\{SEQ(?::[1-9])?\}(?:[^{}]|\{(?:PREFIX|YYYY|YY|MM)\})*$/;
+
+const SEQUENCE_SCHEMA = {
+  entity: 'numbering',
+  label: 'Numbering',
+  fields: {
+    template: { type: 'string', required: true, pattern: TEMPLATE_PATTERN, label: 'Number template' },
+    scope: { type: 'string', required: true, enum: SCOPES, label: 'Counter' },
+    reset: { type: 'string', required: true, enum: RESETS, label: 'Reset' }
+  }
+};
+
+const sanitizeString = (value) => (typeof value === 'string' ? value.trim() : '');
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const resolveDate = (value) => {
+  const timestamp = value instanceof Date ? value.getTime() : Date.parse(value);
+  return Number.isNaN(timestamp) ? new Date(DataManager.now()) : new Date(timestamp);
+};
+
+const resolveDefinition = (sequence) => {
+  const definition = SEQUENCES[sequence];
+  if (!definition) {
+    throw new Error(`NumberingManager: Unknown sequence "${sequence}".`);
+  }
+  return definition;
+};
+
+const formatNumber = (template, { prefix, date, sequence }) =>
+  template.replace(TOKEN_PATTERN, (match, token, width) => {
+    switch (token) {
+      case 'PREFIX':
+        return prefix;
+      case 'YYYY':
+        return String(date.getUTCFullYear());
+      case 'YY':
+        return String(date.getUTCFullYear()).slice(-2);
+      case 'MM':
+        return String(date.getUTCMonth() + 1).padStart(2, '0');
+      default:
+        return String(sequence).padStart(Number(width) || 1, '0');
+    }
+  });
+
+const buildMatcher = (template, { prefix, scope }) => {
+  const parts = template.split(TOKEN_PATTERN);
+  let pattern = '';
+  for (let index = 0; index < parts.length; index += 3) {
+    pattern += escapeRegExp(parts[index]);
+    const token = parts[index + 1];
+    if (token === 'PREFIX') {
+      pattern += scope === 'client' ? escapeRegExp(prefix) : '.*?';
+    } else if (token === 'YYYY') {
+      pattern += '\\d{4}';
+    } else if (token === 'YY' || token === 'MM') {
+      pattern += '\\d{2}';
+    } else if (token === 'SEQ') {
+      pattern += '(\\d+)';
+    }
+  }
+  return new RegExp(`^${pattern}$`);
+};
+
+const listDocuments = ({ collection }) => [
+  ...DataManager.queryRecords(collection),
+  ...DataManager.listDeleted(collection)
+];
+
+const resolveContext = (sequence, { clientId, prefix, date } = {}) => {
+  const definition = resolveDefinition(sequence);
+  const config = NumberingManager.getConfig(sequence);
+  const settings = DataManager.getSettings();
+  const resolvedDate = resolveDate(date);
+  const resolvedClientId = config.scope === 'client' ? sanitizeString(clientId) : '';
+  const period = config.reset === 'yearly' ? String(resolvedDate.getUTCFullYear()) : '';
+  return {
+    definition,
+    config,
+    clientId: resolvedClientId,
+    period,
+    date: resolvedDate,
+    prefix:
+      sanitizeString(prefix) ||
+      sanitizeString(settings[definition.prefixSetting]) ||
+      DEFAULT_SETTINGS[definition.prefixSetting],
+    id: [sequence, config.scope === 'client' ? resolvedClientId || 'none' : 'global', period || 'all'].join(':')
+  };
+};
+
+const seedValue = ({ definition, config, clientId, period, prefix }) => {
+  const matcher = buildMatcher(config.template, { prefix, scope: config.scope });
+  return Math.max(
+    0,
+    ...listDocuments(definition)
+      .filter(
+        (record) =>
+          (config.scope !== 'client' || record.clientId === clientId) &&
+          (!period || String(resolveDate(record[definition.dateField]).getUTCFullYear()) === period)
+      )
+      .map((record) => Number.parseInt(matcher.exec(sanitizeString(record[definition.field]))?.[1], 10) || 0)
+  );
+};
+
+const nextNumber = (sequence, options) => {
+  const context = resolveContext(sequence, options);
+  const stored = DataManager.findRecord('sequences', context.id);
+  const taken = new Set(
+    listDocuments(context.definition).map((record) => sanitizeString(record[context.definition.field]))
+  );
+  let value = stored ? Number(stored.value) || 0 : seedValue(context);
+  let number;
+  do {
+    value += 1;
+    number = formatNumber(context.config.template, { prefix: context.prefix, date: context.date, sequence: value });
+  } while (taken.has(number));
+  return { context, value, number };
+};
+
+export class NumberingManager {
+  static SEQUENCES = Object.keys(SEQUENCES);
+
+  static SCOPES = SCOPES.slice();
+
+  static RESETS = RESETS.slice();
+
+  static SCHEMA = SEQUENCE_SCHEMA;
+
+  static getConfig(sequence) {
+    resolveDefinition(sequence);
+    const stored = DataManager.getSettings().numbering?.[sequence];
+    return { ...DEFAULT_SETTINGS.numbering[sequence], ...(stored && typeof stored === 'object' ? stored : {}) };
+  }
+
+  static sanitizeConfig(input) {
+    const payload = input && typeof input === 'object' ? input : {};
+    return Object.fromEntries(
+      NumberingManager.SEQUENCES.map((sequence) => {
+        const defaults = DEFAULT_SETTINGS.numbering[sequence];
+        const config = payload[sequence] && typeof payload[sequence] === 'object' ? payload[sequence] : {};
+        return [
+          sequence,
+          {
+            template: sanitizeString(config.template) || defaults.template,
+            scope: sanitizeString(config.scope).toLowerCase() || defaults.scope,
+            reset: sanitizeString(config.reset).toLowerCase() || defaults.reset
+          }
+        ];
+      })
+    );
+  }
+
+  static validate(numbering) {
+    return NumberingManager.SEQUENCES.flatMap((sequence) =>
+      Schema.validate(SEQUENCE_SCHEMA, numbering?.[sequence], { path: `numbering.${sequence}` })
+    );
+  }
+
+  static isValidTemplate(template) {
+    return TEMPLATE_PATTERN.test(sanitizeString(template));
+  }
+
+  static format(template, { prefix = '', date = new Date(), sequence = 1 } = {}) {
+    return formatNumber(sanitizeString(template), {
+      prefix: sanitizeString(prefix),
+      date: resolveDate(date),
+      sequence
+    });
+  }
+
+  static preview(sequence, options) {
+    return nextNumber(sequence, options).number;
+  }
+
+  static reserve(sequence, options) {
+    return DataManager.transaction(() => {
+      const { context, value, number } = nextNumber(sequence, options);
+      DataManager.saveSequence({
+        id: context.id,
+        sequence,
+        scope: context.config.scope,
+        clientId: context.clientId,
+        period: context.period,
+        value,
+        lastNumber: number,
+        updatedAt: DataManager.now()
+      });
+      return number;
+    });
+  }
+}
+
+export default NumberingManager;
@@ -1,16 +1,13 @@
 import { DataManager } from '../data/DataManager.js';
+import { StatusTransitionError } from '../data/errors.js';
+import { Money } from '../data/money.js';
+import { RecordQuery } from '../data/query.js';
+import { Schema } from '../data/schema.js';
 import { InvoiceManager } from './InvoiceManager.js';
+import { NumberingManager } from './NumberingManager.js';
 
 const sanitizeString = (value) => (typeof value === 'string' ? value.trim() : '');
 
-const sanitizeNumber = (value) => {
-  const numeric = Number.parseFloat(value);
-  if (Number.isNaN(numeric) || !Number.isFinite(numeric)) {
-    return 0;
-  }
-  return Math.max(0, Math.round(numeric * 100) / 100);
-};
-
 const coerceDate = (value, fallback) => {
   if (value instanceof Date) {
     return value.toISOString();
@@ -26,9 +23,33 @@ const coerceDate = (value, fallback) => {
   return new Date(timestamp).toISOString();
 };
 
-const withTwoDecimals = (value) => Math.round(value * 100) / 100;
+const PAYMENT_SCHEMA = {
+  entity: 'payment',
+  label: 'Payment',
+  fields: {
+    amount: { type: 'number', required: true, exclusiveMin: 0, label: 'Payment amount' },
+    paymentDate: { type: 'date', label: 'Payment date' },
+    notes: { type: 'string', label: 'Notes' }
+  }
+};
+
+const QUERY_CONTEXT = 'PaymentManager.query';
+
+const SORT_FIELDS = {
+  paymentDate: (payment) => RecordQuery.toTimestamp(payment.paymentDate),
+  recordedAt: (payment) => RecordQuery.toTimestamp(payment.recordedAt),
+  invoiceNumber: (payment) => payment.invoiceNumber,
+  clientName: (payment) => payment.clientName,
+  amount: (payment) => paymentCents(payment)
+};
+
+const SEARCH_FIELDS = ['invoiceNumber', 'clientName', 'notes'];
+
+const paymentCents = (payment) => Math.max(0, Money.resolveCents(payment?.amount, payment?.amountCents));
 
 export class PaymentManager {
+  static SCHEMA = PAYMENT_SCHEMA;
+
   static list() {
     return DataManager.listPayments();
   }
@@ -38,7 +59,24 @@ export class PaymentManager {
     if (!id) {
       return [];
     }
-    return PaymentManager.list().filter((payment) => payment.invoiceId === id);
+    return DataManager.queryRecords('payments', { invoiceId: id });
+  }
+
+  static query({ invoiceId, clientId, paidBetween, search, sort = '-paymentDate', limit, offset } = {}) {
+    const range = RecordQuery.resolveRange(paidBetween, QUERY_CONTEXT);
+    const payments = DataManager.queryRecords('payments', {
+      invoiceId: invoiceId || undefined,
+      clientId: clientId || undefined
+    }).filter(
+      (payment) =>
+        RecordQuery.withinRange(payment.paymentDate || payment.recordedAt, range) &&
+        RecordQuery.matchesSearch(payment, search, SEARCH_FIELDS)
+    );
+    return RecordQuery.paginate(
+      RecordQuery.sort(payments, sort, SORT_FIELDS, QUERY_CONTEXT),
+      { limit, offset },
+      QUERY_CONTEXT
+    );
   }
 
   static recordPayment(invoiceId, amount, paymentDate, notes = '') {
@@ -46,25 +84,32 @@ export class PaymentManager {
     if (!invoice) {
       throw new Error(`PaymentManager.recordPayment: invoice "${invoiceId}" not found.`);
     }
-
-    const dateIso = coerceDate(paymentDate, DataManager.now());
-    const normalizedAmount = sanitizeNumber(amount);
-    if (normalizedAmount <= 0) {
-      throw new Error('PaymentManager.recordPayment: amount must be greater than zero.');
+    if (!InvoiceManager.isIssued(invoice)) {
+      throw new StatusTransitionError('invoice', invoice.id, invoice.status, 'paid');
     }
 
+    const amountCents = Money.toCents(amount);
     const previousPayments = PaymentManager.listByInvoice(invoice.id);
-    const alreadyPaid = withTwoDecimals(
-      previousPayments.reduce((sum, payment) => sum + sanitizeNumber(payment.amount), 0)
+    const alreadyPaidCents = Money.sum(previousPayments.map(paymentCents));
+    const payableCents = invoice.totalCents - invoice.creditedTotalCents;
+    const remainingCents = Math.max(0, payableCents - alreadyPaidCents);
+    Schema.assert(
+      PAYMENT_SCHEMA,
+      { amount: Money.fromCents(amountCents), paymentDate, notes },
+      {
+        errors: [
+          amountCents > remainingCents
+            ? Schema.error('amount', 'max', 'Payment amount exceeds outstanding balance.')
+            : null
+        ]
+      }
     );
-    const remainingBalance = withTwoDecimals(Math.max(0, invoice.total - alreadyPaid));
-    if (normalizedAmount > remainingBalance) {
-      throw new Error('PaymentManager.recordPayment: amount exceeds outstanding balance.');
-    }
 
-    const totalPaid = withTwoDecimals(alreadyPaid + normalizedAmount);
-    const balanceDue = withTwoDecimals(Math.max(0, invoice.total - totalPaid));
-    const status = balanceDue === 0 ? 'paid' : 'partial';
+    const dateIso = coerceDate(paymentDate, DataManager.now());
+
+    const totalPaidCents = alreadyPaidCents + amountCents;
+    const balanceDueCents = Math.max(0, payableCents - totalPaidCents);
+    const status = balanceDueCents === 0 ? 'paid' : 'partial';
     const paidAt = status === 'paid' ? dateIso : '';
     const payment = {
       id: DataManager.randomUUID(),
@@ -72,24 +117,88 @@ export class PaymentManager {
       invoiceNumber: invoice.number,
       clientId: invoice.clientId,
       clientName: invoice.clientName,
-      amount: normalizedAmount,
+      amount: Money.fromCents(amountCents),
+      amountCents,
       recordedAt: DataManager.now(),
       paymentDate: dateIso,
       notes: sanitizeString(notes)
     };
 
-    DataManager.savePayment(payment);
-    InvoiceManager.update(invoice.id, {
-      status,
-      paidAt,
-      amountPaid: totalPaid,
-      balanceDue
+    return DataManager.transaction(() => {
+      const receiptNumber = NumberingManager.reserve('receipts', { clientId: invoice.clientId, date: dateIso });
+      const saved = DataManager.savePayment({ ...payment, receiptNumber });
+      InvoiceManager.update(invoice.id, {
+        status,
+        paidAt,
+        amountPaid: Money.fromCents(totalPaidCents),
+        amountPaidCents: totalPaidCents,
+        balanceDue: Money.fromCents(balanceDueCents),
+        balanceDueCents
+      });
+      return saved;
     });
-    return payment;
   }
 
   static remove(paymentId) {
-    return DataManager.deletePayment(paymentId);
+    const payment = DataManager.findRecord('payments', sanitizeString(paymentId));
+    if (!payment) {
+      return DataManager.deletePayment(paymentId);
+    }
+    return DataManager.transaction(() => {
+      const removed = DataManager.deletePayment(payment.id);
+      if (InvoiceManager.findById(payment.invoiceId)) {
+        PaymentManager.reconcileInvoice(payment.invoiceId);
+      }
+      return removed;
+    });
+  }
+
+  static restore(paymentId) {
+    const id = sanitizeString(paymentId);
+    const payment = DataManager.listDeleted('payments').find((record) => record.id === id);
+    const invoice = payment ? InvoiceManager.findById(payment.invoiceId) : null;
+    if (!invoice) {
+      return DataManager.restoreRecord('payments', id);
+    }
+    if (!InvoiceManager.isIssued(invoice)) {
+      throw new StatusTransitionError('invoice', invoice.id, invoice.status, 'paid');
+    }
+    const alreadyPaidCents = Money.sum(PaymentManager.listByInvoice(invoice.id).map(paymentCents));
+    const remainingCents = Math.max(0, invoice.totalCents - invoice.creditedTotalCents - alreadyPaidCents);
+    Schema.assert(PAYMENT_SCHEMA, payment, {
+      errors: [
+        paymentCents(payment) > remainingCents
+          ? Schema.error('amount', 'max', 'Payment amount exceeds outstanding balance.')
+          : null
+      ]
+    });
+    return DataManager.transaction(() => {
+      const restored = DataManager.restoreRecord('payments', payment.id);
+      PaymentManager.reconcileInvoice(invoice.id);
+      return restored;
+    });
+  }
+
+  static reconcileInvoice(invoiceId) {
+    const invoice = InvoiceManager.findById(invoiceId);
+    if (!invoice) {
+      throw new Error(`PaymentManager.reconcileInvoice: No invoice found for id "${invoiceId}".`);
+    }
+    const payments = PaymentManager.listByInvoice(invoice.id);
+    const payableCents = invoice.totalCents - invoice.creditedTotalCents;
+    const amountPaidCents = Math.min(payableCents, Money.sum(payments.map(paymentCents)));
+    const lastPaymentDate =
+      payments
+        .map((payment) => payment.paymentDate)
+        .filter(Boolean)
+        .sort()
+        .at(-1) || '';
+    return InvoiceManager.update(invoice.id, {
+      status: '',
+      paidAt: amountPaidCents >= payableCents ? lastPaymentDate : '',
+      amountPaid: Money.fromCents(amountPaidCents),
+      amountPaidCents
+    });
   }
 
   static getOutstandingInvoices() {
@@ -97,9 +206,8 @@ export class PaymentManager {
   }
 
   static getOutstandingBalance() {
-    return PaymentManager.getOutstandingInvoices().reduce(
-      (total, invoice) => total + (invoice.balanceDue ?? invoice.total),
-      0
+    return Money.fromCents(
+      Money.sum(PaymentManager.getOutstandingInvoices().map((invoice) => invoice.balanceDueCents))
     );
   }
 
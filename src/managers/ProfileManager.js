@@ -0,0 +1,143 @@
+import { DataManager } from '../data/DataManager.js';
+import { LocalStorageAdapter } from '../data/adapters/LocalStorageAdapter.js';
+import { UserManager } from './UserManager.js';
+
+const REGISTRY_KEY = 'zantra-invoicing-profiles';
+const DEFAULT_PROFILE_NAME = 'Main business';
+
+const sanitizeString = (value) => (typeof value === 'string' ? value.trim() : '');
+
+const slugify = (value) =>
+  sanitizeString(value)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 32);
+
+const registryStorage = () => new LocalStorageAdapter({ prefix: '' });
+
+export class ProfileManager {
+  static list() {
+    return ProfileManager.#readRegistry().profiles.map((profile) => ({ ...profile }));
+  }
+
+  static findById(profileId) {
+    const id = sanitizeString(profileId);
+    return ProfileManager.list().find((profile) => profile.id === id) || null;
+  }
+
+  static getActive() {
+    return ProfileManager.findById(DataManager.getProfileId()) || ProfileManager.list()[0];
+  }
+
+  static getStoredActiveId() {
+    const registry = ProfileManager.#readRegistry();
+    return registry.profiles.some((profile) => profile.id === registry.activeProfileId)
+      ? registry.activeProfileId
+      : DataManager.DEFAULT_PROFILE_ID;
+  }
+
+  static create({ name } = {}) {
+    UserManager.assertPermission('settings');
+    const registry = ProfileManager.#readRegistry();
+    const profileName = ProfileManager.#validateName(name, registry);
+    const base = slugify(profileName) || 'business';
+    let id = base;
+    for (let suffix = 2; registry.profiles.some((profile) => profile.id === id); suffix += 1) {
+      id = `${base}-${suffix}`;
+    }
+    const profile = { id, name: profileName, createdAt: DataManager.now() };
+    registry.profiles.push(profile);
+    ProfileManager.#writeRegistry(registry);
+    DataManager.emit('profile:created', { profileId: id, profile: { ...profile } });
+    return { ...profile };
+  }
+
+  static rename(profileId, name) {
+    UserManager.assertPermission('settings');
+    const registry = ProfileManager.#readRegistry();
+    const profile = registry.profiles.find((item) => item.id === sanitizeString(profileId));
+    if (!profile) {
+      throw new Error(`ProfileManager.rename: No business profile found for id "${profileId}".`);
+    }
+    profile.name = ProfileManager.#validateName(name, registry, profile.id);
+    ProfileManager.#writeRegistry(registry);
+    DataManager.emit('profile:updated', { profileId: profile.id, profile: { ...profile } });
+    return { ...profile };
+  }
+
+  static async switchTo(profileId) {
+    const profile = ProfileManager.findById(profileId);
+    if (!profile) {
+      throw new Error(`ProfileManager.switchTo: No business profile found for id "${profileId}".`);
+    }
+    await DataManager.switchProfile(profile.id);
+    const registry = ProfileManager.#readRegistry();
+    registry.activeProfileId = profile.id;
+    ProfileManager.#writeRegistry(registry);
+    return profile;
+  }
+
+  static async remove(profileId) {
+    UserManager.assertPermission('settings');
+    const profile = ProfileManager.findById(profileId);
+    if (!profile) {
+      throw new Error(`ProfileManager.remove: No business profile found for id "${profileId}".`);
+    }
+    if (profile.id === DataManager.DEFAULT_PROFILE_ID) {
+      throw new Error('The main business profile cannot be deleted.');
+    }
+    if (profile.id === DataManager.getProfileId()) {
+      throw new Error('Switch to another business before deleting this one.');
+    }
+    await DataManager.clearProfileData(profile.id);
+    const registry = ProfileManager.#readRegistry();
+    registry.profiles = registry.profiles.filter((item) => item.id !== profile.id);
+    ProfileManager.#writeRegistry(registry);
+    DataManager.emit('profile:deleted', { profileId: profile.id, profile });
+    return true;
+  }
+
+  static #validateName(name, registry, currentId = '') {
+    const profileName = sanitizeString(name);
+    if (!profileName) {
+      throw new Error('Business name is required.');
+    }
+    const duplicate = registry.profiles.some(
+      (profile) => profile.id !== currentId && profile.name.toLowerCase() === profileName.toLowerCase()
+    );
+    if (duplicate) {
+      throw new Error(`A business profile named "${profileName}" already exists.`);
+    }
+    return profileName;
+  }
+
+  static #readRegistry() {
+    let stored = null;
+    try {
+      stored = registryStorage().read(REGISTRY_KEY);
+    } catch (error) {
+      console.error('ProfileManager: unable to read the profile registry:', error);
+    }
+    const profiles = Array.isArray(stored?.profiles)
+      ? stored.profiles.filter((profile) => profile && sanitizeString(profile.id) && sanitizeString(profile.name))
+      : [];
+    if (!profiles.some((profile) => profile.id === DataManager.DEFAULT_PROFILE_ID)) {
+      profiles.unshift({
+        id: DataManager.DEFAULT_PROFILE_ID,
+        name: DEFAULT_PROFILE_NAME,
+        createdAt: ''
+      });
+    }
+    return {
+      activeProfileId: sanitizeString(stored?.activeProfileId) || DataManager.DEFAULT_PROFILE_ID,
+      profiles
+    };
+  }
+
+  static #writeRegistry(registry) {
+    registryStorage().write(REGISTRY_KEY, registry);
+  }
+}
+
+export default ProfileManager;
@@ -1,5 +1,11 @@
 import { DataManager } from '../data/DataManager.js';
+import { Money } from '../data/money.js';
+import { RecordQuery } from '../data/query.js';
+import { Schema } from '../data/schema.js';
 import { ClientManager } from './ClientManager.js';
+import { DiscountManager } from './DiscountManager.js';
+import { NumberingManager } from './NumberingManager.js';
+import { TaxCodeManager } from './TaxCodeManager.js';
 
 const sanitizeString = (value) => (typeof value === 'string' ? value.trim() : '');
 
@@ -26,8 +32,6 @@ const coerceDate = (value, fallback) => {
   return new Date(timestamp).toISOString();
 };
 
-const withTwoDecimals = (value) => Math.round(value * 100) / 100;
-
 const resolveClient = (clientId, fallback, { strictClientValidation }) => {
   const id = sanitizeString(clientId);
   if (!id) {
@@ -50,7 +54,53 @@ const resolveClient = (clientId, fallback, { strictClientValidation }) => {
   };
 };
 
+const QUOTE_STATUSES = ['pending', 'accepted', 'declined', 'converted'];
+
+const QUOTE_SCHEMA = {
+  entity: 'quote',
+  label: 'Quote',
+  fields: {
+    clientId: { type: 'string', required: true, label: 'Client' },
+    issueDate: { type: 'date', label: 'Issue date' },
+    validUntil: { type: 'date', label: 'Valid until' },
+    status: { type: 'string', enum: QUOTE_STATUSES, label: 'Status' },
+    lineItems: {
+      type: 'array',
+      required: true,
+      minItems: 1,
+      items: Schema.LINE_ITEM,
+      label: 'Line items',
+      messages: { required: 'Add at least one line item.', minItems: 'Add at least one line item.' }
+    }
+  }
+};
+
+const missingClientError = (clientId) =>
+  Schema.error('clientId', 'not_found', `No client found for id "${clientId}".`);
+
+const QUERY_CONTEXT = 'QuoteManager.query';
+
+const SORT_FIELDS = {
+  issueDate: (quote) => RecordQuery.toTimestamp(quote.issueDate),
+  validUntil: (quote) => RecordQuery.toTimestamp(quote.validUntil),
+  createdAt: (quote) => RecordQuery.toTimestamp(quote.createdAt),
+  number: (quote) => quote.number,
+  clientName: (quote) => quote.clientName,
+  status: (quote) => quote.status,
+  total: (quote) => quote.totalCents
+};
+
+const SEARCH_FIELDS = [
+  'number',
+  'clientName',
+  'clientBusinessName',
+  'notes',
+  (quote) => quote.lineItems.map((item) => item.description)
+];
+
 export class QuoteManager {
+  static SCHEMA = QUOTE_SCHEMA;
+
   static list() {
     return DataManager.listQuotes().map((quote) =>
       QuoteManager.#normalize(quote, { strictClientValidation: false })
@@ -58,50 +108,79 @@ export class QuoteManager {
   }
 
   static findById(quoteId) {
-    const id = sanitizeString(quoteId);
-    if (!id) {
-      return null;
-    }
-    return QuoteManager.list().find((quote) => quote.id === id) || null;
+    const quote = DataManager.findRecord('quotes', sanitizeString(quoteId));
+    return quote ? QuoteManager.#normalize(quote, { strictClientValidation: false }) : null;
+  }
+
+  static query({ status, clientId, issuedBetween, search, sort = '-issueDate', limit, offset } = {}) {
+    const range = RecordQuery.resolveRange(issuedBetween, QUERY_CONTEXT);
+    const quotes = DataManager.queryRecords('quotes', { clientId: clientId || undefined, status: status || undefined })
+      .map((quote) => QuoteManager.#normalize(quote, { strictClientValidation: false }))
+      .filter(
+        (quote) =>
+          RecordQuery.matches(quote.status, status) &&
+          RecordQuery.withinRange(quote.issueDate, range) &&
+          RecordQuery.matchesSearch(quote, search, SEARCH_FIELDS)
+      );
+    return RecordQuery.paginate(
+      RecordQuery.sort(quotes, sort, SORT_FIELDS, QUERY_CONTEXT),
+      { limit, offset },
+      QUERY_CONTEXT
+    );
   }
 
   static create(input) {
+    const clientId = sanitizeString(input?.clientId);
+    Schema.assert(QUOTE_SCHEMA, input, {
+      errors: [
+        clientId && !ClientManager.findById(clientId) ? missingClientError(clientId) : null,
+        ...TaxCodeManager.validateLineItems(input?.lineItems),
+        ...DiscountManager.validate(input),
+        ...DiscountManager.validateLineItems(input?.lineItems)
+      ]
+    });
     const now = DataManager.now();
-    const normalized = QuoteManager.#normalize(
-      {
-        ...input,
-        id: DataManager.randomUUID(),
-        createdAt: now,
-        updatedAt: now
-      },
-      { strictClientValidation: true }
-    );
-    return DataManager.saveQuote(normalized);
+    return DataManager.transaction(() => {
+      const normalized = QuoteManager.#normalize(
+        {
+          ...input,
+          id: DataManager.randomUUID(),
+          createdAt: now,
+          updatedAt: now
+        },
+        { strictClientValidation: true, assignNumber: true }
+      );
+      return DataManager.saveQuote(normalized);
+    });
   }
 
-  static update(quoteId, updates) {
+  static update(quoteId, updates, { expectedRevision } = {}) {
     const existing = QuoteManager.findById(quoteId);
     if (!existing) {
       throw new Error(`QuoteManager.update: No quote found for id "${quoteId}".`);
     }
     const sanitizedClientId = sanitizeString(updates?.clientId);
-    if (sanitizedClientId && sanitizedClientId !== existing.clientId) {
-      const nextClient = ClientManager.findById(sanitizedClientId);
-      if (!nextClient) {
-        throw new Error(`QuoteManager.update: No client found for id "${sanitizedClientId}".`);
-      }
-    }
-    const normalized = QuoteManager.#normalize(
-      {
-        ...existing,
-        ...updates,
-        id: existing.id,
-        createdAt: existing.createdAt,
-        updatedAt: DataManager.now()
-      },
-      { strictClientValidation: false }
-    );
-    return DataManager.saveQuote(normalized);
+    const merged = {
+      ...existing,
+      ...updates,
+      id: existing.id,
+      createdAt: existing.createdAt,
+      updatedAt: DataManager.now()
+    };
+    Schema.assert(QUOTE_SCHEMA, merged, {
+      errors: [
+        sanitizedClientId && sanitizedClientId !== existing.clientId && !ClientManager.findById(sanitizedClientId)
+          ? missingClientError(sanitizedClientId)
+          : null,
+        ...TaxCodeManager.validateLineItems(updates?.lineItems),
+        ...DiscountManager.validate(updates),
+        ...DiscountManager.validateLineItems(updates?.lineItems)
+      ]
+    });
+    return DataManager.transaction(() => {
+      const normalized = QuoteManager.#normalize(merged, { strictClientValidation: false, assignNumber: true });
+      return DataManager.saveQuote(normalized, { expectedRevision });
+    });
   }
 
   static markAccepted(quoteId, acceptedDate) {
@@ -122,29 +201,32 @@ export class QuoteManager {
     return DataManager.deleteQuote(quoteId);
   }
 
-  static generateQuoteNumber(client) {
+  static generateQuoteNumber(client, issueDate) {
+    return NumberingManager.reserve('quotes', {
+      clientId: client?.id,
+      prefix: client?.prefix,
+      date: issueDate
+    });
+  }
+
+  static calculateTotals(lineItems, gstRate, rounding, pricesIncludeTax, discount) {
     const settings = DataManager.getSettings();
-    const prefix = sanitizeString(client?.prefix) || sanitizeString(settings.quotePrefix) || 'QTE';
-    const existing = DataManager.listQuotes();
-    const sequence = existing.length + 1;
-    return `${prefix}-${String(sequence).padStart(4, '0')}`;
-  }
-
-  static calculateTotals(lineItems, gstRate) {
-    const rate = typeof gstRate === 'number' && gstRate >= 0 ? gstRate : DataManager.getSettings().gstRate;
-    return lineItems.reduce(
-      (accumulator, line) => {
-        const subtotal = withTwoDecimals(line.quantity * line.unitPrice);
-        const gst = line.applyGst ? withTwoDecimals(subtotal * rate) : 0;
-        const total = withTwoDecimals(subtotal + gst);
-        return {
-          subtotal: withTwoDecimals(accumulator.subtotal + subtotal),
-          gstTotal: withTwoDecimals(accumulator.gstTotal + gst),
-          total: withTwoDecimals(accumulator.total + total)
-        };
-      },
-      { subtotal: 0, gstTotal: 0, total: 0 }
-    );
+    const rate = typeof gstRate === 'number' && gstRate >= 0 ? gstRate : settings.gstRate;
+    const items = TaxCodeManager.applyRates(lineItems, { gstRate: rate });
+    const totals = Money.calculateTotals(items, {
+      rate,
+      rounding: Money.resolveRounding(rounding, settings.gstRounding),
+      pricesIncludeTax:
+        typeof pricesIncludeTax === 'boolean' ? pricesIncludeTax : Boolean(settings.pricesIncludeTax),
+      discount
+    });
+    const lines = totals.lines.map((line, index) => ({
+      ...line,
+      ...DiscountManager.normalize(items[index]),
+      taxCode: items[index].taxCode,
+      taxRate: items[index].taxRate
+    }));
+    return { ...totals, lines, taxes: TaxCodeManager.summarize(lines) };
   }
 
   static #normalize(input, options = {}) {
@@ -152,7 +234,7 @@ export class QuoteManager {
       throw new Error('QuoteManager: quote payload must be an object.');
     }
 
-    const { strictClientValidation = true } = options;
+    const { strictClientValidation = true, assignNumber = false } = options;
 
     const client = resolveClient(input.clientId, input, { strictClientValidation });
 
@@ -161,16 +243,70 @@ export class QuoteManager {
     const validUntil = coerceDate(input.validUntil, new Date(Date.now() + 14 * 24 * 60 * 60 * 1000));
     const status = sanitizeString(input.status) || 'pending';
 
-    const lineItems = QuoteManager.#normalizeLineItems(input.lineItems, settings.gstRate);
-    if (!lineItems.length) {
+    const normalizedLineItems = QuoteManager.#normalizeLineItems(input.lineItems);
+    if (!normalizedLineItems.length) {
       throw new Error('QuoteManager: at least one line item is required.');
     }
 
-    const totals = QuoteManager.calculateTotals(lineItems, settings.gstRate);
+    const gstRounding = Money.resolveRounding(input.gstRounding, settings.gstRounding);
+    const pricesIncludeTax =
+      typeof input.pricesIncludeTax === 'boolean' ? input.pricesIncludeTax : Boolean(settings.pricesIncludeTax);
+    const documentDiscount = DiscountManager.normalize(input);
+    const totals = QuoteManager.calculateTotals(
+      normalizedLineItems,
+      settings.gstRate,
+      gstRounding,
+      pricesIncludeTax,
+      DiscountManager.toOption(documentDiscount)
+    );
+    const lineItems = normalizedLineItems.map((item, index) => {
+      const {
+        unitPrice,
+        unitPriceCents,
+        discountType,
+        discountValue,
+        discount,
+        discountCents,
+        documentDiscount: documentDiscountAmount,
+        documentDiscountCents,
+        taxCode,
+        taxRate,
+        subtotal,
+        subtotalCents,
+        gst,
+        gstCents,
+        total,
+        totalCents
+      } = totals.lines[index];
+      return {
+        id: item.id,
+        serviceId: item.serviceId,
+        description: item.description,
+        quantity: item.quantity,
+        unitPrice,
+        unitPriceCents,
+        discountType,
+        discountValue,
+        discount,
+        discountCents,
+        documentDiscount: documentDiscountAmount,
+        documentDiscountCents,
+        taxCode,
+        taxRate,
+        applyGst: taxRate > 0,
+        subtotal,
+        subtotalCents,
+        gst,
+        gstCents,
+        total,
+        totalCents
+      };
+    });
 
     return {
       id: sanitizeString(input.id) || DataManager.randomUUID(),
-      number: sanitizeString(input.number) || QuoteManager.generateQuoteNumber(client),
+      number:
+        sanitizeString(input.number) || (assignNumber ? QuoteManager.generateQuoteNumber(client, issueDate) : ''),
       clientId: client.id,
       clientName: client.name,
       clientBusinessName: client.businessName,
@@ -180,16 +316,27 @@ export class QuoteManager {
       decisionDate: sanitizeString(input.decisionDate) || '',
       notes: sanitizeString(input.notes),
       lineItems,
+      gstRounding,
+      pricesIncludeTax,
+      ...documentDiscount,
+      discount: totals.discount,
+      discountCents: totals.discountCents,
+      discountTotal: totals.discountTotal,
+      discountTotalCents: totals.discountTotalCents,
       subtotal: totals.subtotal,
+      subtotalCents: totals.subtotalCents,
       gstTotal: totals.gstTotal,
+      gstTotalCents: totals.gstTotalCents,
       total: totals.total,
+      totalCents: totals.totalCents,
+      taxes: totals.taxes,
+      ...(sanitizeString(input.legacyId) ? { legacyId: sanitizeString(input.legacyId) } : {}),
       createdAt: sanitizeString(input.createdAt) || DataManager.now(),
       updatedAt: sanitizeString(input.updatedAt) || DataManager.now()
     };
   }
 
-  static #normalizeLineItems(lineItems, gstRate) {
-    const rate = typeof gstRate === 'number' && gstRate >= 0 ? gstRate : DataManager.getSettings().gstRate;
+  static #normalizeLineItems(lineItems) {
     if (!Array.isArray(lineItems)) {
       return [];
     }
@@ -200,24 +347,20 @@ export class QuoteManager {
         }
         const description = sanitizeString(item.description);
         const quantity = sanitizeNumber(item.quantity || 0);
-        const unitPrice = sanitizeNumber(item.unitPrice || 0);
+        const unitPriceCents = Math.max(0, Money.resolveCents(item.unitPrice, item.unitPriceCents));
         if (!description || quantity <= 0) {
           return null;
         }
-        const applyGst = Boolean(item.applyGst);
-        const subtotal = withTwoDecimals(quantity * unitPrice);
-        const gst = applyGst ? withTwoDecimals(subtotal * rate) : 0;
-        const total = withTwoDecimals(subtotal + gst);
         return {
           id: sanitizeString(item.id) || DataManager.randomUUID(),
           serviceId: sanitizeString(item.serviceId),
           description,
           quantity,
-          unitPrice,
-          applyGst,
-          subtotal,
-          gst,
-          total
+          unitPriceCents,
+          ...DiscountManager.normalize(item),
+          taxCode: TaxCodeManager.resolveCode(item),
+          taxRate: item.taxRate,
+          applyGst: Boolean(item.applyGst)
         };
       })
       .filter(Boolean);
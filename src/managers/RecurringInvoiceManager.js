@@ -1,6 +1,10 @@
 import { DataManager } from '../data/DataManager.js';
+import { Money } from '../data/money.js';
+import { Schema } from '../data/schema.js';
 import { ClientManager } from './ClientManager.js';
+import { DiscountManager } from './DiscountManager.js';
 import { InvoiceManager } from './InvoiceManager.js';
+import { TaxCodeManager } from './TaxCodeManager.js';
 
 const sanitizeString = (value) => (typeof value === 'string' ? value.trim() : '');
 
@@ -75,9 +79,46 @@ const FREQUENCIES = Object.freeze({
 
 const MAX_SCHEDULE_ADVANCE = 48;
 
+const SCHEDULE_SCHEMA = {
+  entity: 'recurringSchedule',
+  label: 'Recurring schedule',
+  fields: {
+    name: { type: 'string', label: 'Schedule name' },
+    clientId: { type: 'string', required: true, label: 'Client' },
+    frequency: { type: 'string', enum: Object.keys(FREQUENCIES), label: 'Frequency' },
+    dueDays: { type: 'integer', min: 1, max: 90, label: 'Due in (days)' },
+    startDate: { type: 'date', label: 'Start date' },
+    nextRun: { type: 'date', label: 'Next run' },
+    lineItems: {
+      type: 'array',
+      required: true,
+      minItems: 1,
+      items: Schema.LINE_ITEM,
+      label: 'Line items',
+      messages: { required: 'Add at least one line item.', minItems: 'Add at least one line item.' }
+    }
+  }
+};
+
+const assertSchedule = (input) => {
+  const clientId = sanitizeString(input?.clientId);
+  Schema.assert(SCHEDULE_SCHEMA, input, {
+    errors: [
+      clientId && !ClientManager.findById(clientId)
+        ? Schema.error('clientId', 'not_found', `No client found for id "${clientId}".`)
+        : null,
+      ...TaxCodeManager.validateLineItems(input?.lineItems),
+      ...DiscountManager.validate(input),
+      ...DiscountManager.validateLineItems(input?.lineItems)
+    ]
+  });
+};
+
 export class RecurringInvoiceManager {
   static FREQUENCIES = FREQUENCIES;
 
+  static SCHEMA = SCHEDULE_SCHEMA;
+
   static list() {
     return DataManager.listRecurringSchedules()
       .map((record) => RecurringInvoiceManager.#normalize(record, { allowMissingClient: true, preserveCreatedAt: true }))
@@ -102,7 +143,10 @@ export class RecurringInvoiceManager {
     if (!id) {
       return null;
     }
-    return RecurringInvoiceManager.list().find((schedule) => schedule.id === id) || null;
+    const schedule = DataManager.findRecord('recurringSchedules', id);
+    return schedule
+      ? RecurringInvoiceManager.#normalize(schedule, { allowMissingClient: true, preserveCreatedAt: true })
+      : null;
   }
 
   static getFrequencyOptions() {
@@ -110,6 +154,7 @@ export class RecurringInvoiceManager {
   }
 
   static create(input) {
+    assertSchedule(input);
     const now = DataManager.now();
     const normalized = RecurringInvoiceManager.#normalize(
       {
@@ -123,22 +168,24 @@ export class RecurringInvoiceManager {
     return DataManager.saveRecurringSchedule(normalized);
   }
 
-  static update(scheduleId, updates) {
+  static update(scheduleId, updates, { expectedRevision } = {}) {
     const existing = RecurringInvoiceManager.findById(scheduleId);
     if (!existing) {
       throw new Error(`RecurringInvoiceManager.update: No schedule found for id "${scheduleId}".`);
     }
-    const normalized = RecurringInvoiceManager.#normalize(
-      {
-        ...existing,
-        ...updates,
-        id: existing.id,
-        createdAt: existing.createdAt,
-        updatedAt: DataManager.now()
-      },
-      { allowMissingClient: false, preserveCreatedAt: true }
-    );
-    return DataManager.saveRecurringSchedule(normalized);
+    const merged = {
+      ...existing,
+      ...updates,
+      id: existing.id,
+      createdAt: existing.createdAt,
+      updatedAt: DataManager.now()
+    };
+    assertSchedule(merged);
+    const normalized = RecurringInvoiceManager.#normalize(merged, {
+      allowMissingClient: false,
+      preserveCreatedAt: true
+    });
+    return DataManager.saveRecurringSchedule(normalized, { expectedRevision });
   }
 
   static remove(scheduleId) {
@@ -172,8 +219,11 @@ export class RecurringInvoiceManager {
           description: item.description,
           quantity: item.quantity,
           unitPrice: item.unitPrice,
-          applyGst: item.applyGst
+          ...DiscountManager.normalize(item),
+          taxCode: TaxCodeManager.resolveCode(item)
         })),
+        ...DiscountManager.normalize(schedule),
+        pricesIncludeTax: Boolean(schedule.pricesIncludeTax),
         status: 'unpaid',
         type: 'invoice'
       };
@@ -272,6 +322,11 @@ export class RecurringInvoiceManager {
       lastRun: lastRunIso,
       notes: sanitizeString(input.notes),
       lineItems,
+      ...DiscountManager.normalize(input),
+      pricesIncludeTax:
+        typeof input.pricesIncludeTax === 'boolean'
+          ? input.pricesIncludeTax
+          : Boolean(DataManager.getSettings().pricesIncludeTax),
       createdAt: preserveCreatedAt ? sanitizeString(input.createdAt) || nowIso : nowIso,
       updatedAt: sanitizeString(input.updatedAt) || nowIso
     };
@@ -312,17 +367,21 @@ export class RecurringInvoiceManager {
         }
         const description = sanitizeString(item.description);
         const quantity = sanitizeNumber(item.quantity || 0);
-        const unitPrice = sanitizeNumber(item.unitPrice || 0);
+        const unitPriceCents = Math.max(0, Money.resolveCents(item.unitPrice, item.unitPriceCents));
         if (!description || quantity <= 0) {
           return null;
         }
+        const taxCode = TaxCodeManager.resolveCode(item);
         return {
           id: sanitizeString(item.id) || DataManager.randomUUID(),
           serviceId: sanitizeString(item.serviceId),
           description,
           quantity,
-          unitPrice,
-          applyGst: Boolean(item.applyGst)
+          unitPrice: Money.fromCents(unitPriceCents),
+          unitPriceCents,
+          ...DiscountManager.normalize(item),
+          taxCode,
+          applyGst: (TaxCodeManager.find(taxCode)?.rate ?? 0) > 0
         };
       })
       .filter(Boolean);
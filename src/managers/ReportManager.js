@@ -1,12 +1,28 @@
 import { DataManager } from '../data/DataManager.js';
+import { Money } from '../data/money.js';
+import { LockedStorageError } from '../data/errors.js';
+import { CreditNoteManager } from './CreditNoteManager.js';
 import { InvoiceManager } from './InvoiceManager.js';
 import { QuoteManager } from './QuoteManager.js';
 import { PaymentManager } from './PaymentManager.js';
 import { RecurringInvoiceManager } from './RecurringInvoiceManager.js';
+import { TaxCodeManager } from './TaxCodeManager.js';
+import { ProfileManager } from './ProfileManager.js';
+import { UserManager } from './UserManager.js';
 
-const withTwoDecimals = (value) => Math.round(value * 100) / 100;
+const sumAmounts = (records, pickCents) => Money.fromCents(Money.sum(records.map(pickCents)));
+const paymentCents = (payment) => Money.resolveCents(payment.amount, payment.amountCents);
 const MILLISECONDS_IN_DAY = 24 * 60 * 60 * 1000;
 const UPCOMING_RECURRING_WINDOW_DAYS = 30;
+const DASHBOARD_COLLECTIONS = new Set(['invoices', 'quotes', 'payments', 'recurringSchedules', 'creditNotes']);
+
+const negateLine = (line) => ({
+  ...line,
+  subtotal: -line.subtotal,
+  subtotalCents: -line.subtotalCents,
+  gst: -line.gst,
+  gstCents: -line.gstCents
+});
 
 const parseDate = (value) => {
   if (!value) {
@@ -77,6 +93,39 @@ const isRecurringEnabled = (invoice) => {
   return Boolean(resolveNextRecurringDate(invoice));
 };
 
+const activeRecords = (value) =>
+  (Array.isArray(value) ? value : []).filter((record) => record && typeof record === 'object' && !record.deletedAt);
+
+const summarizeProfileData = (data, nowTime) => {
+  const invoices = activeRecords(data.invoices).filter(InvoiceManager.isIssued);
+  const payments = activeRecords(data.payments);
+  const balanceCents = (invoice) => Money.resolveCents(invoice.balanceDue, invoice.balanceDueCents);
+  const outstandingInvoices = invoices.filter((invoice) => balanceCents(invoice) > 0);
+  const overdueInvoices = outstandingInvoices.filter((invoice) => {
+    const dueDate = parseDate(invoice.dueDate);
+    return Boolean(dueDate) && dueDate.getTime() < nowTime;
+  });
+  return {
+    invoiceCount: invoices.length,
+    outstandingInvoiceCount: outstandingInvoices.length,
+    outstandingCents: Money.sum(outstandingInvoices.map(balanceCents)),
+    overdueInvoiceCount: overdueInvoices.length,
+    overdueCents: Money.sum(overdueInvoices.map(balanceCents)),
+    receivedCents: Money.sum(payments.map(paymentCents)),
+    gstCents: Money.sum(invoices.map((invoice) => Money.resolveCents(invoice.gstTotal, invoice.gstTotalCents)))
+  };
+};
+
+const toSummaryRow = (summary) => ({
+  invoiceCount: summary.invoiceCount,
+  outstandingInvoiceCount: summary.outstandingInvoiceCount,
+  outstandingAmount: Money.fromCents(summary.outstandingCents),
+  overdueInvoiceCount: summary.overdueInvoiceCount,
+  overdueAmount: Money.fromCents(summary.overdueCents),
+  paymentsReceived: Money.fromCents(summary.receivedCents),
+  gstCollected: Money.fromCents(summary.gstCents)
+});
+
 const formatMonthKey = (dateIso) => {
   const timestamp = Date.parse(dateIso);
   if (Number.isNaN(timestamp)) {
@@ -105,9 +154,7 @@ export class ReportManager {
     const invoices = InvoiceManager.list();
     const quotes = QuoteManager.list();
     const schedules = RecurringInvoiceManager.list();
-    const outstandingInvoices = invoices.filter(
-      (invoice) => (invoice.balanceDue ?? invoice.total) > 0
-    );
+    const outstandingInvoices = invoices.filter((invoice) => invoice.balanceDueCents > 0);
     const activeQuotes = quotes.filter((quote) => quote.status !== 'declined');
     const payments = PaymentManager.list();
     const now = new Date();
@@ -127,13 +174,11 @@ export class ReportManager {
     );
 
     const openJobs = outstandingInvoices.length + activeQuotes.length;
-    const invoicesDueAmount = withTwoDecimals(
-      outstandingInvoices.reduce((sum, invoice) => sum + (invoice.balanceDue ?? invoice.total), 0)
-    );
+    const invoicesDueAmount = sumAmounts(outstandingInvoices, (invoice) => invoice.balanceDueCents);
     const quoteApprovalRate = ReportManager.getQuoteApprovalRate();
     const averagePaymentTime = PaymentManager.getAveragePaymentDays();
-    const now = Date.now();
-    const recurringWindowEnd = now + UPCOMING_RECURRING_WINDOW_DAYS * MILLISECONDS_IN_DAY;
+    const nowTime = now.getTime();
+    const recurringWindowEnd = nowTime + UPCOMING_RECURRING_WINDOW_DAYS * MILLISECONDS_IN_DAY;
     const upcomingRecurringInvoices = invoices.filter((invoice) => {
       if (!isRecurringEnabled(invoice)) {
         return false;
@@ -143,21 +188,17 @@ export class ReportManager {
         return false;
       }
       const time = nextDate.getTime();
-      return time >= now && time <= recurringWindowEnd;
+      return time >= nowTime && time <= recurringWindowEnd;
     });
-    const upcomingRecurringAmount = withTwoDecimals(
-      upcomingRecurringInvoices.reduce((total, invoice) => total + (invoice.total ?? 0), 0)
-    );
+    const upcomingRecurringAmount = sumAmounts(upcomingRecurringInvoices, (invoice) => invoice.totalCents);
     const overdueInvoices = outstandingInvoices.filter((invoice) => {
       const dueDate = parseDate(invoice.dueDate);
       if (!dueDate) {
         return false;
       }
-      return dueDate.getTime() < now;
+      return dueDate.getTime() < nowTime;
     });
-    const overdueInvoiceAmount = withTwoDecimals(
-      overdueInvoices.reduce((total, invoice) => total + (invoice.balanceDue ?? invoice.total ?? 0), 0)
-    );
+    const overdueInvoiceAmount = sumAmounts(overdueInvoices, (invoice) => invoice.balanceDueCents);
 
     return {
       openJobs,
@@ -175,6 +216,20 @@ export class ReportManager {
     };
   }
 
+  static subscribeToDashboardMetrics(listener) {
+    if (typeof listener !== 'function') {
+      throw new Error('ReportManager.subscribeToDashboardMetrics: listener must be a function.');
+    }
+    const handleChange = (event) => {
+      const collections = event.collection ? [event.collection] : event.collections || [];
+      if (!collections.some((collection) => DASHBOARD_COLLECTIONS.has(collection))) {
+        return;
+      }
+      listener(ReportManager.getDashboardMetrics(), event);
+    };
+    return DataManager.subscribe('*', handleChange);
+  }
+
   static getQuoteApprovalRate() {
     const quotes = QuoteManager.list();
     if (!quotes.length) {
@@ -185,7 +240,8 @@ export class ReportManager {
   }
 
   static getMonthlyInvoiceSummary(monthCount = 6) {
-    const invoices = InvoiceManager.list();
+    UserManager.assertPermission('reports');
+    const invoices = InvoiceManager.list().filter(InvoiceManager.isIssued);
     const payments = PaymentManager.list();
     const monthMap = new Map();
 
@@ -195,10 +251,9 @@ export class ReportManager {
         return;
       }
       if (!monthMap.has(key)) {
-        monthMap.set(key, { invoiced: 0, paid: 0 });
+        monthMap.set(key, { invoicedCents: 0, paidCents: 0 });
       }
-      const entry = monthMap.get(key);
-      entry.invoiced = withTwoDecimals(entry.invoiced + invoice.total);
+      monthMap.get(key).invoicedCents += invoice.totalCents;
     });
 
     payments.forEach((payment) => {
@@ -207,10 +262,9 @@ export class ReportManager {
         return;
       }
       if (!monthMap.has(key)) {
-        monthMap.set(key, { invoiced: 0, paid: 0 });
+        monthMap.set(key, { invoicedCents: 0, paidCents: 0 });
       }
-      const entry = monthMap.get(key);
-      entry.paid = withTwoDecimals(entry.paid + payment.amount);
+      monthMap.get(key).paidCents += paymentCents(payment);
     });
 
     const sortedKeys = Array.from(monthMap.keys()).sort();
@@ -218,30 +272,129 @@ export class ReportManager {
     return limitedKeys.map((key) => ({
       monthKey: key,
       label: monthLabel(key),
-      invoiced: withTwoDecimals(monthMap.get(key)?.invoiced ?? 0),
-      paid: withTwoDecimals(monthMap.get(key)?.paid ?? 0)
+      invoiced: Money.fromCents(monthMap.get(key)?.invoicedCents ?? 0),
+      paid: Money.fromCents(monthMap.get(key)?.paidCents ?? 0)
     }));
   }
 
+  static getDiscountSummary(monthCount = 6) {
+    UserManager.assertPermission('reports');
+    const monthMap = new Map();
+    InvoiceManager.list()
+      .filter((invoice) => InvoiceManager.isIssued(invoice) && invoice.discountTotalCents > 0)
+      .forEach((invoice) => {
+        const key = formatMonthKey(invoice.issueDate);
+        if (!key) {
+          return;
+        }
+        const month = monthMap.get(key) || { invoiceCount: 0, lineCents: 0, documentCents: 0 };
+        month.invoiceCount += 1;
+        month.documentCents += invoice.discountCents;
+        month.lineCents += invoice.discountTotalCents - invoice.discountCents;
+        monthMap.set(key, month);
+      });
+
+    return Array.from(monthMap.keys())
+      .sort()
+      .slice(-monthCount)
+      .map((key) => {
+        const { invoiceCount, lineCents, documentCents } = monthMap.get(key);
+        return {
+          monthKey: key,
+          label: monthLabel(key),
+          invoiceCount,
+          lineDiscounts: Money.fromCents(lineCents),
+          invoiceDiscounts: Money.fromCents(documentCents),
+          totalDiscounts: Money.fromCents(lineCents + documentCents)
+        };
+      });
+  }
+
   static getGstSummary() {
+    UserManager.assertPermission('reports');
     const invoices = InvoiceManager.list();
     const paidInvoices = invoices.filter((invoice) => invoice.status === 'paid');
-    const outstandingInvoices = invoices.filter((invoice) => (invoice.balanceDue ?? invoice.total) > 0);
+    const outstandingInvoices = invoices.filter((invoice) => invoice.balanceDueCents > 0);
 
-    const paidGst = withTwoDecimals(paidInvoices.reduce((total, invoice) => total + invoice.gstTotal, 0));
-    const outstandingGst = withTwoDecimals(
-      outstandingInvoices.reduce((total, invoice) => {
-        if (!invoice.total) {
-          return total;
+    const paidGstCents = Money.sum(paidInvoices.map((invoice) => invoice.gstTotalCents));
+    const outstandingGstCents = Money.sum(
+      outstandingInvoices.map((invoice) => {
+        if (!invoice.totalCents) {
+          return 0;
         }
-        const ratio = Math.min(1, Math.max(0, (invoice.balanceDue ?? invoice.total) / invoice.total));
-        return total + invoice.gstTotal * ratio;
-      }, 0)
+        const unpaidCents = invoice.totalCents - invoice.amountPaidCents;
+        const ratio = Math.min(1, Math.max(0, unpaidCents / invoice.totalCents));
+        return Money.multiply(invoice.gstTotalCents, ratio);
+      })
+    );
+    const creditedGstCents = CreditNoteManager.getCreditedGstCents(
+      invoices.filter((invoice) => InvoiceManager.isIssued(invoice)).map((invoice) => invoice.id)
+    );
+    return {
+      paidGst: Money.fromCents(paidGstCents),
+      outstandingGst: Money.fromCents(outstandingGstCents),
+      creditedGst: Money.fromCents(-creditedGstCents),
+      totalGst: Money.fromCents(paidGstCents + outstandingGstCents - creditedGstCents)
+    };
+  }
+
+  static getTaxCodeSummary() {
+    UserManager.assertPermission('reports');
+    const invoices = InvoiceManager.list().filter((invoice) => InvoiceManager.isIssued(invoice));
+    const invoiceIds = new Set(invoices.map((invoice) => invoice.id));
+    const creditNotes = CreditNoteManager.list().filter((creditNote) => invoiceIds.has(creditNote.invoiceId));
+    const taxes = TaxCodeManager.summarize([
+      ...invoices.flatMap((invoice) => invoice.lineItems),
+      ...creditNotes.flatMap((creditNote) => creditNote.lineItems.map(negateLine))
+    ]);
+    return { taxes, bas: TaxCodeManager.summarizeBas(taxes) };
+  }
+
+  static async getConsolidatedSummary(referenceDate = new Date()) {
+    UserManager.assertPermission('reports');
+    const nowTime = (referenceDate instanceof Date ? referenceDate : new Date(referenceDate)).getTime();
+    const activeProfileId = DataManager.getProfileId();
+    const summaries = [];
+    for (const profile of ProfileManager.list()) {
+      try {
+        const data = await DataManager.loadProfileData(profile.id);
+        summaries.push({ profile, summary: summarizeProfileData(data, nowTime), locked: false });
+      } catch (error) {
+        if (!(error instanceof LockedStorageError)) {
+          throw error;
+        }
+        summaries.push({ profile, summary: summarizeProfileData({}, nowTime), locked: true });
+      }
+    }
+    const totals = summaries.reduce(
+      (accumulator, { summary, locked }) => {
+        if (locked) {
+          return accumulator;
+        }
+        Object.keys(accumulator).forEach((field) => {
+          accumulator[field] += summary[field];
+        });
+        return accumulator;
+      },
+      {
+        invoiceCount: 0,
+        outstandingInvoiceCount: 0,
+        outstandingCents: 0,
+        overdueInvoiceCount: 0,
+        overdueCents: 0,
+        receivedCents: 0,
+        gstCents: 0
+      }
     );
     return {
-      paidGst,
-      outstandingGst,
-      totalGst: withTwoDecimals(paidGst + outstandingGst)
+      profiles: summaries.map(({ profile, summary, locked }) => ({
+        profileId: profile.id,
+        name: profile.name,
+        isActive: profile.id === activeProfileId,
+        locked,
+        ...toSummaryRow(summary)
+      })),
+      totals: toSummaryRow(totals)
     };
   }
 
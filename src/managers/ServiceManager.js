@@ -1,16 +1,30 @@
 import { DataManager } from '../data/DataManager.js';
+import { Money } from '../data/money.js';
+import { DependentRecordsError } from '../data/errors.js';
+import { Schema } from '../data/schema.js';
+import { TaxCodeManager } from './TaxCodeManager.js';
 
-const sanitizeString = (value) => (typeof value === 'string' ? value.trim() : '');
-
-const sanitizeMoney = (value) => {
-  const numeric = Number.parseFloat(value);
-  if (Number.isNaN(numeric) || !Number.isFinite(numeric)) {
-    return 0;
+const SERVICE_SCHEMA = {
+  entity: 'service',
+  label: 'Service',
+  fields: {
+    description: { type: 'string', required: true, label: 'Service description' },
+    unitPrice: { type: 'number', min: 0, label: 'Unit price' }
   }
-  return Math.max(0, Math.round(numeric * 100) / 100);
 };
 
+const sanitizeString = (value) => (typeof value === 'string' ? value.trim() : '');
+
+const toIds = (dependents) =>
+  Object.fromEntries(
+    Object.entries(dependents).map(([collection, records]) => [collection, records.map(({ id }) => id)])
+  );
+
+const hasDependents = (dependents) => Object.values(dependents).some((records) => records.length);
+
 export class ServiceManager {
+  static SCHEMA = SERVICE_SCHEMA;
+
   static list() {
     return DataManager.listServices();
   }
@@ -20,7 +34,7 @@ export class ServiceManager {
     if (!id) {
       return null;
     }
-    return ServiceManager.list().find((service) => service.id === id) || null;
+    return DataManager.findRecord('services', id);
   }
 
   static create(input) {
@@ -34,7 +48,7 @@ export class ServiceManager {
     return DataManager.saveService(normalized);
   }
 
-  static update(serviceId, updates) {
+  static update(serviceId, updates, { expectedRevision } = {}) {
     const existing = ServiceManager.findById(serviceId);
     if (!existing) {
       throw new Error(`ServiceManager.update: No service found for id "${serviceId}".`);
@@ -46,28 +60,110 @@ export class ServiceManager {
       createdAt: existing.createdAt,
       updatedAt: DataManager.now()
     });
-    return DataManager.saveService(normalized);
+    return DataManager.saveService(normalized, { expectedRevision });
+  }
+
+  static unitPriceFor(service, { pricesIncludeTax = false, taxCode = TaxCodeManager.DEFAULT_CODE } = {}) {
+    const unitPriceCents = Math.max(0, Money.resolveCents(service?.unitPrice, service?.unitPriceCents));
+    const rate = TaxCodeManager.find(taxCode)?.rate ?? 0;
+    if (Boolean(service?.pricesIncludeTax) === Boolean(pricesIncludeTax) || rate <= 0) {
+      return Money.fromCents(unitPriceCents);
+    }
+    return Money.fromCents(Money.multiply(unitPriceCents, pricesIncludeTax ? 1 + rate : 1 / (1 + rate)));
   }
 
-  static remove(serviceId) {
-    return DataManager.deleteService(serviceId);
+  static listActive() {
+    return ServiceManager.list().filter((service) => !service.archivedAt);
+  }
+
+  static findDependents(serviceId) {
+    const id = sanitizeString(serviceId);
+    const matches = (record) =>
+      Boolean(id) && Array.isArray(record.lineItems) && record.lineItems.some((item) => item?.serviceId === id);
+    return {
+      invoices: DataManager.listInvoices().filter(matches),
+      quotes: DataManager.listQuotes().filter(matches),
+      recurringSchedules: DataManager.listRecurringSchedules().filter(matches)
+    };
+  }
+
+  static archive(serviceId) {
+    if (!ServiceManager.findById(serviceId)) {
+      throw new Error(`ServiceManager.archive: No service found for id "${serviceId}".`);
+    }
+    return ServiceManager.update(serviceId, { archivedAt: DataManager.now() });
+  }
+
+  static unarchive(serviceId) {
+    if (!ServiceManager.findById(serviceId)) {
+      throw new Error(`ServiceManager.unarchive: No service found for id "${serviceId}".`);
+    }
+    return ServiceManager.update(serviceId, { archivedAt: '' });
+  }
+
+  static remove(serviceId, { policy, reassignTo } = {}) {
+    const service = ServiceManager.findById(serviceId);
+    if (!service) {
+      return DataManager.deleteService(serviceId);
+    }
+    const dependents = ServiceManager.findDependents(service.id);
+    if (!hasDependents(dependents)) {
+      return DataManager.deleteService(service.id);
+    }
+
+    const resolvedPolicy = sanitizeString(policy) || DataManager.getSettings().serviceDeletePolicy;
+    if (resolvedPolicy === 'archive') {
+      ServiceManager.archive(service.id);
+      return false;
+    }
+    if (resolvedPolicy !== 'reassign') {
+      throw new DependentRecordsError('service', service.id, toIds(dependents));
+    }
+
+    const target = ServiceManager.findById(reassignTo);
+    if (!target || target.id === service.id) {
+      throw new DependentRecordsError('service', service.id, toIds(dependents), { policy: 'reassign' });
+    }
+    return DataManager.transaction(() => {
+      const now = DataManager.now();
+      const reassign = (record) => ({
+        ...record,
+        lineItems: record.lineItems.map((item) =>
+          item?.serviceId === service.id ? { ...item, serviceId: target.id } : item
+        ),
+        updatedAt: now
+      });
+      dependents.invoices.forEach((invoice) => DataManager.saveInvoice(reassign(invoice)));
+      dependents.quotes.forEach((quote) => DataManager.saveQuote(reassign(quote)));
+      dependents.recurringSchedules.forEach((schedule) => DataManager.saveRecurringSchedule(reassign(schedule)));
+      return DataManager.deleteService(service.id);
+    });
   }
 
   static #normalize(input) {
     if (!input || typeof input !== 'object') {
       throw new Error('ServiceManager: payload must be an object.');
     }
+    Schema.assert(SERVICE_SCHEMA, input);
     const description = sanitizeString(input.description);
-    if (!description) {
-      throw new Error('Service description is required.');
-    }
 
-    return {
+    const unitPriceCents = Math.max(0, Money.resolveCents(input.unitPrice, input.unitPriceCents));
+    const normalized = {
       id: sanitizeString(input.id) || DataManager.randomUUID(),
       description,
-      unitPrice: sanitizeMoney(input.unitPrice),
+      unitPrice: Money.fromCents(unitPriceCents),
+      unitPriceCents,
+      pricesIncludeTax:
+        typeof input.pricesIncludeTax === 'boolean'
+          ? input.pricesIncludeTax
+          : Boolean(DataManager.getSettings().pricesIncludeTax),
       createdAt: sanitizeString(input.createdAt) || DataManager.now(),
       updatedAt: sanitizeString(input.updatedAt) || DataManager.now()
     };
+    const archivedAt = sanitizeString(input.archivedAt);
+    if (archivedAt) {
+      normalized.archivedAt = archivedAt;
+    }
+    return normalized;
   }
 }
@@ -1,4 +1,9 @@
 import { DataManager, DEFAULT_SETTINGS } from '../data/DataManager.js';
+import { Money } from '../data/money.js';
+import { Schema } from '../data/schema.js';
+import { NumberingManager } from './NumberingManager.js';
+import { TaxCodeManager } from './TaxCodeManager.js';
+import { UserManager } from './UserManager.js';
 
 const sanitizeString = (value) => (typeof value === 'string' ? value.trim() : '');
 
@@ -10,12 +15,35 @@ const sanitizeNumber = (value, fallback = 0) => {
   return Math.round(numeric * 100) / 100;
 };
 
+const MAX_AUTO_LOCK_MINUTES = 1440;
+
+const SETTINGS_SCHEMA = {
+  entity: 'settings',
+  label: 'Settings',
+  fields: {
+    contactEmail: { type: 'email', label: 'Contact email' },
+    gstRounding: { type: 'string', enum: Money.ROUNDING_MODES, label: 'GST rounding' },
+    clientDeletePolicy: { type: 'string', enum: DataManager.DELETE_POLICIES, label: 'Client delete policy' },
+    serviceDeletePolicy: { type: 'string', enum: DataManager.DELETE_POLICIES, label: 'Service delete policy' },
+    autoLockMinutes: {
+      type: 'integer',
+      required: true,
+      min: 0,
+      max: MAX_AUTO_LOCK_MINUTES,
+      label: 'Auto-lock minutes'
+    }
+  }
+};
+
 export class SettingsManager {
+  static SCHEMA = SETTINGS_SCHEMA;
+
   static get() {
     return DataManager.getSettings();
   }
 
   static update(input) {
+    UserManager.assertPermission('settings');
     const payload = input && typeof input === 'object' ? input : {};
     const merged = {
       ...DEFAULT_SETTINGS,
@@ -31,17 +59,31 @@ export class SettingsManager {
       address: sanitizeString(merged.address),
       invoicePrefix: sanitizeString(merged.invoicePrefix || DEFAULT_SETTINGS.invoicePrefix).toUpperCase(),
       quotePrefix: sanitizeString(merged.quotePrefix || DEFAULT_SETTINGS.quotePrefix).toUpperCase(),
-      gstRate: Math.max(0, Math.min(1, sanitizeNumber(merged.gstRate, DEFAULT_SETTINGS.gstRate)))
+      creditNotePrefix: sanitizeString(merged.creditNotePrefix || DEFAULT_SETTINGS.creditNotePrefix).toUpperCase(),
+      receiptPrefix: sanitizeString(merged.receiptPrefix || DEFAULT_SETTINGS.receiptPrefix).toUpperCase(),
+      numbering: NumberingManager.sanitizeConfig(merged.numbering),
+      gstRate: Math.max(0, Math.min(1, sanitizeNumber(merged.gstRate, DEFAULT_SETTINGS.gstRate))),
+      gstRounding: sanitizeString(merged.gstRounding).toLowerCase() || DEFAULT_SETTINGS.gstRounding,
+      pricesIncludeTax: merged.pricesIncludeTax === true || merged.pricesIncludeTax === 'true',
+      taxCodes: TaxCodeManager.sanitizeCustom(merged.taxCodes),
+      trashRetentionDays: Math.max(
+        0,
+        Math.round(sanitizeNumber(merged.trashRetentionDays, DEFAULT_SETTINGS.trashRetentionDays))
+      ),
+      clientDeletePolicy:
+        sanitizeString(merged.clientDeletePolicy).toLowerCase() || DEFAULT_SETTINGS.clientDeletePolicy,
+      serviceDeletePolicy:
+        sanitizeString(merged.serviceDeletePolicy).toLowerCase() || DEFAULT_SETTINGS.serviceDeletePolicy,
+      autoLockMinutes:
+        merged.autoLockMinutes === '' || merged.autoLockMinutes === null
+          ? DEFAULT_SETTINGS.autoLockMinutes
+          : Number(merged.autoLockMinutes)
     };
 
-    if (sanitized.contactEmail && !SettingsManager.#isValidEmail(sanitized.contactEmail)) {
-      throw new Error('SettingsManager: contact email is invalid.');
-    }
+    Schema.assert(SETTINGS_SCHEMA, sanitized, {
+      errors: [...NumberingManager.validate(sanitized.numbering), ...TaxCodeManager.validateCustom(sanitized.taxCodes)]
+    });
 
     return DataManager.saveSettings(sanitized);
   }
-
-  static #isValidEmail(email) {
-    return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
-  }
 }
@@ -0,0 +1,59 @@
+import { DataManager } from '../data/DataManager.js';
+
+const THRESHOLDS = { warning: 0.8, critical: 0.95 };
+const DEFAULT_ARCHIVE_AGE_MONTHS = 12;
+
+const toTime = (value) => {
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? null : time;
+};
+
+export class StorageManager {
+  static THRESHOLDS = { ...THRESHOLDS };
+
+  static DEFAULT_ARCHIVE_AGE_MONTHS = DEFAULT_ARCHIVE_AGE_MONTHS;
+
+  static levelFor(ratio) {
+    if (ratio >= THRESHOLDS.critical) {
+      return 'critical';
+    }
+    return ratio >= THRESHOLDS.warning ? 'warning' : 'ok';
+  }
+
+  static async getStatus() {
+    const usage = await DataManager.getStorageUsage();
+    return { ...usage, level: StorageManager.levelFor(usage.ratio) };
+  }
+
+  static defaultArchiveCutoff(referenceDate = new Date()) {
+    const cutoff = new Date(referenceDate instanceof Date ? referenceDate.getTime() : referenceDate);
+    cutoff.setMonth(cutoff.getMonth() - DEFAULT_ARCHIVE_AGE_MONTHS);
+    return cutoff.toISOString().slice(0, 10);
+  }
+
+  static findArchivableInvoices({ before = StorageManager.defaultArchiveCutoff() } = {}) {
+    const cutoffTime = toTime(before);
+    if (cutoffTime === null) {
+      throw new Error(`StorageManager.findArchivableInvoices: "${before}" is not a valid date.`);
+    }
+    return DataManager.queryRecords('invoices', { status: 'paid' })
+      .map((invoice) => {
+        const payments = DataManager.queryRecords('payments', { invoiceId: invoice.id });
+        const settledTime = Math.max(
+          ...[invoice.issueDate, invoice.paidAt, ...payments.map((payment) => payment.paymentDate)]
+            .map(toTime)
+            .filter((time) => time !== null)
+        );
+        return { invoice, payments, settledTime };
+      })
+      .filter(({ settledTime }) => Number.isFinite(settledTime) && settledTime < cutoffTime)
+      .map(({ invoice, payments, settledTime }) => ({
+        invoice,
+        payments,
+        creditNotes: DataManager.queryRecords('creditNotes', { invoiceId: invoice.id }),
+        settledOn: new Date(settledTime).toISOString().slice(0, 10)
+      }));
+  }
+}
+
+export default StorageManager;
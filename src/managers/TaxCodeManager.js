@@ -0,0 +1,178 @@
+import { DataManager } from '../data/DataManager.js';
+import { Money } from '../data/money.js';
+import { Schema } from '../data/schema.js';
+
+const BAS_FIELDS = {
+  G1: 'Total sales (G1)',
+  G2: 'Export sales (G2)',
+  G3: 'Other GST-free sales (G3)',
+  G4: 'Input taxed sales (G4)'
+};
+
+const GST_ON_SALES_LABEL = 'GST on sales (1A)';
+
+const DEFAULT_CODE = 'GST';
+
+const BUILT_IN_CODES = [
+  { code: 'GST', label: 'GST', rate: null, bas: 'G1' },
+  { code: 'FRE', label: 'GST-free', rate: 0, bas: 'G3' },
+  { code: 'INP', label: 'Input taxed', rate: 0, bas: 'G4' },
+  { code: 'EXP', label: 'Export', rate: 0, bas: 'G2' }
+];
+
+const TAX_CODE_SCHEMA = {
+  entity: 'taxCode',
+  label: 'Tax code',
+  fields: {
+    code: { type: 'string', required: true, pattern: /^[A-Z0-9]{2,6}$/, label: 'Code' },
+    label: { type: 'string', required: true, label: 'Label' },
+    rate: { type: 'number', required: true, min: 0, max: 1, label: 'Rate' },
+    bas: {
+      type: 'string',
+      required: true,
+      pattern: /^G[1-4]$/,
+      label: 'BAS label',
+      messages: { format: `BAS label must be one of ${Object.keys(BAS_FIELDS).join(', ')}.` }
+    }
+  }
+};
+
+const sanitizeString = (value) => (typeof value === 'string' ? value.trim() : '');
+
+const sanitizeCode = (value) => sanitizeString(value).toUpperCase();
+
+const describeCode = (entry, { gstRate, custom }) => ({
+  code: entry.code,
+  label: entry.label,
+  rate: entry.rate === null ? gstRate : entry.rate,
+  bas: entry.bas,
+  basLabel: BAS_FIELDS[entry.bas],
+  custom
+});
+
+export class TaxCodeManager {
+  static DEFAULT_CODE = DEFAULT_CODE;
+
+  static BAS_FIELDS = { ...BAS_FIELDS };
+
+  static SCHEMA = TAX_CODE_SCHEMA;
+
+  static list(settings = DataManager.getSettings()) {
+    const customCodes = Array.isArray(settings.taxCodes) ? settings.taxCodes : [];
+    return [
+      ...BUILT_IN_CODES.map((entry) => describeCode(entry, { gstRate: settings.gstRate, custom: false })),
+      ...customCodes.map((entry) => describeCode(entry, { gstRate: settings.gstRate, custom: true }))
+    ];
+  }
+
+  static find(code, settings) {
+    const resolved = sanitizeCode(code);
+    return TaxCodeManager.list(settings).find((entry) => entry.code === resolved) || null;
+  }
+
+  static isBuiltIn(code) {
+    return BUILT_IN_CODES.some((entry) => entry.code === sanitizeCode(code));
+  }
+
+  static resolveCode(item) {
+    return sanitizeCode(item?.taxCode) || (item?.applyGst ? DEFAULT_CODE : 'FRE');
+  }
+
+  static applyRates(lineItems, { gstRate } = {}) {
+    const settings = DataManager.getSettings();
+    const codes = TaxCodeManager.list(
+      typeof gstRate === 'number' && gstRate >= 0 ? { ...settings, gstRate } : settings
+    );
+    return (Array.isArray(lineItems) ? lineItems : []).map((item) => {
+      const taxCode = TaxCodeManager.resolveCode(item);
+      const entry = codes.find((candidate) => candidate.code === taxCode);
+      const storedRate = Number.parseFloat(item?.taxRate);
+      const taxRate = entry ? entry.rate : Number.isFinite(storedRate) ? storedRate : 0;
+      return { ...item, taxCode, taxRate, applyGst: taxRate > 0 };
+    });
+  }
+
+  static summarize(lineItems) {
+    const codes = TaxCodeManager.list();
+    const groups = new Map();
+    (Array.isArray(lineItems) ? lineItems : []).forEach((line) => {
+      const code = TaxCodeManager.resolveCode(line);
+      const entry = codes.find((candidate) => candidate.code === code);
+      const group = groups.get(code) || {
+        code,
+        label: entry?.label || code,
+        rate: Number.isFinite(Number.parseFloat(line?.taxRate)) ? Number.parseFloat(line.taxRate) : entry?.rate ?? 0,
+        bas: entry?.bas || 'G1',
+        subtotalCents: 0,
+        gstCents: 0
+      };
+      group.subtotalCents += Money.resolveCents(line?.subtotal, line?.subtotalCents);
+      group.gstCents += Money.resolveCents(line?.gst, line?.gstCents);
+      groups.set(code, group);
+    });
+    const order = codes.map((entry) => entry.code);
+    return Array.from(groups.values())
+      .sort((a, b) => {
+        const left = order.indexOf(a.code);
+        const right = order.indexOf(b.code);
+        return (left === -1 ? order.length : left) - (right === -1 ? order.length : right);
+      })
+      .map((group) => ({
+        ...group,
+        basLabel: BAS_FIELDS[group.bas],
+        subtotal: Money.fromCents(group.subtotalCents),
+        gst: Money.fromCents(group.gstCents),
+        total: Money.fromCents(group.subtotalCents + group.gstCents),
+        totalCents: group.subtotalCents + group.gstCents
+      }));
+  }
+
+  static summarizeBas(taxes) {
+    const summary = Array.isArray(taxes) ? taxes : [];
+    const grossCents = (field) =>
+      Money.sum(summary.filter((tax) => field === 'G1' || tax.bas === field).map((tax) => tax.totalCents));
+    return [
+      ...Object.entries(BAS_FIELDS).map(([field, label]) => ({ field, label, amountCents: grossCents(field) })),
+      { field: '1A', label: GST_ON_SALES_LABEL, amountCents: Money.sum(summary.map((tax) => tax.gstCents)) }
+    ].map((entry) => ({ ...entry, amount: Money.fromCents(entry.amountCents) }));
+  }
+
+  static sanitizeCustom(taxCodes) {
+    return (Array.isArray(taxCodes) ? taxCodes : [])
+      .filter((entry) => entry && typeof entry === 'object')
+      .map((entry) => {
+        const rate = Number.parseFloat(entry.rate);
+        return {
+          code: sanitizeCode(entry.code),
+          label: sanitizeString(entry.label),
+          rate: Number.isFinite(rate) ? Math.round(rate * 10000) / 10000 : entry.rate,
+          bas: sanitizeCode(entry.bas)
+        };
+      });
+  }
+
+  static validateCustom(taxCodes) {
+    const seen = new Set();
+    return (Array.isArray(taxCodes) ? taxCodes : []).flatMap((entry, index) => {
+      const path = `taxCodes[${index}]`;
+      const errors = Schema.validate(TAX_CODE_SCHEMA, entry, { path });
+      if (entry?.code && (TaxCodeManager.isBuiltIn(entry.code) || seen.has(entry.code))) {
+        errors.push(Schema.error(`${path}.code`, 'duplicate', `Tax code ${entry.code} is already defined.`));
+      }
+      seen.add(entry?.code);
+      return errors;
+    });
+  }
+
+  static validateLineItems(lineItems, path = 'lineItems') {
+    const codes = TaxCodeManager.list().map((entry) => entry.code);
+    return (Array.isArray(lineItems) ? lineItems : []).flatMap((item, index) => {
+      const code = sanitizeCode(item?.taxCode);
+      return code && !codes.includes(code)
+        ? [Schema.error(`${path}[${index}].taxCode`, 'enum', `Unknown tax code "${code}".`)]
+        : [];
+    });
+  }
+}
+
+export default TaxCodeManager;
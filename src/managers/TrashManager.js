@@ -0,0 +1,91 @@
+import { DataManager, DEFAULT_SETTINGS } from '../data/DataManager.js';
+import { CreditNoteManager } from './CreditNoteManager.js';
+import { InvoiceManager } from './InvoiceManager.js';
+import { PaymentManager } from './PaymentManager.js';
+
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+const TRASH_TYPES = {
+  invoices: {
+    label: 'Invoice',
+    describe: (record) => [record.number, record.clientName].filter(Boolean).join(' · '),
+    restore: (recordId) => InvoiceManager.restore(recordId)
+  },
+  quotes: { label: 'Quote', describe: (record) => [record.number, record.clientName].filter(Boolean).join(' · ') },
+  clients: { label: 'Client', describe: (record) => record.name || record.businessName },
+  services: { label: 'Service', describe: (record) => record.description },
+  payments: {
+    label: 'Payment',
+    describe: (record) => [record.invoiceNumber, record.clientName].filter(Boolean).join(' · '),
+    restore: (recordId) => PaymentManager.restore(recordId)
+  },
+  recurringSchedules: { label: 'Recurring schedule', describe: (record) => record.name },
+  creditNotes: {
+    label: 'Credit note',
+    describe: (record) => [record.number, record.invoiceNumber, record.clientName].filter(Boolean).join(' · '),
+    restore: (recordId) => CreditNoteManager.restore(recordId)
+  }
+};
+
+const sanitizeString = (value) => (typeof value === 'string' ? value.trim() : '');
+
+export class TrashManager {
+  static getRetentionDays() {
+    const days = Number.parseInt(DataManager.getSettings().trashRetentionDays, 10);
+    return Number.isFinite(days) && days >= 0 ? days : DEFAULT_SETTINGS.trashRetentionDays;
+  }
+
+  static list() {
+    const retentionDays = TrashManager.getRetentionDays();
+    return DataManager.TRASH_COLLECTIONS.flatMap((collection) =>
+      DataManager.listDeleted(collection).map((record) => {
+        const deletedTime = Date.parse(record.deletedAt);
+        return {
+          collection,
+          id: record.id,
+          type: TRASH_TYPES[collection]?.label || collection,
+          description: sanitizeString(TRASH_TYPES[collection]?.describe(record)) || record.id,
+          deletedAt: record.deletedAt,
+          purgeAt:
+            retentionDays > 0 && !Number.isNaN(deletedTime)
+              ? new Date(deletedTime + retentionDays * DAY_IN_MS).toISOString()
+              : '',
+          record
+        };
+      })
+    ).sort((a, b) => Date.parse(b.deletedAt) - Date.parse(a.deletedAt));
+  }
+
+  static restore(collection, recordId) {
+    const restore = TRASH_TYPES[collection]?.restore;
+    const restored = restore ? restore(recordId) : DataManager.restoreRecord(collection, recordId);
+    if (!restored) {
+      throw new Error(`TrashManager.restore: No deleted record found for id "${recordId}".`);
+    }
+    return restored;
+  }
+
+  static purge(collection, recordId) {
+    if (!DataManager.purgeRecord(collection, recordId)) {
+      throw new Error(`TrashManager.purge: No deleted record found for id "${recordId}".`);
+    }
+    return true;
+  }
+
+  static empty() {
+    return DataManager.transaction(() =>
+      TrashManager.list().filter((entry) => DataManager.purgeRecord(entry.collection, entry.id)).length
+    );
+  }
+
+  static purgeExpired(referenceDate = new Date()) {
+    const retentionDays = TrashManager.getRetentionDays();
+    if (!retentionDays) {
+      return [];
+    }
+    const reference = referenceDate instanceof Date ? referenceDate : new Date(referenceDate);
+    return DataManager.purgeDeletedBefore(new Date(reference.getTime() - retentionDays * DAY_IN_MS));
+  }
+}
+
+export default TrashManager;
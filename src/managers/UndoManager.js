@@ -0,0 +1,218 @@
+import { DataManager } from '../data/DataManager.js';
+
+const MAX_ENTRIES = 50;
+
+const RECORD_STORES = {
+  invoices: { save: (record) => DataManager.saveInvoice(record), remove: (id) => DataManager.deleteInvoice(id) },
+  quotes: { save: (record) => DataManager.saveQuote(record), remove: (id) => DataManager.deleteQuote(id) },
+  clients: { save: (record) => DataManager.saveClient(record), remove: (id) => DataManager.deleteClient(id) },
+  services: { save: (record) => DataManager.saveService(record), remove: (id) => DataManager.deleteService(id) },
+  payments: { save: (record) => DataManager.savePayment(record), remove: (id) => DataManager.deletePayment(id) },
+  recurringSchedules: {
+    save: (record) => DataManager.saveRecurringSchedule(record),
+    remove: (id) => DataManager.deleteRecurringSchedule(id)
+  },
+  creditNotes: {
+    save: (record) => DataManager.saveCreditNote(record),
+    remove: (id) => DataManager.deleteCreditNote(id)
+  },
+  sequences: {
+    save: (record) => DataManager.saveSequence(record),
+    remove: (id) => DataManager.purgeSequence(id)
+  }
+};
+
+const SEQUENCES = 'sequences';
+
+const undoStack = [];
+const redoStack = [];
+
+const sanitizeString = (value) => (typeof value === 'string' ? value.trim() : '');
+
+const findStored = (collection, id) =>
+  DataManager.findRecord(collection, id) ||
+  (collection === SEQUENCES ? null : DataManager.listDeleted(collection).find((record) => record.id === id)) ||
+  null;
+
+const fingerprint = (record) => {
+  if (!record) {
+    return null;
+  }
+  const { revision, deletedAt, ...rest } = record;
+  return JSON.stringify([
+    Boolean(deletedAt),
+    Object.keys(rest)
+      .sort()
+      .map((key) => [key, rest[key]])
+  ]);
+};
+
+const applyState = ({ collection, id }, state) => {
+  const store = RECORD_STORES[collection];
+  const current = findStored(collection, id);
+  if (!state) {
+    if (current) {
+      store.remove(id);
+      if (collection !== SEQUENCES) {
+        DataManager.purgeRecord(collection, id);
+      }
+    }
+    return;
+  }
+  if (state.deletedAt && current && !current.deletedAt) {
+    store.remove(id);
+    return;
+  }
+  const { revision, ...record } = state;
+  store.save(record);
+};
+
+const replay = (entry, direction) => {
+  const changes = direction === 'undo' ? [...entry.changes].reverse() : entry.changes;
+  const expected = direction === 'undo' ? 'after' : 'before';
+  const stale = changes.find(
+    (change) => fingerprint(findStored(change.collection, change.id)) !== fingerprint(change[expected])
+  );
+  if (stale) {
+    const verb = direction === 'undo' ? 'undone' : 'redone';
+    throw new Error(`"${entry.description}" can no longer be ${verb} because the record was changed since.`);
+  }
+  DataManager.transaction(() => {
+    changes.forEach((change) => applyState(change, direction === 'undo' ? change.before : change.after));
+  });
+};
+
+const sequenceChanges = (before) => {
+  const previous = new Map(before.map((sequence) => [sequence.id, sequence]));
+  return DataManager.listSequences()
+    .filter((sequence) => fingerprint(sequence) !== fingerprint(previous.get(sequence.id)))
+    .map((sequence) => ({
+      collection: SEQUENCES,
+      id: sequence.id,
+      before: previous.get(sequence.id) || null,
+      after: sequence
+    }));
+};
+
+const notify = () =>
+  DataManager.emit('history:changed', {
+    canUndo: undoStack.length > 0,
+    canRedo: redoStack.length > 0,
+    undo: undoStack.at(-1)?.description || '',
+    redo: redoStack.at(-1)?.description || ''
+  });
+
+export class UndoManager {
+  static MAX_ENTRIES = MAX_ENTRIES;
+
+  static record(description, operation) {
+    if (typeof operation !== 'function') {
+      throw new Error('UndoManager.record expects a function.');
+    }
+    if (typeof description !== 'function' && !sanitizeString(description)) {
+      throw new Error('UndoManager.record: a description is required.');
+    }
+    const changes = new Map();
+    const unsubscribe = DataManager.subscribe('*', (event) => {
+      if (!RECORD_STORES[event.collection] || !event.action) {
+        return;
+      }
+      const key = `${event.collection}:${event.id}`;
+      const existing = changes.get(key);
+      changes.set(key, {
+        collection: event.collection,
+        id: event.id,
+        before: existing ? existing.before : event.previous,
+        after: event.record
+      });
+    });
+    const sequences = DataManager.listSequences();
+    let result;
+    try {
+      result = DataManager.transaction(operation);
+    } finally {
+      unsubscribe();
+    }
+    sequenceChanges(sequences).forEach((change) => changes.set(`${SEQUENCES}:${change.id}`, change));
+    if (changes.size) {
+      const label = sanitizeString(typeof description === 'function' ? description(result) : description);
+      undoStack.push({
+        description: label || 'Change',
+        recordedAt: DataManager.now(),
+        changes: Array.from(changes.values())
+      });
+      undoStack.splice(0, Math.max(0, undoStack.length - MAX_ENTRIES));
+      redoStack.length = 0;
+      notify();
+    }
+    return result;
+  }
+
+  static canUndo() {
+    return undoStack.length > 0;
+  }
+
+  static canRedo() {
+    return redoStack.length > 0;
+  }
+
+  static peekUndo() {
+    return undoStack.at(-1)?.description || '';
+  }
+
+  static peekRedo() {
+    return redoStack.at(-1)?.description || '';
+  }
+
+  static list() {
+    return {
+      undo: undoStack.map(({ description, recordedAt }) => ({ description, recordedAt })).reverse(),
+      redo: redoStack.map(({ description, recordedAt }) => ({ description, recordedAt })).reverse()
+    };
+  }
+
+  static undo() {
+    const entry = undoStack.at(-1);
+    if (!entry) {
+      return null;
+    }
+    try {
+      replay(entry, 'undo');
+    } catch (error) {
+      undoStack.pop();
+      notify();
+      throw error;
+    }
+    redoStack.push(undoStack.pop());
+    notify();
+    return entry.description;
+  }
+
+  static redo() {
+    const entry = redoStack.at(-1);
+    if (!entry) {
+      return null;
+    }
+    try {
+      replay(entry, 'redo');
+    } catch (error) {
+      redoStack.pop();
+      notify();
+      throw error;
+    }
+    undoStack.push(redoStack.pop());
+    notify();
+    return entry.description;
+  }
+
+  static clear() {
+    if (!undoStack.length && !redoStack.length) {
+      return;
+    }
+    undoStack.length = 0;
+    redoStack.length = 0;
+    notify();
+  }
+}
+
+export default UndoManager;
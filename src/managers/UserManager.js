@@ -0,0 +1,304 @@
+import { DataManager } from '../data/DataManager.js';
+import { LocalStorageAdapter } from '../data/adapters/LocalStorageAdapter.js';
+import { PassphraseCipher } from '../data/crypto.js';
+import { AuthenticationError, PermissionError } from '../data/errors.js';
+
+const USERS_KEY = 'zantra-invoicing-users';
+const SESSION_KEY = 'zantra-invoicing-session';
+const LEGACY_ACCESS_KEY = 'zantraAccessExpiry';
+const SESSION_DURATION_MS = 12 * 60 * 60 * 1000;
+const MIN_PASSWORD_LENGTH = 8;
+
+const ROLES = {
+  owner: { label: 'Owner', permissions: ['settings', 'reports', 'users'] },
+  bookkeeper: { label: 'Bookkeeper', permissions: ['settings', 'reports'] },
+  'field-tech': { label: 'Field tech', permissions: [] }
+};
+
+const PERMISSIONS = ['settings', 'reports', 'users'];
+
+const sanitizeString = (value) => (typeof value === 'string' ? value.trim() : '');
+
+const registryStorage = () => new LocalStorageAdapter({ prefix: '' });
+
+const toPublicUser = ({ passwordHash, passwordSalt, passwordIterations, sessionToken, ...user }) => ({ ...user });
+
+export class UserManager {
+  static ROLES = Object.keys(ROLES);
+
+  static PERMISSIONS = [...PERMISSIONS];
+
+  static MIN_PASSWORD_LENGTH = MIN_PASSWORD_LENGTH;
+
+  static SESSION_DURATION_MS = SESSION_DURATION_MS;
+
+  static getRoleLabel(role) {
+    return ROLES[role]?.label || role;
+  }
+
+  static list() {
+    return UserManager.#readUsers().map(toPublicUser);
+  }
+
+  static findById(userId) {
+    const id = sanitizeString(userId);
+    return UserManager.list().find((user) => user.id === id) || null;
+  }
+
+  static hasUsers() {
+    return UserManager.#readUsers().length > 0;
+  }
+
+  static async create({ name, username, password, role } = {}, { iterations } = {}) {
+    const users = UserManager.#readUsers();
+    if (users.length) {
+      UserManager.assertPermission('users');
+    } else if (role !== 'owner') {
+      throw new Error('The first account must be an owner.');
+    }
+    const userName = UserManager.#validateName(name);
+    const login = UserManager.#validateUsername(username, users);
+    const resolvedRole = UserManager.#validateRole(role);
+    const user = {
+      id: DataManager.randomUUID(),
+      name: userName,
+      username: login,
+      role: resolvedRole,
+      createdAt: DataManager.now(),
+      ...(await UserManager.#hashPassword(password, { iterations }))
+    };
+    UserManager.#writeUsers([...UserManager.#readUsers(), user]);
+    DataManager.emit('user:created', { userId: user.id, user: toPublicUser(user) });
+    return toPublicUser(user);
+  }
+
+  static update(userId, { name, role } = {}) {
+    UserManager.assertPermission('users');
+    const users = UserManager.#readUsers();
+    const user = users.find((item) => item.id === sanitizeString(userId));
+    if (!user) {
+      throw new Error(`UserManager.update: No user found for id "${userId}".`);
+    }
+    if (name !== undefined) {
+      user.name = UserManager.#validateName(name);
+    }
+    if (role !== undefined) {
+      const resolvedRole = UserManager.#validateRole(role);
+      if (user.role === 'owner' && resolvedRole !== 'owner') {
+        UserManager.#assertAnotherOwner(users, user.id);
+      }
+      user.role = resolvedRole;
+    }
+    user.updatedAt = DataManager.now();
+    UserManager.#writeUsers(users);
+    if (UserManager.getSession()?.userId === user.id) {
+      DataManager.setActor(user);
+    }
+    DataManager.emit('user:updated', { userId: user.id, user: toPublicUser(user) });
+    return toPublicUser(user);
+  }
+
+  static async setPassword(userId, password, { iterations } = {}) {
+    const current = UserManager.getCurrentUser();
+    if (current?.id !== sanitizeString(userId)) {
+      UserManager.assertPermission('users');
+    }
+    const hashed = await UserManager.#hashPassword(password, { iterations });
+    const users = UserManager.#readUsers();
+    const user = users.find((item) => item.id === sanitizeString(userId));
+    if (!user) {
+      throw new Error(`UserManager.setPassword: No user found for id "${userId}".`);
+    }
+    Object.assign(user, hashed, { updatedAt: DataManager.now() });
+    UserManager.#writeUsers(users);
+    DataManager.emit('user:updated', { userId: user.id, user: toPublicUser(user) });
+    return true;
+  }
+
+  static remove(userId) {
+    UserManager.assertPermission('users');
+    const users = UserManager.#readUsers();
+    const user = users.find((item) => item.id === sanitizeString(userId));
+    if (!user) {
+      throw new Error(`UserManager.remove: No user found for id "${userId}".`);
+    }
+    if (UserManager.getSession()?.userId === user.id) {
+      throw new Error('You cannot delete the account you are signed in with.');
+    }
+    if (user.role === 'owner') {
+      UserManager.#assertAnotherOwner(users, user.id);
+    }
+    UserManager.#writeUsers(users.filter((item) => item.id !== user.id));
+    DataManager.emit('user:deleted', { userId: user.id, user: toPublicUser(user) });
+    return true;
+  }
+
+  static async signIn(username, password) {
+    const login = sanitizeString(username).toLowerCase();
+    const user = UserManager.#readUsers().find((item) => item.username === login);
+    const hash = user
+      ? await PassphraseCipher.hashSecret(typeof password === 'string' ? password : '', {
+          salt: user.passwordSalt,
+          iterations: user.passwordIterations
+        })
+      : '';
+    if (!user || !PassphraseCipher.secretsMatch(hash, user.passwordHash)) {
+      throw new AuthenticationError();
+    }
+    const session = {
+      userId: user.id,
+      token: PassphraseCipher.createSalt(),
+      signedInAt: DataManager.now(),
+      expiresAt: new Date(Date.now() + SESSION_DURATION_MS).toISOString()
+    };
+    UserManager.#setSessionToken(user.id, session.token);
+    registryStorage().write(SESSION_KEY, session);
+    registryStorage().remove(LEGACY_ACCESS_KEY);
+    DataManager.setActor(user);
+    DataManager.emit('session:started', { userId: user.id, user: toPublicUser(user) });
+    return toPublicUser(user);
+  }
+
+  static signOut() {
+    const session = UserManager.getSession();
+    if (session) {
+      UserManager.#setSessionToken(session.userId, null);
+    }
+    registryStorage().remove(SESSION_KEY);
+    DataManager.setActor(null);
+    DataManager.emit('session:ended', { userId: session?.userId || null });
+    return true;
+  }
+
+  static getSession() {
+    let session = null;
+    try {
+      session = registryStorage().read(SESSION_KEY);
+    } catch (error) {
+      console.error('UserManager: unable to read the session:', error);
+    }
+    if (!session || !sanitizeString(session.userId)) {
+      return null;
+    }
+    const expiresAt = Date.parse(session.expiresAt);
+    const user = UserManager.#readUsers().find((item) => item.id === session.userId);
+    const verified =
+      Boolean(user?.sessionToken) && PassphraseCipher.secretsMatch(sanitizeString(session.token), user.sessionToken);
+    if (!verified || Number.isNaN(expiresAt) || expiresAt <= Date.now()) {
+      registryStorage().remove(SESSION_KEY);
+      return null;
+    }
+    return { userId: user.id, signedInAt: session.signedInAt, expiresAt: session.expiresAt };
+  }
+
+  static getCurrentUser() {
+    const session = UserManager.getSession();
+    return session ? UserManager.findById(session.userId) : null;
+  }
+
+  static restoreSession() {
+    const user = UserManager.getCurrentUser();
+    DataManager.setActor(user);
+    return user;
+  }
+
+  static requiresSetup() {
+    return !UserManager.hasUsers();
+  }
+
+  static requiresSignIn() {
+    return !UserManager.getCurrentUser();
+  }
+
+  static can(permission) {
+    const user = UserManager.getCurrentUser();
+    return Boolean(user) && ROLES[user.role].permissions.includes(permission);
+  }
+
+  static assertPermission(permission) {
+    if (!PERMISSIONS.includes(permission)) {
+      throw new Error(`UserManager.assertPermission: unknown permission "${permission}".`);
+    }
+    if (UserManager.can(permission)) {
+      return true;
+    }
+    throw new PermissionError(permission, { role: UserManager.getCurrentUser()?.role || null });
+  }
+
+  static async #hashPassword(password, { iterations = PassphraseCipher.DEFAULT_ITERATIONS } = {}) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      throw new Error(`Passwords must be at least ${MIN_PASSWORD_LENGTH} characters long.`);
+    }
+    const passwordSalt = PassphraseCipher.createSalt();
+    return {
+      passwordSalt,
+      passwordIterations: iterations,
+      passwordHash: await PassphraseCipher.hashSecret(password, { salt: passwordSalt, iterations })
+    };
+  }
+
+  static #validateName(name) {
+    const userName = sanitizeString(name);
+    if (!userName) {
+      throw new Error('Name is required.');
+    }
+    return userName;
+  }
+
+  static #validateUsername(username, users) {
+    const login = sanitizeString(username).toLowerCase();
+    if (!/^[a-z0-9._@-]{3,64}$/.test(login)) {
+      throw new Error('Usernames must be 3 to 64 letters, numbers, dots, dashes or @.');
+    }
+    if (users.some((user) => user.username === login)) {
+      throw new Error(`The username "${login}" is already taken.`);
+    }
+    return login;
+  }
+
+  static #validateRole(role) {
+    const resolvedRole = sanitizeString(role);
+    if (!ROLES[resolvedRole]) {
+      throw new Error(`UserManager: role must be one of ${Object.keys(ROLES).join(', ')}.`);
+    }
+    return resolvedRole;
+  }
+
+  static #assertAnotherOwner(users, userId) {
+    if (!users.some((user) => user.id !== userId && user.role === 'owner')) {
+      throw new Error('There must always be at least one owner.');
+    }
+  }
+
+  static #setSessionToken(userId, token) {
+    const users = UserManager.#readUsers();
+    const user = users.find((item) => item.id === userId);
+    if (!user) {
+      return;
+    }
+    if (token) {
+      user.sessionToken = token;
+    } else {
+      delete user.sessionToken;
+    }
+    UserManager.#writeUsers(users);
+  }
+
+  static #readUsers() {
+    let stored = null;
+    try {
+      stored = registryStorage().read(USERS_KEY);
+    } catch (error) {
+      console.error('UserManager: unable to read user accounts:', error);
+    }
+    return Array.isArray(stored)
+      ? stored.filter((user) => user && sanitizeString(user.id) && sanitizeString(user.username) && ROLES[user.role])
+      : [];
+  }
+
+  static #writeUsers(users) {
+    registryStorage().write(USERS_KEY, users);
+  }
+}
+
+export default UserManager;
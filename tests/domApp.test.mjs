@@ -3,7 +3,9 @@
  */
 import fs from 'fs';
 import path from 'path';
+import { webcrypto } from 'crypto';
 import { fileURLToPath } from 'url';
+import { TextDecoder, TextEncoder } from 'util';
 import { jest } from '@jest/globals';
 
 const __filename = fileURLToPath(import.meta.url);
@@ -36,10 +38,13 @@ const stubCanvasContext = () => ({
   clip: jest.fn()
 });
 
+Object.defineProperty(globalThis, 'crypto', { value: webcrypto, configurable: true });
+Object.assign(globalThis, { TextDecoder, TextEncoder });
+
 await jest.unstable_mockModule('../styles/styles.css', () => ({ default: {} }));
 const appModulePromise = import('../src/index.js');
 
-const loadApp = async () => {
+const loadApp = async ({ signedIn = true } = {}) => {
   document.documentElement.innerHTML = html;
   window.localStorage.clear();
   Element.prototype.scrollIntoView = jest.fn();
@@ -56,8 +61,15 @@ const loadApp = async () => {
     }
   };
 
-  jest.resetModules();
   const exports = await appModulePromise;
+  if (signedIn) {
+    await exports.UserManager.create(
+      { name: 'Test Owner', username: 'test-owner', password: 'owner password', role: 'owner' },
+      { iterations: 1000 }
+    );
+    await exports.UserManager.signIn('test-owner', 'owner password');
+  }
+  jest.resetModules();
   document.dispatchEvent(new Event('DOMContentLoaded'));
   return exports;
 };
@@ -71,6 +83,12 @@ const submitForm = (form) => {
   form.dispatchEvent(new Event('submit', { bubbles: true, cancelable: true }));
 };
 
+const waitFor = async (condition) => {
+  for (let attempt = 0; attempt < 200 && !condition(); attempt += 1) {
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  }
+};
+
 describe('ZantraApp UI', () => {
   let managers;
 
@@ -173,6 +191,10 @@ describe('ZantraApp UI', () => {
     recordButton.click();
     const updatedInvoice = managers.InvoiceManager.list()[0];
     expect(updatedInvoice.status).toBe('paid');
+    expect(managers.UndoManager.peekUndo()).toBe(`Payment recorded for ${invoice.number}`);
+    managers.UndoManager.undo();
+    expect(managers.InvoiceManager.list()[0].status).toBe('unpaid');
+    expect(managers.PaymentManager.list()).toEqual([]);
   });
 
   test('quote workflow persists entries and actions', () => {
@@ -254,6 +276,32 @@ describe('ZantraApp UI', () => {
   });
 });
 
+describe('ZantraApp first run', () => {
+  test('asks for an owner account before anything can be changed', async () => {
+    const managers = await loadApp({ signedIn: false });
+    const signInScreen = document.querySelector('[data-sign-in-screen]');
+    const signInForm = document.querySelector('[data-sign-in-form]');
+    await waitFor(() => !signInScreen.hasAttribute('hidden'));
+    expect(signInScreen.hasAttribute('hidden')).toBe(false);
+    expect(document.querySelector('[data-sign-in-title]').textContent).toBe('Set up the owner account');
+    expect(signInForm.querySelector('[data-sign-in-setup] [name="name"]')).not.toBeNull();
+    expect(document.getElementById('tab-settings').hasAttribute('hidden')).toBe(true);
+    expect(managers.UserManager.can('settings')).toBe(false);
+
+    signInForm.querySelector('[name="name"]').value = 'Olivia Owner';
+    signInForm.querySelector('[name="username"]').value = 'olivia';
+    signInForm.querySelector('[name="password"]').value = 'owner password';
+    submitForm(signInForm);
+    await waitFor(() => signInScreen.hasAttribute('hidden'));
+
+    expect(signInScreen.hasAttribute('hidden')).toBe(true);
+    expect(managers.UserManager.getCurrentUser()).toEqual(
+      expect.objectContaining({ username: 'olivia', role: 'owner' })
+    );
+    expect(document.getElementById('tab-settings').hasAttribute('hidden')).toBe(false);
+  }, 20000);
+});
+
 describe('Stylesheet coverage', () => {
   test('includes key classnames and print styles', () => {
     const css = fs.readFileSync(path.resolve(__dirname, '../styles/styles.css'), 'utf-8');
@@ -1,12 +1,45 @@
 /**
  * @jest-environment node
  */
+import { jest } from '@jest/globals';
 import { DataManager } from '../src/data/DataManager.js';
 import { ClientManager } from '../src/managers/ClientManager.js';
 import { InvoiceManager } from '../src/managers/InvoiceManager.js';
 import { QuoteManager } from '../src/managers/QuoteManager.js';
 import { PaymentManager } from '../src/managers/PaymentManager.js';
 import { ExportManager } from '../src/managers/ExportManager.js';
+import { ServiceManager } from '../src/managers/ServiceManager.js';
+import { RecurringInvoiceManager } from '../src/managers/RecurringInvoiceManager.js';
+import { ReportManager } from '../src/managers/ReportManager.js';
+import { LegacyImportManager } from '../src/managers/LegacyImportManager.js';
+import { TrashManager } from '../src/managers/TrashManager.js';
+import { SettingsManager } from '../src/managers/SettingsManager.js';
+import { AuditLogManager } from '../src/managers/AuditLogManager.js';
+import { ProfileManager } from '../src/managers/ProfileManager.js';
+import { BackupManager } from '../src/managers/BackupManager.js';
+import { EncryptionManager } from '../src/managers/EncryptionManager.js';
+import { UserManager } from '../src/managers/UserManager.js';
+import { StorageManager } from '../src/managers/StorageManager.js';
+import { IntegrityManager } from '../src/managers/IntegrityManager.js';
+import { UndoManager } from '../src/managers/UndoManager.js';
+import { CreditNoteManager } from '../src/managers/CreditNoteManager.js';
+import { InvoiceDocumentManager } from '../src/managers/InvoiceDocumentManager.js';
+import { NumberingManager } from '../src/managers/NumberingManager.js';
+import { TaxCodeManager } from '../src/managers/TaxCodeManager.js';
+import { DiscountManager } from '../src/managers/DiscountManager.js';
+import {
+  AuthenticationError,
+  ConflictError,
+  DependentRecordsError,
+  LockedStorageError,
+  PassphraseError,
+  PermissionError,
+  StorageError,
+  StatusTransitionError,
+  StorageQuotaError,
+  ValidationError
+} from '../src/data/errors.js';
+import { Money } from '../src/data/money.js';
 
 const createMockStorage = () => {
   const store = new Map();
@@ -22,15 +55,25 @@ const createMockStorage = () => {
   };
 };
 
-beforeEach(() => {
+const signInOwner = async () => {
+  await UserManager.create(
+    { name: 'Test Owner', username: 'test-owner', password: 'owner password', role: 'owner' },
+    { iterations: 1000 }
+  );
+  await UserManager.signIn('test-owner', 'owner password');
+};
+
+beforeEach(async () => {
   const storage = createMockStorage();
   global.localStorage = storage;
   globalThis.localStorage = storage;
   global.window = { localStorage: storage };
+  await signInOwner();
   DataManager.clearAll();
 });
 
 afterEach(() => {
+  DataManager.setActor(null);
   DataManager.clearAll();
   delete global.window;
   delete global.localStorage;
@@ -60,7 +103,7 @@ describe('InvoiceManager resilience', () => {
 
     expect(invoice.clientId).toBe(client.id);
 
-    ClientManager.remove(client.id);
+    DataManager.deleteClient(client.id);
 
     const listed = InvoiceManager.list();
     expect(listed).toHaveLength(1);
@@ -97,7 +140,7 @@ describe('QuoteManager resilience', () => {
       ]
     });
 
-    ClientManager.remove(client.id);
+    DataManager.deleteClient(client.id);
 
     const listed = QuoteManager.list();
     expect(listed).toHaveLength(1);
@@ -220,3 +263,2137 @@ describe('ExportManager GST CSV', () => {
     ).toThrow(/start date must be on or before the end date/i);
   });
 });
+
+describe('DataManager change events', () => {
+  test('emits typed events for record and settings mutations until unsubscribed', () => {
+    const events = [];
+    const unsubscribe = DataManager.subscribe('*', (event) => events.push(event.type));
+    const clientEvents = [];
+    const unsubscribeClients = DataManager.subscribe('client:created', (event) => clientEvents.push(event.record.name));
+
+    const client = ClientManager.create({
+      name: 'Event Client',
+      businessName: 'Event Co',
+      address: '5 Signal Road',
+      abn: '55 555 555 555',
+      contact: '0400000005',
+      prefix: 'EV'
+    });
+    const invoice = InvoiceManager.create({
+      clientId: client.id,
+      lineItems: [{ description: 'Callout', quantity: 1, unitPrice: 90, applyGst: true }]
+    });
+    PaymentManager.recordPayment(invoice.id, 10, '2024-05-01');
+    DataManager.saveSettings({ gstRate: 0.1 });
+    InvoiceManager.remove(invoice.id);
+
+    expect(clientEvents).toEqual(['Event Client']);
+    expect(events).toEqual([
+      'client:created',
+      'invoice:created',
+      'payment:created',
+      'invoice:updated',
+      'settings:updated',
+      'invoice:deleted',
+      'payment:deleted'
+    ]);
+
+    unsubscribe();
+    unsubscribeClients();
+    ClientManager.remove(client.id);
+    expect(events).not.toContain('client:deleted');
+  });
+});
+
+describe('Record revisions', () => {
+  test('rejects updates made against an outdated revision', () => {
+    const client = ClientManager.create({
+      name: 'Revision Client',
+      businessName: 'Revision Co',
+      address: '7 Version Lane',
+      abn: '77 777 777 777',
+      contact: '0400000007',
+      prefix: 'RV'
+    });
+    const invoice = InvoiceManager.create({
+      clientId: client.id,
+      lineItems: [{ description: 'Inspection', quantity: 1, unitPrice: 120, applyGst: true }]
+    });
+    expect(invoice.revision).toBe(1);
+
+    const updated = InvoiceManager.update(invoice.id, { notes: 'First edit' }, { expectedRevision: invoice.revision });
+    expect(updated.revision).toBe(2);
+
+    let conflict = null;
+    try {
+      InvoiceManager.update(invoice.id, { notes: 'Stale edit' }, { expectedRevision: invoice.revision });
+    } catch (error) {
+      conflict = error;
+    }
+    expect(conflict).toBeInstanceOf(ConflictError);
+    expect(conflict.message).toMatch(/this invoice changed since you opened it/i);
+    expect(conflict).toMatchObject({ expectedRevision: 1, storedRevision: 2 });
+    expect(conflict.current.notes).toBe('First edit');
+    expect(InvoiceManager.findById(invoice.id).notes).toBe('First edit');
+
+    expect(() => ClientManager.update(client.id, { name: 'Renamed' }, { expectedRevision: 0 })).toThrow(ConflictError);
+    expect(ClientManager.update(client.id, { name: 'Renamed' }).revision).toBe(2);
+  });
+});
+
+describe('DataManager transactions', () => {
+  test('rolls back a payment when the invoice balance cannot be persisted', () => {
+    const client = ClientManager.create({
+      name: 'Atomic Client',
+      businessName: 'Atomic Co',
+      address: '9 Commit Street',
+      abn: '99 999 999 999',
+      contact: '0400000009',
+      prefix: 'AT'
+    });
+    const invoice = InvoiceManager.create({
+      clientId: client.id,
+      lineItems: [{ description: 'Repair', quantity: 1, unitPrice: 200, applyGst: false }]
+    });
+    const events = [];
+    const unsubscribe = DataManager.subscribe('*', (event) => events.push(event.type));
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const setItem = global.localStorage.setItem;
+    global.localStorage.setItem = (key, value) => {
+      if (key === 'zantra-invoicing::invoices') {
+        throw new Error('QuotaExceededError');
+      }
+      return setItem(key, value);
+    };
+
+    expect(() => PaymentManager.recordPayment(invoice.id, 50, '2024-06-01')).toThrow(/Failed to persist "invoices"/);
+    global.localStorage.setItem = setItem;
+    error.mockRestore();
+    unsubscribe();
+
+    expect(PaymentManager.list()).toEqual([]);
+    expect(InvoiceManager.findById(invoice.id).balanceDue).toBe(200);
+    expect(events).toEqual([]);
+
+    const payment = PaymentManager.recordPayment(invoice.id, 50, '2024-06-01');
+    expect(PaymentManager.list()).toHaveLength(1);
+    expect(payment.amount).toBe(50);
+    expect(InvoiceManager.findById(invoice.id).balanceDue).toBe(150);
+  });
+
+  test('discards staged writes when the operation throws', () => {
+    expect(() =>
+      DataManager.transaction(() => {
+        DataManager.saveService({ id: 'service-1', description: 'Staged' });
+        expect(DataManager.listServices()).toHaveLength(1);
+        throw new Error('Abort');
+      })
+    ).toThrow('Abort');
+    expect(DataManager.listServices()).toEqual([]);
+  });
+});
+
+describe('LegacyImportManager', () => {
+  test('maps older stores into the current managers and reports the outcome', () => {
+    global.localStorage.setItem(
+      'zantra-invoicing-store',
+      JSON.stringify({
+        version: 1,
+        invoices: [
+          {
+            id: 'legacy-1',
+            invoiceNumber: 'OLD-001',
+            clientName: 'Harbour Cafe',
+            issueDate: '2024-02-01',
+            dueDate: '2024-02-15',
+            amount: 200,
+            gstRate: 10,
+            status: 'part-paid',
+            paidAmount: 50,
+            paymentDate: '2024-02-10'
+          },
+          {
+            id: 'legacy-2',
+            invoiceNumber: 'OLD-002',
+            clientName: 'Harbour Cafe',
+            issueDate: '2024-02-03',
+            dueDate: '2024-02-17',
+            amount: 100,
+            gstRate: 0,
+            status: 'paid',
+            paidAmount: 100,
+            paymentDate: '2024-02-05'
+          }
+        ]
+      })
+    );
+    global.localStorage.setItem(
+      'zantra-invoicing',
+      JSON.stringify({
+        clients: [{ id: 'client-abc', name: 'Ridge Builders', email: 'ops@ridge.example', phone: '0400111222' }],
+        invoices: [
+          {
+            id: 'invoice-1',
+            number: 'APP-1',
+            clientId: 'client-abc',
+            issueDate: '2024-03-01',
+            dueDate: '2024-03-15',
+            lineItems: [
+              { description: 'Framing', quantity: 2, unitPrice: 300, applyGst: true, net: 600, gst: 60, total: 660 }
+            ]
+          },
+          {
+            id: 'invoice-2',
+            number: 'APP-2',
+            clientId: 'client-missing',
+            lineItems: [{ description: 'Orphan', quantity: 1, unitPrice: 10, applyGst: false }]
+          }
+        ],
+        quotes: [
+          {
+            id: 'quote-1',
+            number: 'Q-APP-1',
+            clientId: 'client-abc',
+            quoteDate: '2024-03-02',
+            expiryDate: '2024-03-30',
+            lineItems: [{ description: 'Deck', quantity: 1, unitPrice: 1200, applyGst: true }]
+          }
+        ]
+      })
+    );
+
+    expect(LegacyImportManager.detect().map((source) => source.id)).toEqual(['legacy-store', 'legacy-app']);
+    const report = LegacyImportManager.importAll();
+
+    expect(report.imported.map((entry) => `${entry.type}:${entry.legacyId}`)).toEqual([
+      'client:',
+      'invoice:legacy-1',
+      'invoice:legacy-2',
+      'client:client-abc',
+      'invoice:invoice-1',
+      'quote:quote-1'
+    ]);
+    expect(report.merged).toEqual([]);
+    expect(report.skipped).toEqual([
+      expect.objectContaining({ type: 'invoice', legacyId: 'invoice-2', reason: 'Unknown client "client-missing".' })
+    ]);
+
+    const partPaid = InvoiceManager.list().find((invoice) => invoice.number === 'OLD-001');
+    expect(partPaid.status).toBe('partial');
+    expect(partPaid.total).toBe(220);
+    expect(partPaid.balanceDue).toBe(170);
+    expect(InvoiceManager.list().find((invoice) => invoice.number === 'OLD-002').status).toBe('paid');
+    expect(PaymentManager.list()).toHaveLength(2);
+
+    const ridge = ClientManager.list().find((client) => client.name === 'Ridge Builders');
+    const quote = QuoteManager.list().find((item) => item.number === 'Q-APP-1');
+    expect(quote.clientId).toBe(ridge.id);
+    expect(quote.validUntil).toBe(new Date('2024-03-30').toISOString());
+
+    const rerun = LegacyImportManager.importAll();
+    expect(rerun.imported).toEqual([]);
+    expect(rerun.merged.map((entry) => entry.type)).toEqual(['client']);
+    expect(rerun.skipped.map((entry) => entry.reason)).toEqual([
+      'Invoice OLD-001 already exists.',
+      'Invoice OLD-002 already exists.',
+      'Invoice APP-1 already exists.',
+      'Unknown client "client-missing".',
+      'Quote Q-APP-1 already exists.'
+    ]);
+    expect(ClientManager.list()).toHaveLength(2);
+  });
+
+  test('rolls back rows that fail part way and skips unnumbered records imported before', () => {
+    global.localStorage.setItem(
+      'zantra-invoicing-store',
+      JSON.stringify({
+        invoices: [
+          {
+            id: 'legacy-9',
+            invoiceNumber: 'OLD-009',
+            clientName: 'Quay Bakery',
+            issueDate: '2024-02-01',
+            amount: 80,
+            gstRate: 0,
+            status: 'paid',
+            paymentDate: 'someday'
+          }
+        ]
+      })
+    );
+    global.localStorage.setItem(
+      'zantra-invoicing',
+      JSON.stringify({
+        clients: [{ id: 'client-abc', name: 'Ridge Builders' }],
+        invoices: [
+          {
+            id: 'invoice-3',
+            clientId: 'client-abc',
+            lineItems: [{ description: 'Unnumbered job', quantity: 1, unitPrice: 90, applyGst: false }]
+          }
+        ]
+      })
+    );
+
+    const report = LegacyImportManager.importAll();
+    expect(report.imported.map((entry) => `${entry.type}:${entry.legacyId}`)).toEqual([
+      'client:client-abc',
+      'invoice:invoice-3'
+    ]);
+    expect(report.skipped).toEqual([
+      expect.objectContaining({ type: 'invoice', legacyId: 'legacy-9', reason: expect.stringMatching(/Payment date/) })
+    ]);
+    expect(InvoiceManager.list().map((invoice) => invoice.legacyId)).toEqual(['legacy-app:invoice-3']);
+    expect(ClientManager.list().map((client) => client.name)).toEqual(['Ridge Builders']);
+    expect(PaymentManager.list()).toEqual([]);
+
+    const rerun = LegacyImportManager.importAll();
+    expect(rerun.skipped.map((entry) => entry.reason)).toEqual([
+      expect.stringMatching(/Payment date/),
+      'Invoice invoice-3 was already imported.'
+    ]);
+    expect(InvoiceManager.list()).toHaveLength(1);
+  });
+});
+
+describe('TrashManager', () => {
+  test('soft deletes records, restores them and purges after the retention period', () => {
+    const client = ClientManager.create({
+      name: 'Trash Client',
+      businessName: 'Trash Co',
+      address: '3 Bin Street',
+      abn: '33 333 333 333',
+      contact: '0400000003',
+      prefix: 'TR'
+    });
+    const invoice = InvoiceManager.create({
+      clientId: client.id,
+      lineItems: [{ description: 'Clean up', quantity: 1, unitPrice: 80, applyGst: false }]
+    });
+
+    expect(InvoiceManager.remove(invoice.id)).toBe(true);
+    expect(InvoiceManager.list()).toEqual([]);
+    expect(InvoiceManager.findById(invoice.id)).toBeNull();
+    expect(TrashManager.list()).toEqual([
+      expect.objectContaining({
+        collection: 'invoices',
+        id: invoice.id,
+        type: 'Invoice',
+        description: `${invoice.number} · Trash Client`
+      })
+    ]);
+
+    TrashManager.restore('invoices', invoice.id);
+    expect(InvoiceManager.findById(invoice.id).deletedAt).toBeUndefined();
+    expect(TrashManager.list()).toEqual([]);
+
+    InvoiceManager.remove(invoice.id);
+    ClientManager.remove(client.id);
+    SettingsManager.update({ ...SettingsManager.get(), trashRetentionDays: 7 });
+    expect(TrashManager.purgeExpired(new Date(Date.now() + 6 * 24 * 60 * 60 * 1000))).toEqual([]);
+    expect(TrashManager.purgeExpired(new Date(Date.now() + 8 * 24 * 60 * 60 * 1000))).toEqual([
+      { collection: 'invoices', id: invoice.id },
+      { collection: 'clients', id: client.id }
+    ]);
+    expect(TrashManager.list()).toEqual([]);
+    expect(DataManager.load('invoices')).toEqual([]);
+    expect(() => TrashManager.restore('invoices', invoice.id)).toThrow(/No deleted record/);
+  });
+
+  test('moves payments and credit notes to the trash with their invoice and restores them together', () => {
+    const client = ClientManager.create({
+      name: 'Bundle Client',
+      businessName: 'Bundle Co',
+      address: '4 Bin Street',
+      abn: '44 333 333 333',
+      contact: '0400000004',
+      prefix: 'BU'
+    });
+    const invoice = InvoiceManager.create({
+      clientId: client.id,
+      issueDate: '2024-05-01',
+      lineItems: [{ description: 'Fit out', quantity: 1, unitPrice: 200, applyGst: false }]
+    });
+    const earlier = PaymentManager.recordPayment(invoice.id, 20, '2024-05-02');
+    const now = jest.spyOn(DataManager, 'now').mockReturnValue('2024-05-02T00:00:00.000Z');
+    PaymentManager.remove(earlier.id);
+    now.mockRestore();
+    const payment = PaymentManager.recordPayment(invoice.id, 50, '2024-05-03');
+    const creditNote = CreditNoteManager.create({
+      invoiceId: invoice.id,
+      lineItems: [{ description: 'Goodwill', quantity: 1, unitPrice: 30, applyGst: false }]
+    });
+    const paidInMay = () => ReportManager.getMonthlyInvoiceSummary().find((month) => month.monthKey === '2024-05');
+    expect(paidInMay().paid).toBe(50);
+
+    InvoiceManager.remove(invoice.id);
+    expect(PaymentManager.list()).toEqual([]);
+    expect(CreditNoteManager.list()).toEqual([]);
+    expect(paidInMay()).toBeUndefined();
+    expect(IntegrityManager.scan().issues).toEqual([]);
+    expect(TrashManager.list().map((entry) => entry.id)).toEqual(
+      expect.arrayContaining([invoice.id, payment.id, creditNote.id, earlier.id])
+    );
+
+    TrashManager.restore('invoices', invoice.id);
+    expect(PaymentManager.listByInvoice(invoice.id).map((record) => record.id)).toEqual([payment.id]);
+    expect(CreditNoteManager.list().map((record) => record.id)).toEqual([creditNote.id]);
+    expect(paidInMay().paid).toBe(50);
+    expect(InvoiceManager.findById(invoice.id)).toEqual(
+      expect.objectContaining({ amountPaidCents: 5000, creditedTotalCents: 3000, balanceDueCents: 12000 })
+    );
+    expect(TrashManager.list().map((entry) => entry.id)).toEqual([earlier.id]);
+    expect(IntegrityManager.scan().issues).toEqual([]);
+  });
+});
+
+describe('AuditLogManager', () => {
+  afterEach(() => {
+    DataManager.setActor(null);
+    DataManager.configureAuditLog({ limit: DataManager.AUDIT_LOG_LIMIT, maxBytes: DataManager.AUDIT_LOG_MAX_BYTES });
+    jest.restoreAllMocks();
+  });
+
+  test('records every financial change with a diff, actor and invoice history', () => {
+    DataManager.setActor({ id: 'user-1', name: 'Bookkeeper' });
+    const client = ClientManager.create({
+      name: 'Audit Client',
+      businessName: 'Audit Co',
+      address: '4 Ledger Lane',
+      abn: '44 444 444 444',
+      contact: '0400000004',
+      prefix: 'AU'
+    });
+    const invoice = InvoiceManager.create({
+      clientId: client.id,
+      lineItems: [{ description: 'Review', quantity: 1, unitPrice: 100, applyGst: false }]
+    });
+    InvoiceManager.update(invoice.id, { notes: 'Net 14' });
+    PaymentManager.recordPayment(invoice.id, 100, '2024-05-01');
+    SettingsManager.update({ ...SettingsManager.get(), gstRate: 0.15 });
+
+    const history = AuditLogManager.forInvoice(invoice.id);
+    expect(history.map((entry) => `${entry.collection}:${entry.action}`).sort()).toEqual([
+      'invoices:created',
+      'invoices:updated',
+      'invoices:updated',
+      'payments:created'
+    ]);
+    history.forEach((entry) => expect(entry.actor).toEqual({ id: 'user-1', name: 'Bookkeeper' }));
+
+    const noteChange = history.find(
+      (entry) => entry.collection === 'invoices' && entry.changes.some((change) => change.field === 'notes')
+    );
+    expect(noteChange.changes).toEqual([{ field: 'notes', before: '', after: 'Net 14' }]);
+    expect(AuditLogManager.describe(noteChange)).toBe('Invoice updated (notes: — → Net 14)');
+
+    const [settingsEntry] = AuditLogManager.forRecord('settings', 'settings');
+    expect(settingsEntry.changes).toEqual([expect.objectContaining({ field: 'gstRate', before: 0.1, after: 0.15 })]);
+
+    const today = new Date().toISOString().slice(0, 10);
+    expect(AuditLogManager.query({ from: today, to: today })).toHaveLength(DataManager.listAuditLog().length);
+    expect(AuditLogManager.query({ to: '2000-01-01' })).toEqual([]);
+    expect(() => AuditLogManager.query({ from: 'yesterday-ish' })).toThrow(/not a valid date/);
+  });
+
+  test('caps the log and keeps it through clears and backup restores', () => {
+    DataManager.configureAuditLog({ limit: 10 });
+    const client = ClientManager.create({
+      name: 'Busy Client',
+      businessName: 'Busy Co',
+      address: '4 Ledger Lane',
+      abn: '44 444 444 444',
+      contact: '0400000004',
+      prefix: 'BU'
+    });
+    for (let index = 1; index <= 10; index += 1) {
+      ClientManager.update(client.id, { contact: `04000000${String(index).padStart(2, '0')}` });
+    }
+    const log = DataManager.listAuditLog();
+    expect(log).toHaveLength(9);
+    expect(log.at(-1).changes).toEqual([{ field: 'contact', before: '0400000009', after: '0400000010' }]);
+    expect(AuditLogManager.query({ action: 'created' })).toEqual([]);
+    expect(() => DataManager.configureAuditLog({ limit: 0 })).toThrow(/positive whole number/);
+
+    const backup = DataManager.exportAll();
+    DataManager.configureAuditLog({ limit: DataManager.AUDIT_LOG_LIMIT });
+    DataManager.clearAll();
+    expect(ClientManager.list()).toEqual([]);
+    const [cleared] = AuditLogManager.query({ action: 'cleared' });
+    expect(AuditLogManager.describe(cleared)).toBe('All data cleared');
+    expect(DataManager.listAuditLog()).toHaveLength(10);
+
+    localStorage.clear();
+    DataManager.restoreAll(backup);
+    expect(ClientManager.list()).toHaveLength(1);
+    expect(DataManager.listAuditLog().map(({ id }) => id)).toEqual([
+      ...log.map(({ id }) => id),
+      AuditLogManager.query({ collection: 'backup' })[0].id
+    ]);
+  });
+
+  test('stores only changed fields, caps the log by size and saves entries with their records', () => {
+    const client = ClientManager.create({
+      name: 'Sized Client',
+      businessName: 'Sized Co',
+      address: '4 Ledger Lane',
+      abn: '44 444 444 444',
+      contact: '0400000004',
+      prefix: 'SZ'
+    });
+    const invoice = InvoiceManager.create({
+      clientId: client.id,
+      lineItems: [
+        { description: 'Review', quantity: 1, unitPrice: 100, applyGst: false },
+        { description: 'Filing', quantity: 1, unitPrice: 50, applyGst: false }
+      ]
+    });
+    expect(AuditLogManager.query({ recordId: invoice.id, action: 'created' })[0].changes).toEqual([]);
+    InvoiceManager.update(invoice.id, {
+      lineItems: [
+        { description: 'Review', quantity: 1, unitPrice: 100, applyGst: false },
+        { description: 'Filing', quantity: 1, unitPrice: 50, applyGst: false },
+        { description: 'Lodgement', quantity: 1, unitPrice: 20, applyGst: false }
+      ]
+    });
+    const [lineItemChange] = AuditLogManager.query({ recordId: invoice.id, action: 'updated' });
+    expect(lineItemChange.changes).toEqual(
+      expect.arrayContaining([
+        { field: 'lineItems.2', before: null, after: expect.objectContaining({ description: 'Lodgement' }) }
+      ])
+    );
+    expect(lineItemChange.changes.map(({ field }) => field)).not.toContain('lineItems');
+
+    const maxBytes = 4000;
+    DataManager.configureAuditLog({ maxBytes });
+    for (let index = 1; index <= 20; index += 1) {
+      ClientManager.update(client.id, { contact: `04000000${String(index).padStart(2, '0')}` });
+    }
+    const log = DataManager.listAuditLog();
+    expect(JSON.stringify(log).length).toBeLessThanOrEqual(maxBytes);
+    expect(log.at(-1).changes).toEqual([{ field: 'contact', before: '0400000019', after: '0400000020' }]);
+    expect(() => DataManager.configureAuditLog({ maxBytes: -1 })).toThrow(/positive whole number/);
+
+    const setItem = localStorage.setItem.bind(localStorage);
+    jest.spyOn(localStorage, 'setItem').mockImplementation((key, value) => {
+      if (key.includes('auditLog')) {
+        throw Object.assign(new Error('The quota has been exceeded.'), { name: 'QuotaExceededError' });
+      }
+      setItem(key, value);
+    });
+    expect(() => ClientManager.update(client.id, { contact: '0499999999' })).toThrow(StorageQuotaError);
+    jest.restoreAllMocks();
+    expect(ClientManager.findById(client.id).contact).toBe('0400000020');
+    expect(DataManager.listAuditLog()).toEqual(log);
+  });
+});
+
+describe('Delete policies', () => {
+  const createClient = (name, prefix) =>
+    ClientManager.create({
+      name,
+      businessName: `${name} Pty Ltd`,
+      address: '6 Policy Place',
+      abn: '66 666 666 666',
+      contact: '0400000006',
+      prefix
+    });
+
+  test('blocks, archives or reassigns clients that still have dependents', () => {
+    const client = createClient('Old Client', 'OC');
+    const replacement = createClient('New Client', 'NC');
+    const invoice = InvoiceManager.create({
+      clientId: client.id,
+      lineItems: [{ description: 'Install', quantity: 1, unitPrice: 200, applyGst: false }]
+    });
+    PaymentManager.recordPayment(invoice.id, 50, '2024-06-01');
+    QuoteManager.create({
+      clientId: client.id,
+      lineItems: [{ description: 'Upgrade', quantity: 1, unitPrice: 300, applyGst: false }]
+    });
+    RecurringInvoiceManager.create({
+      clientId: client.id,
+      name: 'Monthly service',
+      frequency: 'monthly',
+      startDate: '2099-01-01',
+      lineItems: [{ description: 'Maintenance', quantity: 1, unitPrice: 80, applyGst: false }]
+    });
+
+    expect(() => ClientManager.remove(client.id)).toThrow(
+      'This client is still used by 1 invoice, 1 quote and 1 recurring schedule. ' +
+        'Archive it or reassign them to another client instead.'
+    );
+    expect(ClientManager.findById(client.id)).not.toBeNull();
+
+    expect(ClientManager.remove(client.id, { policy: 'archive' })).toBe(false);
+    expect(ClientManager.findById(client.id).archivedAt).toBeTruthy();
+    expect(ClientManager.listActive().map(({ id }) => id)).toEqual([replacement.id]);
+    expect(ClientManager.unarchive(client.id).archivedAt).toBeUndefined();
+
+    SettingsManager.update({ ...SettingsManager.get(), clientDeletePolicy: 'reassign' });
+    expect(() => ClientManager.remove(client.id)).toThrow(DependentRecordsError);
+    expect(ClientManager.remove(client.id, { reassignTo: replacement.id })).toBe(true);
+
+    expect(ClientManager.findById(client.id)).toBeNull();
+    expect(InvoiceManager.findById(invoice.id)).toEqual(
+      expect.objectContaining({ clientId: replacement.id, clientName: 'New Client', total: invoice.total })
+    );
+    expect(QuoteManager.list()[0].clientId).toBe(replacement.id);
+    expect(RecurringInvoiceManager.list()[0].clientId).toBe(replacement.id);
+    expect(PaymentManager.listByInvoice(invoice.id)[0].clientName).toBe('New Client');
+  });
+
+  test('applies the same rules to services referenced by line items', () => {
+    const client = createClient('Service Client', 'SC');
+    const service = ServiceManager.create({ description: 'Callout', unitPrice: 90 });
+    const replacement = ServiceManager.create({ description: 'Callout (new)', unitPrice: 95 });
+    const invoice = InvoiceManager.create({
+      clientId: client.id,
+      lineItems: [{ serviceId: service.id, description: 'Callout', quantity: 1, unitPrice: 90, applyGst: false }]
+    });
+
+    let blocked;
+    try {
+      ServiceManager.remove(service.id);
+    } catch (error) {
+      blocked = error;
+    }
+    expect(blocked).toBeInstanceOf(DependentRecordsError);
+    expect(blocked.dependents).toEqual({ invoices: [invoice.id], quotes: [], recurringSchedules: [] });
+    expect(blocked.message).toBe(
+      'This service is still used by 1 invoice. Archive it or reassign them to another service instead.'
+    );
+
+    expect(() => SettingsManager.update({ ...SettingsManager.get(), serviceDeletePolicy: 'ignore' })).toThrow(
+      /Service delete policy must be one of block, archive, reassign/
+    );
+    SettingsManager.update({ ...SettingsManager.get(), serviceDeletePolicy: 'archive' });
+    expect(ServiceManager.remove(service.id)).toBe(false);
+    expect(ServiceManager.listActive().map(({ id }) => id)).toEqual([replacement.id]);
+
+    expect(ServiceManager.remove(service.id, { policy: 'reassign', reassignTo: replacement.id })).toBe(true);
+    const [line] = InvoiceManager.findById(invoice.id).lineItems;
+    expect(line).toEqual(expect.objectContaining({ serviceId: replacement.id, unitPrice: 90 }));
+    expect(() => ServiceManager.remove(replacement.id, { policy: 'block' })).toThrow(DependentRecordsError);
+  });
+});
+
+describe('Money', () => {
+  test('converts and multiplies amounts in integer cents', () => {
+    expect(Money.toCents(1.005)).toBe(101);
+    expect(Money.toCents('0.30000000000000004')).toBe(30);
+    expect(Money.toCents(-2.345)).toBe(-235);
+    expect(Money.fromCents(Money.toCents(0.1) + Money.toCents(0.2))).toBe(0.3);
+    expect(Money.multiply(12345, 0.1)).toBe(1235);
+    expect(Money.resolveCents(undefined, 450)).toBe(450);
+    expect(Money.resolveCents('4.60', 450)).toBe(460);
+  });
+
+  test('rounds GST per invoice or per line and keeps payments in cents', () => {
+    const client = ClientManager.create({
+      name: 'Cents Client',
+      businessName: 'Cents Co',
+      address: '7 Penny Lane',
+      abn: '77 777 777 777',
+      contact: '0400000007',
+      prefix: 'CC'
+    });
+    const lineItems = [1, 2, 3].map((index) => ({
+      description: `Washer ${index}`,
+      quantity: 1,
+      unitPrice: 0.15,
+      applyGst: true
+    }));
+
+    const perInvoice = InvoiceManager.create({ clientId: client.id, lineItems });
+    expect(perInvoice).toEqual(
+      expect.objectContaining({
+        gstRounding: 'invoice',
+        subtotalCents: 45,
+        gstTotalCents: 5,
+        totalCents: 50,
+        total: 0.5
+      })
+    );
+    expect(perInvoice.lineItems.map((line) => line.gstCents)).toEqual([2, 1, 2]);
+
+    SettingsManager.update({ ...SettingsManager.get(), gstRounding: 'line' });
+    const perLine = InvoiceManager.create({ clientId: client.id, lineItems });
+    expect(perLine).toEqual(expect.objectContaining({ gstRounding: 'line', gstTotalCents: 6, total: 0.51 }));
+    expect(InvoiceManager.findById(perInvoice.id).gstTotalCents).toBe(5);
+    expect(() => SettingsManager.update({ ...SettingsManager.get(), gstRounding: 'nearest' })).toThrow(
+      /GST rounding must be one of invoice, line/
+    );
+
+    [0.1, 0.2, 0.2].forEach((amount) => PaymentManager.recordPayment(perInvoice.id, amount, '2024-07-01'));
+    expect(InvoiceManager.findById(perInvoice.id)).toEqual(
+      expect.objectContaining({ status: 'paid', amountPaidCents: 50, balanceDueCents: 0 })
+    );
+    expect(PaymentManager.listByInvoice(perInvoice.id).map((payment) => payment.amountCents)).toEqual([10, 20, 20]);
+    expect(ReportManager.getGstSummary().paidGst).toBe(0.05);
+    expect(ExportManager.getPaidInvoiceRows()).toEqual([
+      expect.objectContaining({ subtotal: '0.45', gstTotal: '0.05', invoiceTotal: '0.50', amountPaid: '0.50' })
+    ]);
+  });
+});
+
+describe('ProfileManager', () => {
+  afterEach(async () => {
+    await DataManager.switchProfile(DataManager.DEFAULT_PROFILE_ID);
+    delete global.document;
+    jest.restoreAllMocks();
+  });
+
+  const createClient = (name) =>
+    ClientManager.create({
+      name,
+      businessName: `${name} Co`,
+      address: '3 Profile Road',
+      abn: '33 333 333 333',
+      contact: '0400000003',
+      prefix: 'PR'
+    });
+
+  test('keeps clients, settings and numbering separate for each business', async () => {
+    SettingsManager.update({ ...SettingsManager.get(), businessName: 'Zantra Plumbing' });
+    const plumbingClient = createClient('Plumbing Client');
+    const plumbingInvoice = InvoiceManager.create({
+      clientId: plumbingClient.id,
+      issueDate: '2024-05-01',
+      dueDate: '2024-05-02',
+      lineItems: [{ description: 'Blocked drain', quantity: 1, unitPrice: 200, applyGst: true }]
+    });
+
+    const electrical = ProfileManager.create({ name: 'Zantra Electrical' });
+    expect(electrical.id).toBe('zantra-electrical');
+    expect(() => ProfileManager.create({ name: 'zantra electrical' })).toThrow(/already exists/);
+
+    await ProfileManager.switchTo(electrical.id);
+    expect(DataManager.getProfileId()).toBe('zantra-electrical');
+    expect(ProfileManager.getStoredActiveId()).toBe('zantra-electrical');
+    expect(ClientManager.list()).toEqual([]);
+    expect(SettingsManager.get().businessName).not.toBe('Zantra Plumbing');
+    const electricalInvoice = InvoiceManager.create({
+      clientId: createClient('Electrical Client').id,
+      lineItems: [{ description: 'Switchboard', quantity: 1, unitPrice: 500, applyGst: true }]
+    });
+    expect(electricalInvoice.number).toBe(plumbingInvoice.number);
+
+    await ProfileManager.switchTo(DataManager.DEFAULT_PROFILE_ID);
+    expect(ClientManager.list().map((client) => client.name)).toEqual(['Plumbing Client']);
+    expect(SettingsManager.get().businessName).toBe('Zantra Plumbing');
+
+    const summary = await ReportManager.getConsolidatedSummary(new Date('2024-06-01'));
+    expect(summary.profiles.map((row) => [row.profileId, row.outstandingAmount, row.overdueAmount])).toEqual([
+      ['default', 220, 220],
+      ['zantra-electrical', 550, 0]
+    ]);
+    expect(summary.totals).toEqual(
+      expect.objectContaining({ invoiceCount: 2, outstandingAmount: 770, gstCollected: 70 })
+    );
+  });
+
+  test('backs up and deletes a business without touching the active one', async () => {
+    const anchor = { style: {}, click: jest.fn() };
+    global.document = {
+      createElement: () => anchor,
+      body: { appendChild: jest.fn(), removeChild: jest.fn() }
+    };
+    jest.spyOn(URL, 'createObjectURL').mockReturnValue('blob:backup');
+    jest.spyOn(URL, 'revokeObjectURL').mockImplementation(() => undefined);
+
+    createClient('Main Client');
+    const landscaping = ProfileManager.create({ name: 'Landscaping' });
+    await ProfileManager.switchTo(landscaping.id);
+    createClient('Garden Client');
+    await ProfileManager.switchTo(DataManager.DEFAULT_PROFILE_ID);
+
+    const backup = await BackupManager.downloadBackup({ profileId: landscaping.id });
+    expect(backup.profile).toEqual({ id: 'landscaping', name: 'Landscaping' });
+    expect(backup.data.clients.map((client) => client.name)).toEqual(['Garden Client']);
+    expect(anchor.download).toMatch(/^zantra-backup-landscaping-/);
+
+    await expect(ProfileManager.remove(DataManager.DEFAULT_PROFILE_ID)).rejects.toThrow(/cannot be deleted/);
+    await expect(ProfileManager.remove(landscaping.id)).resolves.toBe(true);
+    expect(ProfileManager.list().map((profile) => profile.id)).toEqual(['default']);
+    expect((await DataManager.loadProfileData(landscaping.id)).clients).toBeNull();
+    expect(ClientManager.list().map((client) => client.name)).toEqual(['Main Client']);
+  });
+});
+
+describe('Query API', () => {
+  const createClient = (name) =>
+    ClientManager.create({
+      name,
+      businessName: `${name} Pty Ltd`,
+      address: '9 Query Street',
+      abn: '99 999 999 999',
+      contact: '0400000009',
+      prefix: 'QA'
+    });
+
+  test('filters, sorts and paginates invoices from the indexes', () => {
+    const harbour = createClient('Harbour');
+    const ridge = createClient('Ridge');
+    const invoices = Array.from({ length: 12 }, (_, index) =>
+      InvoiceManager.create({
+        clientId: index % 3 === 0 ? ridge.id : harbour.id,
+        issueDate: `2024-01-${String(index + 1).padStart(2, '0')}`,
+        dueDate: `2024-02-${String(index + 1).padStart(2, '0')}`,
+        lineItems: [
+          { description: index === 4 ? 'Hot water system' : 'Tap washer', quantity: 1, unitPrice: 100 + index }
+        ]
+      })
+    );
+    InvoiceManager.markPaid(invoices[0].id, '2024-01-05');
+    PaymentManager.recordPayment(invoices[1].id, 50, '2024-01-06');
+
+    const firstPage = InvoiceManager.query({ limit: 5 });
+    expect(firstPage).toEqual(expect.objectContaining({ total: 12, limit: 5, offset: 0 }));
+    expect(firstPage.items.map((invoice) => invoice.issueDate.slice(0, 10))).toEqual([
+      '2024-01-12',
+      '2024-01-11',
+      '2024-01-10',
+      '2024-01-09',
+      '2024-01-08'
+    ]);
+    expect(InvoiceManager.query({ limit: 5, offset: 10 }).items).toHaveLength(2);
+
+    expect(InvoiceManager.query({ clientId: ridge.id }).total).toBe(4);
+    expect(InvoiceManager.query({ status: ['paid', 'partial'], sort: 'issueDate' }).items.map((i) => i.id)).toEqual([
+      invoices[0].id,
+      invoices[1].id
+    ]);
+    expect(InvoiceManager.query({ issuedBetween: ['2024-01-03', '2024-01-05'] }).total).toBe(3);
+    expect(InvoiceManager.query({ search: 'hot water' }).items.map((invoice) => invoice.id)).toEqual([invoices[4].id]);
+    expect(InvoiceManager.query({ search: 'ridge pty' }).total).toBe(4);
+    expect(InvoiceManager.query({ overdue: true, referenceDate: '2024-02-03' }).total).toBe(1);
+    expect(InvoiceManager.query({ sort: '-total', limit: 1 }).items[0].id).toBe(invoices[11].id);
+    expect(() => InvoiceManager.query({ sort: 'colour' })).toThrow(/cannot sort by "colour"/);
+    expect(() => InvoiceManager.query({ limit: -1 })).toThrow(/limit must be a whole number/);
+
+    expect(PaymentManager.query({ clientId: harbour.id }).items.map((payment) => payment.amount)).toEqual([50]);
+    expect(QuoteManager.query().total).toBe(0);
+  });
+
+  test('keeps indexes in step with writes and finds records without listing them', () => {
+    const first = createClient('First');
+    const second = createClient('Second');
+    const invoice = InvoiceManager.create({
+      clientId: first.id,
+      lineItems: [{ description: 'Inspection', quantity: 1, unitPrice: 80 }]
+    });
+    expect(DataManager.queryRecords('invoices', { clientId: first.id })).toHaveLength(1);
+
+    const listSpy = jest.spyOn(DataManager, 'listInvoices');
+    InvoiceManager.update(invoice.id, { clientId: second.id });
+    expect(InvoiceManager.findById(invoice.id).clientId).toBe(second.id);
+    expect(listSpy).not.toHaveBeenCalled();
+    listSpy.mockRestore();
+
+    expect(DataManager.queryRecords('invoices', { clientId: first.id })).toEqual([]);
+    expect(DataManager.queryRecords('invoices', { clientId: second.id }).map((record) => record.id)).toEqual([
+      invoice.id
+    ]);
+    expect(ClientManager.findDependents(second.id).invoices).toHaveLength(1);
+
+    InvoiceManager.remove(invoice.id);
+    expect(InvoiceManager.findById(invoice.id)).toBeNull();
+    expect(DataManager.queryRecords('invoices', { clientId: second.id })).toEqual([]);
+    TrashManager.restore('invoices', invoice.id);
+    expect(InvoiceManager.findById(invoice.id)).not.toBeNull();
+    expect(() => DataManager.queryRecords('settings')).toThrow(/unknown collection "settings"/);
+  });
+});
+
+describe('Encryption', () => {
+  const options = { iterations: 1000 };
+
+  afterEach(async () => {
+    localStorage.clear();
+    await DataManager.initialize({
+      adapter: DataManager.createAdapter(DataManager.DEFAULT_PROFILE_ID, { indexedDB: false })
+    });
+  });
+
+  const rawStorage = () =>
+    Array.from({ length: localStorage.length }, (_, index) => localStorage.getItem(localStorage.key(index))).join('\n');
+
+  test('encrypts every collection and locks until the passphrase is entered', async () => {
+    SettingsManager.update({ ...SettingsManager.get(), businessName: 'Secret Plumbing' });
+    const client = ClientManager.create({
+      name: 'Hidden Client',
+      businessName: 'Hidden Co',
+      address: '9 Vault Lane',
+      abn: '99 999 999 999',
+      contact: '0400000009',
+      prefix: 'HC'
+    });
+
+    await expect(EncryptionManager.enable('short', 'short', options)).rejects.toThrow(PassphraseError);
+    await expect(EncryptionManager.enable('correct horse', 'correct house', options)).rejects.toThrow(/do not match/);
+    await EncryptionManager.enable('correct horse', 'correct horse', options);
+    expect(EncryptionManager.getStatus()).toEqual(expect.objectContaining({ enabled: true, locked: false }));
+    await DataManager.flush();
+    expect(rawStorage()).not.toMatch(/Hidden Client|Secret Plumbing|9 Vault Lane/);
+    expect(ClientManager.findById(client.id).name).toBe('Hidden Client');
+
+    await EncryptionManager.lock();
+    expect(DataManager.isLocked()).toBe(true);
+    expect(ClientManager.list()).toEqual([]);
+    expect(() => ClientManager.update(client.id, { name: 'Changed' })).toThrow();
+    expect(() => DataManager.save('clients', [])).toThrow(LockedStorageError);
+    await expect(EncryptionManager.unlock('wrong passphrase')).rejects.toThrow(PassphraseError);
+
+    await EncryptionManager.unlock('correct horse');
+    expect(ClientManager.findById(client.id).name).toBe('Hidden Client');
+    expect(SettingsManager.get().businessName).toBe('Secret Plumbing');
+  });
+
+  test('re-keys and unlocks again after a restart', async () => {
+    ClientManager.create({
+      name: 'Rekey Client',
+      businessName: 'Rekey Co',
+      address: '4 Key Street',
+      abn: '44 444 444 444',
+      contact: '0400000004',
+      prefix: 'RK'
+    });
+    await EncryptionManager.enable('first passphrase', 'first passphrase', options);
+    await expect(
+      EncryptionManager.changePassphrase('not the passphrase', 'second passphrase', 'second passphrase', options)
+    ).rejects.toThrow(PassphraseError);
+    await EncryptionManager.changePassphrase('first passphrase', 'second passphrase', 'second passphrase', options);
+
+    await DataManager.initialize({
+      adapter: DataManager.createAdapter(DataManager.DEFAULT_PROFILE_ID, { indexedDB: false })
+    });
+    expect(EncryptionManager.getStatus()).toEqual(expect.objectContaining({ enabled: true, locked: true }));
+    await expect(EncryptionManager.unlock('first passphrase')).rejects.toThrow(PassphraseError);
+    await EncryptionManager.unlock('second passphrase');
+    expect(ClientManager.list().map((client) => client.name)).toEqual(['Rekey Client']);
+
+    await EncryptionManager.disable('second passphrase');
+    expect(EncryptionManager.getStatus().enabled).toBe(false);
+    expect(rawStorage()).toMatch(/Rekey Client/);
+    expect(ClientManager.list().map((client) => client.name)).toEqual(['Rekey Client']);
+  });
+
+  test('locks automatically after the configured idle time', async () => {
+    jest.useFakeTimers();
+    const target = new EventTarget();
+    try {
+      await EncryptionManager.enable('idle passphrase', 'idle passphrase', options);
+      SettingsManager.update({ ...SettingsManager.get(), autoLockMinutes: 5 });
+      expect(() => SettingsManager.update({ ...SettingsManager.get(), autoLockMinutes: 2000 })).toThrow(
+        /Auto-lock minutes must be a whole number between 0 and 1440/
+      );
+      const locked = new Promise((resolve) => DataManager.subscribe('storage:locked', resolve));
+      const stop = EncryptionManager.startAutoLock({ target });
+      jest.advanceTimersByTime(4 * 60 * 1000);
+      target.dispatchEvent(new Event('keydown'));
+      jest.advanceTimersByTime(4 * 60 * 1000);
+      expect(DataManager.isLocked()).toBe(false);
+      jest.advanceTimersByTime(60 * 1000);
+      await expect(locked).resolves.toEqual(expect.objectContaining({ profileId: 'default' }));
+      expect(DataManager.isLocked()).toBe(true);
+      stop();
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+});
+
+describe('UserManager', () => {
+  const options = { iterations: 1000 };
+
+  beforeEach(() => {
+    UserManager.signOut();
+    localStorage.removeItem('zantra-invoicing-users');
+  });
+
+  afterEach(() => {
+    DataManager.setActor(null);
+    jest.restoreAllMocks();
+  });
+
+  test('requires owner setup on first run and records the signed-in actor', async () => {
+    expect(UserManager.hasUsers()).toBe(false);
+    expect(UserManager.requiresSetup()).toBe(true);
+    expect(UserManager.requiresSignIn()).toBe(true);
+    expect(UserManager.can('settings')).toBe(false);
+    expect(() => SettingsManager.update(SettingsManager.get())).toThrow(PermissionError);
+    await expect(
+      UserManager.create({ name: 'Tech', username: 'tech', password: 'long enough', role: 'field-tech' }, options)
+    ).rejects.toThrow(/first account must be an owner/);
+
+    const owner = await UserManager.create(
+      { name: 'Olivia Owner', username: 'Olivia', password: 'owner password', role: 'owner' },
+      options
+    );
+    expect(owner).not.toHaveProperty('passwordHash');
+    expect(localStorage.getItem('zantra-invoicing-users')).not.toMatch(/owner password/);
+    expect(UserManager.requiresSetup()).toBe(false);
+    expect(UserManager.requiresSignIn()).toBe(true);
+    expect(() => SettingsManager.update(SettingsManager.get())).toThrow('Sign in to continue.');
+
+    await expect(UserManager.signIn('olivia', 'wrong password')).rejects.toThrow(AuthenticationError);
+    await expect(UserManager.signIn('nobody', 'owner password')).rejects.toThrow(AuthenticationError);
+    await UserManager.signIn(' OLIVIA ', 'owner password');
+    expect(UserManager.getCurrentUser().id).toBe(owner.id);
+    expect(UserManager.getCurrentUser()).not.toHaveProperty('sessionToken');
+    expect(DataManager.getActor()).toEqual({ id: owner.id, name: 'Olivia Owner' });
+
+    SettingsManager.update({ ...SettingsManager.get(), businessName: 'Owner Edit' });
+    expect(DataManager.listAuditLog().at(-1).actor).toEqual({ id: owner.id, name: 'Olivia Owner' });
+    expect(() => UserManager.remove(owner.id)).toThrow(/signed in with/);
+    expect(() => UserManager.update(owner.id, { role: 'bookkeeper' })).toThrow(/at least one owner/);
+
+    jest.spyOn(Date, 'now').mockReturnValue(Date.now() + UserManager.SESSION_DURATION_MS + 1000);
+    expect(UserManager.getCurrentUser()).toBeNull();
+    expect(UserManager.requiresSignIn()).toBe(true);
+  });
+
+  test('enforces role permissions in the managers', async () => {
+    await UserManager.create({ name: 'Owner', username: 'owner', password: 'owner password', role: 'owner' }, options);
+    await UserManager.signIn('owner', 'owner password');
+    const tech = await UserManager.create(
+      { name: 'Field Tech', username: 'tech', password: 'tech password', role: 'field-tech' },
+      options
+    );
+    await expect(
+      UserManager.create({ name: 'Again', username: 'TECH', password: 'tech password', role: 'bookkeeper' }, options)
+    ).rejects.toThrow(/already taken/);
+    UserManager.signOut();
+    expect(DataManager.getActor()).toEqual({ id: 'local', name: 'Local user' });
+
+    await UserManager.signIn('tech', 'tech password');
+    expect(UserManager.can('reports')).toBe(false);
+    expect(() => SettingsManager.update(SettingsManager.get())).toThrow(PermissionError);
+    expect(() => ReportManager.getGstSummary()).toThrow(PermissionError);
+    expect(() => ExportManager.getPaidInvoiceRows()).toThrow(PermissionError);
+    await expect(ReportManager.getConsolidatedSummary()).rejects.toThrow(PermissionError);
+    expect(() => ProfileManager.create({ name: 'Side Business' })).toThrow(PermissionError);
+    await expect(
+      UserManager.create({ name: 'Sneaky', username: 'sneaky', password: 'sneaky password', role: 'owner' }, options)
+    ).rejects.toThrow(PermissionError);
+
+    const client = ClientManager.create({
+      name: 'Site Client',
+      businessName: 'Site Co',
+      address: '7 Job Street',
+      abn: '77 777 777 777',
+      contact: '0400000007',
+      prefix: 'SC'
+    });
+    expect(ReportManager.getDashboardMetrics()).toBeDefined();
+    expect(DataManager.listAuditLog().at(-1)).toEqual(
+      expect.objectContaining({ recordId: client.id, actor: { id: tech.id, name: 'Field Tech' } })
+    );
+    await UserManager.setPassword(tech.id, 'new tech password', options);
+    UserManager.signOut();
+    await expect(UserManager.signIn('tech', 'tech password')).rejects.toThrow(AuthenticationError);
+    await UserManager.signIn('tech', 'new tech password');
+  });
+
+  test('rejects sessions that were edited in storage', async () => {
+    const owner = await UserManager.create(
+      { name: 'Owner', username: 'owner', password: 'owner password', role: 'owner' },
+      options
+    );
+    await UserManager.signIn('owner', 'owner password');
+    await UserManager.create(
+      { name: 'Field Tech', username: 'tech', password: 'tech password', role: 'field-tech' },
+      options
+    );
+    UserManager.signOut();
+    const tech = await UserManager.signIn('tech', 'tech password');
+    const session = JSON.parse(localStorage.getItem('zantra-invoicing-session'));
+
+    localStorage.setItem('zantra-invoicing-session', JSON.stringify({ ...session, role: 'owner' }));
+    expect(UserManager.getCurrentUser()).toEqual(expect.objectContaining({ id: tech.id, role: 'field-tech' }));
+    expect(UserManager.can('settings')).toBe(false);
+
+    localStorage.setItem('zantra-invoicing-session', JSON.stringify({ ...session, userId: owner.id }));
+    expect(UserManager.getCurrentUser()).toBeNull();
+    expect(UserManager.can('settings')).toBe(false);
+    expect(UserManager.requiresSignIn()).toBe(true);
+    expect(localStorage.getItem('zantra-invoicing-session')).toBeNull();
+
+    await UserManager.signIn('tech', 'tech password');
+    UserManager.signOut();
+    localStorage.setItem('zantra-invoicing-session', JSON.stringify(session));
+    expect(UserManager.getCurrentUser()).toBeNull();
+  });
+});
+
+describe('Storage', () => {
+  afterEach(() => {
+    delete global.document;
+    jest.restoreAllMocks();
+  });
+
+  const createPaidInvoice = (issueDate, credit = 0) => {
+    const client = ClientManager.create({
+      name: `Client ${issueDate}`,
+      businessName: 'Archive Co',
+      address: '9 Archive Lane',
+      abn: '99 999 999 999',
+      contact: '0400000009',
+      prefix: 'AR'
+    });
+    const invoice = InvoiceManager.create({
+      clientId: client.id,
+      issueDate,
+      dueDate: issueDate,
+      lineItems: [{ description: 'Archived work', quantity: 1, unitPrice: 100, applyGst: false }]
+    });
+    if (credit) {
+      CreditNoteManager.create({
+        invoiceId: invoice.id,
+        lineItems: [{ description: 'Archive credit', quantity: 1, unitPrice: credit, applyGst: false }]
+      });
+    }
+    PaymentManager.recordPayment(invoice.id, 100 - credit, issueDate);
+    return invoice;
+  };
+
+  test('surfaces quota errors and leaves the record unsaved', async () => {
+    const quotaError = Object.assign(new Error('The quota has been exceeded.'), { name: 'QuotaExceededError' });
+    jest.spyOn(localStorage, 'setItem').mockImplementation(() => {
+      throw quotaError;
+    });
+
+    let thrown = null;
+    try {
+      ClientManager.create({
+        name: 'Full Client',
+        businessName: 'Full Co',
+        address: '1 Full Street',
+        abn: '11 111 111 111',
+        contact: '0400000000',
+        prefix: 'FC'
+      });
+    } catch (error) {
+      thrown = error;
+    }
+    expect(thrown).toBeInstanceOf(StorageQuotaError);
+    expect(thrown).toBeInstanceOf(StorageError);
+    expect(thrown.cause).toBe(quotaError);
+    expect(thrown.message).toMatch(/storage on this device is full/);
+    expect(ClientManager.list()).toEqual([]);
+
+    jest.restoreAllMocks();
+    const status = await StorageManager.getStatus();
+    expect(status.level).toBe('ok');
+    expect(StorageManager.levelFor(0.85)).toBe('warning');
+    expect(StorageManager.levelFor(0.97)).toBe('critical');
+  });
+
+  test('tracks usage per collection against the estimated quota', async () => {
+    createPaidInvoice('2024-01-10');
+    const usage = await DataManager.getStorageUsage();
+    expect(usage.adapter).toBe('localStorage');
+    expect(usage.collections.invoices).toBeGreaterThan(0);
+    expect(usage.collections.clients).toBeGreaterThan(0);
+    expect(usage.quotaBytes).toBe(5 * 1024 * 1024);
+    expect(usage.usedBytes).toBeGreaterThanOrEqual(usage.profileBytes);
+    expect(usage.ratio).toBeCloseTo(usage.usedBytes / usage.quotaBytes);
+  });
+
+  test('archives old paid invoices to a file and restores them', async () => {
+    const anchor = { style: {}, click: jest.fn() };
+    global.document = {
+      createElement: () => anchor,
+      body: { appendChild: jest.fn(), removeChild: jest.fn() }
+    };
+    let archivedBlob = null;
+    jest.spyOn(URL, 'createObjectURL').mockImplementation((blob) => {
+      archivedBlob = blob;
+      return 'blob:archive';
+    });
+    jest.spyOn(URL, 'revokeObjectURL').mockImplementation(() => undefined);
+
+    const oldInvoice = createPaidInvoice('2023-02-01', 20);
+    const recentInvoice = createPaidInvoice('2024-06-01');
+    expect(StorageManager.findArchivableInvoices({ before: '2024-01-01' }).map(({ invoice }) => invoice.id)).toEqual([
+      oldInvoice.id
+    ]);
+
+    const archive = await BackupManager.archivePaidInvoices({ before: '2024-01-01' });
+    expect(anchor.download).toMatch(/^zantra-archive-default-/);
+    expect(archive.data.invoices.map((invoice) => invoice.id)).toEqual([oldInvoice.id]);
+    expect(archive.data.payments).toHaveLength(1);
+    expect(archive.data.creditNotes).toHaveLength(1);
+    expect(InvoiceManager.list().map((invoice) => invoice.id)).toEqual([recentInvoice.id]);
+    expect(DataManager.listPayments().some((payment) => payment.invoiceId === oldInvoice.id)).toBe(false);
+    expect(CreditNoteManager.list()).toEqual([]);
+    expect(IntegrityManager.scan().issues).toEqual([]);
+    expect(DataManager.listAuditLog().at(-1)).toEqual(
+      expect.objectContaining({ recordId: oldInvoice.id, action: 'archived' })
+    );
+    await expect(BackupManager.archivePaidInvoices({ before: '2024-01-01' })).rejects.toThrow(/no paid invoices/);
+
+    const result = await BackupManager.restoreBackup({ text: () => archivedBlob.text() });
+    expect(result.restored).toEqual({ invoices: 1, payments: 1, creditNotes: 1 });
+    expect(InvoiceManager.findById(oldInvoice.id).status).toBe('paid');
+    expect(InvoiceManager.list()).toHaveLength(2);
+    expect(CreditNoteManager.listByInvoice(oldInvoice.id)).toHaveLength(1);
+  });
+
+  test('migrates archives from older versions and rejects newer ones', async () => {
+    const archiveFile = (schemaVersion) => ({
+      text: async () =>
+        JSON.stringify({
+          type: 'zantra-invoice-archive',
+          schemaVersion,
+          profile: { id: 'default', name: 'Default' },
+          data: {
+            invoices: [{ id: 'inv-legacy', clientId: 'client-legacy', status: 'paid', total: 110, balanceDue: 0 }],
+            payments: [{ id: 'pay-legacy', invoiceId: 'inv-legacy', amount: 110, date: '2022-03-01' }]
+          }
+        })
+    });
+
+    await expect(BackupManager.restoreBackup(archiveFile(DataManager.BACKUP_SCHEMA_VERSION + 1))).rejects.toThrow(
+      /newer version/
+    );
+    expect(DataManager.findRecord('invoices', 'inv-legacy')).toBeNull();
+
+    const result = await BackupManager.restoreBackup(archiveFile(1));
+    expect(result.restored).toEqual({ invoices: 1, payments: 1, creditNotes: 0 });
+    expect(DataManager.findRecord('invoices', 'inv-legacy')).toEqual(
+      expect.objectContaining({ totalCents: 11000, balanceDueCents: 0, revision: 1 })
+    );
+    expect(DataManager.findRecord('payments', 'pay-legacy')).toEqual(
+      expect.objectContaining({ amountCents: 11000, revision: 1 })
+    );
+  });
+});
+
+describe('IntegrityManager', () => {
+  const createClient = (name) =>
+    ClientManager.create({
+      name,
+      businessName: `${name} Co`,
+      address: '5 Ledger Street',
+      abn: '55 555 555 555',
+      contact: '0400000005',
+      prefix: 'IN'
+    });
+
+  const createInvoice = (client, unitPrice = 100) =>
+    InvoiceManager.create({
+      clientId: client.id,
+      issueDate: '2024-04-01',
+      dueDate: '2024-04-15',
+      lineItems: [{ description: 'Checked work', quantity: 1, unitPrice, applyGst: false }]
+    });
+
+  test('reverts the invoice balance when a payment is removed', () => {
+    const invoice = createInvoice(createClient('Refund Client'));
+    const payment = PaymentManager.recordPayment(invoice.id, 100, '2024-04-05');
+    expect(InvoiceManager.findById(invoice.id).status).toBe('paid');
+
+    PaymentManager.remove(payment.id);
+    const reverted = InvoiceManager.findById(invoice.id);
+    expect(reverted).toEqual(
+      expect.objectContaining({ status: 'unpaid', amountPaidCents: 0, balanceDueCents: 10000, paidAt: '' })
+    );
+    expect(IntegrityManager.scan().issues).toEqual([]);
+  });
+
+  test('reapplies a payment to the invoice balance when it is restored from the trash', () => {
+    const invoice = createInvoice(createClient('Restore Client'));
+    const payment = PaymentManager.recordPayment(invoice.id, 40, '2024-04-05');
+    PaymentManager.remove(payment.id);
+    expect(InvoiceManager.findById(invoice.id).balanceDueCents).toBe(10000);
+
+    TrashManager.restore('payments', payment.id);
+    expect(InvoiceManager.findById(invoice.id)).toEqual(
+      expect.objectContaining({ status: 'partial', amountPaidCents: 4000, balanceDueCents: 6000 })
+    );
+    expect(IntegrityManager.scan().issues).toEqual([]);
+
+    PaymentManager.remove(payment.id);
+    PaymentManager.recordPayment(invoice.id, 100, '2024-04-06');
+    expect(() => TrashManager.restore('payments', payment.id)).toThrow(/exceeds outstanding balance/);
+    expect(PaymentManager.listByInvoice(invoice.id)).toHaveLength(1);
+  });
+
+  test('leaves invoices marked paid without payment records alone', () => {
+    const invoice = createInvoice(createClient('Settled Client'));
+    InvoiceManager.markPaid(invoice.id, '2024-04-10');
+
+    expect(IntegrityManager.scan().issues).toEqual([]);
+    expect(IntegrityManager.repairAll()).toEqual([]);
+    expect(InvoiceManager.findById(invoice.id)).toEqual(
+      expect.objectContaining({ status: 'paid', amountPaidCents: 10000, balanceDueCents: 0 })
+    );
+  });
+
+  test('finds and repairs inconsistent records', () => {
+    const client = createClient('Ledger Client');
+    const goneClient = createClient('Gone Client');
+    const drifted = createInvoice(client);
+    PaymentManager.recordPayment(drifted.id, 40, '2024-04-05');
+    const duplicate = createInvoice(client);
+    const miscounted = createInvoice(client, 250);
+    const orphaned = createInvoice(goneClient);
+
+    const raw = (id) => DataManager.findRecord('invoices', id);
+    DataManager.saveInvoice({ ...raw(drifted.id), amountPaid: 0, amountPaidCents: 0 });
+    DataManager.saveInvoice({ ...raw(duplicate.id), number: drifted.number, createdAt: '2099-01-01T00:00:00.000Z' });
+    DataManager.saveInvoice({ ...raw(miscounted.id), total: 999, totalCents: 99900 });
+    DataManager.savePayment({
+      id: 'stray-payment',
+      invoiceId: 'missing-invoice',
+      invoiceNumber: 'OLD-1',
+      amount: 10,
+      amountCents: 1000
+    });
+    DataManager.deleteClient(goneClient.id);
+
+    const { issues } = IntegrityManager.scan();
+    expect(issues.map((issue) => issue.id).sort()).toEqual(
+      [
+        `missing-client:${goneClient.id}`,
+        'orphaned-payment:stray-payment',
+        `duplicate-number:${duplicate.id}`,
+        `totals-mismatch:${miscounted.id}`,
+        `payment-mismatch:${drifted.id}`
+      ].sort()
+    );
+    expect(issues.find((issue) => issue.type === 'payment-mismatch').message).toBe(
+      `${drifted.number} records $0.00 paid but its payments add up to $40.00.`
+    );
+    expect(issues.find((issue) => issue.type === 'missing-client').repair).toMatch(/Restore the client/);
+
+    IntegrityManager.repair(`payment-mismatch:${drifted.id}`);
+    expect(InvoiceManager.findById(drifted.id)).toEqual(
+      expect.objectContaining({ status: 'partial', amountPaidCents: 4000, balanceDueCents: 6000 })
+    );
+    expect(() => IntegrityManager.repair(`payment-mismatch:${drifted.id}`)).toThrow(/No issue found/);
+
+    expect(IntegrityManager.repairAll().map((issue) => issue.type)).toEqual([
+      'missing-client',
+      'orphaned-payment',
+      'duplicate-number',
+      'totals-mismatch'
+    ]);
+    expect(IntegrityManager.scan().issues).toEqual([]);
+    expect(ClientManager.findById(goneClient.id)?.name).toBe('Gone Client');
+    expect(DataManager.listDeleted('payments').map((payment) => payment.id)).toEqual(['stray-payment']);
+    expect(InvoiceManager.findById(duplicate.id).number).not.toBe(drifted.number);
+    expect(raw(miscounted.id).totalCents).toBe(25000);
+    expect(InvoiceManager.findById(orphaned.id).clientId).toBe(goneClient.id);
+  });
+});
+
+describe('UndoManager', () => {
+  afterEach(() => {
+    UndoManager.clear();
+  });
+
+  const createClient = () =>
+    ClientManager.create({
+      name: 'Undo Client',
+      businessName: 'Undo Co',
+      address: '8 Rewind Road',
+      abn: '88 888 888 888',
+      contact: '0400000008',
+      prefix: 'UN'
+    });
+
+  test('undoes and redoes deletes, payments and quote conversions', () => {
+    const client = createClient();
+    const invoice = UndoManager.record(
+      (created) => `Invoice ${created.number} created`,
+      () =>
+        InvoiceManager.create({
+          clientId: client.id,
+          issueDate: '2024-05-01',
+          dueDate: '2024-05-15',
+          lineItems: [{ description: 'Undoable work', quantity: 1, unitPrice: 200, applyGst: false }]
+        })
+    );
+    UndoManager.record('Payment recorded', () => PaymentManager.recordPayment(invoice.id, 200, '2024-05-03'));
+    UndoManager.record('Invoice deleted', () => InvoiceManager.remove(invoice.id));
+    expect(UndoManager.list().undo.map((entry) => entry.description)).toEqual([
+      'Invoice deleted',
+      'Payment recorded',
+      `Invoice ${invoice.number} created`
+    ]);
+
+    expect(UndoManager.undo()).toBe('Invoice deleted');
+    expect(InvoiceManager.findById(invoice.id).status).toBe('paid');
+    expect(UndoManager.undo()).toBe('Payment recorded');
+    expect(InvoiceManager.findById(invoice.id)).toEqual(
+      expect.objectContaining({ status: 'unpaid', balanceDueCents: 20000 })
+    );
+    expect(PaymentManager.listByInvoice(invoice.id)).toEqual([]);
+    expect(DataManager.listDeleted('payments')).toEqual([]);
+
+    expect(UndoManager.redo()).toBe('Payment recorded');
+    expect(InvoiceManager.findById(invoice.id).status).toBe('paid');
+    expect(PaymentManager.listByInvoice(invoice.id)).toHaveLength(1);
+    expect(UndoManager.peekRedo()).toBe('Invoice deleted');
+
+    UndoManager.undo();
+    UndoManager.undo();
+    expect(InvoiceManager.findById(invoice.id)).toBeNull();
+    expect(DataManager.listDeleted('invoices')).toEqual([]);
+    expect(UndoManager.canUndo()).toBe(false);
+    UndoManager.redo();
+    expect(InvoiceManager.findById(invoice.id).number).toBe(invoice.number);
+
+    const quote = QuoteManager.create({
+      clientId: client.id,
+      issueDate: '2024-05-01',
+      validUntil: '2024-05-31',
+      lineItems: [{ description: 'Quoted work', quantity: 1, unitPrice: 50, applyGst: false }]
+    });
+    UndoManager.record('Quote converted', () => {
+      InvoiceManager.create({ clientId: client.id, issueDate: '2024-05-02', lineItems: quote.lineItems });
+      QuoteManager.update(quote.id, { status: 'converted' });
+    });
+    expect(InvoiceManager.list()).toHaveLength(2);
+    UndoManager.undo();
+    expect(InvoiceManager.list()).toHaveLength(1);
+    expect(QuoteManager.findById(quote.id).status).not.toBe('converted');
+    expect(UndoManager.canRedo()).toBe(true);
+    UndoManager.record('Client updated', () => ClientManager.update(client.id, { name: 'Renamed Client' }));
+    expect(UndoManager.canRedo()).toBe(false);
+  });
+
+  test('refuses to undo a change when the record was edited since', () => {
+    const client = createClient();
+    UndoManager.record('Client renamed', () => ClientManager.update(client.id, { name: 'First Rename' }));
+    ClientManager.update(client.id, { name: 'Edited Elsewhere' });
+    expect(() => UndoManager.undo()).toThrow(/can no longer be undone/);
+    expect(ClientManager.findById(client.id).name).toBe('Edited Elsewhere');
+    expect(UndoManager.canUndo()).toBe(false);
+  });
+
+  test('rolls the numbering sequence back with the documents it numbered', () => {
+    const client = createClient();
+    const createInvoice = () =>
+      InvoiceManager.create({
+        clientId: client.id,
+        issueDate: '2024-05-01',
+        lineItems: [{ description: 'Numbered work', quantity: 1, unitPrice: 100, applyGst: false }]
+      });
+    const first = UndoManager.record('Invoice created', createInvoice);
+    const payment = UndoManager.record('Payment recorded', () =>
+      PaymentManager.recordPayment(first.id, 40, '2024-05-02')
+    );
+    UndoManager.undo();
+    UndoManager.undo();
+    expect(DataManager.listSequences().map(({ id }) => id)).toEqual([]);
+    UndoManager.redo();
+    expect(InvoiceManager.findById(first.id).number).toBe('UN-0001');
+
+    const second = UndoManager.record('Invoice created', createInvoice);
+    expect(second.number).toBe('UN-0002');
+    UndoManager.undo();
+    const replacement = createInvoice();
+    expect(replacement.number).toBe('UN-0002');
+    expect(PaymentManager.recordPayment(first.id, 40, '2024-05-03').receiptNumber).toBe(payment.receiptNumber);
+
+    UndoManager.record('Invoice created', createInvoice);
+    createInvoice();
+    expect(() => UndoManager.undo()).toThrow(/can no longer be undone/);
+    expect(InvoiceManager.list().map(({ number }) => number).sort()).toEqual([
+      'UN-0001',
+      'UN-0002',
+      'UN-0003',
+      'UN-0004'
+    ]);
+  });
+});
+
+describe('Schema validation', () => {
+  const captureError = (operation) => {
+    try {
+      operation();
+    } catch (error) {
+      return error;
+    }
+    throw new Error('Expected the operation to throw.');
+  };
+
+  const createClient = () =>
+    ClientManager.create({
+      name: 'Schema Client',
+      businessName: 'Schema Co',
+      address: '9 Strict Street',
+      abn: '99 999 999 999',
+      contact: '0400000009',
+      prefix: 'SC'
+    });
+
+  test('reports every missing or malformed client field at once', () => {
+    const error = captureError(() => ClientManager.create({ name: 'Jordan', email: 'not-an-email' }));
+    expect(error).toBeInstanceOf(ValidationError);
+    expect(error.errors.map(({ field }) => field)).toEqual([
+      'businessName',
+      'address',
+      'abn',
+      'contact',
+      'prefix',
+      'email'
+    ]);
+    expect(error.forField('email')).toEqual([
+      { field: 'email', code: 'format', message: 'Email must be a valid email address.' }
+    ]);
+    expect(error.message).toMatch(/^Business name is required\./);
+  });
+
+  test('points invoice line item errors at the offending row and field', () => {
+    const client = createClient();
+    const error = captureError(() =>
+      InvoiceManager.create({
+        clientId: client.id,
+        issueDate: 'not a date',
+        lineItems: [
+          { description: 'Valid line', quantity: 1, unitPrice: 100 },
+          { description: 'Broken line', quantity: 0, unitPrice: -5 }
+        ]
+      })
+    );
+    expect(error).toBeInstanceOf(ValidationError);
+    expect(error.errors).toEqual([
+      { field: 'issueDate', code: 'format', message: 'Issue date must be a valid date.' },
+      { field: 'lineItems[1].quantity', code: 'min', message: 'Quantity must be greater than zero.' },
+      { field: 'lineItems[1].unitPrice', code: 'min', message: 'Unit price must be 0 or more.' }
+    ]);
+    expect(error.forField('lineItems')).toHaveLength(2);
+    expect(InvoiceManager.list()).toHaveLength(0);
+
+    const missingClient = captureError(() =>
+      QuoteManager.create({ clientId: 'ghost', lineItems: [{ description: 'Work', quantity: 1 }] })
+    );
+    expect(missingClient.errors).toEqual([
+      { field: 'clientId', code: 'not_found', message: 'No client found for id "ghost".' }
+    ]);
+  });
+});
+
+describe('Invoice lifecycle', () => {
+  const createClient = () =>
+    ClientManager.create({
+      name: 'Lifecycle Client',
+      businessName: 'Lifecycle Co',
+      address: '3 Stage Street',
+      abn: '33 333 333 333',
+      contact: '0400000003',
+      prefix: 'LC'
+    });
+
+  const createInvoice = (clientId, overrides = {}) =>
+    InvoiceManager.create({
+      clientId,
+      issueDate: '2024-04-01',
+      dueDate: '2999-04-15',
+      lineItems: [{ description: 'Lifecycle work', quantity: 1, unitPrice: 200, applyGst: false }],
+      ...overrides
+    });
+
+  test('keeps drafts unnumbered and out of receivables until they are issued', () => {
+    const client = createClient();
+    const draft = createInvoice(client.id, { status: 'draft' });
+    expect(draft.status).toBe('draft');
+    expect(draft.number).toBe('');
+    expect(draft.balanceDueCents).toBe(0);
+    expect(InvoiceManager.getOutstandingInvoices()).toHaveLength(0);
+    expect(() => PaymentManager.recordPayment(draft.id, 50, '2024-04-02')).toThrow(StatusTransitionError);
+
+    const first = createInvoice(client.id);
+    expect(first.number).toBe('LC-0001');
+    expect(InvoiceManager.update(draft.id, { notes: 'Still drafting' }).status).toBe('draft');
+
+    const issued = InvoiceManager.issue(draft.id);
+    expect(issued.status).toBe('unpaid');
+    expect(issued.number).toBe('LC-0002');
+    expect(issued.balanceDueCents).toBe(20000);
+    expect(InvoiceManager.allowedTransitions(draft.id)).toEqual(['sent', 'void']);
+    expect(() => InvoiceManager.issue(draft.id)).toThrow(StatusTransitionError);
+  });
+
+  test('tracks sent and viewed dates, derives overdue and voids without losing the number', () => {
+    const client = createClient();
+    const invoice = createInvoice(client.id, { dueDate: '2024-04-15' });
+    expect(() => InvoiceManager.markViewed(invoice.id)).toThrow(/"unpaid" and cannot be marked "viewed"/);
+
+    const sent = InvoiceManager.markSent(invoice.id, '2024-04-02');
+    expect(sent.status).toBe('sent');
+    expect(sent.sentAt).toBe(new Date('2024-04-02').toISOString());
+    const viewed = InvoiceManager.markViewed(invoice.id, '2024-04-03');
+    expect(viewed.status).toBe('viewed');
+    expect(InvoiceManager.findById(invoice.id).displayStatus).toBe('overdue');
+    expect(InvoiceManager.query({ status: 'overdue' }).items.map(({ id }) => id)).toEqual([invoice.id]);
+    expect(InvoiceManager.query({ status: 'viewed' }).total).toBe(1);
+    expect(() => InvoiceManager.update(invoice.id, { status: 'sent' })).toThrow(StatusTransitionError);
+
+    const voided = InvoiceManager.markVoid(invoice.id, 'Raised in error');
+    expect(voided.status).toBe('void');
+    expect(voided.number).toBe(invoice.number);
+    expect(voided.voidReason).toBe('Raised in error');
+    expect(voided.balanceDueCents).toBe(0);
+    expect(InvoiceManager.query({ status: 'overdue' }).total).toBe(0);
+    expect(() => InvoiceManager.update(invoice.id, { notes: 'Changed' })).toThrow(/void/);
+    expect(() => InvoiceManager.markPaid(invoice.id)).toThrow(StatusTransitionError);
+
+    const partlyPaid = createInvoice(client.id);
+    PaymentManager.recordPayment(partlyPaid.id, 50, '2024-04-05');
+    expect(() => InvoiceManager.markVoid(partlyPaid.id)).toThrow(/"partial" and cannot be marked "void"/);
+  });
+});
+
+describe('Credit notes', () => {
+  const createInvoice = () => {
+    const client = ClientManager.create({
+      name: 'Credit Client',
+      businessName: 'Credit Co',
+      address: '5 Refund Road',
+      abn: '55 555 555 555',
+      contact: '0400000005',
+      prefix: 'CC'
+    });
+    return InvoiceManager.create({
+      clientId: client.id,
+      issueDate: '2024-05-01',
+      dueDate: '2999-05-15',
+      lineItems: [{ description: 'Site works', quantity: 2, unitPrice: 100, applyGst: true }]
+    });
+  };
+
+  const creditLine = (unitPrice) => [{ description: 'Unused hours', quantity: 1, unitPrice, applyGst: true }];
+
+  test('numbers credit notes separately and reduces the invoice balance until removed', () => {
+    const invoice = createInvoice();
+    const first = CreditNoteManager.create({
+      invoiceId: invoice.id,
+      issueDate: '2024-05-10',
+      reason: 'Scope reduced',
+      lineItems: creditLine(50)
+    });
+    expect(first).toEqual(
+      expect.objectContaining({
+        number: 'CN-0001',
+        invoiceNumber: invoice.number,
+        totalCents: 5500,
+        gstTotalCents: 500
+      })
+    );
+    expect(InvoiceManager.findById(invoice.id)).toEqual(
+      expect.objectContaining({ status: 'unpaid', creditedTotalCents: 5500, balanceDueCents: 16500 })
+    );
+
+    expect(() =>
+      CreditNoteManager.create({ invoiceId: invoice.id, lineItems: creditLine(200) })
+    ).toThrow(ValidationError);
+    expect(() => PaymentManager.recordPayment(invoice.id, 200, '2024-05-12')).toThrow(ValidationError);
+
+    PaymentManager.recordPayment(invoice.id, 110, '2024-05-12');
+    const second = CreditNoteManager.create({ invoiceId: invoice.id, lineItems: creditLine(50) });
+    expect(second.number).toBe('CN-0002');
+    expect(InvoiceManager.findById(invoice.id)).toEqual(
+      expect.objectContaining({ status: 'paid', amountPaidCents: 11000, creditedTotalCents: 11000, balanceDueCents: 0 })
+    );
+    expect(CreditNoteManager.listByInvoice(invoice.id)).toHaveLength(2);
+    expect(IntegrityManager.scan().issues).toEqual([]);
+
+    CreditNoteManager.remove(second.id);
+    expect(InvoiceManager.findById(invoice.id)).toEqual(
+      expect.objectContaining({ status: 'partial', creditedTotalCents: 5500, balanceDueCents: 5500 })
+    );
+    expect(CreditNoteManager.create({ invoiceId: invoice.id, lineItems: creditLine(10) }).number).toBe('CN-0003');
+
+    const draft = InvoiceManager.create({ ...invoice, id: undefined, number: undefined, status: 'draft' });
+    expect(() => CreditNoteManager.create({ invoiceId: draft.id, lineItems: creditLine(10) })).toThrow(
+      /issued invoices/
+    );
+
+    const replacement = ClientManager.create({
+      name: 'Successor Client',
+      businessName: 'Successor Co',
+      address: '6 Refund Road',
+      abn: '66 666 666 666',
+      contact: '0400000006',
+      prefix: 'SU'
+    });
+    ClientManager.remove(invoice.clientId, { policy: 'reassign', reassignTo: replacement.id });
+    expect(CreditNoteManager.listByInvoice(invoice.id)).toEqual(
+      Array(2).fill(expect.objectContaining({ clientId: replacement.id, clientName: 'Successor Client' }))
+    );
+    expect(IntegrityManager.scan().issues).toEqual([]);
+  });
+
+  test('reapplies a credit note to the invoice balance and GST when it is restored from the trash', () => {
+    const invoice = createInvoice();
+    const creditNote = CreditNoteManager.create({ invoiceId: invoice.id, lineItems: creditLine(100) });
+    CreditNoteManager.remove(creditNote.id);
+    expect(InvoiceManager.findById(invoice.id)).toEqual(
+      expect.objectContaining({ creditedTotalCents: 0, balanceDueCents: 22000 })
+    );
+    expect(ReportManager.getGstSummary().totalGst).toBe(20);
+
+    TrashManager.restore('creditNotes', creditNote.id);
+    expect(InvoiceManager.findById(invoice.id)).toEqual(
+      expect.objectContaining({ creditedTotalCents: 11000, balanceDueCents: 11000 })
+    );
+    expect(ReportManager.getGstSummary().totalGst).toBe(10);
+    expect(IntegrityManager.scan().issues).toEqual([]);
+
+    CreditNoteManager.remove(creditNote.id);
+    PaymentManager.recordPayment(invoice.id, 150, '2024-05-12');
+    expect(() => TrashManager.restore('creditNotes', creditNote.id)).toThrow(/exceeds outstanding balance/);
+    expect(CreditNoteManager.listByInvoice(invoice.id)).toEqual([]);
+  });
+
+  test('reports credited GST as a negative adjustment and prints a credit note document', () => {
+    const invoice = createInvoice();
+    PaymentManager.recordPayment(invoice.id, 220, '2024-05-20');
+    const creditNote = CreditNoteManager.create({
+      invoiceId: createInvoice().id,
+      issueDate: '2024-05-21',
+      reason: 'Goodwill <discount>',
+      lineItems: creditLine(100)
+    });
+
+    expect(ReportManager.getGstSummary()).toEqual({
+      paidGst: 20,
+      outstandingGst: 20,
+      creditedGst: -10,
+      totalGst: 30
+    });
+    expect(ExportManager.getPaidInvoiceRows({ startDate: '2024-05-01', endDate: '2024-05-31' })).toEqual([
+      expect.objectContaining({ invoiceNumber: invoice.number, gstTotal: '20.00', adjustsInvoice: '' }),
+      expect.objectContaining({
+        invoiceNumber: 'CN-0001',
+        subtotal: '-100.00',
+        gstTotal: '-10.00',
+        invoiceTotal: '-110.00',
+        adjustsInvoice: creditNote.invoiceNumber
+      })
+    ]);
+
+    const html = InvoiceDocumentManager.buildCreditNoteHtml(creditNote, null, SettingsManager.get());
+    expect(html).toContain('Credit note CN-0001');
+    expect(html).toContain(`Against invoice ${creditNote.invoiceNumber}`);
+    expect(html).toContain('Goodwill &lt;discount&gt;');
+    const invoiceHtml = InvoiceDocumentManager.buildPrintableHtml(
+      InvoiceManager.findById(creditNote.invoiceId),
+      null,
+      SettingsManager.get()
+    );
+    expect(invoiceHtml).toContain('Credits applied');
+    expect(invoiceHtml).toContain('Balance due');
+  });
+});
+
+describe('NumberingManager', () => {
+  const createClient = (prefix) =>
+    ClientManager.create({
+      name: `${prefix} Client`,
+      businessName: `${prefix} Co`,
+      address: '9 Sequence Street',
+      abn: '99 999 999 999',
+      contact: '0400000009',
+      prefix
+    });
+
+  const createInvoice = (client, issueDate, extra = {}) =>
+    InvoiceManager.create({
+      clientId: client.id,
+      issueDate,
+      dueDate: '2999-01-01',
+      lineItems: [{ description: 'Numbered work', quantity: 1, unitPrice: 100, applyGst: true }],
+      ...extra
+    });
+
+  test('reserves numbers per client without reusing deleted or rolled back ones', () => {
+    const alpha = createClient('AA');
+    const beta = createClient('BB');
+
+    const first = createInvoice(alpha, '2024-01-10', { number: 'AA-0007' });
+    const second = createInvoice(alpha, '2024-01-11');
+    expect(second.number).toBe('AA-0008');
+    expect(createInvoice(beta, '2024-01-12').number).toBe('BB-0001');
+
+    InvoiceManager.remove(second.id);
+    expect(createInvoice(alpha, '2024-01-13').number).toBe('AA-0009');
+
+    const draft = createInvoice(alpha, '2024-01-14', { status: 'draft' });
+    expect(draft.number).toBe('');
+    expect(() =>
+      DataManager.transaction(() => {
+        NumberingManager.reserve('invoices', { clientId: alpha.id, prefix: 'AA' });
+        throw new Error('abort');
+      })
+    ).toThrow('abort');
+    expect(InvoiceManager.issue(draft.id).number).toBe('AA-0010');
+
+    const payment = PaymentManager.recordPayment(first.id, 10, '2024-02-01');
+    expect(payment.receiptNumber).toBe('RCT-0001');
+    expect(PaymentManager.recordPayment(first.id, 10, '2024-02-02').receiptNumber).toBe('RCT-0002');
+    const quote = QuoteManager.create({
+      clientId: beta.id,
+      lineItems: [{ description: 'Estimate', quantity: 1, unitPrice: 50 }]
+    });
+    expect(quote.number).toBe('BB-0001');
+  });
+
+  test('formats numbers from the configured template and resets each year', () => {
+    SettingsManager.update({
+      ...SettingsManager.get(),
+      numbering: { invoices: { template: '{PREFIX}-{YYYY}-{SEQ:5}', scope: 'global', reset: 'yearly' } }
+    });
+    const alpha = createClient('AA');
+    const beta = createClient('BB');
+
+    expect(createInvoice(alpha, '2024-03-01').number).toBe('AA-2024-00001');
+    expect(createInvoice(beta, '2024-06-01').number).toBe('BB-2024-00002');
+    expect(createInvoice(alpha, '2025-01-02').number).toBe('AA-2025-00001');
+    expect(NumberingManager.preview('invoices', { prefix: 'AA', date: '2024-12-31' })).toBe('AA-2024-00003');
+    expect(NumberingManager.getConfig('quotes')).toEqual({
+      template: '{PREFIX}-{SEQ:4}',
+      scope: 'client',
+      reset: 'never'
+    });
+
+    let error;
+    try {
+      SettingsManager.update({ numbering: { invoices: { template: '{PREFIX}-{YYYY}', scope: 'weekly' } } });
+    } catch (caught) {
+      error = caught;
+    }
+    expect(error).toBeInstanceOf(ValidationError);
+    expect(error.errors.map((item) => item.field)).toEqual(['numbering.invoices.template', 'numbering.invoices.scope']);
+    expect(NumberingManager.getConfig('invoices').template).toBe('{PREFIX}-{YYYY}-{SEQ:5}');
+  });
+});
+
+describe('Tax codes', () => {
+  const createInvoice = (lineItems, extra = {}) => {
+    const client = ClientManager.create({
+      name: 'Tax Client',
+      businessName: 'Tax Co',
+      address: '12 Ledger Lane',
+      abn: '12 121 212 121',
+      contact: '0400000012',
+      prefix: 'TX'
+    });
+    return InvoiceManager.create({
+      clientId: client.id,
+      issueDate: '2024-08-01',
+      dueDate: '2999-08-15',
+      lineItems,
+      ...extra
+    });
+  };
+
+  test('calculates GST per line from built-in and custom tax codes', () => {
+    SettingsManager.update({
+      ...SettingsManager.get(),
+      taxCodes: [{ code: 'lux', label: 'Luxury surcharge', rate: '0.2', bas: 'G1' }]
+    });
+    expect(TaxCodeManager.find('LUX')).toEqual(
+      expect.objectContaining({ label: 'Luxury surcharge', rate: 0.2, custom: true })
+    );
+
+    const invoice = createInvoice([
+      { description: 'Labour', quantity: 1, unitPrice: 100, taxCode: 'GST' },
+      { description: 'Medical kit', quantity: 1, unitPrice: 50, taxCode: 'FRE' },
+      { description: 'Overseas support', quantity: 1, unitPrice: 30, taxCode: 'EXP' },
+      { description: 'Premium fit-out', quantity: 1, unitPrice: 10, taxCode: 'LUX' },
+      { description: 'Legacy line', quantity: 1, unitPrice: 20, applyGst: true }
+    ]);
+    expect(invoice.lineItems.map((line) => [line.taxCode, line.gstCents])).toEqual([
+      ['GST', 1000],
+      ['FRE', 0],
+      ['EXP', 0],
+      ['LUX', 200],
+      ['GST', 200]
+    ]);
+    expect(invoice).toEqual(expect.objectContaining({ subtotalCents: 21000, gstTotalCents: 1400, totalCents: 22400 }));
+    const taxRows = invoice.taxes.map((tax) => [tax.code, tax.subtotalCents, tax.gstCents, tax.bas]);
+    expect(taxRows).toEqual([
+      ['GST', 12000, 1200, 'G1'],
+      ['FRE', 5000, 0, 'G3'],
+      ['EXP', 3000, 0, 'G2'],
+      ['LUX', 1000, 200, 'G1']
+    ]);
+    const exportLine = { description: 'Export', quantity: 2, unitPrice: 40, taxCode: 'EXP' };
+    expect(QuoteManager.calculateTotals([exportLine])).toEqual(
+      expect.objectContaining({ gstTotalCents: 0, totalCents: 8000 })
+    );
+
+    let error;
+    try {
+      createInvoice([{ description: 'Mystery', quantity: 1, unitPrice: 10, taxCode: 'ZZZ' }]);
+    } catch (caught) {
+      error = caught;
+    }
+    expect(error).toBeInstanceOf(ValidationError);
+    expect(error.errors).toEqual([
+      expect.objectContaining({ field: 'lineItems[0].taxCode', message: 'Unknown tax code "ZZZ".' })
+    ]);
+    expect(() =>
+      SettingsManager.update({
+        ...SettingsManager.get(),
+        taxCodes: [
+          { code: 'FRE', label: 'Duplicate', rate: 0, bas: 'G3' },
+          { code: 'ZR', label: 'Zero', rate: 2, bas: 'G9' }
+        ]
+      })
+    ).toThrow(ValidationError);
+  });
+
+  test('breaks GST reporting, exports and printed documents down by tax code', () => {
+    const invoice = createInvoice([
+      { description: 'Labour', quantity: 2, unitPrice: 100, taxCode: 'GST' },
+      { description: 'Bank fees', quantity: 1, unitPrice: 40, taxCode: 'INP' },
+      { description: 'Overseas support', quantity: 1, unitPrice: 60, taxCode: 'EXP' }
+    ]);
+    const creditNote = CreditNoteManager.create({
+      invoiceId: invoice.id,
+      issueDate: '2024-08-05',
+      lineItems: [{ description: 'Unused hours', quantity: 1, unitPrice: 100, taxCode: 'GST' }]
+    });
+
+    const summary = ReportManager.getTaxCodeSummary();
+    expect(summary.taxes.map(({ code, totalCents }) => [code, totalCents])).toEqual([
+      ['GST', 11000],
+      ['INP', 4000],
+      ['EXP', 6000]
+    ]);
+    expect(Object.fromEntries(summary.bas.map(({ field, amount }) => [field, amount]))).toEqual({
+      G1: 210,
+      G2: 60,
+      G3: 0,
+      G4: 40,
+      '1A': 10
+    });
+
+    expect(ExportManager.getTaxCodeRows({ startDate: '2024-08-01', endDate: '2024-08-31' })).toEqual([
+      expect.objectContaining({
+        documentNumber: invoice.number,
+        taxCode: 'GST',
+        rate: '10%',
+        net: '200.00',
+        gst: '20.00'
+      }),
+      expect.objectContaining({ documentNumber: invoice.number, taxCode: 'INP', basLabel: 'Input taxed sales (G4)' }),
+      expect.objectContaining({ documentNumber: invoice.number, taxCode: 'EXP', gross: '60.00' }),
+      expect.objectContaining({ documentNumber: creditNote.number, documentType: 'Credit note', gst: '-10.00' })
+    ]);
+    expect(ExportManager.buildTaxCodeCsv().split('\r\n')[0]).toContain('Tax Code,Tax Label,BAS Label');
+
+    const html = InvoiceDocumentManager.buildPrintableHtml(
+      InvoiceManager.findById(invoice.id),
+      null,
+      SettingsManager.get()
+    );
+    expect(html).toContain('Tax summary');
+    expect(html).toContain('Input taxed');
+    expect(html).toContain('<td>EXP</td>');
+  });
+});
+
+describe('Tax-inclusive pricing', () => {
+  const createClient = () =>
+    ClientManager.create({
+      name: 'Retail Client',
+      businessName: 'Retail Co',
+      address: '5 Shopfront Row',
+      abn: '13 131 313 131',
+      contact: '0400000013',
+      prefix: 'RT'
+    });
+
+  test('back-calculates GST from inclusive prices with the configured rounding', () => {
+    const lines = [1, 2, 3].map(() => ({ quantity: 1, unitPrice: 9.99, applyGst: true }));
+    expect(Money.calculateTotals(lines, { rate: 0.1, rounding: 'invoice', pricesIncludeTax: true })).toEqual(
+      expect.objectContaining({ subtotalCents: 2725, gstTotalCents: 272, totalCents: 2997 })
+    );
+    expect(Money.calculateTotals(lines, { rate: 0.1, rounding: 'line', pricesIncludeTax: true })).toEqual(
+      expect.objectContaining({ subtotalCents: 2724, gstTotalCents: 273, totalCents: 2997 })
+    );
+
+    SettingsManager.update({ ...SettingsManager.get(), pricesIncludeTax: true });
+    const client = createClient();
+    const lineItems = [
+      { description: 'Gift card', quantity: 1, unitPrice: 110, taxCode: 'GST' },
+      { description: 'Bread', quantity: 2, unitPrice: 25, taxCode: 'FRE' }
+    ];
+    const inclusive = InvoiceManager.create({ clientId: client.id, issueDate: '2024-09-01', lineItems });
+    expect(inclusive).toEqual(
+      expect.objectContaining({ pricesIncludeTax: true, subtotalCents: 15000, gstTotalCents: 1000, totalCents: 16000 })
+    );
+    expect(inclusive.lineItems[0]).toEqual(
+      expect.objectContaining({ unitPriceCents: 11000, subtotalCents: 10000, gstCents: 1000, totalCents: 11000 })
+    );
+    const exclusive = QuoteManager.create({ clientId: client.id, lineItems, pricesIncludeTax: false });
+    expect(exclusive).toEqual(
+      expect.objectContaining({ pricesIncludeTax: false, gstTotalCents: 1100, totalCents: 17100 })
+    );
+    expect(InvoiceManager.update(inclusive.id, { notes: 'Counter sale' }).totalCents).toBe(16000);
+  });
+
+  test('converts service prices, carries the mode onto credit notes and prints the included GST', () => {
+    const inclusiveService = ServiceManager.create({
+      description: 'Workshop ticket',
+      unitPrice: 110,
+      pricesIncludeTax: true
+    });
+    const exclusiveService = ServiceManager.create({ description: 'Consulting', unitPrice: 100 });
+    expect(exclusiveService.pricesIncludeTax).toBe(false);
+    expect(ServiceManager.unitPriceFor(inclusiveService, { pricesIncludeTax: false })).toBe(100);
+    expect(ServiceManager.unitPriceFor(inclusiveService, { pricesIncludeTax: true })).toBe(110);
+    expect(ServiceManager.unitPriceFor(exclusiveService, { pricesIncludeTax: true })).toBe(110);
+    expect(ServiceManager.unitPriceFor(exclusiveService, { pricesIncludeTax: true, taxCode: 'FRE' })).toBe(100);
+
+    const client = createClient();
+    const invoice = InvoiceManager.create({
+      clientId: client.id,
+      issueDate: '2024-09-01',
+      pricesIncludeTax: true,
+      lineItems: [
+        { serviceId: inclusiveService.id, description: 'Workshop ticket', quantity: 2, unitPrice: 110, taxCode: 'GST' }
+      ]
+    });
+    const creditNote = CreditNoteManager.create({
+      invoiceId: invoice.id,
+      lineItems: [{ description: 'Refunded ticket', quantity: 1, unitPrice: 110, taxCode: 'GST' }]
+    });
+    expect(creditNote).toEqual(
+      expect.objectContaining({ pricesIncludeTax: true, gstTotalCents: 1000, totalCents: 11000 })
+    );
+    expect(InvoiceManager.findById(invoice.id).balanceDueCents).toBe(11000);
+    expect(IntegrityManager.scan().issues).toEqual([]);
+
+    const html = InvoiceDocumentManager.buildPrintableHtml(
+      InvoiceManager.findById(invoice.id),
+      client,
+      SettingsManager.get()
+    );
+    expect(html).toMatch(/Total includes GST of [^<]*20\.00/);
+    expect(html).toContain('Unit price (inc. GST)');
+    expect(InvoiceDocumentManager.buildCreditNoteHtml(creditNote, client, SettingsManager.get())).toMatch(
+      /Total includes GST of [^<]*10\.00/
+    );
+  });
+});
+
+describe('Discounts', () => {
+  const createClient = () =>
+    ClientManager.create({
+      name: 'Discount Client',
+      businessName: 'Bargain Co',
+      address: '9 Markdown Lane',
+      abn: '14 141 414 141',
+      contact: '0400000014',
+      prefix: 'DC'
+    });
+
+  const lineItems = [
+    { description: 'Design', quantity: 2, unitPrice: 100, taxCode: 'GST', discountType: 'percent', discountValue: 10 },
+    { description: 'Printing', quantity: 1, unitPrice: 50, taxCode: 'FRE', discountType: 'amount', discountValue: 5 }
+  ];
+
+  test('applies line and invoice discounts before GST and validates percentages', () => {
+    const client = createClient();
+    const invoice = InvoiceManager.create({
+      clientId: client.id,
+      issueDate: '2024-10-01',
+      lineItems,
+      discountType: 'amount',
+      discountValue: 22.5
+    });
+    expect(invoice).toEqual(
+      expect.objectContaining({
+        discountType: 'amount',
+        discountValue: 22.5,
+        discountCents: 2250,
+        discountTotalCents: 4750,
+        subtotalCents: 20250,
+        gstTotalCents: 1620,
+        totalCents: 21870
+      })
+    );
+    expect(invoice.lineItems[0]).toEqual(
+      expect.objectContaining({
+        discountType: 'percent',
+        discountValue: 10,
+        discountCents: 2000,
+        documentDiscountCents: 1800,
+        subtotalCents: 16200,
+        gstCents: 1620
+      })
+    );
+    expect(invoice.lineItems[1]).toEqual(
+      expect.objectContaining({ discountCents: 500, documentDiscountCents: 450, subtotalCents: 4050, gstCents: 0 })
+    );
+    expect(InvoiceManager.update(invoice.id, { discountType: '', discountValue: 0 }).totalCents).toBe(24300);
+
+    const caught = (() => {
+      try {
+        InvoiceManager.create({
+          clientId: client.id,
+          lineItems: [{ ...lineItems[0], discountValue: 120 }],
+          discountType: 'percent',
+          discountValue: 150
+        });
+      } catch (error) {
+        return error;
+      }
+      return null;
+    })();
+    expect(caught).toBeInstanceOf(ValidationError);
+    expect(caught.errors.map((error) => error.field)).toEqual(
+      expect.arrayContaining(['discountValue', 'lineItems[0].discountValue'])
+    );
+  });
+
+  test('prints discount rows, discounts quotes and reports discounts per month', () => {
+    const client = createClient();
+    const invoice = InvoiceManager.create({
+      clientId: client.id,
+      issueDate: '2024-10-01',
+      lineItems,
+      discountType: 'percent',
+      discountValue: 10
+    });
+    InvoiceManager.create({ clientId: client.id, issueDate: '2024-11-03', lineItems: lineItems.slice(1) });
+    InvoiceManager.create({
+      clientId: client.id,
+      issueDate: '2024-11-04',
+      lineItems: [{ ...lineItems[0], discountValue: 0 }]
+    });
+
+    const html = InvoiceDocumentManager.buildPrintableHtml(invoice, client, SettingsManager.get());
+    expect(html).toContain('Before discounts');
+    expect(html).toContain('Discount (10%)');
+    expect(DiscountManager.describe({ discountType: 'amount', discountValue: 50 })).toMatch(/^\D*50\.00 off$/);
+    expect(DiscountManager.describe({ discountType: 'amount', discountValue: 0 })).toBe('');
+
+    const quote = QuoteManager.create({ clientId: client.id, lineItems, discountType: 'amount', discountValue: 25 });
+    expect(quote).toEqual(
+      expect.objectContaining({ discountCents: 2500, discountTotalCents: 5000, subtotalCents: 20000 })
+    );
+
+    expect(ReportManager.getDiscountSummary()).toEqual([
+      expect.objectContaining({
+        monthKey: '2024-10',
+        invoiceCount: 1,
+        lineDiscounts: 25,
+        invoiceDiscounts: 22.5,
+        totalDiscounts: 47.5
+      }),
+      expect.objectContaining({ monthKey: '2024-11', invoiceCount: 1, lineDiscounts: 5, invoiceDiscounts: 0 })
+    ]);
+    expect(IntegrityManager.scan().issues).toEqual([]);
+  });
+});
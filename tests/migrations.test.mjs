@@ -0,0 +1,96 @@
+/**
+ * @jest-environment node
+ */
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { DataManager } from '../src/data/DataManager.js';
+import { SchemaMigrations } from '../src/data/migrations.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const fixturesDir = path.resolve(__dirname, 'fixtures/migrations');
+
+const loadFixture = (version) => {
+  const prefix = `${String(version).padStart(3, '0')}-`;
+  const filename = fs.readdirSync(fixturesDir).find((name) => name.startsWith(prefix) && name.endsWith('.json'));
+  if (!filename) {
+    throw new Error(`Missing fixture for migration v${version} in tests/fixtures/migrations.`);
+  }
+  return JSON.parse(fs.readFileSync(path.join(fixturesDir, filename), 'utf-8'));
+};
+
+const createMockStorage = () => {
+  const store = new Map();
+  return {
+    getItem: (key) => (store.has(key) ? store.get(key) : null),
+    setItem: (key, value) => store.set(key, String(value)),
+    removeItem: (key) => store.delete(key),
+    clear: () => store.clear(),
+    key: (index) => Array.from(store.keys())[index] ?? null,
+    get length() {
+      return store.size;
+    }
+  };
+};
+
+beforeEach(() => {
+  const storage = createMockStorage();
+  global.localStorage = storage;
+  globalThis.localStorage = storage;
+  global.window = { localStorage: storage };
+});
+
+afterEach(() => {
+  DataManager.clearAll();
+  delete global.window;
+  delete global.localStorage;
+  delete globalThis.localStorage;
+});
+
+describe('SchemaMigrations', () => {
+  test.each(SchemaMigrations.list().map(({ version, description }) => [version, description]))(
+    'v%i (%s) upgrades its fixture',
+    (version) => {
+      const fixture = loadFixture(version);
+      const result = SchemaMigrations.run(fixture.input, version - 1, version);
+      expect(result.applied).toEqual([version]);
+      expect(result.data).toEqual(fixture.expected);
+      expect(SchemaMigrations.run(result.data, version - 1, version).data).toEqual(fixture.expected);
+    }
+  );
+
+  test('migrates stored collections once at startup', () => {
+    global.localStorage.setItem(
+      'zantra-invoicing::clients',
+      JSON.stringify([{ id: 'client-1', name: 'Legacy Client', prefix: 'LC' }])
+    );
+
+    expect(DataManager.getSchemaVersion()).toBe(1);
+    expect(DataManager.migrateStoredData()).toEqual(
+      SchemaMigrations.list().map(({ version }) => version)
+    );
+    expect(DataManager.getSchemaVersion()).toBe(DataManager.BACKUP_SCHEMA_VERSION);
+    expect(DataManager.listClients()[0].revision).toBe(1);
+    expect(DataManager.migrateStoredData()).toEqual([]);
+  });
+
+  test('upgrades older backups before restoring and refuses newer ones', () => {
+    const legacyBackup = {
+      schemaVersion: 1,
+      exportedAt: '2024-01-01T00:00:00.000Z',
+      data: { clients: [{ id: 'client-9', name: 'Backup Client', prefix: 'BC' }], settings: { gstRate: 0.1 } }
+    };
+
+    const parsed = DataManager.parseBackupPayload(JSON.stringify(legacyBackup));
+    expect(parsed.schemaVersion).toBe(DataManager.BACKUP_SCHEMA_VERSION);
+    expect(parsed.data.clients).toEqual([{ id: 'client-9', name: 'Backup Client', prefix: 'BC', revision: 1 }]);
+
+    DataManager.restoreAll(legacyBackup);
+    expect(DataManager.listClients()[0].revision).toBe(1);
+    expect(DataManager.getSchemaVersion()).toBe(DataManager.BACKUP_SCHEMA_VERSION);
+
+    expect(() =>
+      DataManager.parseBackupPayload({ ...legacyBackup, schemaVersion: DataManager.BACKUP_SCHEMA_VERSION + 1 })
+    ).toThrow(/newer version/);
+  });
+});
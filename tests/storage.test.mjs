@@ -0,0 +1,340 @@
+/**
+ * @jest-environment node
+ */
+import { jest } from '@jest/globals';
+import { DataManager } from '../src/data/DataManager.js';
+import { LocalStorageAdapter } from '../src/data/adapters/LocalStorageAdapter.js';
+import { StaleWriteError, StorageUnavailableError } from '../src/data/errors.js';
+
+const createMockStorage = () => {
+  const store = new Map();
+  return {
+    getItem: (key) => (store.has(key) ? store.get(key) : null),
+    setItem: (key, value) => store.set(key, String(value)),
+    removeItem: (key) => store.delete(key),
+    clear: () => store.clear(),
+    key: (index) => Array.from(store.keys())[index] ?? null,
+    get length() {
+      return store.size;
+    }
+  };
+};
+
+const createMemoryAdapter = () => {
+  const collections = new Map();
+  const positions = new Map();
+  const operations = [];
+  return {
+    name: 'memory',
+    synchronous: false,
+    operations,
+    collections,
+    open: async () => true,
+    loadAll: async () => Object.fromEntries(Array.from(collections.entries()).map(([key, value]) => [key, value])),
+    read: async (key) => (collections.has(key) ? JSON.parse(JSON.stringify(collections.get(key))) : null),
+    write: async (key, value) => {
+      operations.push({ type: 'write', key });
+      collections.set(key, JSON.parse(JSON.stringify(value)));
+      return true;
+    },
+    putRecord: async (key, record, position) => {
+      operations.push({ type: 'putRecord', key, id: record.id, position });
+      const rows = (collections.get(key) || []).filter((row) => row.id !== record.id);
+      const rowPositions = positions.get(key) || new Map();
+      rowPositions.set(record.id, position);
+      positions.set(key, rowPositions);
+      rows.push(JSON.parse(JSON.stringify(record)));
+      collections.set(
+        key,
+        rows.sort((a, b) => rowPositions.get(a.id) - rowPositions.get(b.id))
+      );
+      return true;
+    },
+    deleteRecord: async (key, id) => {
+      operations.push({ type: 'deleteRecord', key, id });
+      collections.set(
+        key,
+        (collections.get(key) || []).filter((row) => row.id !== id)
+      );
+      return true;
+    },
+    remove: async (key) => {
+      collections.delete(key);
+      return true;
+    }
+  };
+};
+
+beforeEach(async () => {
+  const storage = createMockStorage();
+  global.localStorage = storage;
+  globalThis.localStorage = storage;
+  global.window = { localStorage: storage };
+  await DataManager.initialize({ adapter: new LocalStorageAdapter() });
+  DataManager.clearAll();
+});
+
+afterEach(async () => {
+  DataManager.disableCrossTabSync();
+  DataManager.configureSync({ staleWrites: 'warn' });
+  await DataManager.initialize({ adapter: new LocalStorageAdapter() });
+  DataManager.clearAll();
+  delete global.window;
+  delete global.localStorage;
+  delete globalThis.localStorage;
+});
+
+describe('DataManager storage adapters', () => {
+  test('migrates localStorage collections into an async adapter once', async () => {
+    DataManager.saveInvoice({ id: 'inv-1', number: 'INV-0001' });
+    DataManager.saveSettings({ businessName: 'Zantra Plumbing' });
+
+    const adapter = createMemoryAdapter();
+    await DataManager.initialize({ adapter });
+
+    expect(DataManager.getAdapterName()).toBe('memory');
+    expect(DataManager.listInvoices()).toEqual([{ id: 'inv-1', number: 'INV-0001', revision: 1 }]);
+    expect(DataManager.getSettings().businessName).toBe('Zantra Plumbing');
+    expect(global.localStorage.getItem('zantra-invoicing::invoices')).toBeNull();
+
+    const migrationWrites = adapter.operations.filter((operation) => operation.type === 'write').length;
+    await DataManager.initialize({ adapter });
+    expect(adapter.operations.filter((operation) => operation.type === 'write')).toHaveLength(migrationWrites);
+  });
+
+  test('persists single records through the async API', async () => {
+    const adapter = createMemoryAdapter();
+    await DataManager.initialize({ adapter });
+
+    await DataManager.saveClientAsync({ id: 'client-1', name: 'First' });
+    await DataManager.saveClientAsync({ id: 'client-2', name: 'Second' });
+    await DataManager.saveClientAsync({ id: 'client-1', name: 'First (renamed)' });
+    await DataManager.deleteClientAsync('client-2');
+
+    expect(await DataManager.listClientsAsync()).toEqual([{ id: 'client-1', name: 'First (renamed)', revision: 2 }]);
+    expect(adapter.collections.get('clients')).toEqual([
+      { id: 'client-1', name: 'First (renamed)', revision: 2 },
+      { id: 'client-2', name: 'Second', revision: 2, deletedAt: expect.any(String) }
+    ]);
+    DataManager.purgeRecord('clients', 'client-2');
+    await DataManager.flush();
+    expect(adapter.collections.get('clients')).toEqual([{ id: 'client-1', name: 'First (renamed)', revision: 2 }]);
+    expect(adapter.operations.filter((operation) => operation.key === 'clients')).toEqual([
+      { type: 'putRecord', key: 'clients', id: 'client-1', position: 0 },
+      { type: 'putRecord', key: 'clients', id: 'client-2', position: 1 },
+      { type: 'putRecord', key: 'clients', id: 'client-1', position: 0 },
+      { type: 'putRecord', key: 'clients', id: 'client-2', position: 1 },
+      { type: 'deleteRecord', key: 'clients', id: 'client-2' }
+    ]);
+  });
+
+  test('keeps audit entries in order when the log is trimmed', async () => {
+    const adapter = createMemoryAdapter();
+    await DataManager.initialize({ adapter });
+    DataManager.configureAuditLog({ limit: 10 });
+    for (let index = 1; index <= 11; index += 1) {
+      await DataManager.saveClientAsync({ id: `client-${index}`, name: `Client ${index}` });
+    }
+    DataManager.configureAuditLog({ limit: DataManager.AUDIT_LOG_LIMIT });
+
+    const recordIds = Array.from({ length: 9 }, (_, index) => `client-${index + 3}`);
+    expect(DataManager.listAuditLog().map((entry) => entry.recordId)).toEqual(recordIds);
+    expect(adapter.collections.get('auditLog').map((entry) => entry.recordId)).toEqual(recordIds);
+    const auditWrites = adapter.operations.filter(({ type, key }) => type === 'write' && key === 'auditLog');
+    expect(auditWrites).toEqual([]);
+  });
+
+  test('commits only the changed records and one revision update per transaction', async () => {
+    const adapter = createMemoryAdapter();
+    await DataManager.initialize({ adapter });
+    await DataManager.saveClientAsync({ id: 'client-1', name: 'First' });
+    await DataManager.saveInvoiceAsync({ id: 'inv-1', clientId: 'client-1' });
+    adapter.operations.length = 0;
+
+    DataManager.transaction(() => {
+      DataManager.saveInvoice({ id: 'inv-2', clientId: 'client-1' });
+      DataManager.saveClient({ id: 'client-1', name: 'Renamed' });
+    });
+    await DataManager.flush();
+
+    expect(adapter.operations.filter(({ key }) => key !== 'auditLog')).toEqual([
+      { type: 'putRecord', key: 'invoices', id: 'inv-2', position: 1 },
+      { type: 'putRecord', key: 'clients', id: 'client-1', position: 0 },
+      { type: 'write', key: '__revisions' }
+    ]);
+    expect(adapter.collections.get('invoices').map((invoice) => invoice.id)).toEqual(['inv-1', 'inv-2']);
+  });
+
+  test('keeps the localStorage copy until the migrated data has been activated', async () => {
+    DataManager.saveInvoice({ id: 'inv-1', number: 'INV-0001' });
+    const adapter = createMemoryAdapter();
+    const { loadAll } = adapter;
+    adapter.loadAll = jest.fn(loadAll).mockImplementationOnce(loadAll).mockRejectedValueOnce(new Error('Read failed'));
+
+    await expect(DataManager.initialize({ adapter })).rejects.toThrow('Read failed');
+    expect(global.localStorage.getItem('zantra-invoicing::invoices')).not.toBeNull();
+
+    const blocked = {
+      ...createMemoryAdapter(),
+      open: async () => {
+        throw new Error('Blocked');
+      }
+    };
+    await expect(DataManager.initialize({ adapter: blocked })).rejects.toBeInstanceOf(StorageUnavailableError);
+
+    await DataManager.initialize({ adapter });
+    expect(DataManager.listInvoices()).toEqual([{ id: 'inv-1', number: 'INV-0001', revision: 1 }]);
+    expect(global.localStorage.getItem('zantra-invoicing::invoices')).toBeNull();
+  });
+});
+
+describe('DataManager cross-tab sync', () => {
+  const writeFromOtherTab = (key, value) => {
+    const revisions = JSON.parse(global.localStorage.getItem('zantra-invoicing::__revisions') || '{}');
+    revisions[key] = (revisions[key] || 0) + 1;
+    global.localStorage.setItem(`zantra-invoicing::${key}`, JSON.stringify(value));
+    const newValue = JSON.stringify(revisions);
+    global.localStorage.setItem('zantra-invoicing::__revisions', newValue);
+    return { key: 'zantra-invoicing::__revisions', newValue };
+  };
+
+  test('announces collections changed by another tab', () => {
+    const handlers = [];
+    global.window.addEventListener = (type, handler) => handlers.push({ type, handler });
+    global.window.removeEventListener = jest.fn();
+    const events = [];
+    const unsubscribe = DataManager.subscribe('data:external', (event) => events.push(event));
+
+    DataManager.saveClient({ id: 'client-1', name: 'First' });
+    DataManager.enableCrossTabSync();
+    const storageEvent = writeFromOtherTab('clients', [{ id: 'client-1', name: 'Renamed elsewhere' }]);
+    handlers.filter(({ type }) => type === 'storage').forEach(({ handler }) => handler(storageEvent));
+
+    expect(events).toHaveLength(1);
+    expect(events[0]).toMatchObject({ collections: ['clients'], source: 'storage' });
+    expect(DataManager.listClients()).toEqual([{ id: 'client-1', name: 'Renamed elsewhere' }]);
+    unsubscribe();
+  });
+
+  test('warns and saves over a collection changed elsewhere by default', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const staleEvents = [];
+    const unsubscribe = DataManager.subscribe('sync:stale', (event) => staleEvents.push(event));
+
+    DataManager.saveClient({ id: 'client-1', name: 'First' });
+    writeFromOtherTab('clients', [
+      { id: 'client-1', name: 'First' },
+      { id: 'client-2', name: 'Added elsewhere' }
+    ]);
+    DataManager.saveClient({ id: 'client-3', name: 'Third' });
+
+    expect(staleEvents).toHaveLength(1);
+    expect(staleEvents[0]).toMatchObject({
+      collections: ['clients'],
+      knownRevision: 1,
+      storedRevision: 2,
+      policy: 'warn'
+    });
+    expect(warn).toHaveBeenCalled();
+    expect(DataManager.listClients().map((client) => client.id)).toEqual(['client-1', 'client-2', 'client-3']);
+    expect(DataManager.getRevision('clients')).toBe(3);
+    unsubscribe();
+    warn.mockRestore();
+  });
+
+  test('rejects stale writes when configured to', () => {
+    DataManager.configureSync({ staleWrites: 'reject' });
+    DataManager.saveClient({ id: 'client-1', name: 'First' });
+    writeFromOtherTab('clients', [{ id: 'client-1', name: 'Renamed elsewhere' }]);
+
+    expect(() => DataManager.save('clients', [])).toThrow(StaleWriteError);
+    expect(() => DataManager.save('clients', [])).toThrow(StaleWriteError);
+    expect(DataManager.listClients()).toEqual([{ id: 'client-1', name: 'Renamed elsewhere' }]);
+
+    DataManager.saveClient({ id: 'client-2', name: 'Second' });
+    expect(DataManager.listClients().map((client) => client.name)).toEqual(['Renamed elsewhere', 'Second']);
+  });
+});
+
+describe('DataManager cross-tab sync with an async adapter', () => {
+  const writeFromOtherTab = (adapter, key, records) => {
+    const revisions = adapter.collections.get('__revisions') || {};
+    const revision = (revisions[key] || 0) + 1;
+    adapter.collections.set(key, JSON.parse(JSON.stringify(records)));
+    adapter.collections.set('__revisions', { ...revisions, [key]: revision });
+    return revision;
+  };
+
+  test('warns about a collection changed elsewhere and keeps the other tab records', async () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const adapter = createMemoryAdapter();
+    await DataManager.initialize({ adapter });
+    const staleEvents = [];
+    const unsubscribe = DataManager.subscribe('sync:stale', (event) => staleEvents.push(event));
+
+    await DataManager.saveClientAsync({ id: 'client-1', name: 'First' });
+    writeFromOtherTab(adapter, 'clients', [
+      ...adapter.collections.get('clients'),
+      { id: 'client-2', name: 'Added elsewhere', revision: 1 }
+    ]);
+    await DataManager.saveClientAsync({ id: 'client-3', name: 'Third' });
+
+    expect(staleEvents).toHaveLength(1);
+    expect(staleEvents[0]).toMatchObject({ collections: ['clients'], knownRevision: 1, storedRevision: 2 });
+    expect(adapter.collections.get('clients').map((client) => client.id)).toEqual(['client-1', 'client-2', 'client-3']);
+    expect(DataManager.listClients().map((client) => client.id)).toEqual(['client-1', 'client-2', 'client-3']);
+    expect(adapter.collections.get('__revisions').clients).toBe(3);
+    unsubscribe();
+    warn.mockRestore();
+  });
+
+  test('keeps rejecting stale writes until the latest data has been loaded', async () => {
+    DataManager.configureSync({ staleWrites: 'reject' });
+    const adapter = createMemoryAdapter();
+    await DataManager.initialize({ adapter });
+    await DataManager.saveClientAsync({ id: 'client-1', name: 'First' });
+    writeFromOtherTab(adapter, 'clients', [{ id: 'client-1', name: 'Renamed elsewhere', revision: 2 }]);
+
+    await expect(DataManager.saveClientAsync({ id: 'client-2', name: 'Second' })).rejects.toThrow(StaleWriteError);
+    expect(DataManager.listClients()).toEqual([{ id: 'client-1', name: 'Renamed elsewhere', revision: 2 }]);
+
+    writeFromOtherTab(adapter, 'clients', [{ id: 'client-1', name: 'Renamed again', revision: 3 }]);
+    DataManager.saveClient({ id: 'client-2', name: 'Second' });
+    DataManager.saveClient({ id: 'client-3', name: 'Third' });
+    await DataManager.flush();
+    expect(adapter.collections.get('clients')).toEqual([{ id: 'client-1', name: 'Renamed again', revision: 3 }]);
+    expect(DataManager.listClients()).toEqual([{ id: 'client-1', name: 'Renamed again', revision: 3 }]);
+
+    await DataManager.saveClientAsync({ id: 'client-2', name: 'Second' });
+    expect(adapter.collections.get('clients').map((client) => client.name)).toEqual(['Renamed again', 'Second']);
+  });
+
+  test('applies changes from every other tab even when they report the same revision', async () => {
+    const adapter = createMemoryAdapter();
+    await DataManager.initialize({ adapter });
+    await DataManager.saveClientAsync({ id: 'client-1', name: 'First' });
+    DataManager.enableCrossTabSync();
+    const channel = new BroadcastChannel('zantra-invoicing');
+    const nextExternalChange = () =>
+      new Promise((resolve) => {
+        const unsubscribe = DataManager.subscribe('data:external', (event) => {
+          unsubscribe();
+          resolve(event);
+        });
+      });
+
+    const clients = adapter.collections.get('clients');
+    let received = nextExternalChange();
+    const revision = writeFromOtherTab(adapter, 'clients', [...clients, { id: 'client-2', name: 'From tab B' }]);
+    channel.postMessage({ tabId: 'tab-b', sequence: 1, profileId: 'default', revisions: { clients: revision } });
+    expect(await received).toMatchObject({ collections: ['clients'], source: 'broadcast' });
+
+    received = nextExternalChange();
+    adapter.collections.set('clients', [...adapter.collections.get('clients'), { id: 'client-3', name: 'From tab C' }]);
+    channel.postMessage({ tabId: 'tab-c', sequence: 1, profileId: 'default', revisions: { clients: revision } });
+    await received;
+    channel.close();
+
+    expect(DataManager.listClients().map((client) => client.id)).toEqual(['client-1', 'client-2', 'client-3']);
+  });
+});